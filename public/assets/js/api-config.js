@@ -0,0 +1,11 @@
+// WorkLink API server (see server/ in the repository root)
+
+window.__API_CONFIG__ = {
+  baseURL: 'http://localhost:8787'
+};
+
+// Where task photos are uploaded (see media.js): 'server' keeps them on the API server above,
+// 'firebase' in the project's Cloud Storage bucket
+window.__MEDIA_CONFIG__ = {
+  storage: 'server'
+};
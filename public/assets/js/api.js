@@ -0,0 +1,53 @@
+// Client for the WorkLink API server. Keeps the signed session returned by /auth/login and sends
+// its token as a bearer header. Requests resolve to `{ ok, status, message?, ...body }` and never throw.
+(function () {
+  'use strict';
+
+  const SESSION_KEY = 'lh_session';
+
+  function baseURL() {
+    return ((window.__API_CONFIG__ && window.__API_CONFIG__.baseURL) || '').replace(/\/$/, '');
+  }
+
+  // The stored session is only a cache for the UI: the server checks the token's signature on every call
+  function session() {
+    try {
+      const s = JSON.parse(localStorage.getItem(SESSION_KEY));
+      if (!s || !s.token) return null;
+      if (s.expiresAt && Date.parse(s.expiresAt) <= Date.now()) return null;
+      return s;
+    } catch (e) { return null; }
+  }
+  function setSession(s) { localStorage.setItem(SESSION_KEY, JSON.stringify(s)); }
+  function clearSession() { localStorage.removeItem(SESSION_KEY); }
+
+  // JSON bodies are stringified; a Blob (an image upload) is sent as it is, with its own type
+  async function request(method, path, body) {
+    const isBlob = typeof Blob !== 'undefined' && body instanceof Blob;
+    const headers = { 'Content-Type': isBlob ? body.type : 'application/json' };
+    const s = session();
+    if (s) headers.Authorization = 'Bearer ' + s.token;
+    let res;
+    try {
+      res = await fetch(baseURL() + path, { method: method, headers: headers, body: body === undefined || isBlob ? body : JSON.stringify(body) });
+    } catch (e) {
+      return { ok: false, status: 0, message: 'Cannot reach the WorkLink server. Check your connection and try again.' };
+    }
+    let data = {};
+    try { data = await res.json(); } catch (e) { /* empty or non-JSON body */ }
+    if (res.status === 401 && s) clearSession();
+    if (!res.ok) return Object.assign({}, data, { ok: false, status: res.status, message: data.error || 'Request failed (' + res.status + ')' });
+    return Object.assign({}, data, { ok: true, status: res.status });
+  }
+
+  window.LHApi = {
+    request: request,
+    get: function (path) { return request('GET', path); },
+    post: function (path, body) { return request('POST', path, body || {}); },
+    // Absolute address of a server path, e.g. a photo returned by POST /media
+    url: function (path) { return baseURL() + path; },
+    session: session,
+    setSession: setSession,
+    clearSession: clearSession
+  };
+})();
@@ -0,0 +1,102 @@
+// Task budgets: `{ amountKobo, currency, payType }`, the amount in the currency's minor unit (kobo for
+// NGN) and payType one of PAY_TYPES. Tasks posted before budgets were structured carry free text
+// ("5000", "₦5,000 per day") until server/scripts/migrate-budgets.js converts them; `normalize` reads both.
+// The API server loads this file too (server/lib/budget.js), so both sides agree on limits and wording.
+(function () {
+  'use strict';
+
+  const PAY_TYPES = { fixed: 'Fixed price', hourly: 'Per hour', daily: 'Per day' };
+  const PAY_SUFFIXES = { fixed: '', hourly: ' per hour', daily: ' per day' };
+  const CURRENCIES = ['NGN'];
+  // ₦100 to ₦10,000,000
+  const MIN_KOBO = 100 * 100;
+  const MAX_KOBO = 10000000 * 100;
+
+  // The currency payments are taken in (paystack-config.js) where the page loads it
+  function defaultCurrency() {
+    const cfg = window.__PAYSTACK_CONFIG__ || {};
+    return CURRENCIES.includes(cfg.currency) ? cfg.currency : 'NGN';
+  }
+
+  // A budget from an amount in naira (as typed in the post form) and a pay type
+  function fromNaira(amount, payType, currency) {
+    const n = Number(String(amount === undefined || amount === null ? '' : amount).replace(/[\s,]/g, ''));
+    if (!isFinite(n) || n <= 0) return null;
+    return { amountKobo: Math.round(n * 100), currency: currency || defaultCurrency(), payType: PAY_TYPES[payType] ? payType : 'fixed' };
+  }
+
+  // Free-text budgets read by `parse`: an optional ₦/N/NGN, the amount (with k or m), an optional upper
+  // end of a range, and how often it is paid
+  const BUDGET_TEXT_RE = /^(?:₦|ngn|n)?\s*(\d[\d,]*(?:\.\d+)?)\s*(k|m)?\s*(?:naira|ngn)?(?:\s*(?:-|to)\s*(?:₦|ngn|n)?\s*\d[\d,]*(?:\.\d+)?\s*(?:k|m)?\s*(?:naira|ngn)?)?\s*(?:(?:\/|per|an?|every)\s*(hr|hour|day)|(hourly|daily))?\s*\.?$/;
+
+  // Reads a free-text budget: "5000", "₦5,000", "N 2.5k", "NGN 3000 daily", "1,500/hr". A range
+  // ("5000 - 8000") counts as its lower end. Null for anything else ("negotiable", "20k per week").
+  function parse(text) {
+    const m = String(text === undefined || text === null ? '' : text).trim().toLowerCase().match(BUDGET_TEXT_RE);
+    if (!m) return null;
+    const scale = m[2] === 'k' ? 1000 : m[2] === 'm' ? 1000000 : 1;
+    const every = m[3] || m[4] || '';
+    const payType = /^(hr|hour|hourly)$/.test(every) ? 'hourly' : /^(day|daily)$/.test(every) ? 'daily' : 'fixed';
+    return fromNaira(Number(m[1].replace(/,/g, '')) * scale, payType);
+  }
+
+  // The task's budget as a structured one, whether stored as such or as free text; null for none
+  function normalize(budget) {
+    if (budget && typeof budget === 'object') {
+      const amountKobo = Number(budget.amountKobo);
+      if (!isFinite(amountKobo) || amountKobo <= 0) return null;
+      return { amountKobo: Math.round(amountKobo), currency: budget.currency || defaultCurrency(), payType: PAY_TYPES[budget.payType] ? budget.payType : 'fixed' };
+    }
+    if (typeof budget === 'number') return fromNaira(budget);
+    return parse(budget);
+  }
+
+  // '' when `budget` can be stored, else what is wrong with it
+  function validate(budget) {
+    if (!budget || typeof budget !== 'object') return 'Enter the budget as an amount.';
+    if (!Number.isInteger(budget.amountKobo)) return 'Enter the budget as an amount.';
+    if (!CURRENCIES.includes(budget.currency)) return 'Budgets can only be in ' + CURRENCIES.join(', ') + '.';
+    if (!PAY_TYPES[budget.payType]) return 'Choose a fixed price, or pay per hour or per day.';
+    if (budget.amountKobo < MIN_KOBO || budget.amountKobo > MAX_KOBO) {
+      return 'The budget must be between ' + formatAmount(MIN_KOBO, budget.currency) + ' and ' + formatAmount(MAX_KOBO, budget.currency) + '.';
+    }
+    return '';
+  }
+
+  // Money in the reader's locale (`locale` undefined) or the one given, without kobo when whole
+  function formatAmount(amountKobo, currency, locale) {
+    const whole = amountKobo % 100 === 0;
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency: currency || defaultCurrency(), minimumFractionDigits: whole ? 0 : 2, maximumFractionDigits: whole ? 0 : 2 }).format(amountKobo / 100);
+    } catch (e) {
+      return (currency || defaultCurrency()) + ' ' + (amountKobo / 100).toFixed(whole ? 0 : 2);
+    }
+  }
+
+  // "₦5,000", "₦1,500 per hour"; '' for no budget
+  function format(budget, locale) {
+    const b = normalize(budget);
+    return b ? formatAmount(b.amountKobo, b.currency, locale) + PAY_SUFFIXES[b.payType] : '';
+  }
+
+  // The amount in naira, the unit escrow and earnings are kept in; 0 for no budget
+  function naira(budget) {
+    const b = normalize(budget);
+    return b ? b.amountKobo / 100 : 0;
+  }
+
+  window.LHBudget = {
+    PAY_TYPES: PAY_TYPES,
+    CURRENCIES: CURRENCIES,
+    MIN_KOBO: MIN_KOBO,
+    MAX_KOBO: MAX_KOBO,
+    defaultCurrency: defaultCurrency,
+    fromNaira: fromNaira,
+    parse: parse,
+    normalize: normalize,
+    validate: validate,
+    formatAmount: formatAmount,
+    format: format,
+    naira: naira
+  };
+})();
@@ -0,0 +1,187 @@
+// The task categories: ids, names, icons, descriptions and subcategories. Tasks store the ids
+// (`category`, and `subcategory` when one was picked). Tasks posted before categories were managed carry
+// whatever the poster typed ("Home repairs", "plumbing") until server/scripts/migrate-categories.js maps
+// it; `resolve` reads both. The API server loads this file too (server/lib/categories.js).
+//
+// Ids are kept for good once tasks use them; subcategory ids are unique across all categories.
+// `aliases` are other words posters use for the same work, matched when mapping free text.
+(function () {
+  'use strict';
+
+  const CATEGORIES = [
+    { id: 'home-repairs', name: 'Home repairs', icon: '🔧', description: 'Fixing and fitting things around the house.', aliases: ['handyman', 'maintenance'], subcategories: [
+      { id: 'plumbing', name: 'Plumbing', aliases: ['plumber', 'pipe', 'tap', 'sink', 'toilet', 'borehole'] },
+      { id: 'electrical', name: 'Electrical', aliases: ['electrician', 'wiring', 'socket'] },
+      { id: 'carpentry', name: 'Carpentry', aliases: ['carpenter', 'furniture', 'wardrobe'] },
+      { id: 'painting', name: 'Painting', aliases: ['painter', 'paint'] },
+      { id: 'appliance-repair', name: 'Appliances and generators', aliases: ['generator', 'gen', 'fridge', 'ac', 'air conditioner', 'appliance'] }
+    ] },
+    { id: 'shop-assistance', name: 'Shop assistance', icon: '🏪', description: 'Minding a shop or market stall, selling and keeping stock.', aliases: ['shop', 'store', 'sales'], subcategories: [
+      { id: 'sales-attendant', name: 'Sales attendant', aliases: ['salesperson', 'salesgirl', 'salesboy', 'attendant'] },
+      { id: 'stocking', name: 'Stocking and inventory', aliases: ['stock', 'inventory', 'shelf', 'shelves'] },
+      { id: 'market-stall', name: 'Market stall', aliases: ['stall', 'trader'] }
+    ] },
+    { id: 'construction', name: 'Construction', icon: '🧱', description: 'Building sites, masonry, tiling, welding and labour.', aliases: ['building', 'builder', 'building site'], subcategories: [
+      { id: 'masonry', name: 'Masonry and bricklaying', aliases: ['mason', 'bricklayer', 'brick', 'plastering'] },
+      { id: 'tiling', name: 'Tiling', aliases: ['tiler', 'tile', 'tiles'] },
+      { id: 'welding', name: 'Welding', aliases: ['welder'] },
+      { id: 'roofing', name: 'Roofing', aliases: ['roofer', 'roof'] },
+      { id: 'site-labour', name: 'Site labour', aliases: ['labourer', 'labor', 'labour', 'laborer', 'mixing', 'carrying'] }
+    ] },
+    { id: 'deliveries-errands', name: 'Deliveries and errands', icon: '📦', description: 'Taking things across town, market runs and waiting in line for someone.', aliases: ['delivery', 'deliveries', 'errand', 'errands', 'dispatch', 'courier'], subcategories: [
+      { id: 'parcel-delivery', name: 'Parcel delivery', aliases: ['parcel', 'package', 'dispatch rider', 'okada'] },
+      { id: 'market-runs', name: 'Shopping and market runs', aliases: ['shopping', 'groceries', 'foodstuff', 'market run'] },
+      { id: 'queues', name: 'Queues and office errands', aliases: ['queue', 'bank errand', 'office errand'] },
+      { id: 'moving-help', name: 'Moving help', aliases: ['moving', 'relocation', 'packing', 'loading'] }
+    ] },
+    { id: 'home-lessons', name: 'Home lessons', icon: '📚', description: 'Teaching children and adults at home.', aliases: ['lesson', 'lessons', 'tutor', 'tutoring', 'teacher', 'teaching', 'classes'], subcategories: [
+      { id: 'primary-lessons', name: 'Primary school', aliases: ['primary', 'nursery', 'pupil'] },
+      { id: 'exam-prep', name: 'Secondary and exam prep', aliases: ['secondary', 'waec', 'jamb', 'neco', 'exam', 'maths', 'mathematics'] },
+      { id: 'languages', name: 'Languages', aliases: ['english', 'french', 'yoruba', 'igbo', 'hausa', 'language'] },
+      { id: 'music-lessons', name: 'Music', aliases: ['music', 'piano', 'guitar', 'keyboard'] }
+    ] },
+    { id: 'house-cleaning', name: 'House cleaning', icon: '🧹', description: 'Cleaning homes and compounds, laundry and ironing.', aliases: ['cleaning', 'cleaner', 'clean', 'housekeeping', 'sweeping'], subcategories: [
+      { id: 'regular-cleaning', name: 'Regular cleaning', aliases: ['home cleaning', 'apartment cleaning', 'office cleaning'] },
+      { id: 'deep-cleaning', name: 'Deep cleaning', aliases: ['post construction cleaning', 'fumigation'] },
+      { id: 'laundry', name: 'Laundry and ironing', aliases: ['washing', 'ironing', 'clothes'] },
+      { id: 'compound-garden', name: 'Compound and garden', aliases: ['compound', 'garden', 'gardening', 'grass', 'cutting grass', 'weeding'] }
+    ] },
+    { id: 'events', name: 'Events and catering', icon: '🎉', description: 'Cooking, serving and setting up for parties and events.', aliases: ['event', 'party', 'owambe', 'wedding', 'catering'], subcategories: [
+      { id: 'cooking', name: 'Cooking', aliases: ['cook', 'chef', 'small chops'] },
+      { id: 'serving', name: 'Serving', aliases: ['waiter', 'waitress', 'usher', 'ushering'] },
+      { id: 'decoration', name: 'Decoration and setup', aliases: ['decorator', 'decor', 'canopy'] }
+    ] },
+    { id: 'tech-help', name: 'Phone and computer help', icon: '💻', description: 'Repairing phones, setting up computers, typing and data entry.', aliases: ['tech', 'computer', 'phone'], subcategories: [
+      { id: 'phone-repair', name: 'Phone repair', aliases: ['phone screen', 'phone battery', 'charging port'] },
+      { id: 'computer-help', name: 'Computer setup', aliases: ['laptop', 'printer', 'wifi', 'internet', 'software'] },
+      { id: 'data-entry', name: 'Typing and data entry', aliases: ['typing', 'typist', 'excel'] }
+    ] },
+    { id: 'other', name: 'Other', icon: '✳️', description: 'Anything that does not fit the categories above.', aliases: [], subcategories: [] }
+  ];
+  const OTHER = 'other';
+
+  function words(text) {
+    return String(text === undefined || text === null ? '' : text).toLowerCase().split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map(function (w) { return w.length > 3 && /s$/.test(w) && !/ss$/.test(w) ? w.slice(0, -1) : w; });
+  }
+
+  // Every name a category or subcategory answers to, as word lists: [{ category, subcategory, words }]
+  const TERMS = [];
+  CATEGORIES.forEach(function (c) {
+    [c.name, c.id].concat(c.aliases).forEach(function (t) { TERMS.push({ category: c, subcategory: null, words: words(t) }); });
+    c.subcategories.forEach(function (s) {
+      [s.name, s.id].concat(s.aliases).forEach(function (t) { TERMS.push({ category: c, subcategory: s, words: words(t) }); });
+    });
+  });
+
+  function get(id) { return CATEGORIES.find(function (c) { return c.id === id; }) || null; }
+
+  // The subcategory `subId` of category `id`, or null when it is not one of its own
+  function subcategory(id, subId) {
+    const c = get(id);
+    return (c && c.subcategories.find(function (s) { return s.id === subId; })) || null;
+  }
+
+  // The name of a category or subcategory id, or '' for ids that are not ours
+  function name(id) {
+    for (const c of CATEGORIES) {
+      if (c.id === id) return c.name;
+      const s = c.subcategories.find(function (sub) { return sub.id === id; });
+      if (s) return s.name;
+    }
+    return '';
+  }
+
+  // Maps free text ("Home repairs", "Plumbing work", "cleaner") to { category, subcategory } ids
+  // (subcategory null when only the category is clear). The whole text matching a name or alias
+  // wins as it is; otherwise the longest name or alias found in it, the first listed on a tie, and a
+  // category found that way still picks up one of its subcategories named in the text. Null when
+  // nothing matches.
+  function match(text) {
+    const given = words(text);
+    if (!given.length) return null;
+    const padded = ' ' + given.join(' ') + ' ';
+    const found = TERMS.filter(function (t) { return t.words.length && padded.indexOf(' ' + t.words.join(' ') + ' ') >= 0; });
+    const exact = found.find(function (t) { return t.words.join(' ') === given.join(' '); });
+    if (exact) return { category: exact.category.id, subcategory: exact.subcategory ? exact.subcategory.id : null };
+    let best = null;
+    found.forEach(function (t) { if (!best || t.words.length > best.words.length) best = t; });
+    if (!best) return null;
+    const sub = best.subcategory || (found.find(function (t) { return t.category === best.category && t.subcategory; }) || {}).subcategory;
+    return { category: best.category.id, subcategory: sub ? sub.id : null };
+  }
+
+  // The task's { category, subcategory } as taxonomy entries (subcategory may be null), whether it
+  // stores ids or free text from before; text naming no category counts as Other, as the migration
+  // files it. Null when the task has no category at all.
+  function resolve(task) {
+    if (!task) return null;
+    const c = get(task.category);
+    if (c) return { category: c, subcategory: subcategory(c.id, task.subcategory) };
+    const found = match(task.category);
+    if (found) return { category: get(found.category), subcategory: subcategory(found.category, found.subcategory) };
+    return String(task.category || '').trim() ? { category: get(OTHER), subcategory: null } : null;
+  }
+
+  // "Home repairs › Plumbing"; for Other, with the poster's own words ("Other (Babysitting)")
+  function label(task) {
+    const r = resolve(task);
+    if (!r) return '';
+    if (r.category.id === OTHER) {
+      const note = task.categoryNote || (get(task.category) ? '' : String(task.category).trim());
+      return r.category.name + (note ? ' (' + note + ')' : '');
+    }
+    return r.category.name + (r.subcategory ? ' › ' + r.subcategory.name : '');
+  }
+
+  // Names and aliases of the task's category, and the poster's own words for it, for search
+  function keywords(task) {
+    const r = resolve(task);
+    if (!r) return '';
+    const out = [r.category.name].concat(r.category.aliases);
+    if (r.subcategory) out.push.apply(out, [r.subcategory.name].concat(r.subcategory.aliases));
+    if (!get(task.category)) out.push(String(task.category));
+    if (task.categoryNote) out.push(task.categoryNote);
+    return out.join(' ');
+  }
+
+  // True when `id` is a category and `subId` is empty or one of its subcategories
+  function valid(id, subId) {
+    return !!get(id) && (!subId || !!subcategory(id, subId));
+  }
+
+  // Fills a category <select> and its subcategory <select> (shown only for categories that have some),
+  // keeping the subcategories and the `help` element's description in step with the category picked
+  function bindSelects(categorySel, subSel, help) {
+    if (!categorySel) return;
+    categorySel.innerHTML = '<option value="">Choose a category</option>';
+    CATEGORIES.forEach(function (c) { categorySel.add(new Option(c.icon + ' ' + c.name, c.id)); });
+    const update = function () {
+      const c = get(categorySel.value);
+      if (subSel) {
+        subSel.innerHTML = '<option value="">' + (c && c.subcategories.length ? 'Something else' : 'No types listed') + '</option>';
+        (c ? c.subcategories : []).forEach(function (s) { subSel.add(new Option(s.name, s.id)); });
+        subSel.disabled = !(c && c.subcategories.length);
+      }
+      if (help) help.textContent = c ? c.description : '';
+    };
+    categorySel.addEventListener('change', update);
+    update();
+  }
+
+  window.LHCategories = {
+    CATEGORIES: CATEGORIES,
+    OTHER: OTHER,
+    all: function () { return CATEGORIES; },
+    get: get,
+    subcategory: subcategory,
+    name: name,
+    match: match,
+    resolve: resolve,
+    label: label,
+    keywords: keywords,
+    valid: valid,
+    bindSelects: bindSelects
+  };
+})();
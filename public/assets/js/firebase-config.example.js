@@ -12,5 +12,7 @@ window.__FIREBASE_CONFIG__ = {
   measurementId: "G-9Z84JCQJDT"
 };
 
-// Optionally set `window.__FIRESTORE_EMULATOR__ = {host:'localhost',port:8080}`
-// during local development if you run the Firestore emulator.
+// Optionally set `window.__FIRESTORE_EMULATOR__ = {host:'localhost',port:8080}`,
+// `window.__AUTH_EMULATOR__ = {url:'http://localhost:9099'}` and
+// `window.__STORAGE_EMULATOR__ = {host:'localhost',port:9199}` during local development
+// if you run the Firebase emulators.
@@ -4,7 +4,7 @@
 
 const FB_VERSION = '9.22.1';
 
-// Flag to signal when FB is ready
+// Flag to signal when FB is ready (a `fb-ready` event is also dispatched on window, whether or not Firestore is available)
 window.__FB_READY__ = false;
 
 async function setupFirebase() {
@@ -13,17 +13,40 @@ async function setupFirebase() {
     console.warn('Firebase config not found. Falling back to localStorage-only behavior.');
     window.FB = { available: false };
     window.__FB_READY__ = true; // Mark ready even without FB
+    window.dispatchEvent(new Event('fb-ready'));
     return;
   }
 
   // dynamic imports from CDN (modular SDK)
-  const [{ initializeApp }, { getFirestore, collection, getDocs, addDoc, doc, setDoc, updateDoc, deleteDoc, getDoc, query, where }] = await Promise.all([
+  const [{ initializeApp }, { getFirestore, collection, getDocs, addDoc, doc, setDoc, updateDoc, deleteDoc, getDoc, query, where, orderBy, limit, startAfter, documentId, onSnapshot, writeBatch, increment }, { getAuth, signInWithCustomToken, signOut: authSignOut, connectAuthEmulator }, { getStorage, ref: storageRef, uploadBytes, getDownloadURL, connectStorageEmulator }] = await Promise.all([
     import(`https://www.gstatic.com/firebasejs/${FB_VERSION}/firebase-app.js`),
-    import(`https://www.gstatic.com/firebasejs/${FB_VERSION}/firebase-firestore.js`)
+    import(`https://www.gstatic.com/firebasejs/${FB_VERSION}/firebase-firestore.js`),
+    import(`https://www.gstatic.com/firebasejs/${FB_VERSION}/firebase-auth.js`),
+    import(`https://www.gstatic.com/firebasejs/${FB_VERSION}/firebase-storage.js`)
   ]);
 
   const app = initializeApp(cfg);
   const db = getFirestore(app);
+  const auth = getAuth(app);
+  const storage = getStorage(app);
+
+  if (window.__AUTH_EMULATOR__) {
+    try {
+      connectAuthEmulator(auth, window.__AUTH_EMULATOR__.url, { disableWarnings: true });
+      console.info('Connected to Auth emulator at', window.__AUTH_EMULATOR__.url);
+    } catch (e) {
+      console.warn('Could not connect to Auth emulator', e);
+    }
+  }
+
+  if (window.__STORAGE_EMULATOR__) {
+    try {
+      connectStorageEmulator(storage, window.__STORAGE_EMULATOR__.host, window.__STORAGE_EMULATOR__.port);
+      console.info('Connected to Storage emulator at', window.__STORAGE_EMULATOR__);
+    } catch (e) {
+      console.warn('Could not connect to Storage emulator', e);
+    }
+  }
 
   // If developer sets emulator config, connect to emulator
   if (window.__FIRESTORE_EMULATOR__) {
@@ -36,15 +59,44 @@ async function setupFirebase() {
     }
   }
 
+  // One page ordered by `opts.orderBy` then document ID, starting after the [value, id] pair in `opts.after`
+  function pageQuery(collectionName, opts) {
+    const dir = opts.direction === 'asc' ? 'asc' : 'desc';
+    const clauses = [orderBy(opts.orderBy, dir), orderBy(documentId(), dir)];
+    if (opts.after) clauses.push(startAfter(opts.after[0], opts.after[1]));
+    clauses.push(limit(opts.limit));
+    return query(collection(db, collectionName), ...clauses);
+  }
+
   // Minimal wrapper that exposes async CRUD methods compatible with this app's local usage.
+  // Reads throw when they fail, so a failed read is never mistaken for a missing doc or an empty
+  // collection. Failed writes are logged and reported as null/false, except writes refused by the
+  // security rules (firestore.rules), which throw so callers can tell them apart from connectivity
+  // problems.
   window.FB = {
     available: true,
+    // Firebase Auth session, signed in with the custom token the WorkLink API server returns at login
+    async signInWithToken(token) {
+      const cred = await signInWithCustomToken(auth, token);
+      return cred.user ? cred.user.uid : null;
+    },
+    async signOut() {
+      try { await authSignOut(auth); } catch (e) { console.error('FB.signOut error', e); }
+    },
+    // Uploads `blob` to Cloud Storage as `<folder>/<signed-in uid>/<name>` (see storage.rules) and
+    // resolves to its download URL. Throws when signed out or refused, for the caller to report.
+    async uploadFile(folder, name, blob) {
+      if (!auth.currentUser) throw new Error('Not signed in to Firebase');
+      const fileRef = storageRef(storage, folder + '/' + auth.currentUser.uid + '/' + name);
+      await uploadBytes(fileRef, blob, { contentType: blob.type, cacheControl: 'public, max-age=31536000, immutable' });
+      return getDownloadURL(fileRef);
+    },
     async getAll(collectionName) {
       try {
         const colRef = collection(db, collectionName);
         const snap = await getDocs(colRef);
         return snap.docs.map(d => Object.assign({ _id: d.id }, d.data()));
-      } catch (e) { console.error('FB.getAll error', e); return []; }
+      } catch (e) { console.error('FB.getAll error', e); throw e; }
     },
     async getDoc(collectionName, id) {
       try {
@@ -52,33 +104,51 @@ async function setupFirebase() {
         const snap = await getDoc(dref);
         if (!snap.exists()) return null;
         return Object.assign({ _id: snap.id }, snap.data());
-      } catch (e) { console.error('FB.getDoc error', e); return null; }
+      } catch (e) { console.error('FB.getDoc error', e); throw e; }
     },
     async add(collectionName, data) {
       try {
         // Use addDoc to generate an id, but also return object with _id
         const docRef = await addDoc(collection(db, collectionName), data);
         return { _id: docRef.id, ...data };
-      } catch (e) { console.error('FB.add error', e); return null; }
+      } catch (e) { console.error('FB.add error', e); if (e.code === 'permission-denied') throw e; return null; }
     },
+    // Writes the whole doc: fields missing from `data` are deleted (storage.js merges with the
+    // remote copy before writing)
     async set(collectionName, id, data) {
       try {
-        await setDoc(doc(db, collectionName, String(id)), data, { merge: true });
+        await setDoc(doc(db, collectionName, String(id)), data);
         return { _id: String(id), ...data };
-      } catch (e) { console.error('FB.set error', e); return null; }
+      } catch (e) { console.error('FB.set error', e); if (e.code === 'permission-denied') throw e; return null; }
     },
     async update(collectionName, id, patch) {
       try {
         await updateDoc(doc(db, collectionName, String(id)), patch);
         const snap = await getDoc(doc(db, collectionName, String(id)));
         return Object.assign({ _id: snap.id }, snap.data());
-      } catch (e) { console.error('FB.update error', e); return null; }
+      } catch (e) { console.error('FB.update error', e); if (e.code === 'permission-denied') throw e; return null; }
     },
     async delete(collectionName, id) {
       try {
         await deleteDoc(doc(db, collectionName, String(id)));
         return true;
-      } catch (e) { console.error('FB.delete error', e); return false; }
+      } catch (e) { console.error('FB.delete error', e); if (e.code === 'permission-denied') throw e; return false; }
+    },
+    // Several writes applied together or not at all: { col, id, set } writes a whole doc and
+    // { col, id, update, increment } changes fields of an existing one, adding `increment`'s numbers
+    async commit(writes) {
+      try {
+        const batch = writeBatch(db);
+        writes.forEach(w => {
+          const dref = doc(db, w.col, String(w.id));
+          if (w.set) { batch.set(dref, w.set); return; }
+          const patch = Object.assign({}, w.update);
+          Object.keys(w.increment || {}).forEach(f => { patch[f] = increment(w.increment[f]); });
+          batch.update(dref, patch);
+        });
+        await batch.commit();
+        return true;
+      } catch (e) { console.error('FB.commit error', e); if (e.code === 'permission-denied') throw e; return false; }
     },
     // Helper - query by field equality
     async queryEqual(collectionName, field, value) {
@@ -86,11 +156,54 @@ async function setupFirebase() {
         const q = query(collection(db, collectionName), where(field, '==', value));
         const snap = await getDocs(q);
         return snap.docs.map(d => Object.assign({ _id: d.id }, d.data()));
-      } catch (e) { console.error('FB.queryEqual error', e); return []; }
+      } catch (e) { console.error('FB.queryEqual error', e); throw e; }
+    },
+    // Helper - query with any operator, e.g. queryWhere('lh_threads', 'participants', 'array-contains', name)
+    async queryWhere(collectionName, field, op, value) {
+      try {
+        const snap = await getDocs(query(collection(db, collectionName), where(field, op, value)));
+        return snap.docs.map(d => Object.assign({ _id: d.id }, d.data()));
+      } catch (e) { console.error('FB.queryWhere error', e); throw e; }
+    },
+    // Helper - one page of a collection (see pageQuery). Returns null rather than [] on failure, so a
+    // failed read is not mistaken for the end of the list.
+    async getPage(collectionName, opts) {
+      try {
+        const snap = await getDocs(pageQuery(collectionName, opts));
+        return snap.docs.map(d => Object.assign({ _id: d.id }, d.data()));
+      } catch (e) { console.error('FB.getPage error', e); return null; }
+    },
+    // Live listeners built on onSnapshot. Each calls `onChange` with the current docs straight away
+    // and again on every change, and returns an unsubscribe function.
+    subscribe(collectionName, onChange) {
+      return onSnapshot(collection(db, collectionName),
+        snap => onChange(snap.docs.map(d => Object.assign({ _id: d.id }, d.data()))),
+        e => console.error('FB.subscribe error', e));
+    },
+    subscribeEqual(collectionName, field, value, onChange) {
+      return onSnapshot(query(collection(db, collectionName), where(field, '==', value)),
+        snap => onChange(snap.docs.map(d => Object.assign({ _id: d.id }, d.data()))),
+        e => console.error('FB.subscribeEqual error', e));
+    },
+    subscribeWhere(collectionName, field, op, value, onChange) {
+      return onSnapshot(query(collection(db, collectionName), where(field, op, value)),
+        snap => onChange(snap.docs.map(d => Object.assign({ _id: d.id }, d.data()))),
+        e => console.error('FB.subscribeWhere error', e));
+    },
+    subscribePage(collectionName, opts, onChange) {
+      return onSnapshot(pageQuery(collectionName, opts),
+        snap => onChange(snap.docs.map(d => Object.assign({ _id: d.id }, d.data()))),
+        e => console.error('FB.subscribePage error', e));
+    },
+    subscribeDoc(collectionName, id, onChange) {
+      return onSnapshot(doc(db, collectionName, String(id)),
+        snap => onChange(snap.exists() ? Object.assign({ _id: snap.id }, snap.data()) : null),
+        e => console.error('FB.subscribeDoc error', e));
     }
   };
 
   window.__FB_READY__ = true; // Mark ready
+  window.dispatchEvent(new Event('fb-ready'));
   console.info('Firebase initialized. Firestore wrapper available as `window.FB`');
 }
 
@@ -98,4 +211,5 @@ setupFirebase().catch(err => {
   console.error('Firebase setup failed:', err);
   window.FB = { available: false };
   window.__FB_READY__ = true;
+  window.dispatchEvent(new Event('fb-ready'));
 });
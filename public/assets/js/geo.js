@@ -0,0 +1,114 @@
+// Location helpers for nearby-task discovery. Places come from the bundled gazetteer in ng-places.js,
+// so geocoding and distances work offline and without a maps service. Coordinates are `{ lat, lng }`.
+(function () {
+  'use strict';
+
+  const EARTH_RADIUS_KM = 6371;
+
+  function places() { return window.__NG_PLACES__ || []; }
+
+  function norm(s) {
+    return ' ' + String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim() + ' ';
+  }
+
+  function states() { return places().map(function (p) { return p.state; }); }
+
+  function lgas(state) {
+    const p = places().find(function (x) { return x.state === state; });
+    return p ? p.lgas.map(function (l) { return l[0]; }) : [];
+  }
+
+  // Exact lookup by state and optional LGA name, as picked from the form selects
+  function place(state, lga) {
+    const p = places().find(function (x) { return x.state === state; });
+    if (!p) return null;
+    const l = lga ? p.lgas.find(function (x) { return x[0] === lga; }) : null;
+    if (l) return { state: p.state, lga: l[0], lat: l[1], lng: l[2] };
+    return { state: p.state, lga: '', lat: p.lat, lng: p.lng };
+  }
+
+  // Best match for free text such as "Yaba, Lagos" or "Wuse 2 Abuja". The longest LGA name or alias
+  // found as whole words wins, with a bonus when the text also names that LGA's state; otherwise the
+  // state (or its capital) is used. Returns null when nothing in the gazetteer is mentioned.
+  function geocode(text) {
+    const hay = norm(text);
+    if (hay.trim() === '') return null;
+    const has = function (name) { const n = norm(name); return n.trim() !== '' && hay.indexOf(n) !== -1; };
+    const stateNamed = function (p) { return has(p.state) || has(p.capital) || (p.aliases || []).some(has); };
+    let best = null;
+    places().forEach(function (p) {
+      const bonus = stateNamed(p) ? 100 : 0;
+      p.lgas.forEach(function (l) {
+        [l[0]].concat(l[3] || []).forEach(function (name) {
+          if (!has(name)) return;
+          const score = bonus + norm(name).length;
+          if (!best || score > best.score) best = { score: score, state: p.state, lga: l[0], lat: l[1], lng: l[2] };
+        });
+      });
+    });
+    if (best) return { state: best.state, lga: best.lga, lat: best.lat, lng: best.lng };
+    const p = places().find(stateNamed);
+    return p ? { state: p.state, lga: '', lat: p.lat, lng: p.lng } : null;
+  }
+
+  function validCoords(c) {
+    return !!c && isFinite(c.lat) && isFinite(c.lng) && Math.abs(c.lat) <= 90 && Math.abs(c.lng) <= 180;
+  }
+
+  // Great-circle (haversine) distance in kilometres
+  function distanceKm(a, b) {
+    if (!validCoords(a) || !validCoords(b)) return null;
+    const rad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * rad;
+    const dLng = (b.lng - a.lng) * rad;
+    const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  function formatDistance(km) {
+    if (km == null) return '';
+    if (km < 1) return 'under 1 km';
+    return (km < 10 ? km.toFixed(1) : Math.round(km)) + ' km';
+  }
+
+  // Browser position rounded to ~100 m; it is stored on public tasks, so there is no need to be exact
+  function currentPosition(timeoutMs) {
+    return new Promise(function (resolve, reject) {
+      if (!navigator.geolocation) return reject(new Error('Location is not available in this browser.'));
+      navigator.geolocation.getCurrentPosition(function (pos) {
+        const round = function (v) { return Math.round(v * 1000) / 1000; };
+        resolve({ lat: round(pos.coords.latitude), lng: round(pos.coords.longitude) });
+      }, function (err) {
+        reject(new Error(err && err.code === 1 ? 'Location permission was denied.' : 'Could not get your location.'));
+      }, { enableHighAccuracy: false, timeout: timeoutMs || 10000, maximumAge: 300000 });
+    });
+  }
+
+  // Fills a state <select> and keeps an LGA <select> in step with it
+  function bindAreaSelects(stateSel, lgaSel, placeholder) {
+    if (!stateSel) return;
+    stateSel.innerHTML = '<option value="">' + (placeholder || 'State') + '</option>';
+    states().forEach(function (s) { stateSel.add(new Option(s, s)); });
+    const fillLgas = function () {
+      if (!lgaSel) return;
+      lgaSel.innerHTML = '<option value="">Any area</option>';
+      lgas(stateSel.value).forEach(function (l) { lgaSel.add(new Option(l, l)); });
+      lgaSel.disabled = !stateSel.value;
+    };
+    stateSel.addEventListener('change', fillLgas);
+    fillLgas();
+  }
+
+  window.LHGeo = {
+    states: states,
+    lgas: lgas,
+    place: place,
+    geocode: geocode,
+    validCoords: validCoords,
+    distanceKm: distanceKm,
+    formatDistance: formatDistance,
+    currentPosition: currentPosition,
+    bindAreaSelects: bindAreaSelects
+  };
+})();
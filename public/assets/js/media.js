@@ -0,0 +1,109 @@
+// Task photos. Picked files are resized and compressed in the browser, each with a thumbnail, then
+// uploaded to the storage set in api-config.js (`window.__MEDIA_CONFIG__.storage`): 'firebase' for
+// Cloud Storage (see storage.rules) or 'server' for the WorkLink API server (POST /media). Tasks keep
+// only the resulting URLs, as `photos: [{ url, thumbUrl, width, height }]`.
+(function () {
+  'use strict';
+
+  const MAX_PHOTOS = 6;
+  const MAX_INPUT_BYTES = 20 * 1024 * 1024;
+  // Longest side in pixels, starting JPEG quality and the most bytes kept, for each size stored
+  const SIZES = {
+    full: { side: 1600, quality: 0.82, maxBytes: 900 * 1024 },
+    thumb: { side: 400, quality: 0.72, maxBytes: 80 * 1024 }
+  };
+  const MIN_QUALITY = 0.45;
+
+  function storageKind() {
+    const cfg = window.__MEDIA_CONFIG__ || {};
+    return cfg.storage === 'firebase' ? 'firebase' : 'server';
+  }
+
+  // Browsers apply the EXIF orientation when drawing an <img>, so phone photos come out upright
+  function decode(file) {
+    return new Promise(function (resolve, reject) {
+      const src = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = function () { URL.revokeObjectURL(src); resolve(img); };
+      img.onerror = function () { URL.revokeObjectURL(src); reject(new Error((file.name || 'The file') + ' is not a photo this browser can open.')); };
+      img.src = src;
+    });
+  }
+
+  function toBlob(canvas, quality) {
+    return new Promise(function (resolve) { canvas.toBlob(resolve, 'image/jpeg', quality); });
+  }
+
+  // The image scaled down to fit `size.side` as a JPEG, at lower quality until it fits size.maxBytes
+  async function encode(img, size) {
+    const scale = Math.min(1, size.side / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const ctx = canvas.getContext('2d');
+    // JPEG has no transparency; without a background it turns black
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    let quality = size.quality;
+    let blob = await toBlob(canvas, quality);
+    while (blob && blob.size > size.maxBytes && quality - 0.1 >= MIN_QUALITY) {
+      quality -= 0.1;
+      blob = await toBlob(canvas, quality);
+    }
+    if (!blob) throw new Error('The photo could not be processed.');
+    return { blob: blob, width: canvas.width, height: canvas.height };
+  }
+
+  // { full, thumb } for one picked file, each { blob, width, height }
+  async function prepare(file) {
+    if (!file || !/^image\//.test(file.type)) throw new Error((file && file.name || 'That file') + ' is not a photo.');
+    if (file.size > MAX_INPUT_BYTES) throw new Error(file.name + ' is too large (over ' + MAX_INPUT_BYTES / 1024 / 1024 + ' MB).');
+    const img = await decode(file);
+    return { full: await encode(img, SIZES.full), thumb: await encode(img, SIZES.thumb) };
+  }
+
+  // Each backend stores one blob under `name` and resolves to its public URL, or throws with a message
+  // for the user
+  const BACKENDS = {
+    firebase: async function (blob, name) {
+      if (!(window.__FB_READY__ && window.FB && window.FB.available && window.FB.uploadFile)) throw new Error('Photo storage is not available right now. Try again later.');
+      try {
+        return await window.FB.uploadFile('task-photos', name, blob);
+      } catch (e) {
+        console.error('Photo upload failed', e);
+        throw new Error('The photo could not be uploaded. Sign in again and retry.');
+      }
+    },
+    server: async function (blob) {
+      const r = await window.LHApi.request('POST', '/media', blob);
+      if (!r.ok) throw new Error(r.message);
+      return window.LHApi.url(r.path);
+    }
+  };
+
+  // Uploads the picked files, one at a time to spare slow connections, and resolves to their `photos`
+  // entries in the same order. `onProgress(done, total)` is called after each.
+  async function uploadPhotos(files, onProgress) {
+    files = Array.from(files || []);
+    if (files.length > MAX_PHOTOS) throw new Error('Add at most ' + MAX_PHOTOS + ' photos.');
+    const upload = BACKENDS[storageKind()];
+    const photos = [];
+    for (let i = 0; i < files.length; i++) {
+      const p = await prepare(files[i]);
+      const id = window.LHStorage.newId();
+      const url = await upload(p.full.blob, id + '.jpg');
+      const thumbUrl = await upload(p.thumb.blob, id + '-thumb.jpg');
+      photos.push({ url: url, thumbUrl: thumbUrl, width: p.full.width, height: p.full.height });
+      if (onProgress) onProgress(i + 1, files.length);
+    }
+    return photos;
+  }
+
+  window.LHMedia = {
+    MAX_PHOTOS: MAX_PHOTOS,
+    storageKind: storageKind,
+    prepare: prepare,
+    uploadPhotos: uploadPhotos
+  };
+})();
@@ -0,0 +1,95 @@
+// Offline gazetteer of Nigerian states and local government areas, used to place tasks on a map
+// without a geocoding service (see geo.js). Coordinates are approximate area centres, good to a few
+// kilometres; a state's own point is its capital. Not every LGA is listed yet: the larger towns and
+// all of Lagos and the FCT are. Entries are [name, lat, lng, aliases?].
+window.__NG_PLACES__ = [
+  { state: 'Abia', capital: 'Umuahia', lat: 5.525, lng: 7.4922, lgas: [
+    ['Umuahia North', 5.532, 7.486, ['Umuahia']], ['Aba North', 5.119, 7.367, ['Aba']], ['Aba South', 5.1, 7.36],
+    ['Ohafia', 5.617, 7.833], ['Arochukwu', 5.389, 7.908]] },
+  { state: 'Adamawa', capital: 'Yola', lat: 9.2035, lng: 12.4954, lgas: [
+    ['Yola North', 9.23, 12.46, ['Jimeta']], ['Yola South', 9.18, 12.45], ['Mubi North', 10.267, 13.267, ['Mubi']], ['Numan', 9.467, 12.033]] },
+  { state: 'Akwa Ibom', capital: 'Uyo', lat: 5.0377, lng: 7.9128, lgas: [
+    ['Uyo', 5.0377, 7.9128], ['Eket', 4.647, 7.925], ['Ikot Ekpene', 5.182, 7.714], ['Oron', 4.83, 8.23]] },
+  { state: 'Anambra', capital: 'Awka', lat: 6.2109, lng: 7.0742, lgas: [
+    ['Awka South', 6.2109, 7.0742, ['Awka']], ['Onitsha North', 6.17, 6.785, ['Onitsha']], ['Onitsha South', 6.14, 6.78],
+    ['Nnewi North', 6.019, 6.917, ['Nnewi']], ['Idemili North', 6.14, 6.87, ['Ogidi', 'Nkpor']]] },
+  { state: 'Bauchi', capital: 'Bauchi', lat: 10.3158, lng: 9.8442, lgas: [
+    ['Bauchi', 10.3158, 9.8442], ['Katagum', 11.676, 10.191, ['Azare']], ['Misau', 11.313, 9.885]] },
+  { state: 'Bayelsa', capital: 'Yenagoa', lat: 4.9267, lng: 6.2676, lgas: [
+    ['Yenagoa', 4.9267, 6.2676], ['Brass', 4.315, 6.241], ['Sagbama', 5.161, 6.195]] },
+  { state: 'Benue', capital: 'Makurdi', lat: 7.7322, lng: 8.5391, lgas: [
+    ['Makurdi', 7.7322, 8.5391], ['Gboko', 7.325, 9.001], ['Otukpo', 7.19, 8.13]] },
+  { state: 'Borno', capital: 'Maiduguri', lat: 11.8311, lng: 13.151, lgas: [
+    ['Maiduguri', 11.8311, 13.151, ['MMC']], ['Jere', 11.88, 13.21], ['Biu', 10.611, 12.195], ['Bama', 11.522, 13.686]] },
+  { state: 'Cross River', capital: 'Calabar', lat: 4.9757, lng: 8.3417, lgas: [
+    ['Calabar Municipal', 4.9757, 8.3417, ['Calabar']], ['Calabar South', 4.95, 8.32], ['Ikom', 5.967, 8.717], ['Ogoja', 6.658, 8.799]] },
+  { state: 'Delta', capital: 'Asaba', lat: 6.198, lng: 6.7319, lgas: [
+    ['Oshimili South', 6.198, 6.7319, ['Asaba']], ['Warri South', 5.516, 5.75, ['Warri']], ['Uvwie', 5.55, 5.783, ['Effurun']],
+    ['Ughelli North', 5.489, 5.989, ['Ughelli']], ['Sapele', 5.894, 5.676]] },
+  { state: 'Ebonyi', capital: 'Abakaliki', lat: 6.3249, lng: 8.1137, lgas: [
+    ['Abakaliki', 6.3249, 8.1137], ['Afikpo North', 5.892, 7.935, ['Afikpo']]] },
+  { state: 'Edo', capital: 'Benin City', lat: 6.335, lng: 5.6037, lgas: [
+    ['Oredo', 6.335, 5.6037, ['Benin']], ['Egor', 6.36, 5.58, ['Uselu']], ['Ikpoba-Okha', 6.3, 5.65],
+    ['Etsako West', 7.067, 6.267, ['Auchi']], ['Esan West', 6.743, 6.14, ['Ekpoma']]] },
+  { state: 'Ekiti', capital: 'Ado-Ekiti', lat: 7.6211, lng: 5.2214, lgas: [
+    ['Ado-Ekiti', 7.6211, 5.2214, ['Ado Ekiti']], ['Ikere', 7.499, 5.231], ['Ikole', 7.798, 5.514]] },
+  { state: 'Enugu', capital: 'Enugu', lat: 6.4584, lng: 7.5464, lgas: [
+    ['Enugu North', 6.4584, 7.5464], ['Enugu South', 6.42, 7.5], ['Enugu East', 6.47, 7.57], ['Nsukka', 6.857, 7.395], ['Udi', 6.317, 7.433]] },
+  { state: 'FCT', capital: 'Abuja', lat: 9.0579, lng: 7.4951, aliases: ['Federal Capital Territory'], lgas: [
+    ['Abuja Municipal', 9.0579, 7.4951, ['AMAC', 'Garki', 'Wuse', 'Maitama', 'Asokoro', 'Gwarinpa', 'Lugbe', 'Kubwa']],
+    ['Bwari', 9.2833, 7.3833], ['Gwagwalada', 8.943, 7.083], ['Kuje', 8.879, 7.227], ['Kwali', 8.883, 7.017], ['Abaji', 8.475, 6.945]] },
+  { state: 'Gombe', capital: 'Gombe', lat: 10.2897, lng: 11.1673, lgas: [
+    ['Gombe', 10.2897, 11.1673], ['Billiri', 9.865, 11.225], ['Kaltungo', 9.815, 11.309]] },
+  { state: 'Imo', capital: 'Owerri', lat: 5.485, lng: 7.0355, lgas: [
+    ['Owerri Municipal', 5.485, 7.0355, ['Owerri']], ['Owerri North', 5.5, 7.08], ['Owerri West', 5.45, 6.98], ['Orlu', 5.795, 7.035], ['Okigwe', 5.829, 7.35]] },
+  { state: 'Jigawa', capital: 'Dutse', lat: 11.7562, lng: 9.3388, lgas: [
+    ['Dutse', 11.7562, 9.3388], ['Hadejia', 12.45, 10.041], ['Kazaure', 12.652, 8.412]] },
+  { state: 'Kaduna', capital: 'Kaduna', lat: 10.5105, lng: 7.4165, lgas: [
+    ['Kaduna North', 10.54, 7.44], ['Kaduna South', 10.48, 7.42], ['Zaria', 11.085, 7.72], ['Sabon Gari', 11.11, 7.72, ['Samaru']], ["Jema'a", 9.583, 8.3, ['Kafanchan']]] },
+  { state: 'Kano', capital: 'Kano', lat: 12.0022, lng: 8.592, lgas: [
+    ['Kano Municipal', 12.0, 8.517], ['Fagge', 12.01, 8.53], ['Nassarawa', 12.0, 8.55], ['Tarauni', 11.97, 8.55], ['Gwale', 11.99, 8.49],
+    ['Dala', 12.01, 8.5], ['Ungogo', 12.09, 8.496]] },
+  { state: 'Katsina', capital: 'Katsina', lat: 12.9908, lng: 7.6018, lgas: [
+    ['Katsina', 12.9908, 7.6018], ['Daura', 13.036, 8.318], ['Funtua', 11.523, 7.308]] },
+  { state: 'Kebbi', capital: 'Birnin Kebbi', lat: 12.4539, lng: 4.1975, lgas: [
+    ['Birnin Kebbi', 12.4539, 4.1975], ['Argungu', 12.745, 4.525], ['Yauri', 10.77, 4.81]] },
+  { state: 'Kogi', capital: 'Lokoja', lat: 7.8023, lng: 6.7333, lgas: [
+    ['Lokoja', 7.8023, 6.7333], ['Okene', 7.551, 6.235], ['Idah', 7.11, 6.733], ['Kabba-Bunu', 7.83, 6.07, ['Kabba']]] },
+  { state: 'Kwara', capital: 'Ilorin', lat: 8.4966, lng: 4.5421, lgas: [
+    ['Ilorin West', 8.4966, 4.5421], ['Ilorin East', 8.5, 4.6], ['Ilorin South', 8.45, 4.56], ['Offa', 8.149, 4.72]] },
+  { state: 'Lagos', capital: 'Ikeja', lat: 6.6018, lng: 3.3515, lgas: [
+    ['Agege', 6.618, 3.3209], ['Ajeromi-Ifelodun', 6.455, 3.334, ['Ajegunle']], ['Alimosho', 6.611, 3.258, ['Egbeda', 'Ikotun', 'Igando']],
+    ['Amuwo-Odofin', 6.47, 3.3, ['Festac']], ['Apapa', 6.4489, 3.359], ['Badagry', 6.4316, 2.8876], ['Epe', 6.5841, 3.9834],
+    ['Eti-Osa', 6.4474, 3.47, ['Lekki', 'Victoria Island', 'Ikoyi', 'Ajah']], ['Ibeju-Lekki', 6.45, 3.95], ['Ifako-Ijaiye', 6.666, 3.32],
+    ['Ikeja', 6.6018, 3.3515, ['Allen', 'Ogba']], ['Ikorodu', 6.6194, 3.5105], ['Kosofe', 6.579, 3.395, ['Ketu', 'Ojota']],
+    ['Lagos Island', 6.4549, 3.394, ['Obalende']], ['Lagos Mainland', 6.498, 3.38, ['Yaba', 'Ebute Metta']], ['Mushin', 6.527, 3.354],
+    ['Ojo', 6.457, 3.165], ['Oshodi-Isolo', 6.536, 3.323, ['Oshodi', 'Isolo']], ['Shomolu', 6.539, 3.384, ['Somolu', 'Bariga']], ['Surulere', 6.5, 3.35]] },
+  { state: 'Nasarawa', capital: 'Lafia', lat: 8.4939, lng: 8.5153, lgas: [
+    ['Lafia', 8.4939, 8.5153], ['Keffi', 8.846, 7.873], ['Karu', 9.0, 7.6, ['Mararaba', 'Masaka']], ['Akwanga', 8.91, 8.39]] },
+  { state: 'Niger', capital: 'Minna', lat: 9.6139, lng: 6.5569, lgas: [
+    ['Chanchaga', 9.6139, 6.5569, ['Minna']], ['Bida', 9.08, 6.01], ['Suleja', 9.18, 7.18], ['Kontagora', 10.4, 5.47]] },
+  { state: 'Ogun', capital: 'Abeokuta', lat: 7.1475, lng: 3.3619, lgas: [
+    ['Abeokuta South', 7.1475, 3.3619], ['Abeokuta North', 7.17, 3.3], ['Ijebu Ode', 6.82, 3.92], ['Sagamu', 6.839, 3.647, ['Shagamu']],
+    ['Ado-Odo/Ota', 6.69, 3.24, ['Ota', 'Sango']], ['Ifo', 6.815, 3.195]] },
+  { state: 'Ondo', capital: 'Akure', lat: 7.2571, lng: 5.2058, lgas: [
+    ['Akure South', 7.2571, 5.2058], ['Ondo West', 7.1, 4.84], ['Owo', 7.196, 5.587]] },
+  { state: 'Osun', capital: 'Osogbo', lat: 7.7827, lng: 4.5418, lgas: [
+    ['Osogbo', 7.7827, 4.5418, ['Oshogbo']], ['Ife Central', 7.482, 4.56, ['Ile-Ife', 'Ife']], ['Ilesa East', 7.628, 4.742, ['Ilesa', 'Ilesha']],
+    ['Ede North', 7.737, 4.436, ['Ede']], ['Iwo', 7.629, 4.187]] },
+  { state: 'Oyo', capital: 'Ibadan', lat: 7.3775, lng: 3.947, lgas: [
+    ['Ibadan North', 7.41, 3.91, ['Bodija', 'UI']], ['Ibadan South-West', 7.37, 3.87, ['Ring Road']], ['Ibadan South-East', 7.36, 3.91],
+    ['Ibadan North-West', 7.39, 3.88], ['Ogbomosho North', 8.133, 4.24, ['Ogbomosho']], ['Oyo West', 7.85, 3.93], ['Iseyin', 7.97, 3.6]] },
+  { state: 'Plateau', capital: 'Jos', lat: 9.8965, lng: 8.8583, lgas: [
+    ['Jos North', 9.92, 8.89], ['Jos South', 9.8, 8.87, ['Bukuru']], ['Barkin Ladi', 9.533, 8.9], ['Pankshin', 9.325, 9.437], ['Shendam', 8.883, 9.533]] },
+  { state: 'Rivers', capital: 'Port Harcourt', lat: 4.8156, lng: 7.0498, lgas: [
+    ['Port Harcourt', 4.777, 7.013, ['PH', 'D-Line', 'GRA']], ['Obio-Akpor', 4.85, 7.01, ['Rumuokoro', 'Rumuola']], ['Eleme', 4.79, 7.12],
+    ['Oyigbo', 4.88, 7.13], ['Bonny', 4.45, 7.17]] },
+  { state: 'Sokoto', capital: 'Sokoto', lat: 13.0059, lng: 5.2476, lgas: [
+    ['Sokoto North', 13.06, 5.24], ['Sokoto South', 13.03, 5.23], ['Wamako', 13.04, 5.18]] },
+  { state: 'Taraba', capital: 'Jalingo', lat: 8.8937, lng: 11.3596, lgas: [
+    ['Jalingo', 8.8937, 11.3596], ['Wukari', 7.87, 9.78], ['Takum', 7.26, 9.98]] },
+  { state: 'Yobe', capital: 'Damaturu', lat: 11.747, lng: 11.9608, lgas: [
+    ['Damaturu', 11.747, 11.9608], ['Potiskum', 11.713, 11.081], ['Bade', 12.87, 11.04, ['Gashua']], ['Nguru', 12.879, 10.452]] },
+  { state: 'Zamfara', capital: 'Gusau', lat: 12.1628, lng: 6.6614, lgas: [
+    ['Gusau', 12.1628, 6.6614], ['Kaura Namoda', 12.593, 6.587], ['Talata Mafara', 12.566, 6.065]] }
+];
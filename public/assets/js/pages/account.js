@@ -0,0 +1,70 @@
+// account.html: linking a WhatsApp number and a sign-in phone number to the account.
+(function () {
+  'use strict';
+
+  if (!window.LH.currentUser()) return;
+  const card = document.getElementById('whatsappLink');
+  const linked = document.getElementById('whatsappLinked');
+  const codeEl = document.getElementById('whatsappCode');
+  card.classList.remove('d-none');
+
+  window.LHApi.get('/channels/links').then(function (res) {
+    const numbers = (res.links || []).filter(function (l) { return l.channel === 'whatsapp'; });
+    linked.textContent = numbers.length
+      ? 'Linked: ' + numbers.map(function (l) { return l.address; }).join(', ') + '. Send UNLINK from a number to disconnect it.'
+      : 'No number linked yet.';
+  });
+
+  document.getElementById('whatsappCodeBtn').addEventListener('click', async function () {
+    this.disabled = true;
+    const res = await window.LHApi.post('/channels/link-code');
+    this.disabled = false;
+    codeEl.innerHTML = '';
+    if (!res.ok) {
+      codeEl.textContent = res.message || 'Could not get a code.';
+      return;
+    }
+    const strong = document.createElement('strong');
+    strong.textContent = 'LINK ' + res.code;
+    codeEl.append('Send ', strong, ' on WhatsApp within 10 minutes.');
+  });
+})();
+
+(function () {
+  'use strict';
+
+  if (!window.LH.currentUser()) return;
+  const form = document.getElementById('phoneLinkForm');
+  const status = document.getElementById('phoneLinkStatus');
+  const sendBtn = document.getElementById('phoneLinkSend');
+  const numberInput = document.getElementById('phoneLinkNumber');
+  const profile = window.LH.findUserByUsername(window.LH.currentUser().username) || {};
+  numberInput.value = profile.phone || '';
+  document.getElementById('phoneLink').classList.remove('d-none');
+
+  sendBtn.addEventListener('click', async function () {
+    sendBtn.disabled = true;
+    const res = await window.LH.requestPhoneCode(numberInput.value.trim());
+    if (!res.ok) {
+      sendBtn.disabled = false;
+      status.textContent = res.message || 'Could not send a code.';
+      return;
+    }
+    form.querySelectorAll('[data-code-step]').forEach(function (el) { el.classList.remove('d-none'); });
+    status.textContent = 'We sent a 6-digit code to ' + res.phone + '.';
+    sendBtn.textContent = 'Resend';
+    setTimeout(function () { sendBtn.disabled = false; }, (res.resendAfterSeconds || 60) * 1000);
+  });
+
+  form.addEventListener('submit', async function (e) {
+    e.preventDefault();
+    const res = await window.LH.linkPhone(numberInput.value.trim(), document.getElementById('phoneLinkCode').value.trim());
+    if (!res.ok) {
+      status.textContent = res.message || 'Could not verify the code.';
+      return;
+    }
+    form.querySelectorAll('[data-code-step]').forEach(function (el) { el.classList.add('d-none'); });
+    numberInput.value = res.user.phone;
+    status.textContent = 'Done. You can now sign in with ' + res.user.phone + '.';
+  });
+})();
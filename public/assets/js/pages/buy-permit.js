@@ -0,0 +1,67 @@
+// buy-permit.html: permit balance and buying permits through Paystack.
+(function () {
+  'use strict';
+
+  const curFn = window.LH.currentUser;
+  const cur = curFn ? curFn() : null;
+  const statusEl = document.getElementById('permitStatus');
+  if (!cur) {
+    statusEl.innerHTML =
+      '<p>Please sign in to buy permits. <a href="index.html">Sign in</a></p>';
+    document.getElementById('buyBtn').disabled = true;
+    return;
+  }
+  const user = window.LH.findUserByUsername(cur.username) || {};
+  const freeUsed = user.freePermitUsed ? 'Yes' : 'No';
+  const purchased = user.permits || 0;
+  window.LHRender.set(statusEl, window.LHRender.html`<p>Signed in as <strong>${cur.username}</strong></p><p>Free permit used: <strong>${freeUsed}</strong></p><p>Purchased permits: <strong>${purchased}</strong></p>`);
+  document
+    .getElementById('buyBtn')
+    .addEventListener('click', async function () {
+      const count =
+        Number(document.getElementById('permitCount').value) || 1;
+      const buyBtn = document.getElementById('buyBtn');
+
+      // Disable button during payment
+      buyBtn.disabled = true;
+      buyBtn.textContent = 'Processing...';
+
+      try {
+        // Initiate Paystack payment
+        const email = cur.email || cur.username + '@worklink.app';
+
+        // Validate email format
+        if (!email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
+          window.LH.showInfo(
+            'Email Required',
+            'Please update your profile with a valid email address to proceed with payment.'
+          );
+          buyBtn.disabled = false;
+          buyBtn.textContent = 'Buy';
+          return;
+        }
+
+        const payment = await window.initializePaystackPayment({
+          email: email,
+          username: cur.username,
+          permitCount: count
+        });
+
+        // Payment verified by the server
+        window.LH.showInfo(
+          'Payment Successful',
+          'You purchased ' + payment.permitCount + ' permit(s) for ₦' + payment.amount
+        ).then(function () {
+          window.location = 'find.html';
+        });
+      } catch (err) {
+        console.error('Payment error:', err);
+        buyBtn.disabled = false;
+        buyBtn.textContent = 'Buy';
+        window.LH.showInfo(
+          'Payment Failed',
+          err.message || 'Payment could not be processed. Please try again.'
+        );
+      }
+    });
+})();
@@ -0,0 +1,47 @@
+// categories.html: every category (see categories.js) with its open tasks counted live, linking into
+// find.html with the category or type of work already picked.
+(function () {
+  'use strict';
+
+  const listEl = document.getElementById('categoryList');
+  const totalEl = document.getElementById('categoryTotal');
+  const html = window.LHRender.html;
+
+  function findLink(id, sub) {
+    return 'find.html?category=' + encodeURIComponent(id) + (sub ? '&sub=' + encodeURIComponent(sub) : '');
+  }
+
+  function render(tasks) {
+    const counts = {};
+    let total = 0;
+    tasks.forEach(function (t) {
+      if (window.LH.taskStatus(t) !== 'open') return;
+      total++;
+      const r = window.LHCategories.resolve(t);
+      if (!r) return;
+      counts[r.category.id] = (counts[r.category.id] || 0) + 1;
+      if (r.subcategory) counts[r.subcategory.id] = (counts[r.subcategory.id] || 0) + 1;
+    });
+    const tasksText = function (n) { return n + (n === 1 ? ' open task' : ' open tasks'); };
+    totalEl.textContent = tasksText(total) + ' right now.';
+    window.LHRender.set(listEl, html`${window.LHCategories.all().map(function (c) {
+      const n = counts[c.id] || 0;
+      return html`<div class="col-12 col-md-6 col-lg-4">
+        <div class="card h-100 p-3">
+          <div class="d-flex align-items-center gap-2 mb-2">
+            <span class="fs-2" aria-hidden="true">${c.icon}</span>
+            <h5 class="mb-0"><a href="${findLink(c.id)}">${c.name}</a></h5>
+          </div>
+          <p class="mb-2">${c.description}</p>
+          <p class="mb-2"><span class="badge ${n ? 'bg-primary' : 'bg-secondary'}">${tasksText(n)}</span></p>
+          ${c.subcategories.length ? html`<ul class="list-unstyled small mb-3">${c.subcategories.map(function (s) {
+            return html`<li><a href="${findLink(c.id, s.id)}">${s.name}</a> <span class="text-muted">(${counts[s.id] || 0})</span></li>`;
+          })}</ul>` : ''}
+          <a class="btn btn-outline-primary btn-sm mt-auto align-self-start" href="give.html?category=${encodeURIComponent(c.id)}">Post a task</a>
+        </div>
+      </div>`;
+    })}`);
+  }
+
+  window.LH.subscribe('lh_tasks', render);
+})();
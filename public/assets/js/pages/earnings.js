@@ -0,0 +1,194 @@
+// earnings.html: released escrow payments, monthly totals and income statements.
+(function () {
+  'use strict';
+
+  const user = window.LH.currentUser();
+  const summaryEl = document.getElementById('earningsSummary');
+  if (!user) {
+    summaryEl.innerHTML = '<p>Please sign in to see your earnings.</p>';
+    document.getElementById('statementForm').classList.add('d-none');
+    return;
+  }
+  const naira = window.LH.formatNaira;
+
+  function monthName(month) {
+    const d = new Date(month + '-01T00:00:00');
+    return isNaN(d) ? month : d.toLocaleString(undefined, { month: 'long', year: 'numeric' });
+  }
+
+  function cell(row, text, tag) {
+    const el = document.createElement(tag || 'td');
+    el.textContent = text;
+    row.appendChild(el);
+  }
+
+  function table(headings, rows) {
+    const t = document.createElement('table');
+    t.className = 'table table-sm';
+    const head = t.createTHead().insertRow();
+    headings.forEach(function (h) { cell(head, h, 'th'); });
+    const body = t.createTBody();
+    rows.forEach(function (r) {
+      const tr = body.insertRow();
+      r.forEach(function (v) { cell(tr, v); });
+    });
+    return t;
+  }
+
+  function render() {
+    const rows = window.LH.earningsFor(user.username);
+    const total = rows.reduce(function (sum, r) { return sum + r.amount; }, 0);
+    window.LHRender.set(summaryEl, window.LHRender.html`<p><strong>${naira(total)}</strong> earned from ${rows.length + (rows.length === 1 ? ' task' : ' tasks')}</p>`);
+
+    const monthlyEl = document.getElementById('monthlyTotals');
+    monthlyEl.innerHTML = '';
+    const months = window.LH.monthlyTotals(rows).reverse();
+    if (months.length) {
+      monthlyEl.appendChild(table(['Month', 'Total'], months.map(function (m) { return [monthName(m.month), naira(m.total)]; })));
+    } else {
+      monthlyEl.innerHTML = '<p>No earnings yet.</p>';
+    }
+
+    const listEl = document.getElementById('earningsList');
+    listEl.innerHTML = '';
+    if (rows.length) {
+      listEl.appendChild(table(['Date', 'Task', 'Client', 'Amount'], rows.map(function (r) {
+        return [window.LH.formatDate(r.paidAt), r.title || '(deleted task)', r.client, naira(r.amount)];
+      })));
+    } else {
+      listEl.innerHTML = '<p>When a client confirms a task you completed, the payment shows up here.</p>';
+    }
+  }
+  window.LH.subscribe('lh_payments', render);
+  window.LH.subscribe('lh_tasks', render);
+
+  // Statements come from the API server so the figures and verification code are its own
+  function period() {
+    const from = document.getElementById('stmtFrom').value;
+    const to = document.getElementById('stmtTo').value;
+    const out = {};
+    if (from) out.from = from + '-01';
+    if (to) {
+      const end = new Date(to + '-01T00:00:00Z');
+      end.setUTCMonth(end.getUTCMonth() + 1);
+      out.to = end.toISOString().slice(0, 10);
+    }
+    return out;
+  }
+
+  async function statement() {
+    const res = await window.LH.requestStatement(period());
+    if (!res.ok) {
+      window.LH.showInfo('Statement', res.message || 'Could not create a statement');
+      return null;
+    }
+    return res.statement;
+  }
+
+  function periodText(s) {
+    if (!s.from && !s.to) return 'All time';
+    return (s.from ? window.LH.formatDate(s.from).split(',')[0] : 'Start') + ' to ' +
+      (s.to ? window.LH.formatDate(new Date(Date.parse(s.to) - 1).toISOString()).split(',')[0] : 'today');
+  }
+
+  function verifyUrl(s) {
+    return new URL('verify.html?code=' + encodeURIComponent(s.code), location.href).href;
+  }
+
+  function csvField(v) {
+    const text = String(v === undefined || v === null ? '' : v);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  document.getElementById('csvBtn').addEventListener('click', async function () {
+    const s = await statement();
+    if (!s) return;
+    const lines = [
+      ['WorkLink income statement'],
+      ['Name', s.name],
+      ['Username', s.username],
+      ['Period', periodText(s)],
+      ['Issued', s.issuedAt],
+      ['Verification code', s.code],
+      ['Verify at', verifyUrl(s)],
+      [],
+      ['Date', 'Task', 'Client', 'Amount (NGN)'],
+    ].concat(s.lines.map(function (l) { return [l.paidAt.slice(0, 10), l.title, l.client, l.amount]; }))
+      .concat([[], ['Month', 'Total (NGN)']])
+      .concat(s.monthly.map(function (m) { return [m.month, m.total]; }))
+      .concat([['Total', s.total]]);
+    const blob = new Blob([lines.map(function (l) { return l.map(csvField).join(','); }).join('\r\n')], { type: 'text/csv' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'worklink-statement-' + s.code + '.csv';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(function () { URL.revokeObjectURL(a.href); }, 1000);
+  });
+
+  document.getElementById('printBtn').addEventListener('click', async function () {
+    // Open the window before the request so popup blockers treat it as a click
+    const win = window.open('', '_blank');
+    const s = await statement();
+    if (!s) {
+      if (win) win.close();
+      return;
+    }
+    if (!win) {
+      window.LH.showInfo('Statement', 'Please allow pop-ups to open the printable statement.');
+      return;
+    }
+    const doc = win.document;
+    doc.open();
+    doc.write('<!DOCTYPE html><html><head><meta charset="utf-8"><title></title><style>' +
+      'body{font-family:Arial,sans-serif;margin:32px;color:#222}h1{margin-bottom:0}table{border-collapse:collapse;width:100%;margin:16px 0}' +
+      'th,td{border:1px solid #ccc;padding:6px;text-align:left}td.num,th.num{text-align:right}.code{font-size:1.4em;letter-spacing:2px;font-weight:bold}' +
+      '.muted{color:#666;font-size:.9em}@media print{button{display:none}}' +
+      '</style></head><body></body></html>');
+    doc.close();
+    doc.title = 'WorkLink statement ' + s.code;
+    const body = doc.body;
+    function add(tag, text, cls) {
+      const el = doc.createElement(tag);
+      if (text !== undefined) el.textContent = text;
+      if (cls) el.className = cls;
+      body.appendChild(el);
+      return el;
+    }
+    function addTable(headings, rows, numeric) {
+      const t = add('table');
+      const head = t.createTHead().insertRow();
+      headings.forEach(function (h, i) {
+        const th = doc.createElement('th');
+        th.textContent = h;
+        if (numeric[i]) th.className = 'num';
+        head.appendChild(th);
+      });
+      const tb = t.createTBody();
+      rows.forEach(function (r) {
+        const tr = tb.insertRow();
+        r.forEach(function (v, i) {
+          const td = tr.insertCell();
+          td.textContent = v;
+          if (numeric[i]) td.className = 'num';
+        });
+      });
+    }
+    add('h1', 'WorkLink income statement');
+    add('p', s.name + ' (' + s.username + ')');
+    add('p', 'Period: ' + periodText(s) + '. Issued ' + window.LH.formatDate(s.issuedAt) + '.', 'muted');
+    addTable(['Date', 'Task', 'Client', 'Amount'], s.lines.map(function (l) {
+      return [l.paidAt.slice(0, 10), l.title || '(deleted task)', l.client, naira(l.amount)];
+    }), [false, false, false, true]);
+    addTable(['Month', 'Total'], s.monthly.map(function (m) { return [monthName(m.month), naira(m.total)]; }), [false, true]);
+    add('p', 'Total earned: ' + naira(s.total) + ' from ' + s.count + (s.count === 1 ? ' task' : ' tasks'));
+    add('p', 'Verification code');
+    add('p', s.code, 'code');
+    add('p', 'Check this statement at ' + verifyUrl(s) + '. Fingerprint ' + s.digest.slice(0, 16) + '.', 'muted');
+    const print = add('button', 'Print');
+    print.onclick = function () { win.print(); };
+    win.focus();
+    win.print();
+  });
+})();
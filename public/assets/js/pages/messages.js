@@ -0,0 +1,130 @@
+// messages.html: the inbox and one conversation at a time.
+(function () {
+  'use strict';
+
+  const user = window.LH.currentUser();
+  const listEl = document.getElementById('threadList');
+  const viewEl = document.getElementById('threadView');
+  if (!user) {
+    viewEl.innerHTML = '<p>Please sign in to see your messages.</p>';
+    return;
+  }
+
+  // messages.html?t=<thread id> opens a conversation; ?to=<username>&task=<task id> starts one
+  const params = new URLSearchParams(location.search);
+  let current = null;
+  if (params.get('t')) {
+    current = window.LH.threadById(params.get('t'));
+  } else if (params.get('to') && params.get('to') !== user.username) {
+    current = window.LH.findThread(user.username, params.get('to'), params.get('task') || '');
+  }
+  if (current && !current.participants.includes(user.username)) current = 'forbidden';
+  // kept across re-renders, which happen whenever a message arrives
+  let draft = '';
+
+  function el(tag, className, text) {
+    const e = document.createElement(tag);
+    if (className) e.className = className;
+    if (text !== undefined) e.textContent = text;
+    return e;
+  }
+
+  function threadTitle(thread) {
+    const partner = window.LH.threadPartner(thread, user.username);
+    return thread.taskId ? partner + ' · ' + (thread.taskTitle || 'Task') : partner;
+  }
+
+  function renderList() {
+    listEl.innerHTML = '';
+    const threads = window.LH.threadsFor(user.username);
+    if (!threads.length) {
+      listEl.appendChild(el('p', 'text-muted', 'No conversations yet.'));
+      return;
+    }
+    threads.forEach(function (s) {
+      const a = el('a', 'list-group-item list-group-item-action' + (current && current.id === s.thread.id ? ' active' : ''));
+      a.href = 'messages.html?t=' + encodeURIComponent(s.thread.id);
+      const top = el('div', 'd-flex justify-content-between align-items-center');
+      top.appendChild(el('strong', '', threadTitle(s.thread)));
+      if (s.unread) top.appendChild(el('span', 'badge rounded-pill bg-danger', String(s.unread)));
+      a.appendChild(top);
+      if (s.last) {
+        a.appendChild(el('div', 'small text-truncate', (s.last.from === user.username ? 'You: ' : '') + s.last.content));
+        a.appendChild(el('small', 'text-muted', window.LH.formatDate(s.last.createdAt)));
+      }
+      listEl.appendChild(a);
+    });
+  }
+
+  function renderThread() {
+    viewEl.innerHTML = '';
+    if (current === 'forbidden') {
+      viewEl.appendChild(el('p', '', 'You are not part of this conversation.'));
+      return;
+    }
+    if (!current) {
+      viewEl.appendChild(el('p', 'text-muted', 'Pick a conversation.'));
+      return;
+    }
+    // the saved copy carries the other side's read marker
+    current = window.LH.threadById(current.id);
+    const heading = el('h4', '', threadTitle(current));
+    viewEl.appendChild(heading);
+    if (current.taskId) {
+      const link = el('a', 'small d-block mb-2', 'View task');
+      link.href = 'task.html?id=' + encodeURIComponent(current.taskId);
+      viewEl.appendChild(link);
+    }
+    const box = el('div', 'border rounded p-2 mb-2');
+    box.style.maxHeight = '60vh';
+    box.style.overflowY = 'auto';
+    const msgs = window.LH.threadMessages(current);
+    if (!msgs.length) box.appendChild(el('p', 'text-muted mb-0', 'No messages yet. Say hello.'));
+    const lastMine = msgs.filter(function (m) { return m.from === user.username; }).pop();
+    msgs.forEach(function (m) {
+      const mine = m.from === user.username;
+      const row = el('div', 'd-flex mb-2 ' + (mine ? 'justify-content-end' : 'justify-content-start'));
+      const bubble = el('div', 'p-2 rounded ' + (mine ? 'bg-primary text-white' : 'bg-light'));
+      bubble.style.maxWidth = '75%';
+      bubble.appendChild(el('div', '', m.content));
+      let meta = window.LH.formatDate(m.createdAt);
+      if (m === lastMine && window.LH.messageSeen(current, m)) meta += ' · Seen';
+      bubble.appendChild(el('small', mine ? 'text-white-50' : 'text-muted', meta));
+      row.appendChild(bubble);
+      box.appendChild(row);
+    });
+    viewEl.appendChild(box);
+    box.scrollTop = box.scrollHeight;
+
+    const form = el('form', 'd-flex gap-2');
+    const input = el('textarea', 'form-control');
+    input.rows = 2;
+    input.required = true;
+    input.placeholder = 'Write a message';
+    input.value = draft;
+    input.addEventListener('input', function () { draft = input.value; });
+    const send = el('button', 'btn btn-primary', 'Send');
+    form.appendChild(input);
+    form.appendChild(send);
+    form.addEventListener('submit', async function (e) {
+      e.preventDefault();
+      const content = input.value.trim();
+      if (!content) return;
+      send.disabled = true;
+      draft = '';
+      try {
+        await window.LH.sendMessage(user.username, window.LH.threadPartner(current, user.username), content, current.taskId);
+        if (!params.get('t')) history.replaceState(null, '', 'messages.html?t=' + encodeURIComponent(current.id));
+      } finally { send.disabled = false; }
+    });
+    viewEl.appendChild(form);
+    window.LH.markThreadRead(current);
+  }
+
+  function render() {
+    renderList();
+    renderThread();
+  }
+  window.LH.subscribe('lh_threads', render);
+  window.LH.subscribe('lh_messages', render);
+})();
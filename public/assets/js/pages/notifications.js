@@ -0,0 +1,92 @@
+// notifications.html: all notifications and the choice of which ones to get.
+(function () {
+  'use strict';
+
+  const user = window.LH.currentUser();
+  const listEl = document.getElementById('notificationList');
+  const prefsForm = document.getElementById('notificationPrefs');
+  const markAll = document.getElementById('markAllRead');
+  if (!user) {
+    listEl.innerHTML = '<p>Please sign in to see your notifications.</p>';
+    markAll.classList.add('d-none');
+    return;
+  }
+
+  function el(tag, className, text) {
+    const e = document.createElement(tag);
+    if (className) e.className = className;
+    if (text !== undefined) e.textContent = text;
+    return e;
+  }
+
+  function renderList() {
+    listEl.innerHTML = '';
+    const items = window.LH.notificationsFor(user.username);
+    markAll.disabled = !items.some(function (n) { return !n.readAt; });
+    if (!items.length) {
+      listEl.appendChild(el('p', 'text-muted', 'No notifications yet.'));
+      return;
+    }
+    items.forEach(function (n) {
+      const a = el('a', 'list-group-item list-group-item-action' + (n.readAt ? '' : ' list-group-item-light fw-semibold'));
+      const link = window.LHRender.url(n.link, 'link');
+      a.href = link || '#';
+      const top = el('div', 'd-flex justify-content-between align-items-center gap-2');
+      top.appendChild(el('span', '', n.title || window.LH.notificationTypes[n.type]));
+      if (!n.readAt) top.appendChild(el('span', 'badge rounded-pill bg-primary', 'New'));
+      a.appendChild(top);
+      if (n.body) a.appendChild(el('div', 'small fw-normal', n.body));
+      a.appendChild(el('small', 'text-muted fw-normal', window.LH.notificationTypes[n.type] + ' · ' + window.LH.formatDate(n.createdAt)));
+      a.addEventListener('click', function (e) {
+        e.preventDefault();
+        window.LH.markNotificationRead(n.id).finally(function () { if (link) window.location = link; });
+      });
+      listEl.appendChild(a);
+    });
+  }
+
+  // one switch per type; a muted type is hidden here and from the bell
+  function renderPrefs() {
+    prefsForm.innerHTML = '';
+    const prefs = window.LH.notificationPrefs(user.username);
+    Object.keys(window.LH.notificationTypes).forEach(function (type) {
+      const wrap = el('div', 'form-check form-switch');
+      const input = el('input', 'form-check-input');
+      input.type = 'checkbox';
+      input.id = 'pref_' + type;
+      input.checked = prefs[type];
+      input.addEventListener('change', async function () {
+        const status = document.getElementById('prefsStatus');
+        status.textContent = 'Saving…';
+        const saved = await window.LH.setNotificationPrefs({ [type]: input.checked });
+        status.textContent = saved ? 'Saved.' : 'Could not save your choice.';
+        renderList();
+      });
+      const label = el('label', 'form-check-label', window.LH.notificationTypes[type]);
+      label.htmlFor = input.id;
+      wrap.appendChild(input);
+      wrap.appendChild(label);
+      prefsForm.appendChild(wrap);
+    });
+  }
+
+  // SMS goes to the phone on the profile, for the types switched on above
+  const smsInput = document.getElementById('smsAlerts');
+  function renderSms() {
+    const profile = window.LH.findUserByUsername(user.username) || {};
+    smsInput.checked = profile.smsAlerts !== false;
+    document.getElementById('smsHint').textContent = profile.phone
+      ? 'Sent to ' + profile.phone + '. Reply STOP to any alert to end them.'
+      : 'Add a phone number on your profile to get alerts by SMS.';
+  }
+  smsInput.addEventListener('change', async function () {
+    const status = document.getElementById('prefsStatus');
+    status.textContent = 'Saving…';
+    const saved = await window.LH.updateUser({ username: user.username, smsAlerts: smsInput.checked });
+    status.textContent = saved ? 'Saved.' : 'Could not save your choice.';
+  });
+
+  markAll.addEventListener('click', function () { window.LH.markAllNotificationsRead(); });
+  window.LH.subscribe('lh_notifications', renderList);
+  window.LH.subscribe('lh_users', function () { renderPrefs(); renderSms(); renderList(); });
+})();
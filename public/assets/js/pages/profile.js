@@ -0,0 +1,150 @@
+// profile.html: a user's profile, reviews and, on your own profile, the edit form.
+(function () {
+  'use strict';
+
+  function qs(k) {
+    return new URLSearchParams(location.search).get(k);
+  }
+  const username = qs('u');
+  const user = window.LH.findUserByUsername(username);
+  const profile = document.getElementById('profileContainer');
+  if (!user) {
+    profile.innerHTML = '<p>User not found.</p>';
+    return;
+  }
+  const html = window.LHRender.html;
+  const avatar = window.LHRender.url(user.avatar);
+  window.LHRender.set(profile, html`<div id="profileDetails">
+      <h2>${user.name} (${user.username})</h2>
+      <p id="profileBio">${user.bio || ''}</p>
+      ${avatar ? html`<img id="profileAvatar" src="${avatar}" style="max-width:200px">` : ''}
+    </div>`);
+
+  // Reputation: average rating and the most recent reviews
+  const reviewsEl = document.getElementById('reviewsContainer');
+  function renderReviews() {
+    const summary = window.LH.ratingSummary(user.username);
+    window.LHRender.set(reviewsEl, html`<h4>Reviews</h4>${summary.count
+      ? html`<p><strong>&#9733; ${summary.average.toFixed(1)}</strong> average from ${summary.count + (summary.count === 1 ? ' review' : ' reviews')}</p>`
+      : html`<p>No reviews yet.</p>`}`);
+    window.LH.reviewsFor(user.username).slice(0, 5).forEach(function (r) {
+      const card = document.createElement('div');
+      card.className = 'card p-2 mb-2';
+      const head = document.createElement('div');
+      head.textContent = '★'.repeat(r.rating) + '☆'.repeat(5 - r.rating) + ' from ' + r.from;
+      card.appendChild(head);
+      if (r.text) {
+        const body = document.createElement('div');
+        body.textContent = r.text;
+        card.appendChild(body);
+      }
+      const when = document.createElement('small');
+      when.className = 'text-muted';
+      when.textContent = window.LH.formatDate(r.createdAt);
+      card.appendChild(when);
+      reviewsEl.appendChild(card);
+    });
+  }
+  window.LH.subscribe('lh_reviews', renderReviews);
+
+  // If signed-in user is viewing their own profile, show Edit button
+  const curUser = window.LH.currentUser ? window.LH.currentUser() : null;
+  if (curUser && curUser.username === user.username) {
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn btn-outline-secondary mb-3';
+    editBtn.textContent = 'Edit Profile';
+    editBtn.id = 'editProfileBtn';
+    profile.insertBefore(editBtn, profile.firstChild);
+  }
+
+  // Build Edit Profile modal 
+  function ensureEditModal() {
+    if (document.getElementById('editProfileModal')) return document.getElementById('editProfileModal');
+    const div = document.createElement('div');
+    div.innerHTML = `
+      <div class="modal fade" id="editProfileModal" tabindex="-1" aria-hidden="true">
+        <div class="modal-dialog modal-dialog-centered">
+          <div class="modal-content">
+            <div class="modal-header"><h5 class="modal-title">Edit Profile</h5><button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button></div>
+            <div class="modal-body">
+              <form id="editProfileForm">
+                <div class="mb-2"><label class="form-label">Display name</label><input class="form-control" name="displayName" id="fldDisplayName"></div>
+                <div class="mb-2"><label class="form-label">Email</label><input class="form-control" type="email" name="email" id="fldEmail"></div>
+                <div class="mb-2"><label class="form-label">Phone</label><input class="form-control" name="phone" id="fldPhone"></div>
+                <div class="mb-2"><label class="form-label">NIN</label><input class="form-control" name="nin" id="fldNIN"></div>
+                <div class="mb-2"><label class="form-label">State</label><input class="form-control" name="state" id="fldState"></div>
+                <div class="mb-2"><label class="form-label">Home address</label><input class="form-control" name="address" id="fldAddress"></div>
+                <div class="mb-2"><label class="form-label">Bio</label><textarea class="form-control" name="bio" id="fldBio" rows="3"></textarea></div>
+                <div class="mb-2"><label class="form-label">Avatar URL</label><input class="form-control" name="avatar" id="fldAvatar"></div>
+                <div class="text-end"><button class="btn btn-primary" type="submit">Save</button></div>
+              </form>
+            </div>
+          </div>
+        </div>
+      </div>`;
+    document.body.appendChild(div);
+    return document.getElementById('editProfileModal');
+  }
+
+  // Open modal when Edit button clicked
+  const editBtnEl = document.getElementById('editProfileBtn');
+  if (editBtnEl) {
+    editBtnEl.addEventListener('click', function () {
+      const modalEl = ensureEditModal();
+      // populate fields
+      document.getElementById('fldDisplayName').value = user.name || '';
+      document.getElementById('fldEmail').value = user.email || '';
+      document.getElementById('fldPhone').value = user.phone || '';
+      document.getElementById('fldNIN').value = user.nin || '';
+      document.getElementById('fldState').value = user.state || '';
+      document.getElementById('fldAddress').value = user.address || '';
+      document.getElementById('fldBio').value = user.bio || '';
+      document.getElementById('fldAvatar').value = user.avatar || '';
+      const m = new bootstrap.Modal(modalEl);
+      m.show();
+      // bind save
+      const form = document.getElementById('editProfileForm');
+      form.onsubmit = async function (e) {
+        e.preventDefault();
+        const avatarInput = document.getElementById('fldAvatar').value.trim();
+        if (avatarInput && (!window.LHRender.url(avatarInput) || /^http:/i.test(avatarInput))) return window.LH.showInfo('Avatar', 'The avatar must be an https:// image address.');
+        try {
+          const updates = {
+            username: user.username,
+            name: document.getElementById('fldDisplayName').value || user.name,
+            email: document.getElementById('fldEmail').value || user.email,
+            phone: document.getElementById('fldPhone').value || user.phone,
+            nin: document.getElementById('fldNIN').value || user.nin,
+            state: document.getElementById('fldState').value || user.state,
+            address: document.getElementById('fldAddress').value || user.address,
+            bio: document.getElementById('fldBio').value || user.bio,
+            avatar: avatarInput || user.avatar
+          };
+          const saved = await window.LH.updateUser(updates);
+          if (!saved) return window.LH.showInfo('Error', 'User not found');
+          m.hide();
+          window.LH.showInfo('Saved', 'Profile updated').then(function () { location.reload(); });
+        } catch (err) { console.error(err); window.LH.showInfo('Error','Unable to save profile'); }
+      };
+    });
+  }
+
+  // Conversations live on messages.html, where only their two participants can read them
+  const inbox = document.getElementById('inboxContainer');
+  const cur = window.LH.currentUser ? window.LH.currentUser() : null;
+  if (cur && cur.username === user.username) {
+    window.LH.subscribe('lh_messages', function () {
+      const unread = window.LH.unreadMessageCount(cur.username);
+      window.LHRender.set(inbox, html`<h4>Messages</h4><a class="btn btn-primary" href="messages.html">Open your inbox${unread ? html` <span class="badge bg-light text-dark">${unread} unread</span>` : ''}</a>`);
+    });
+  } else if (cur) {
+    inbox.innerHTML = '<h4>Messages</h4>';
+    const link = document.createElement('a');
+    link.className = 'btn btn-primary';
+    link.href = 'messages.html?to=' + encodeURIComponent(user.username);
+    link.textContent = 'Message ' + (user.name || user.username);
+    inbox.appendChild(link);
+  } else {
+    inbox.innerHTML = '<p>Please sign in to message this user.</p>';
+  }
+})();
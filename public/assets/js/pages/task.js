@@ -0,0 +1,482 @@
+// task.html: one task with its status, escrow, reviews, applications and conversations.
+document.addEventListener('DOMContentLoaded', async function () {
+  'use strict';
+
+  function qs(k) {
+    return new URLSearchParams(location.search).get(k);
+  }
+
+  const id = qs('id');
+  let t = await window.LH.findTask(id);
+  const container = document.getElementById('taskContainer');
+  if (!t) {
+    container.innerHTML = '<p>Task not found.</p>';
+    return;
+  }
+  // Old links carry the numeric id; point the address bar at the current one
+  if (t.id !== id) {
+    history.replaceState(null, '', 'task.html?id=' + encodeURIComponent(t.id));
+  }
+  const curFn = window.LH.currentUser;
+  const user = curFn ? curFn() : null;
+  const html = window.LHRender.html;
+
+  // The first photo large and the rest as thumbnails; picking a thumbnail shows it large
+  function photoGallery() {
+    const photos = window.LH.taskPhotos(t)
+      .map(function (p) { return { url: window.LHRender.url(p.url), thumbUrl: window.LHRender.url(p.thumbUrl) || window.LHRender.url(p.url) }; })
+      .filter(function (p) { return p.url; });
+    if (!photos.length) return '';
+    return html`<div class="mb-3">
+      <a id="taskPhotoLink" href="${photos[0].url}" target="_blank" rel="noopener"><img id="taskPhotoMain" src="${photos[0].url}" alt="" class="img-fluid" style="max-height:360px;object-fit:cover;width:100%"></a>
+      ${photos.length > 1 ? html`<div class="d-flex flex-wrap gap-2 mt-2">${photos.map(function (p) {
+        return html`<button type="button" class="btn p-0 border-0" data-photo="${p.url}"><img src="${p.thumbUrl}" alt="" loading="lazy" class="rounded" style="width:72px;height:72px;object-fit:cover"></button>`;
+      })}</div>` : ''}
+    </div>`;
+  }
+
+  function renderTask() {
+    window.LHRender.set(container, html`
+      ${photoGallery()}
+      <h2>${t.title}</h2>
+      <p>${t.description}</p>
+      <p><strong>Category:</strong> ${window.LHCategories.label(t) || '-'} <strong>Location:</strong> ${t.location || '-'}</p>
+      <p><strong>Budget:</strong> ${window.LH.formatBudget(t) || '-'} <strong>Poster:</strong> <a href="profile.html?u=${encodeURIComponent(t.poster)}">${t.poster}</a>${window.LH.ratingBadge(t.poster)}</p>
+      ${canEdit() ? html`<button type="button" id="taskEditBtn" class="btn btn-sm btn-outline-primary mb-3">Edit task</button>` : ''}`);
+    if (!canEdit()) editEl.classList.add('d-none');
+  }
+  container.addEventListener('click', function (e) {
+    if (e.target.closest('#taskEditBtn')) return openEditor();
+    const pick = e.target.closest('[data-photo]');
+    if (!pick) return;
+    document.getElementById('taskPhotoMain').src = pick.dataset.photo;
+    document.getElementById('taskPhotoLink').href = pick.dataset.photo;
+  });
+
+  // Editing: the poster, while the task is open, in a form with the fields of give.html. Applicants
+  // are told about budget and description changes by the server.
+  const editEl = document.getElementById('taskEditContainer');
+  const editForm = document.getElementById('editTaskForm');
+  const editPhotosEl = document.getElementById('taskEditPhotos');
+  let taskForm = null;
+  let keptPhotos = [];
+
+  function canEdit() {
+    return window.LH.canEditTask(t, user && user.username);
+  }
+
+  function renderEditPhotos() {
+    if (!keptPhotos.length) {
+      editPhotosEl.innerHTML = '';
+      return;
+    }
+    window.LHRender.set(editPhotosEl, html`<label class="form-label d-block">Current photos</label>${keptPhotos.map(function (p, i) {
+      return html`<span class="d-inline-block position-relative me-2 mb-2">
+        <img src="${window.LHRender.url(p.thumbUrl) || window.LHRender.url(p.url)}" alt="" class="rounded" style="width:96px;height:96px;object-fit:cover">
+        <button type="button" class="btn btn-sm btn-danger position-absolute top-0 end-0" data-remove-photo="${i}" aria-label="Remove photo">&times;</button>
+      </span>`;
+    })}`);
+  }
+  editPhotosEl.addEventListener('click', function (e) {
+    const remove = e.target.closest('[data-remove-photo]');
+    if (!remove) return;
+    keptPhotos.splice(Number(remove.dataset.removePhoto), 1);
+    renderEditPhotos();
+  });
+
+  function openEditor() {
+    if (taskForm) taskForm.fill(t);
+    else taskForm = window.LH.bindTaskForm(editForm, t);
+    keptPhotos = window.LH.taskPhotos(t).slice();
+    renderEditPhotos();
+    editEl.classList.remove('d-none');
+    editEl.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  document.getElementById('taskEditCancel').addEventListener('click', function () {
+    editEl.classList.add('d-none');
+  });
+
+  editForm.addEventListener('submit', async function (e) {
+    e.preventDefault();
+    const changes = taskForm.values();
+    if (!changes.title.trim() || !changes.description.trim() || !changes.category.trim()) {
+      await window.LH.showInfo('Validation', 'Please provide title, description and category.');
+      return;
+    }
+    const budgetError = taskForm.budgetError();
+    if (budgetError) {
+      await window.LH.showInfo('Validation', budgetError);
+      return;
+    }
+    const picked = document.getElementById('taskImage').files.length;
+    if (keptPhotos.length + picked > window.LHMedia.MAX_PHOTOS) {
+      await window.LH.showInfo('Photos', 'A task can have at most ' + window.LHMedia.MAX_PHOTOS + ' photos. Remove some first.');
+      return;
+    }
+    const added = await taskForm.uploadPhotos(document.getElementById('taskEditResult'));
+    if (!added) return;
+    if (added.length || keptPhotos.length !== window.LH.taskPhotos(t).length) changes.photos = keptPhotos.concat(added);
+    const res = await window.LH.updateTask(t.id, changes);
+    if (!res.ok) {
+      window.LH.showInfo('Could not save the task', res.message || 'Please try again');
+      return;
+    }
+    t = res.task;
+    editEl.classList.add('d-none');
+    renderTask();
+    renderEditHistory();
+    const told = res.changes.some(function (c) { return c.field === 'budget' || c.field === 'description'; });
+    await window.LH.showInfo('Task updated', 'Your changes were saved.' + (told ? ' Applicants waiting on this task have been told.' : ''));
+  });
+
+  // What changed in each edit, newest first. Long fields (description, photos) only say they changed.
+  const editHistoryEl = document.getElementById('editHistoryContainer');
+  function renderEditHistory() {
+    const edits = (t.edits || []).slice().reverse();
+    if (!edits.length) {
+      editHistoryEl.innerHTML = '';
+      return;
+    }
+    const labels = window.LH.taskFieldLabels;
+    // budgets and categories are recorded as stored: free text before they were structured, and
+    // { amountKobo, ... } or ids since
+    const shown = function (c, v) {
+      if (c.field === 'budget') v = window.LH.formatBudget({ budget: v });
+      if (c.field === 'category' || c.field === 'subcategory') v = window.LHCategories.name(v) || v;
+      return v === null || v === undefined || v === '' ? '(none)' : String(v);
+    };
+    window.LHRender.set(editHistoryEl, html`<details class="mb-3">
+      <summary class="small text-muted">Edited ${edits.length === 1 ? 'once' : edits.length + ' times'}, last on ${window.LH.formatDate(edits[0].at)}</summary>
+      <ul class="small mb-0">${edits.map(function (edit) {
+        return html`<li>${window.LH.formatDate(edit.at)} by ${edit.by}: ${(edit.changes || []).map(function (c, i) {
+          return html`${i ? '; ' : ''}${labels[c.field] || c.field}${'from' in c ? html` changed from "${shown(c, c.from)}" to "${shown(c, c.to)}"` : ' changed'}`;
+        })}</li>`;
+      })}</ul>
+    </details>`);
+  }
+
+  // Status, lifecycle actions and escrow. The payment record is only readable by the poster and
+  // the assigned worker.
+  const escrowEl = document.getElementById('escrowContainer');
+  const ESCROW_BADGES = {
+    held: 'bg-warning text-dark',
+    released: 'bg-success',
+    refunded: 'bg-secondary',
+    disputed: 'bg-danger',
+  };
+  // Button label and confirmation for each move, by the role making it
+  const ACTIONS = {
+    in_progress: { label: 'Start work', cls: 'btn-primary', ask: 'Start working on this task?' },
+    completed: { label: 'Mark done', cls: 'btn-success', ask: 'Mark this task as done? The poster will be asked to confirm.' },
+    closed: { label: 'Confirm completion', cls: 'btn-success', ask: 'Confirm the work is complete?', escrow: ' The held payment will be released to the worker.' },
+    cancelled: { label: 'Cancel task', cls: 'btn-outline-danger', ask: 'Cancel this task?', escrow: ' The held payment will be refunded.' },
+    open: { label: 'Reopen', workerLabel: 'Withdraw', cls: 'btn-outline-secondary', ask: 'Put this task back on the market?', workerAsk: 'Withdraw from this task?', escrow: ' The held payment will be refunded.' },
+  };
+
+  function historyList(entries, describe) {
+    const list = document.createElement('ul');
+    list.className = 'small mb-0';
+    entries.forEach(function (h) {
+      const li = document.createElement('li');
+      li.textContent = describe(h) + ' by ' + h.by + ', ' + window.LH.formatDate(h.at) + (h.note ? ': ' + h.note : '');
+      list.appendChild(li);
+    });
+    return list;
+  }
+
+  function renderEscrow() {
+    escrowEl.innerHTML = '';
+    const status = window.LH.taskStatus(t);
+    const labels = window.LH.taskStatusLabels;
+    const p = window.LH.escrowForTask(t.id);
+    const isWorker = user && t.assignedTo && user.username === t.assignedTo;
+    const isParty = user && (user.username === t.poster || isWorker);
+
+    const statusLine = document.createElement('p');
+    statusLine.innerHTML = '<strong>Status:</strong> ';
+    const badge = document.createElement('span');
+    badge.className = 'badge bg-info';
+    badge.textContent = labels[status] + (t.assignedTo ? ' (' + t.assignedTo + ')' : '');
+    statusLine.appendChild(badge);
+    escrowEl.appendChild(statusLine);
+
+    if (isParty && t.history && t.history.length) {
+      escrowEl.appendChild(historyList(t.history, function (h) { return labels[h.from] + ' → ' + labels[h.to]; }));
+    }
+
+    if (p) {
+      const card = document.createElement('div');
+      card.className = 'card p-3 my-3';
+      window.LHRender.set(card, html`<h5>Escrow <span class="badge ${ESCROW_BADGES[p.status] || 'bg-secondary'}">${p.status}</span></h5>`);
+      const summary = document.createElement('p');
+      summary.textContent = window.LH.formatNaira(p.amount) + ' from ' + p.from + ' to ' + p.to;
+      card.appendChild(summary);
+      card.appendChild(historyList(p.history || [], function (h) { return h.status; }));
+      escrowEl.appendChild(card);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'my-3';
+    const held = p && (p.status === 'held' || p.status === 'disputed');
+    window.LH.allowedTransitions(t, user && user.username).forEach(function (to) {
+      const a = ACTIONS[to];
+      if (!a) return;
+      const b = document.createElement('button');
+      b.className = 'btn btn-sm me-2 ' + a.cls;
+      b.textContent = isWorker && a.workerLabel ? a.workerLabel : a.label;
+      b.onclick = function () {
+        const ask = (isWorker && a.workerAsk ? a.workerAsk : a.ask) + (held && a.escrow ? a.escrow : '');
+        window.LH.showConfirm(ask, async function () {
+          const res = await window.LH.transitionTask(t.id, to);
+          if (!res.ok) {
+            window.LH.showInfo('Could not update task', res.message || 'Please try again');
+            return;
+          }
+          await window.LH.showInfo('Task updated', 'This task is now ' + labels[to].toLowerCase() + '.');
+        });
+      };
+      actions.appendChild(b);
+    });
+    if (isParty && p && p.status === 'held') {
+      const reason = document.createElement('input');
+      reason.className = 'form-control form-control-sm d-inline-block w-auto me-2';
+      reason.placeholder = 'What went wrong?';
+      actions.appendChild(reason);
+      const b = document.createElement('button');
+      b.className = 'btn btn-sm btn-outline-warning';
+      b.textContent = 'Dispute payment';
+      b.onclick = function () {
+        if (!reason.value.trim()) {
+          window.LH.showInfo('Dispute', 'Please describe the problem first.');
+          return;
+        }
+        window.LH.showConfirm('Dispute this payment? It stays held until you agree how to settle it.', async function () {
+          const res = await window.LH.disputeTask(t.id, reason.value);
+          if (!res.ok) {
+            window.LH.showInfo('Could not dispute', res.message || 'Please try again');
+            return;
+          }
+          await window.LH.showInfo('Payment disputed', 'The payment stays held until this is settled.');
+        });
+      };
+      actions.appendChild(b);
+    }
+    if (actions.children.length) escrowEl.appendChild(actions);
+  }
+
+  // Reviews left on this task, and the form for whichever side has not reviewed yet
+  const reviewsEl = document.getElementById('reviewsContainer');
+  function renderReviews() {
+    reviewsEl.innerHTML = '';
+    const reviews = window.LH.allReviews().filter(function (r) { return r.taskId === t.id; });
+    if (reviews.length) {
+      const h = document.createElement('h5');
+      h.textContent = 'Reviews';
+      reviewsEl.appendChild(h);
+      reviews.forEach(function (r) {
+        const card = document.createElement('div');
+        card.className = 'card p-2 mb-2';
+        const head = document.createElement('div');
+        head.textContent = r.from + ' rated ' + r.to + ' ' + '★'.repeat(r.rating) + '☆'.repeat(5 - r.rating);
+        card.appendChild(head);
+        if (r.text) {
+          const body = document.createElement('div');
+          body.textContent = r.text;
+          card.appendChild(body);
+        }
+        reviewsEl.appendChild(card);
+      });
+    }
+    const target = window.LH.reviewTarget(t, user && user.username);
+    if (!target) return;
+    const form = document.createElement('form');
+    form.className = 'card p-3 mb-3';
+    form.innerHTML =
+      '<h5>Review <span class="reviewee"></span></h5>' +
+      '<div class="mb-2"><select class="form-select w-auto" name="rating" required>' +
+      '<option value="">Rating</option><option value="5">5 - Excellent</option><option value="4">4 - Good</option>' +
+      '<option value="3">3 - Okay</option><option value="2">2 - Poor</option><option value="1">1 - Bad</option></select></div>' +
+      '<div class="mb-2"><textarea class="form-control" name="text" rows="2" maxlength="500" placeholder="How did it go? (optional)"></textarea></div>' +
+      '<div><button class="btn btn-primary btn-sm">Submit review</button></div>';
+    form.querySelector('.reviewee').textContent = target;
+    form.addEventListener('submit', async function (e) {
+      e.preventDefault();
+      const res = await window.LH.addReview(t.id, form.elements.rating.value, form.elements.text.value);
+      if (!res.ok) {
+        window.LH.showInfo('Review', res.message);
+        return;
+      }
+      await window.LH.showInfo('Thank you', 'Your review was posted');
+    });
+    reviewsEl.appendChild(form);
+  }
+
+  // Applications: the list re-renders on every change, the apply form below it is built once
+  const appsEl = document.getElementById('applicationsContainer');
+  const appsList = document.createElement('div');
+  const applyEl = document.createElement('div');
+  appsEl.appendChild(appsList);
+  appsEl.appendChild(applyEl);
+
+  let lastApps = [];
+  function renderApplications(allApps) {
+    lastApps = allApps || [];
+    const apps = lastApps.filter((a) => a && a.taskId === t.id);
+    const open = window.LH.taskStatus(t) === 'open';
+    window.LHRender.set(appsList, html`<h4>Applications (${apps.length})</h4>${apps.length ? '' : html`<p>No applications yet.</p>`}`);
+    if (apps.length === 0) return;
+    apps.forEach(function (a) {
+      const card = document.createElement('div');
+      card.className = 'card p-2 mb-2';
+      window.LHRender.set(card, html`<strong>${a.applicant}</strong>${window.LH.ratingBadge(a.applicant)} - ${a.message || ''} <small class="text-muted">${window.LH.formatDate(a.createdAt)}</small>${a.status ? html` <span class="badge bg-secondary ms-2">${a.status}</span>` : ''}`);
+      if (user && user.username === t.poster && open) {
+        const actions = document.createElement('div');
+        actions.className = 'mt-2';
+        if (a.status === 'pending') {
+          const accept = document.createElement('button');
+          accept.className = 'btn btn-success btn-sm me-2';
+          accept.textContent = 'Accept';
+          accept.onclick = function () {
+            const budget = window.LHBudget.normalize(t.budget);
+            window.LH.showConfirm(
+              budget && budget.payType === 'fixed'
+                ? 'Accept this application? You pay ' + window.LHBudget.format(budget) + ' into escrow now, and it is released to ' + a.applicant + ' when you confirm the task is done.'
+                : 'Accept this application?',
+              async function () {
+                const res = await window.LH.acceptApplication(a.id);
+                if (!res.ok) {
+                  window.LH.showInfo('Could not accept', res.message || 'Please try again');
+                  return;
+                }
+                await window.LH.showInfo(
+                  'Accepted',
+                  res.payment
+                    ? 'Application accepted. ' + window.LH.formatNaira(res.payment.amount) + ' is now held in escrow.'
+                    : 'Application accepted'
+                );
+              }
+            );
+          };
+          actions.appendChild(accept);
+        }
+        if (a.status !== 'rejected' && a.status !== 'accepted') {
+          const reject = document.createElement('button');
+          reject.className = 'btn btn-outline-danger btn-sm';
+          reject.textContent = 'Reject';
+          reject.onclick = function () {
+            window.LH.showConfirm(
+              'Reject this application?',
+              async function () {
+                await window.LH.updateApplication(a.id, { status: 'rejected' });
+                await window.LH.showInfo(
+                  'Rejected',
+                  'Application rejected'
+                );
+              }
+            );
+          };
+          actions.appendChild(reject);
+        }
+        card.appendChild(actions);
+      }
+      appsList.appendChild(card);
+    });
+  }
+
+  // Live updates: task edits, new applications and status changes re-render in place
+  window.LH.subscribe('lh_tasks', function (tasks) {
+    const next = (tasks || []).find((x) => x.id === t.id);
+    if (next) t = next;
+    renderTask();
+    renderEditHistory();
+    renderEscrow();
+    renderReviews();
+    renderApplications(lastApps);
+  });
+  window.LH.subscribe('lh_applications', renderApplications);
+  window.LH.subscribe('lh_payments', renderEscrow);
+  window.LH.subscribe('lh_reviews', function () {
+    renderTask();
+    renderReviews();
+    renderApplications(lastApps);
+  });
+
+  // Apply form
+  if (window.LH.taskStatus(t) !== 'open') {
+    applyEl.innerHTML = '<p>This task is no longer taking applications.</p>';
+  } else if (user && user.username !== t.poster) {
+    applyEl.innerHTML =
+      '<hr><h5>Apply for this task</h5><form id="applyForm"><div class="mb-2"><textarea class="form-control" id="applyMessage" rows="3" required></textarea></div><button class="btn btn-primary">Apply</button></form>';
+    document
+      .getElementById('applyForm')
+      .addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const msg = document.getElementById('applyMessage').value;
+        const res = await window.LH.applyToTask({
+          taskId: t.id,
+          applicant: user.username,
+          message: msg,
+          status: 'pending',
+        });
+        if (!res.ok) {
+          if (res.code === 'no_permit') {
+            window.LH.showConfirm(
+              'You have used your free permit and have no purchased permits. Buy a permit for ₦100 now?',
+              function () {
+                // go to buy page
+                window.location = 'buy-permit.html';
+              }
+            );
+          } else {
+            window.LH.showInfo(
+              'Application error',
+              res.message || 'Unable to apply'
+            );
+          }
+          return;
+        }
+        document.getElementById('applyMessage').value = '';
+        await window.LH.showInfo(
+          'Application sent',
+          'Your application was sent'
+        );
+      });
+  } else if (!user) {
+    applyEl.innerHTML = '<p>Please sign in to apply.</p>';
+  }
+
+  // Conversations about this task happen on messages.html
+  const msgEl = document.getElementById('messageContainer');
+  if (user && user.username !== t.poster) {
+    msgEl.innerHTML = '<h5>Message poster</h5>';
+    const link = document.createElement('a');
+    link.className = 'btn btn-outline-primary';
+    link.href = 'messages.html?to=' + encodeURIComponent(t.poster) + '&task=' + encodeURIComponent(t.id);
+    link.textContent = 'Message ' + t.poster;
+    msgEl.appendChild(link);
+  } else if (user) {
+    window.LH.subscribe('lh_messages', function () {
+      const threads = window.LH.threadsFor(user.username).filter(function (s) { return s.thread.taskId === t.id; });
+      msgEl.innerHTML = threads.length ? '<h5>Conversations about this task</h5>' : '';
+      const list = document.createElement('div');
+      list.className = 'list-group';
+      threads.forEach(function (s) {
+        const a = document.createElement('a');
+        a.className = 'list-group-item list-group-item-action d-flex justify-content-between';
+        a.href = 'messages.html?t=' + encodeURIComponent(s.thread.id);
+        a.textContent = s.partner;
+        if (s.unread) {
+          const badge = document.createElement('span');
+          badge.className = 'badge rounded-pill bg-danger';
+          badge.textContent = s.unread;
+          a.appendChild(badge);
+        }
+        list.appendChild(a);
+      });
+      msgEl.appendChild(list);
+    });
+  } else {
+    msgEl.innerHTML = '<p>Please sign in to message the poster.</p>';
+  }
+});
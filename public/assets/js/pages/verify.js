@@ -0,0 +1,46 @@
+// verify.html: lets a lender check an income statement by its verification code.
+(function () {
+  'use strict';
+
+  const form = document.getElementById('verifyForm');
+  const input = document.getElementById('verifyCode');
+  const resultEl = document.getElementById('verifyResult');
+
+  function line(label, value) {
+    const p = document.createElement('p');
+    const strong = document.createElement('strong');
+    strong.textContent = label + ': ';
+    p.appendChild(strong);
+    p.appendChild(document.createTextNode(value));
+    resultEl.appendChild(p);
+  }
+
+  async function verify(code) {
+    resultEl.innerHTML = '<p>Checking...</p>';
+    const res = await window.LHApi.get('/statements/' + encodeURIComponent(code.trim()));
+    resultEl.innerHTML = '';
+    if (!res.ok) {
+      resultEl.innerHTML = '<div class="alert alert-danger"></div>';
+      resultEl.firstChild.textContent = res.message || 'This code could not be verified.';
+      return;
+    }
+    const s = res.statement;
+    resultEl.innerHTML = '<div class="alert alert-success">This statement was issued by WorkLink.</div>';
+    line('Name', s.name + ' (' + s.username + ')');
+    line('Period', (s.from ? s.from.slice(0, 10) : 'start') + ' to ' + (s.to ? s.to.slice(0, 10) : 'issue date'));
+    line('Issued', window.LH.formatDate(s.issuedAt));
+    line('Total earned', window.LH.formatNaira(s.total) + ' from ' + s.count + (s.count === 1 ? ' task' : ' tasks'));
+    s.monthly.forEach(function (m) { line(m.month, window.LH.formatNaira(m.total)); });
+    line('Fingerprint', s.digest.slice(0, 16));
+  }
+
+  form.addEventListener('submit', function (e) {
+    e.preventDefault();
+    verify(input.value);
+  });
+  const code = new URLSearchParams(location.search).get('code');
+  if (code) {
+    input.value = code;
+    verify(code);
+  }
+})();
@@ -2,53 +2,40 @@
 (function () {
   'use strict';
 
-  // Initialize Paystack payment
-  window.initializePaystackPayment = function(options) {
+  function validEmail(email) {
+    return !!email && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  }
+
+  // Open the Paystack popup for a charge the API server issued ({ reference, amountKobo, currency }).
+  // Resolves to the reference once Paystack reports the payment made.
+  function openPopup(charge, email, customFields) {
     return new Promise(function(resolve, reject) {
       // Wait for PaystackPop to be available
       let attempts = 0;
       const maxAttempts = 150; // 15 seconds with 100ms intervals
-      
+
       const checkPaystack = setInterval(function() {
         attempts++;
-        
+
         if (window.PaystackPop && window.__PAYSTACK_READY__) {
           clearInterval(checkPaystack);
-          
-          // Validate email before sending to Paystack
-          if (!options.email || !options.email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
-            reject(new Error('Invalid email format. Please provide a valid email address.'));
-            return;
-          }
-          
+
           try {
             const handler = window.PaystackPop.setup({
               key: window.__PAYSTACK_CONFIG__.publicKey,
-              email: options.email,
-              amount: options.amount * 100, // Paystack uses kobo (cents)
-              currency: window.__PAYSTACK_CONFIG__.currency,
-              ref: 'WorkLink_' + Date.now(), // Unique reference
-              custom_fields: [
-                {
-                  display_name: 'Permit Count',
-                  variable_name: 'permit_count',
-                  value: options.permitCount
-                },
-                {
-                  display_name: 'Username',
-                  variable_name: 'username',
-                  value: options.username
-                }
-              ],
+              email: email,
+              amount: charge.amountKobo,
+              currency: charge.currency,
+              ref: charge.reference,
+              custom_fields: customFields,
               onClose: function() {
                 reject(new Error('Payment window closed'));
               },
               callback: function(response) {
-                // Payment successful - verify and record
-                recordPaystackPayment(response, options).then(resolve).catch(reject);
+                resolve(response.reference);
               }
             });
-            
+
             handler.openIframe();
           } catch (err) {
             reject(new Error('Failed to initialize payment: ' + err.message));
@@ -59,78 +46,65 @@
         }
       }, 100);
     });
-  };
-
-  // Record the payment (prefer using app APIs so Firestore sync happens)
-  async function recordPaystackPayment(paystackResponse, options) {
-    try {
-      // If the app exposes LH helpers, prefer them (they will sync to Firestore)
-      if (window.LH && typeof window.LH.createPayment === 'function' && typeof window.LH.purchasePermit === 'function') {
-        const p = await window.LH.createPayment(null, options.username, 'platform', options.amount);
-        try { await window.LH.purchasePermit(options.username, options.permitCount); } catch(e) { /* non-fatal */ }
-        // augment with Paystack metadata
-        if (p) {
-          p.paymentMethod = 'paystack';
-          p.paystackReference = paystackResponse.reference;
-          p.paystackAccessCode = paystackResponse.access_code;
-        }
-        return p;
-      }
-
-      // Fallback: localStorage only
-      const payments = JSON.parse(localStorage.getItem('lh_payments') || '[]');
-      const payment = {
-        id: Date.now() + Math.floor(Math.random() * 999),
-        taskId: null,
-        from: options.username,
-        to: 'platform',
-        amount: options.amount,
-        permitCount: options.permitCount,
-        status: 'completed',
-        paymentMethod: 'paystack',
-        paystackReference: paystackResponse.reference,
-        paystackAccessCode: paystackResponse.access_code,
-        createdAt: new Date().toISOString()
-      };
-      payments.push(payment);
-      localStorage.setItem('lh_payments', JSON.stringify(payments));
-      // Update user permits in local fallback
-      updateUserPermitsAfterPayment(options.username, options.permitCount);
-      return payment;
-    } catch (err) {
-      throw err;
-    }
   }
 
-  // Update user's permit count after successful payment (local fallback only)
-  function updateUserPermitsAfterPayment(username, permitCount) {
-    try {
-      const users = JSON.parse(localStorage.getItem('lh_users') || '[]');
-      const userIndex = users.findIndex(u => u.username === username);
-      if (userIndex !== -1) {
-        users[userIndex].permits = (users[userIndex].permits || 0) + permitCount;
-        localStorage.setItem('lh_users', JSON.stringify(users));
-      }
-    } catch (err) {
-      console.error('Error updating permits:', err);
-    }
+  // Have the API server confirm the charge with Paystack (the secret key stays there) and cache the
+  // documents it answers with. Resolves to the server's answer.
+  async function verify(reference) {
+    const res = await window.LHApi.post('/payments/paystack/verify', { reference: reference });
+    if (!res.ok) throw new Error(res.message || 'Payment verification failed');
+    if (window.LH && typeof window.LH.recordPurchase === 'function') await window.LH.recordPurchase(res);
+    return res;
   }
 
-  // Verify payment with Paystack (client-side check)
-  window.verifyPaystackPayment = function(reference) {
-    return fetch(window.__PAYSTACK_CONFIG__.baseURL + '/transaction/verify/' + reference, {
-      headers: {
-        'Authorization': 'Bearer ' + window.__PAYSTACK_CONFIG__.publicKey
+  // Start a permit purchase. The API server prices it and issues the reference; once the popup reports
+  // success the server confirms the charge with Paystack and credits the permits.
+  window.initializePaystackPayment = async function(options) {
+    // Validate email before sending to Paystack
+    if (!validEmail(options.email)) throw new Error('Invalid email format. Please provide a valid email address.');
+
+    const purchase = await window.LHApi.post('/payments/permits', { count: options.permitCount });
+    if (!purchase.ok) throw new Error(purchase.message);
+
+    const reference = await openPopup(purchase, options.email, [
+      {
+        display_name: 'Permit Count',
+        variable_name: 'permit_count',
+        value: purchase.permitCount
+      },
+      {
+        display_name: 'Username',
+        variable_name: 'username',
+        value: options.username
       }
-    })
-    .then(res => res.json())
-    .then(data => {
-      if (data.status && data.data.status === 'success') {
-        return data.data;
-      } else {
-        throw new Error('Payment verification failed');
+    ]);
+    // Payment made - have the server confirm it before anything is credited
+    return window.verifyPaystackPayment(reference);
+  };
+
+  // Pay the escrow charge a poster gets when accepting an application (the `charge` of the accept
+  // answer, see acceptApplication in tasks.js). Once the server confirms it the task is assigned; resolves
+  // to the server's answer ({ payment, task, application }).
+  window.payEscrowCharge = async function(charge, email, username) {
+    if (!validEmail(email)) throw new Error('Invalid email format. Please add a valid email address to your profile.');
+    const reference = await openPopup(charge, email, [
+      {
+        display_name: 'Escrow for task',
+        variable_name: 'task_id',
+        value: charge.taskId
+      },
+      {
+        display_name: 'Username',
+        variable_name: 'username',
+        value: username
       }
-    });
+    ]);
+    return verify(reference);
+  };
+
+  // Resolves to the completed payment record.
+  window.verifyPaystackPayment = async function(reference) {
+    return (await verify(reference)).payment;
   };
 
 })();
@@ -0,0 +1,65 @@
+// Safe HTML rendering for every page. Tasks, profiles, applications and messages are written by other
+// users and synced through Firestore, so none of it may reach innerHTML unescaped:
+//   LHRender.set(el, LHRender.html`<h2>${task.title}</h2>`)
+// `html` escapes every interpolated value unless it is itself the result of `html` (or a list of
+// them); `set` only takes such results, so a plain string cannot slip through. Attribute values must
+// be quoted. URLs placed in src/href go through `url` first, which only lets through the schemes the
+// site uses.
+(function () {
+  'use strict';
+
+  const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+  function escape(value) {
+    if (value === undefined || value === null || value === false) return '';
+    return String(value).replace(/[&<>"'`]/g, function (c) { return ESCAPES[c]; });
+  }
+
+  function SafeHtml(markup) { this.markup = markup; }
+  SafeHtml.prototype.toString = function () { return this.markup; };
+  SafeHtml.prototype.valueOf = SafeHtml.prototype.toString;
+
+  function fragment(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(fragment).join('');
+    return escape(value);
+  }
+
+  function html(strings) {
+    let out = strings[0];
+    for (let i = 1; i < strings.length; i++) out += fragment(arguments[i]) + strings[i];
+    return new SafeHtml(out);
+  }
+
+  // Markup the page itself wrote (never user data)
+  function trusted(markup) { return new SafeHtml(String(markup)); }
+
+  // Task photos posted before they moved to storage are data URLs; SVG is left out as it can carry
+  // script. http: images are photos kept by a local API server (see media.js).
+  const IMAGE_DATA_RE = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+  const SCHEMES = { image: ['https:', 'http:'], link: ['https:', 'http:', 'mailto:', 'tel:'] };
+
+  // `value` when it is safe as an image source (kind 'image', the default) or link target ('link'),
+  // else ''. Allowed: data:image URLs of raster images (images only), the kind's schemes, and paths on
+  // this site.
+  function url(value, kind) {
+    const s = String(value === undefined || value === null ? '' : value).trim();
+    if (!s) return '';
+    kind = kind === 'link' ? 'link' : 'image';
+    if (kind === 'image' && IMAGE_DATA_RE.test(s)) return s;
+    let parsed;
+    try { parsed = new URL(s, window.location.href); } catch (e) { return ''; }
+    // Anything without a plain scheme is resolved the way the browser would ("//host", "java\tscript:")
+    // and must stay on this site
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(s)) return parsed.origin === window.location.origin ? s : '';
+    return SCHEMES[kind].includes(parsed.protocol) ? s : '';
+  }
+
+  function set(el, content) {
+    if (!(content instanceof SafeHtml)) throw new TypeError('LHRender.set takes the result of LHRender.html');
+    el.innerHTML = content.markup;
+    return el;
+  }
+
+  window.LHRender = { escape: escape, html: html, trusted: trusted, url: url, set: set, SafeHtml: SafeHtml };
+})();
@@ -0,0 +1,116 @@
+// Client-side full-text search for the task list. Text is tokenised, stop words dropped and each word
+// stemmed, then documents are ranked by how well and in which field every query word matches:
+// exactly, as a prefix ("plumb" finds "plumbing") or within a small edit distance ("plumer").
+(function () {
+  'use strict';
+
+  const STOP_WORDS = ['a', 'an', 'and', 'are', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'to', 'with'];
+
+  // Light suffix stripping, enough to make "cleaning", "cleaner" and "cleans" meet at "clean"
+  function stem(word) {
+    let w = word;
+    if (w.length <= 3 || /\d/.test(w)) return w;
+    if (/ies$/.test(w)) return w.slice(0, -3) + 'y';
+    if (/(ss|us)$/.test(w)) return w;
+    if (/(sh|ch|x|z)es$/.test(w)) w = w.slice(0, -2);
+    else if (/s$/.test(w)) w = w.slice(0, -1);
+    const m = /^(.{3,}?)(ing|ed|er)$/.exec(w);
+    if (m) {
+      w = m[1];
+      if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(ll|ss|zz)$/.test(w)) w = w.slice(0, -1);
+    }
+    return w;
+  }
+
+  function tokenize(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(function (w) { return w && STOP_WORDS.indexOf(w) === -1; })
+      .map(stem);
+  }
+
+  // Levenshtein distance, giving up as soon as it exceeds `max`
+  function withinEdits(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return false;
+    let prev = [];
+    for (let j = 0; j <= b.length; j++) prev[j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        if (cur[j] < rowMin) rowMin = cur[j];
+      }
+      if (rowMin > max) return false;
+      prev = cur;
+    }
+    return prev[b.length] <= max;
+  }
+
+  // How well one query word matches one indexed word, from 0 to 1
+  function termMatch(q, term) {
+    if (q === term) return 1;
+    if (q.length >= 3 && term.indexOf(q) === 0) return 0.8;
+    const max = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+    return max && withinEdits(q, term, max) ? 0.5 : 0;
+  }
+
+  // `fields` maps a document property (or a function of the document) to its weight. Every query word
+  // has to match somewhere; rarer words count for more. Returns `[{ doc, score }]`, best first, or
+  // every document with score 0 when the query has no searchable words.
+  function search(docs, query, fields) {
+    const words = tokenize(query);
+    if (!words.length) return docs.map(function (doc) { return { doc: doc, score: 0 }; });
+    const names = Object.keys(fields);
+    const indexed = docs.map(function (doc) {
+      const terms = {};
+      names.forEach(function (name) {
+        const value = typeof fields[name].value === 'function' ? fields[name].value(doc) : doc[name];
+        terms[name] = tokenize(value);
+      });
+      return { doc: doc, terms: terms };
+    });
+    const perWord = words.map(function (q) {
+      return indexed.map(function (d) {
+        let best = 0;
+        names.forEach(function (name) {
+          const weight = fields[name].weight || 1;
+          d.terms[name].forEach(function (term) {
+            const s = termMatch(q, term) * weight;
+            if (s > best) best = s;
+          });
+        });
+        return best;
+      });
+    });
+    const phrase = String(query).toLowerCase().trim();
+    const hits = [];
+    indexed.forEach(function (d, i) {
+      let score = 0;
+      for (let w = 0; w < words.length; w++) {
+        if (!perWord[w][i]) return;
+        const matching = perWord[w].filter(Boolean).length;
+        score += perWord[w][i] * Math.log(1 + docs.length / matching);
+      }
+      if (phrase.indexOf(' ') !== -1 && String(d.doc.title || '').toLowerCase().indexOf(phrase) !== -1) score *= 1.5;
+      hits.push({ doc: d.doc, score: score });
+    });
+    return hits.sort(function (a, b) { return b.score - a.score; });
+  }
+
+  function countBy(items, keyFn) {
+    const counts = {};
+    items.forEach(function (item) {
+      const k = keyFn(item);
+      if (k) counts[k] = (counts[k] || 0) + 1;
+    });
+    return counts;
+  }
+
+  window.LHSearch = {
+    tokenize: tokenize,
+    stem: stem,
+    search: search,
+    countBy: countBy
+  };
+})();
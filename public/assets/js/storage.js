@@ -0,0 +1,601 @@
+// Storage adapters for the lh_* collections.
+// Every adapter exposes the same async interface so app code never branches on where data lives:
+//   list(col), get(col, key), where(col, field, value), put(col, doc), update(col, key, patch),
+//   remove(col, key), replace(col, docs), page(col, options)
+// `commit(writes)` makes several writes that land together or not at all, for what the security rules
+// only accept as one (an application with the permit it spends).
+// Local and memory adapters (and the cached adapter in front of them) also expose a synchronous
+// `peek(col)` for UI code that cannot await.
+// The cached adapter also exposes its `local` cache, its `outbox` and `remote()`, the remote adapter
+// it currently syncs with (null while offline), for the one-off reconciliation in tasks.js.
+// Every doc has a ULID `id` (see newId). Lookups use `id`, except users which are looked up by
+// `username` (see KEY_FIELDS).
+(function () {
+	'use strict';
+
+	const KEY_FIELDS = { lh_users: 'username' };
+	// Collections kept newest-first so listing order matches what the UI shows
+	const NEWEST_FIRST = ['lh_tasks'];
+
+	function keyOf(col) { return KEY_FIELDS[col] || 'id'; }
+
+	// IDs are ULIDs: 48-bit millisecond timestamp + 80 random bits in Crockford base32, so they
+	// sort by creation time and two clients writing in the same millisecond cannot collide.
+	const ULID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+	function newId() {
+		let time = Date.now();
+		let out = '';
+		for (let i = 0; i < 10; i++) { out = ULID_ALPHABET[time % 32] + out; time = Math.floor(time / 32); }
+		const bytes = crypto.getRandomValues(new Uint8Array(16));
+		for (let i = 0; i < 16; i++) out += ULID_ALPHABET[bytes[i] % 32];
+		return out;
+	}
+
+	// IDs from before ULIDs were Date.now()-based numbers (sometimes stringified), or missing for users
+	function isLegacyId(id) { return id === undefined || id === null || id === '' || /^\d+$/.test(String(id)); }
+
+	// Cursor paging. `page(col, { orderBy, direction, limit, after })` returns `{ items, cursor }`
+	// ordered by `orderBy` ('desc' unless direction is 'asc') then `id`; pass `cursor` back as
+	// `after` for the next page. It is null on the last page. Docs without the `orderBy` field are
+	// left out, as Firestore does.
+	function cursorOf(doc, field) { return { value: doc[field], id: doc.id }; }
+	function compareValues(a, b) { return a < b ? -1 : a > b ? 1 : 0; }
+	function pageOf(docs, opts) {
+		const field = opts.orderBy;
+		const sign = opts.direction === 'asc' ? 1 : -1;
+		const order = (a, b) => sign * (compareValues(a[field], b[field]) || compareValues(String(a.id), String(b.id)));
+		const sorted = docs.filter(d => d[field] !== undefined && d[field] !== null).sort(order);
+		let start = 0;
+		if (opts.after) {
+			const after = { [field]: opts.after.value, id: opts.after.id };
+			start = sorted.findIndex(d => order(d, after) > 0);
+			if (start === -1) start = sorted.length;
+		}
+		const items = sorted.slice(start, start + opts.limit);
+		return { items: items, cursor: start + opts.limit < sorted.length ? cursorOf(items[items.length - 1], field) : null };
+	}
+
+	// A doc after one of commit's writes: { col, doc } replaces it, { col, key, patch, increment } changes
+	// fields of `prev`, adding `increment`'s numbers
+	function afterWrite(prev, w) {
+		if (w.doc) return w.doc;
+		if (!prev) throw new Error('No ' + w.col + ' doc ' + w.key);
+		const next = Object.assign({}, prev, w.patch);
+		Object.keys(w.increment || {}).forEach(f => { next[f] = (Number(prev[f]) || 0) + w.increment[f]; });
+		return next;
+	}
+
+	// Adapter over any Web Storage-like object (localStorage, or the in-memory shim below)
+	function createLocalAdapter(storage) {
+		storage = storage || window.localStorage;
+		function read(col) { try { return JSON.parse(storage.getItem(col)) ?? []; } catch { return []; } }
+		function write(col, docs) { storage.setItem(col, JSON.stringify(docs)); }
+
+		const adapter = {
+			name: 'local',
+			peek: read,
+			async list(col) { return read(col); },
+			async get(col, key) { const k = keyOf(col); return read(col).find(d => d[k] === key) || null; },
+			async where(col, field, value) { return read(col).filter(d => d[field] === value); },
+			async page(col, opts) { return pageOf(read(col), opts); },
+			async put(col, doc) {
+				const k = keyOf(col);
+				const docs = read(col);
+				const idx = docs.findIndex(d => d[k] === doc[k]);
+				if (idx !== -1) docs[idx] = doc;
+				else if (NEWEST_FIRST.includes(col)) docs.unshift(doc);
+				else docs.push(doc);
+				write(col, docs);
+				return doc;
+			},
+			async update(col, key, patch) {
+				const k = keyOf(col);
+				const docs = read(col);
+				const idx = docs.findIndex(d => d[k] === key);
+				if (idx === -1) return null;
+				docs[idx] = Object.assign({}, docs[idx], patch);
+				write(col, docs);
+				return docs[idx];
+			},
+			async remove(col, key) {
+				const k = keyOf(col);
+				const docs = read(col);
+				const kept = docs.filter(d => d[k] !== key);
+				write(col, kept);
+				return kept.length !== docs.length;
+			},
+			// Nothing else sees these docs, so the writes are simply made in turn
+			async commit(writes) {
+				const docs = [];
+				for (const w of writes) {
+					const k = keyOf(w.col);
+					docs.push(await adapter.put(w.col, afterWrite(read(w.col).find(d => d[k] === (w.doc ? w.doc[k] : w.key)) || null, w)));
+				}
+				return docs;
+			},
+			async replace(col, docs) {
+				docs = (docs || []).slice();
+				if (NEWEST_FIRST.includes(col)) docs.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+				write(col, docs);
+				return docs;
+			}
+		};
+		return adapter;
+	}
+
+	// Storage-like object backed by a Map, for tests and throwaway sessions
+	function createMemoryStorage(seed) {
+		const data = new Map();
+		Object.keys(seed || {}).forEach(k => data.set(k, JSON.stringify(seed[k])));
+		return {
+			getItem(k) { return data.has(k) ? data.get(k) : null; },
+			setItem(k, v) { data.set(k, String(v)); },
+			removeItem(k) { data.delete(k); }
+		};
+	}
+
+	function createMemoryAdapter(seed) {
+		const adapter = createLocalAdapter(createMemoryStorage(seed));
+		adapter.name = 'memory';
+		return adapter;
+	}
+
+	// Adapter over the `window.FB` wrapper from firebase-init.js.
+	// The Firestore document ID is the app's `id`, so the local-to-remote mapping is the identity.
+	// Older docs were created with auto IDs and a numeric `localId`; those surface with `id` set to
+	// their document ID and the old number kept in `legacyId`.
+	// `options.scope(col)` may return [[field, value], ...] for collections a client may only read in
+	// part (its own messages, say); those are read as the union of equality queries, never in full.
+	// A clause may also name its operator: [field, op, value], e.g. ['participants', 'array-contains', name].
+	function createFirestoreAdapter(fb, options) {
+		const scope = (options && options.scope) || function () { return null; };
+		function api() { return fb || window.FB; }
+		function query(col, c) { return c.length === 3 ? api().queryWhere(col, c[0], c[1], c[2]) : api().queryEqual(col, c[0], c[1]); }
+		function watch(col, c, onDocs) {
+			return c.length === 3 ? api().subscribeWhere(col, c[0], c[1], c[2], onDocs) : api().subscribeEqual(col, c[0], c[1], onDocs);
+		}
+		function union(results) {
+			const seen = new Map();
+			results.forEach(docs => (docs || []).forEach(r => seen.set(r._id, r)));
+			return Array.from(seen.values()).map(fromRemote);
+		}
+		function fromRemote(r) {
+			const obj = Object.assign({}, r);
+			const oldId = obj.id !== undefined && obj.id !== r._id ? obj.id : obj.localId;
+			if (obj.legacyId === undefined && oldId !== undefined && oldId !== r._id) obj.legacyId = oldId;
+			obj.id = r._id;
+			delete obj._id;
+			delete obj.localId;
+			return obj;
+		}
+		function toRemote(doc) {
+			const payload = Object.assign({}, doc);
+			delete payload._id;
+			return payload;
+		}
+
+		const adapter = {
+			name: 'firestore',
+			async list(col) {
+				const clauses = scope(col);
+				if (!clauses) return ((await api().getAll(col)) || []).map(fromRemote);
+				return union(await Promise.all(clauses.map(c => query(col, c))));
+			},
+			async get(col, key) {
+				if (keyOf(col) === 'id') {
+					const r = await api().getDoc(col, key);
+					return r ? fromRemote(r) : null;
+				}
+				const rem = await api().queryEqual(col, keyOf(col), key);
+				return rem && rem.length > 0 ? fromRemote(rem[0]) : null;
+			},
+			async where(col, field, value) { return ((await api().queryEqual(col, field, value)) || []).map(fromRemote); },
+			// One doc past the page tells whether there is a next one without an extra round trip
+			async page(col, opts) {
+				if (scope(col)) return pageOf(await adapter.list(col), opts);
+				const after = opts.after ? [opts.after.value, opts.after.id] : null;
+				const docs = await api().getPage(col, { orderBy: opts.orderBy, direction: opts.direction, limit: opts.limit + 1, after: after });
+				if (!docs) throw new Error('Firestore page of ' + col + ' failed');
+				const items = docs.slice(0, opts.limit).map(fromRemote);
+				return { items: items, cursor: docs.length > opts.limit ? cursorOf(items[items.length - 1], opts.orderBy) : null };
+			},
+			subscribe(col, onDocs) {
+				if (!api().subscribe) return function () {};
+				const clauses = scope(col);
+				if (!clauses) return api().subscribe(col, docs => onDocs(docs.map(fromRemote)));
+				const parts = clauses.map(() => []);
+				const stops = clauses.map((c, i) => watch(col, c, function (docs) {
+					parts[i] = docs;
+					onDocs(union(parts));
+				}));
+				return function () { stops.forEach(stop => stop()); };
+			},
+			// Live first page (no cursor) of `col`
+			subscribePage(col, opts, onDocs) {
+				if (!api().subscribePage || scope(col)) return adapter.subscribe(col, docs => onDocs(pageOf(docs, opts).items));
+				return api().subscribePage(col, { orderBy: opts.orderBy, direction: opts.direction, limit: opts.limit }, docs => onDocs(docs.map(fromRemote)));
+			},
+			async put(col, doc) {
+				if (!doc.id) throw new Error('Cannot write a ' + col + ' doc without an id');
+				// The FB wrapper logs and returns null on failure; throw so callers can retry
+				if (!(await api().set(col, doc.id, toRemote(doc)))) throw new Error('Firestore write to ' + col + ' failed');
+				return doc;
+			},
+			async update(col, key, patch) {
+				const found = await adapter.get(col, key);
+				if (!found) return null;
+				const merged = Object.assign({}, found, patch);
+				if (!(await api().set(col, found.id, toRemote(merged)))) throw new Error('Firestore write to ' + col + ' failed');
+				return merged;
+			},
+			async remove(col, key) {
+				let id = key;
+				if (keyOf(col) !== 'id') {
+					const found = await adapter.get(col, key);
+					if (!found) return false;
+					id = found.id;
+				}
+				if (!(await api().delete(col, id))) throw new Error('Firestore delete from ' + col + ' failed');
+				return true;
+			},
+			// [{ col, doc }] writes whole docs and [{ col, key, patch, increment }] changes fields of one
+			// (see FB.commit); throws when the batch was refused or failed
+			async commit(writes) {
+				const batch = [];
+				for (const w of writes) {
+					if (w.doc) {
+						if (!w.doc.id) throw new Error('Cannot write a ' + w.col + ' doc without an id');
+						batch.push({ col: w.col, id: w.doc.id, set: toRemote(w.doc) });
+						continue;
+					}
+					let id = w.key;
+					if (keyOf(w.col) !== 'id') {
+						const found = await adapter.get(w.col, w.key);
+						if (!found) throw new Error('No ' + w.col + ' doc ' + w.key);
+						id = found.id;
+					}
+					batch.push({ col: w.col, id: id, update: w.patch, increment: w.increment });
+				}
+				if (!(await api().commit(batch))) throw new Error('Firestore batch write failed');
+				return true;
+			},
+			async replace() { throw new Error('replace is not supported on the Firestore adapter'); }
+		};
+		return adapter;
+	}
+
+	// Per-field last-writer-wins. Every write stamps the fields it changed in `_fieldTimes`
+	// (ISO timestamps); fields without a stamp fall back to the doc's updatedAt/createdAt.
+	function fieldTime(doc, field) {
+		return (doc._fieldTimes && doc._fieldTimes[field]) || doc.updatedAt || doc.createdAt || '';
+	}
+
+	function stampChanges(prev, next, now) {
+		now = now || new Date().toISOString();
+		const times = Object.assign({}, prev && prev._fieldTimes, next._fieldTimes);
+		const fields = new Set(Object.keys(next).concat(prev ? Object.keys(prev) : []));
+		fields.forEach(function (f) {
+			if (f === '_fieldTimes') return;
+			if (!prev || JSON.stringify(prev[f]) !== JSON.stringify(next[f])) times[f] = now;
+		});
+		return Object.assign({}, next, { _fieldTimes: times });
+	}
+
+	// Merge two copies of the same doc field by field. The newer stamp wins; equal stamps are broken
+	// by comparing the serialised values, so every client resolves the same conflict the same way.
+	function mergeDocs(a, b) {
+		if (!a) return b;
+		if (!b) return a;
+		const out = {};
+		const times = {};
+		const fields = new Set(Object.keys(a).concat(Object.keys(b)));
+		fields.forEach(function (f) {
+			if (f === '_fieldTimes') return;
+			const ta = fieldTime(a, f);
+			const tb = fieldTime(b, f);
+			let useB = tb > ta;
+			if (tb === ta) useB = String(JSON.stringify(b[f])) > String(JSON.stringify(a[f]));
+			const src = useB ? b : a;
+			if (src[f] !== undefined) out[f] = src[f];
+			if (useB ? tb : ta) times[f] = useB ? tb : ta;
+		});
+		out._fieldTimes = times;
+		return out;
+	}
+
+	// Persistent queue of mutations waiting to reach the remote. Writes to the same doc are coalesced
+	// into one entry; `rev` changes on every coalesce so an in-flight replay never acks a newer edit.
+	const BASE_BACKOFF_MS = 2000;
+	const MAX_BACKOFF_MS = 5 * 60 * 1000;
+	// The Firestore SDK holds writes open while offline instead of failing; give up and back off instead
+	const REPLAY_TIMEOUT_MS = 15000;
+
+	function withTimeout(promise, ms) {
+		let t;
+		const timeout = new Promise(function (_, reject) { t = setTimeout(function () { reject(new Error('Timed out after ' + ms + 'ms')); }, ms); });
+		return Promise.race([promise, timeout]).finally(function () { clearTimeout(t); });
+	}
+
+	function createOutbox(storage, storageKey) {
+		storage = storage || window.localStorage;
+		storageKey = storageKey || 'lh_outbox';
+		const listeners = [];
+		function read() { try { return JSON.parse(storage.getItem(storageKey)) ?? []; } catch { return []; } }
+		function write(entries) {
+			storage.setItem(storageKey, JSON.stringify(entries));
+			listeners.forEach(function (fn) { try { fn(entries.length); } catch (e) { console.warn(e); } });
+		}
+		function sameDoc(e, col, key) { return e.col === col && e.key === key; }
+
+		const outbox = {
+			entries: read,
+			count() { return read().length; },
+			pending(col) { return read().filter(e => e.col === col); },
+			has(col, key) { return read().some(e => sameDoc(e, col, key)); },
+			enqueue(op, col, key, doc) {
+				const entries = read();
+				const existing = entries.find(e => sameDoc(e, col, key));
+				if (existing) {
+					existing.op = op;
+					existing.doc = op === 'put' ? mergeDocs(existing.doc, doc) : null;
+					existing.rev += 1;
+					existing.attempts = 0;
+					existing.nextAttemptAt = 0;
+				} else {
+					entries.push({ id: newId(), rev: 1, op: op, col: col, key: key, doc: op === 'put' ? doc : null, attempts: 0, nextAttemptAt: 0, createdAt: new Date().toISOString() });
+				}
+				write(entries);
+			},
+			due(now) { return read().filter(e => (e.nextAttemptAt || 0) <= now); },
+			nextAttemptAt() { return read().reduce((min, e) => Math.min(min, e.nextAttemptAt || 0), Infinity); },
+			ack(entry) { write(read().filter(e => !(e.id === entry.id && e.rev === entry.rev))); },
+			retryLater(entry, err) {
+				const entries = read();
+				const cur = entries.find(e => e.id === entry.id && e.rev === entry.rev);
+				if (!cur) return;
+				cur.attempts += 1;
+				const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, cur.attempts - 1));
+				cur.nextAttemptAt = Date.now() + Math.round(backoff * (0.8 + Math.random() * 0.4));
+				cur.lastError = err && err.message ? err.message : String(err);
+				write(entries);
+			},
+			retryNow() { const entries = read(); entries.forEach(e => { e.nextAttemptAt = 0; }); write(entries); },
+			onChange(fn) { listeners.push(fn); }
+		};
+		return outbox;
+	}
+
+	// Local cache in front of an optional remote adapter. Writes land locally first so the UI can
+	// re-render straight away and are queued in the outbox; `flush` (started after every write,
+	// await it when the remote copy must exist before moving on) replays the queue against the
+	// remote whenever `getRemote()` returns one, merging with the remote copy via mergeDocs and
+	// backing off on failure. Each collection is fetched from the remote once per page load (or on
+	// `refresh`) and served from the cache after, with still-pending local writes laid on top.
+	function createCachedAdapter(local, getRemote, outbox) {
+		outbox = outbox || createOutbox(createMemoryStorage());
+		const hydrated = {};
+		const listeners = {};
+		let flushing = null;
+		let timer = null;
+		function remote() { return getRemote ? getRemote() : null; }
+		function notify(col) {
+			const docs = local.peek(col);
+			(listeners[col] || []).forEach(function (fn) { try { fn(docs); } catch (e) { console.warn(e); } });
+		}
+
+		function withPending(col, docs) {
+			const k = keyOf(col);
+			let out = docs.slice();
+			outbox.pending(col).forEach(function (e) {
+				const idx = out.findIndex(d => d[k] === e.key);
+				if (e.op === 'remove') { if (idx !== -1) out.splice(idx, 1); return; }
+				if (idx === -1) out.push(e.doc);
+				else out[idx] = mergeDocs(out[idx], e.doc);
+			});
+			return out;
+		}
+
+		function schedule() {
+			if (timer) clearTimeout(timer);
+			timer = null;
+			const next = outbox.nextAttemptAt();
+			if (next === Infinity) return;
+			timer = setTimeout(function () { timer = null; adapter.flush(); }, Math.max(0, next - Date.now()));
+		}
+
+		// Store remote docs read a page at a time, with pending local edits laid on top. The collection
+		// is not marked hydrated: the cache holds only the pages read so far.
+		async function cachePage(col, docs) {
+			const k = keyOf(col);
+			const items = [];
+			docs.forEach(function (d) {
+				const pending = outbox.pending(col).find(e => e.key === d[k]);
+				if (pending && pending.op === 'remove') return;
+				items.push(pending ? mergeDocs(d, pending.doc) : d);
+			});
+			const byKey = new Map(local.peek(col).map(d => [d[k], d]));
+			items.forEach(d => byKey.set(d[k], d));
+			await local.replace(col, Array.from(byKey.values()));
+			return items;
+		}
+
+		// Remote writes still running, by `col/key`. A write that timed out cannot be cancelled and may
+		// still land, so the doc is not read and written again until it has settled: otherwise the older
+		// copy could land after the newer one.
+		const inFlight = new Map();
+		function track(entry, write) {
+			const id = entry.col + '/' + entry.key;
+			inFlight.set(id, write);
+			write.catch(function () {}).then(function () { if (inFlight.get(id) === write) inFlight.delete(id); });
+			return write;
+		}
+
+		// The remote copy is read first and the entry written merged with it; when the read fails, the
+		// entry stays queued rather than overwrite fields changed elsewhere
+		async function replay(r, entry) {
+			if (inFlight.has(entry.col + '/' + entry.key)) throw new Error('An earlier write to ' + entry.col + ' is still running');
+			if (entry.op === 'remove') {
+				await track(entry, r.remove(entry.col, entry.key));
+				outbox.ack(entry);
+				return;
+			}
+			const merged = mergeDocs(await r.get(entry.col, entry.key), entry.doc);
+			await track(entry, r.put(entry.col, merged));
+			outbox.ack(entry);
+			// Pull in fields another client changed more recently, unless there is a newer local edit
+			if (!outbox.has(entry.col, entry.key)) { await local.put(entry.col, merged); notify(entry.col); }
+		}
+
+		const adapter = {
+			name: 'cached',
+			local: local,
+			outbox: outbox,
+			remote: remote,
+			peek(col) { return local.peek(col); },
+			isHydrated(col) { return !!hydrated[col]; },
+			pendingCount() { return outbox.count(); },
+			async refresh(col) { hydrated[col] = false; return adapter.list(col); },
+			// Call fn(docs) on every local write to `col` and, when the remote supports it, on every
+			// remote change (which also keeps the cache current). Returns an unsubscribe function.
+			subscribe(col, fn) {
+				(listeners[col] = listeners[col] || []).push(fn);
+				const r = remote();
+				const stopRemote = r && r.subscribe ? r.subscribe(col, async function (docs) {
+					await local.replace(col, withPending(col, docs));
+					hydrated[col] = true;
+					notify(col);
+				}) : null;
+				return function () {
+					listeners[col] = (listeners[col] || []).filter(f => f !== fn);
+					if (stopRemote) stopRemote();
+				};
+			},
+			async list(col) {
+				const r = remote();
+				if (r && !hydrated[col]) {
+					try {
+						const docs = await local.replace(col, withPending(col, await r.list(col)));
+						hydrated[col] = true;
+						return docs;
+					} catch (e) { console.warn('Failed to fetch ' + col + ' from remote', e); }
+				}
+				return local.list(col);
+			},
+			// Pages come from the remote until the whole collection has been fetched; after that, or
+			// when the remote fails, they come from the cache with the same cursors
+			async page(col, opts) {
+				const r = remote();
+				if (r && r.page && !hydrated[col]) {
+					try {
+						const res = await r.page(col, opts);
+						return { items: await cachePage(col, res.items), cursor: res.cursor };
+					} catch (e) { console.warn('Failed to fetch a page of ' + col + ' from remote', e); }
+				}
+				return local.page(col, opts);
+			},
+			// Like subscribe, for the first page only
+			subscribePage(col, opts, fn) {
+				const r = remote();
+				if (r && r.subscribePage) return r.subscribePage(col, opts, async function (docs) { fn(await cachePage(col, docs)); });
+				return adapter.subscribe(col, docs => fn(pageOf(docs, opts).items));
+			},
+			async get(col, key) {
+				const k = keyOf(col);
+				return (await adapter.list(col)).find(d => d[k] === key) || null;
+			},
+			async where(col, field, value) {
+				return (await adapter.list(col)).filter(d => d[field] === value);
+			},
+			async put(col, doc) {
+				const k = keyOf(col);
+				const prev = local.peek(col).find(d => d[k] === doc[k]) || null;
+				const stamped = stampChanges(prev, doc);
+				await local.put(col, stamped);
+				outbox.enqueue('put', col, doc[k], stamped);
+				notify(col);
+				adapter.flush();
+				return stamped;
+			},
+			async update(col, key, patch) {
+				const k = keyOf(col);
+				const prev = local.peek(col).find(d => d[k] === key);
+				if (!prev) return null;
+				return adapter.put(col, Object.assign({}, prev, patch));
+			},
+			async remove(col, key) {
+				const removed = await local.remove(col, key);
+				outbox.enqueue('remove', col, key, null);
+				notify(col);
+				adapter.flush();
+				return removed;
+			},
+			async replace(col, docs) { return local.replace(col, docs); },
+			// Writes that must land together (see the Firestore adapter's commit): they go straight to the
+			// remote, as the outbox replays one doc at a time, and are cached once it accepts them. Resolves
+			// to the docs as written; throws when offline or refused.
+			async commit(writes) {
+				const now = new Date().toISOString();
+				const docs = writes.map(function (w) {
+					const k = keyOf(w.col);
+					const prev = local.peek(w.col).find(d => d[k] === (w.doc ? w.doc[k] : w.key)) || null;
+					return stampChanges(prev, afterWrite(prev, w), now);
+				});
+				const r = remote();
+				if (r) {
+					const batch = writes.map((w, i) => w.doc ? { col: w.col, doc: docs[i] } : { col: w.col, key: w.key, patch: Object.assign({}, w.patch, { _fieldTimes: docs[i]._fieldTimes }), increment: w.increment });
+					await withTimeout(r.commit(batch), REPLAY_TIMEOUT_MS);
+				}
+				for (let i = 0; i < writes.length; i++) await local.put(writes[i].col, docs[i]);
+				new Set(writes.map(w => w.col)).forEach(notify);
+				return docs;
+			},
+			// Take in a doc the API server has already written remotely: cache it and notify, nothing to queue
+			async cache(col, doc) {
+				const k = keyOf(col);
+				const prev = local.peek(col).find(d => d[k] === doc[k]) || null;
+				await local.put(col, mergeDocs(prev, doc));
+				notify(col);
+				return doc;
+			},
+			// Replay due outbox entries against the remote; failed entries wait with exponential backoff
+			flush() {
+				if (flushing) return flushing;
+				const r = remote();
+				if (!r) return Promise.resolve(outbox.count());
+				flushing = (async function () {
+					for (const entry of outbox.due(Date.now())) {
+						try { await withTimeout(replay(r, entry), REPLAY_TIMEOUT_MS); }
+						catch (e) {
+							if (e && e.code === 'permission-denied') {
+								// Refused by the security rules: retrying cannot help, and the next fetch restores the remote copy
+								console.warn('Write to ' + entry.col + ' was refused and dropped', e);
+								outbox.ack(entry);
+								hydrated[entry.col] = false;
+								continue;
+							}
+							console.warn('Sync of ' + entry.col + ' deferred', e);
+							outbox.retryLater(entry, e);
+						}
+					}
+					return outbox.count();
+				})().finally(function () { flushing = null; schedule(); });
+				return flushing;
+			}
+		};
+		return adapter;
+	}
+
+	window.LHStorage = {
+		keyOf: keyOf,
+		newId: newId,
+		isLegacyId: isLegacyId,
+		createLocalAdapter: createLocalAdapter,
+		createMemoryStorage: createMemoryStorage,
+		createMemoryAdapter: createMemoryAdapter,
+		createFirestoreAdapter: createFirestoreAdapter,
+		createCachedAdapter: createCachedAdapter,
+		createOutbox: createOutbox,
+		stampChanges: stampChanges,
+		mergeDocs: mergeDocs
+	};
+})();
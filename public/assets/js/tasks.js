@@ -16,305 +16,611 @@
 	if (!read('lh_applications', null)) write('lh_applications', []);
 	if (!read('lh_messages', null)) write('lh_messages', []);
 	if (!read('lh_payments', null)) write('lh_payments', []);
+	if (!read('lh_reviews', null)) write('lh_reviews', []);
+	if (!read('lh_threads', null)) write('lh_threads', []);
+	if (!read('lh_notifications', null)) write('lh_notifications', []);
 
-	// Password hashing (SHA-256)
-	async function hashPassword(pw) {
-		const enc = new TextEncoder();
-		const buf = await crypto.subtle.digest('SHA-256', enc.encode(pw));
-		return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
+	const COLLECTIONS = ['lh_users', 'lh_tasks', 'lh_applications', 'lh_messages', 'lh_payments', 'lh_reviews', 'lh_threads', 'lh_notifications'];
+	// Fields that hold another collection's id, rewritten when ids are migrated
+	const REFERENCES = { lh_applications: { taskId: 'lh_tasks' }, lh_payments: { taskId: 'lh_tasks' } };
+
+	// Rewrite references that still point at a legacy numeric id. `idMaps` is {collection: {legacyId: id}}.
+	function rewriteReferences(col, doc, idMaps) {
+		const refs = REFERENCES[col] || {};
+		let changed = false;
+		Object.keys(refs).forEach(function (field) {
+			const target = (idMaps[refs[field]] || {})[String(doc[field])];
+			if (doc[field] !== undefined && doc[field] !== null && target) { doc[field] = target; changed = true; }
+		});
+		return changed;
+	}
+
+	// One-off migration of locally stored docs from Date.now() ids to ULIDs. The old id is kept in
+	// `legacyId` so old links (task.html?id=<number>) and not-yet-synced remote copies still resolve.
+	function migrateLocalIds() {
+		const idMaps = {};
+		const data = {};
+		COLLECTIONS.forEach(function (col) {
+			data[col] = read(col, []);
+			idMaps[col] = {};
+			data[col].forEach(function (doc) {
+				if (!LHStorage.isLegacyId(doc.id)) return;
+				if (doc.id !== undefined && doc.id !== null && doc.id !== '') doc.legacyId = doc.id;
+				doc.id = LHStorage.newId();
+				if (doc.legacyId !== undefined) idMaps[col][String(doc.legacyId)] = doc.id;
+				delete doc.localId;
+				delete doc._remoteId;
+			});
+		});
+		COLLECTIONS.forEach(function (col) {
+			data[col].forEach(function (doc) { rewriteReferences(col, doc, idMaps); });
+			write(col, data[col]);
+		});
+	}
+	if (read('lh_idVersion', 1) < 2) { migrateLocalIds(); write('lh_idVersion', 2); }
+
+	// Legacy id -> id map for a list of docs
+	function legacyIdMap(docs) {
+		const map = {};
+		docs.forEach(function (d) { if (d.legacyId !== undefined) map[String(d.legacyId)] = d.id; });
+		return map;
+	}
+
+	function isFirestoreReady() {
+		return window.__FB_READY__ && window.FB && window.FB.available;
+	}
+
+	// Storage: localStorage cache in front of Firestore, with writes queued in a persistent outbox
+	// until they reach it (see storage.js). Swap with useStorage(), e.g.
+	// LH.useStorage(LHStorage.createMemoryAdapter()) to exercise the marketplace without a browser store.
+	const localStore = LHStorage.createLocalAdapter(window.localStorage);
+	// Messages, threads and payments are only readable by the people on them, notifications only by
+	// their recipient (see firestore.rules)
+	const PARTICIPANT_SCOPED = ['lh_messages', 'lh_payments', 'lh_threads', 'lh_notifications'];
+	const firestore = LHStorage.createFirestoreAdapter(null, {
+		scope: function (col) {
+			if (!PARTICIPANT_SCOPED.includes(col)) return null;
+			const me = currentUser();
+			if (!me) return [];
+			if (col === 'lh_threads') return [['participants', 'array-contains', me.username]];
+			if (col === 'lh_notifications') return [['to', me.username]];
+			return [['from', me.username], ['to', me.username]];
+		}
+	});
+	const outbox = LHStorage.createOutbox(window.localStorage);
+	let store = LHStorage.createCachedAdapter(localStore, function () { return isFirestoreReady() ? firestore : null; }, outbox);
+	function useStorage(adapter) { store = adapter; }
+
+	// Run cb once firebase-init.js has finished, whether or not Firestore ended up available
+	function whenFirebaseSettled(cb) {
+		if (window.__FB_READY__) cb();
+		else window.addEventListener('fb-ready', function () { cb(); }, { once: true });
+	}
+
+	// Live updates: fn(docs) runs now with cached data, after every local write and, once Firestore
+	// is up, whenever the collection changes remotely. Returns an unsubscribe function.
+	function subscribe(col, fn) {
+		let stopped = false;
+		let stop = store.subscribe ? store.subscribe(col, fn) : function () {};
+		fn(store.peek(col));
+		if (!isFirestoreReady()) {
+			whenFirebaseSettled(function () {
+				if (stopped || !isFirestoreReady() || !store.subscribe) return;
+				stop();
+				stop = store.subscribe(col, fn);
+			});
+		}
+		return function () { stopped = true; stop(); };
 	}
 
 	// Users
-	function allUsers() { return read('lh_users', []); }
-	function saveUsers(u) { write('lh_users', u); }
+	function allUsers() { return store.peek('lh_users'); }
 	function findUserByUsername(username) { return allUsers().find(x => x.username === username); }
 
-	async function createUser(username, password, displayName, email) {
-			if (!username || !password) return {ok:false, message:'Username and password required'};
-
-			// Prefer Firestore when available for cross-browser persistence
-			if (window.__FB_READY__ && window.FB && window.FB.available) {
-				// check existing user in Firestore
-				const existing = await window.FB.queryEqual('lh_users', 'username', username);
-				if (existing && existing.length > 0) return {ok:false, message:'Username already taken'};
-				const hash = await hashPassword(password);
-				const user = {username: username, passwordHash: hash, name: displayName || username, email: email || username, bio: '', avatar: ''};
-				const added = await window.FB.add('lh_users', user);
-				// mirror locally for offline friendliness
-				try { const lu = allUsers(); lu.push(user); saveUsers(lu); } catch(e){}
-				return {ok:true, user: user};
-			}
+	// Passwords are checked by the API server (server/routes/auth.js); the browser only keeps the
+	// signed session it returns. Sessions from before that (`lh_currentUser`) could be forged, so drop
+	// them, along with password hashes older versions cached on user records.
+	localStorage.removeItem('lh_currentUser');
+	(function stripCachedPasswordHashes() {
+		const users = read('lh_users', []);
+		if (!users.some(u => u && u.passwordHash !== undefined)) return;
+		write('lh_users', users.map(function (u) { const c = Object.assign({}, u); delete c.passwordHash; return c; }));
+	})();
 
-			// fallback: localStorage-only
-			if (findUserByUsername(username)) return {ok:false, message:'Username already taken'};
-			const hash = await hashPassword(password);
-			const user = {username: username, passwordHash: hash, name: displayName, email: email || username, bio: '', avatar: ''};
-			const u = allUsers(); u.push(user); saveUsers(u);
-			return {ok:true, user};
+	async function createUser(username, password, displayName, email) {
+		if (!username || !password) return {ok:false, message:'Username and password required'};
+		const res = await LHApi.post('/auth/register', {username, password, displayName, email});
+		if (!res.ok) return {ok:false, message: res.message};
+		await startSession(res);
+		return {ok:true, user: res.user};
 	}
 
 	async function signInUser(username, password) {
-			// If Firestore available, try to authenticate against server copy
-			if (window.__FB_READY__ && window.FB && window.FB.available) {
-				const users = await window.FB.queryEqual('lh_users', 'username', username);
-				const user = (users && users.length>0) ? users[0] : null;
-				if (!user) return {ok:false, message:'No such user'};
-				const hash = await hashPassword(password);
-				// Firestore stores passwordHash same as local
-				if (hash !== user.passwordHash) return {ok:false, message:'Invalid credentials'};
-				// Persist session locally so UI can read it (and optionally write session doc to Firestore)
-				try { write('lh_currentUser', {username: user.username, name: user.name}); } catch(e){}
-				updateSigninButtons();
-				// Optionally record a session document
-				try { await window.FB.add('sessions', { username: user.username, createdAt: new Date().toISOString() }); } catch(e){}
-				return {ok:true, user};
-			}
+		if (!username || !password) return {ok:false, message:'Username and password required'};
+		const res = await LHApi.post('/auth/login', {username, password});
+		if (!res.ok) return {ok:false, message: res.message};
+		await startSession(res);
+		return {ok:true, user: res.user};
+	}
 
-			// Fallback to localStorage auth
-			const user = findUserByUsername(username);
-			if (!user) return {ok:false, message:'No such user'};
-			const hash = await hashPassword(password);
-			if (hash !== user.passwordHash) return {ok:false, message:'Invalid credentials'};
-			write('lh_currentUser', {username: user.username, name: user.name});
-			updateSigninButtons();
-			return {ok:true, user};
+	// Phone sign-in: the server texts a code to the number; verifying it signs in the account that uses
+	// the number, or creates one when a username is given (the server replies code 'phone_not_registered'
+	// until then).
+	async function requestPhoneCode(phone) {
+		if (!phone) return {ok:false, message:'Enter your phone number'};
+		return LHApi.post('/auth/phone/start', {phone});
 	}
 
-	function currentUser() { return read('lh_currentUser', null); }
-	function signOut() { localStorage.removeItem('lh_currentUser'); updateSigninButtons(); }
+	async function signInWithPhone(phone, code, username, displayName) {
+		if (!phone || !code) return {ok:false, message:'Phone number and code required'};
+		const res = await LHApi.post('/auth/phone/verify', {phone, code, username: username || undefined, displayName});
+		if (!res.ok) return {ok:false, message: res.message, code: res.code};
+		await startSession(res);
+		return {ok:true, user: res.user};
+	}
 
-	// Tasks
-	// Cached remote data (populated once at page load)
-	let __CACHED_REMOTE_TASKS__ = null;
-	
-	// Synchronous local read (for immediate UI updates)
-	function allTasksLocal() { return read('lh_tasks', []); }
-	
-	// Async read that prefers remote Firestore when available
-	async function allTasks() {
-		// If remote cache is populated, use it
-		if (__CACHED_REMOTE_TASKS__ !== null) {
-			return __CACHED_REMOTE_TASKS__;
-		}
-		// If Firestore ready, fetch from remote and cache it
-		if (isFirestoreReady()) {
-			try {
-				const remote = await window.FB.getAll('lh_tasks');
-				if (remote && Array.isArray(remote)) {
-					const mapped = remote.map(r => {
-						const obj = Object.assign({}, r);
-						if (!obj.id) obj.id = obj.localId || obj._id || Date.now();
-						return obj;
-					});
-					__CACHED_REMOTE_TASKS__ = mapped;
-					write('lh_tasks', mapped);
-					return mapped;
-				}
-			} catch (e) { console.warn('Failed to fetch tasks from Firestore', e); }
+	// Lets the signed-in account sign in with `phone` too; the number becomes its profile phone
+	async function linkPhone(phone, code) {
+		if (!phone || !code) return {ok:false, message:'Phone number and code required'};
+		const res = await LHApi.post('/auth/phone/link', {phone, code});
+		if (!res.ok) return {ok:false, message: res.message};
+		await cacheServerDocs({user: res.user});
+		return {ok:true, user: res.user};
+	}
+
+	// Keep the signed session, cache the public profile and sign in to Firebase Auth so security
+	// rules know who is writing
+	async function startSession(res) {
+		LHApi.setSession({ token: res.token, expiresAt: res.expiresAt, user: { username: res.user.username, name: res.user.name, email: res.user.email } });
+		await cacheServerDocs({user: res.user});
+		if (res.firebaseToken && isFirestoreReady() && window.FB.signInWithToken) {
+			try { await window.FB.signInWithToken(res.firebaseToken); } catch(e) { console.warn('Firebase sign-in failed', e); }
 		}
-		// Fallback to local
-		return allTasksLocal();
+		updateSigninButtons();
 	}
-	
-	function saveTasks(tasks) { write('lh_tasks', tasks); __CACHED_REMOTE_TASKS__ = tasks; }
 
-	function isFirestoreReady() {
-		return window.__FB_READY__ && window.FB && window.FB.available;
+	function currentUser() { const s = LHApi.session(); return s ? s.user : null; }
+	function signOut() {
+		LHApi.clearSession();
+		if (isFirestoreReady() && window.FB.signOut) window.FB.signOut();
+		updateSigninButtons();
+	}
+
+	// Tasks
+	// Synchronous cached read (for immediate UI updates)
+	function allTasksLocal() { return store.peek('lh_tasks'); }
+
+	// Async read; fetches from Firestore once per page load when available
+	function allTasks() { return store.list('lh_tasks'); }
+
+	// Find a task by id, accepting legacy numeric ids from old task.html?id= links
+	async function findTask(id) {
+		const tasks = await allTasks();
+		return tasks.find(t => t.id === id) || tasks.find(t => t.legacyId !== undefined && String(t.legacyId) === String(id)) || null;
 	}
 
 	async function addTask(task) {
-		const tasks = allTasksLocal();
-		task.id = Date.now();
+		task.id = LHStorage.newId();
 		task.createdAt = new Date().toISOString();
 		task.applications = [];
-		tasks.unshift(task);
-		saveTasks(tasks);
-		// If Firestore available, write and wait so other clients can see it immediately
-		if (isFirestoreReady()) {
-			try {
-				const payload = Object.assign({}, task, { localId: task.id });
-				const remote = await window.FB.add('lh_tasks', payload);
-				// store mapping if needed (not persisted) by adding remoteId property locally
-				task._remoteId = remote && remote._id ? remote._id : null;
-				// update local cache to reflect any remote id
-				saveTasks(allTasksLocal());
-			} catch (e) {
-				console.error('Failed to sync task to Firestore', e);
-			}
-		}
+		await store.put('lh_tasks', task);
 		return task;
 	}
-	async function updateTask(updated) {
-		const tasks = allTasksLocal().map(t => t.id === updated.id ? updated : t);
-		saveTasks(tasks);
-		if (isFirestoreReady()) {
-			try {
-				// try find remote by localId
-				const rem = await window.FB.queryEqual('lh_tasks', 'localId', updated.id);
-				if (rem && rem.length > 0) {
-					await window.FB.set('lh_tasks', rem[0]._id, Object.assign({}, updated, { localId: updated.id }));
-				} else {
-					await window.FB.add('lh_tasks', Object.assign({}, updated, { localId: updated.id }));
-				}
-			} catch (e) { console.error('Failed to update task in Firestore', e); }
-		}
-		return updated;
+	// Edits go through the API server, which records them in the task's `edits` and tells pending
+	// applicants when the budget or description changes. Only the poster of an open task can edit it.
+	function canEditTask(t, username) { return !!(t && username && t.poster === username && taskStatus(t) === 'open'); }
+	async function updateTask(taskId, changes) {
+		const task = allTasksLocal().find(t => t.id === taskId);
+		const me = currentUser();
+		if (!task) return {ok:false, message:'Task not found'};
+		if (!canEditTask(task, me && me.username)) return {ok:false, message:'Only the poster can edit a task, and only while it is open'};
+		return taskAction('/tasks/' + encodeURIComponent(taskId) + '/edit', changes);
 	}
+	// Names of the fields in an edit history entry (see server/routes/tasks.js)
+	const TASK_FIELD_LABELS = {title:'Title', description:'Description', category:'Category', subcategory:'Type of work', location:'Location', budget:'Budget', area:'Area', coords:'Map pin', photos:'Photos'};
 	async function removeTask(id) {
-		const tasks = allTasksLocal().filter(t => t.id !== id);
-		saveTasks(tasks);
-		if (isFirestoreReady()) {
-			try {
-				const rem = await window.FB.queryEqual('lh_tasks', 'localId', id);
-				if (rem && rem.length>0) await window.FB.delete('lh_tasks', rem[0]._id);
-			} catch (e) { console.error('Failed to remove task from Firestore', e); }
-		}
+		await store.remove('lh_tasks', id);
 	}
 
 	// Applications
-	// Cached remote data (populated once at page load)
-	let __CACHED_REMOTE_APPLICATIONS__ = null;
-	
-	// Synchronous local read (for immediate UI updates)
-	function allApplicationsLocal() { return read('lh_applications', []); }
-	
-	// Async read that prefers remote Firestore when available
-	async function allApplications() {
-		// If remote cache is populated, use it
-		if (__CACHED_REMOTE_APPLICATIONS__ !== null) {
-			return __CACHED_REMOTE_APPLICATIONS__;
-		}
-		// If Firestore ready, fetch from remote and cache it
-		if (isFirestoreReady()) {
-			try {
-				const remote = await window.FB.getAll('lh_applications');
-				if (remote && Array.isArray(remote)) {
-					const mapped = remote.map(r => {
-						const obj = Object.assign({}, r);
-						if (!obj.id) obj.id = obj.localId || obj._id || Date.now();
-						return obj;
-					});
-					__CACHED_REMOTE_APPLICATIONS__ = mapped;
-					write('lh_applications', mapped);
-					return mapped;
-				}
-			} catch (e) { console.warn('Failed to fetch applications from Firestore', e); }
-		}
-		// Fallback to local
-		return allApplicationsLocal();
-	}
-	
-	function saveApplications(a) { write('lh_applications', a); __CACHED_REMOTE_APPLICATIONS__ = a; }
-	async function addApplication(app) {
-		// create application locally and persist, then sync to Firestore (await when available)
-		const apps = allApplicationsLocal();
-		app.id = Date.now() + Math.floor(Math.random()*999);
-		app.taskId = Number(app.taskId); // Ensure taskId is a number
-		app.createdAt = new Date().toISOString();
-		apps.push(app); saveApplications(apps);
-		if (isFirestoreReady()) {
-			try {
-				const payload = Object.assign({}, app, { localId: app.id });
-				await window.FB.add('lh_applications', payload);
-			} catch(e) { console.error('Failed to sync application to Firestore', e); }
+	// Synchronous cached read (for immediate UI updates)
+	function allApplicationsLocal() { return store.peek('lh_applications'); }
+
+	// Async read; fetches from Firestore once per page load when available
+	function allApplications() { return store.list('lh_applications'); }
+
+	// Accepting goes through the API server, which also holds the task budget in escrow
+	async function updateApplication(id, updates) {
+		if (updates.status === 'accepted') {
+			const res = await acceptApplication(id);
+			return res.ok ? res.application : null;
 		}
+		const app = await store.update('lh_applications', id, updates);
+		if (!app || updates.status !== 'rejected') return app;
+		const task = allTasksLocal().find(t => t.id === app.taskId);
+		// tell the applicant, naming the task
+		const title = task ? (task.title || ('#'+task.id)) : ('#'+app.taskId);
+		await sendMessage(currentUser().username, app.applicant, `Your application for "${title}" was rejected.`, app.taskId);
+		await notify('application_rejected', {applicationId: app.id});
 		return app;
 	}
 
-	async function updateApplication(id, updates) {
-		const apps = allApplicationsLocal().map(a => a.id === id ? Object.assign({}, a, updates) : a);
-		saveApplications(apps);
-		if (isFirestoreReady()) {
-			try {
-				const rem = await window.FB.queryEqual('lh_applications', 'localId', id);
-				if (rem && rem.length>0) await window.FB.set('lh_applications', rem[0]._id, Object.assign({}, updates, { localId: id }));
-				else await window.FB.add('lh_applications', Object.assign({}, updates, { localId: id }));
-			} catch(e){ console.error('Failed to sync application update to Firestore', e); }
+	// Task lifecycle: status → { next status: who may make the move }. The API server enforces the
+	// same table (server/routes/tasks.js) because most moves also hold, release or refund escrow money.
+	const TASK_TRANSITIONS = {
+		open: {assigned:'poster', cancelled:'poster'},
+		assigned: {in_progress:'worker', open:'either', cancelled:'poster'},
+		in_progress: {completed:'worker', open:'either', cancelled:'poster'},
+		completed: {closed:'poster'},
+		cancelled: {open:'poster'},
+		closed: {}
+	};
+	const TASK_STATUS_LABELS = {open:'Open', assigned:'Assigned', in_progress:'In progress', completed:'Done, awaiting confirmation', closed:'Closed', cancelled:'Cancelled'};
+
+	function taskStatus(t) { return (t && t.status) || 'open'; }
+
+	// A task's photos as [{url, thumbUrl}] (see media.js). Tasks posted before photos moved to storage
+	// carry one data-URL `image`, which serves as both.
+	function taskPhotos(t) {
+		if (t && Array.isArray(t.photos)) return t.photos.filter(function (p) { return p && p.url; });
+		return t && t.image ? [{url: t.image, thumbUrl: t.image}] : [];
+	}
+
+	function taskRole(t, username) {
+		if (!t || !username) return null;
+		if (t.poster === username) return 'poster';
+		if (t.assignedTo && t.assignedTo === username) return 'worker';
+		return null;
+	}
+
+	// Statuses `username` may move the task to
+	function allowedTransitions(t, username) {
+		const role = taskRole(t, username);
+		if (!role) return [];
+		const next = TASK_TRANSITIONS[taskStatus(t)] || {};
+		return Object.keys(next).filter(to => next[to] === 'either' || next[to] === role);
+	}
+
+	// Docs in a server reply ({task, application, payment, user}) are cached as the server wrote them
+	const REPLY_COLLECTIONS = {task:'lh_tasks', application:'lh_applications', payment:'lh_payments', user:'lh_users'};
+	async function cacheServerDocs(res) {
+		for (const field of Object.keys(REPLY_COLLECTIONS)) {
+			if (!res[field]) continue;
+			if (store.cache) await store.cache(REPLY_COLLECTIONS[field], res[field]);
+			else await store.put(REPLY_COLLECTIONS[field], res[field]);
 		}
-		// if accepted, also mark task
-		if (updates.status === 'accepted') {
-			const app = apps.find(a => a.id === id);
-			if (app) {
-				const tasks = allTasksLocal();
-				const task = tasks.find(t => t.id === app.taskId);
-				if (task) {
-					task.assignedTo = app.applicant;
-					task.status = 'assigned';
-					await updateTask(task);
-				}
+	}
+
+	async function taskAction(path, body) {
+		const res = await LHApi.post(path, body);
+		if (!res.ok) return {ok:false, message: res.message};
+		await cacheServerDocs(res);
+		return res;
+	}
+
+	function escrowLine(payment) {
+		return payment ? ' ' + formatNaira(payment.amount) + ' is held in escrow until the task is completed.' : '';
+	}
+
+	async function acceptApplication(appId) {
+		const app = allApplicationsLocal().find(a => a.id === appId);
+		if (!app) return {ok:false, message:'Application not found'};
+		const task = allTasksLocal().find(t => t.id === app.taskId);
+		const me = currentUser();
+		if (!task || !me || !allowedTransitions(task, me.username).includes('assigned')) return {ok:false, message:'Only the poster of an open task can accept applications'};
+		let res = await taskAction('/tasks/' + encodeURIComponent(app.taskId) + '/applications/' + encodeURIComponent(appId) + '/accept');
+		if (!res.ok) return res;
+		if (res.charge) {
+			// A fixed budget is paid into escrow first; the server assigns the task once Paystack confirms it
+			if (typeof window.payEscrowCharge !== 'function') return {ok:false, message:'Payments are not available on this page'};
+			try {
+				res = await window.payEscrowCharge(res.charge, res.charge.email || me.email || me.username + '@worklink.app', me.username);
+			} catch (err) {
+				return {ok:false, message: err.message};
 			}
 		}
-		// send notification message to applicant including task title
-		const app = allApplicationsLocal().find(a => a.id === id);
-		if (app) {
-			const task = allTasksLocal().find(t => t.id === app.taskId);
-			const title = task ? (task.title || ('#'+task.id)) : ('#'+app.taskId);
-			const text = updates.status === 'accepted'
-				? `Your application for "${title}" was accepted.`
-				: `Your application for "${title}" was rejected.`;
-			await sendMessage(currentUser().username, app.applicant, text);
-		}
-		return apps.find(a=>a.id===id);
-	}	// Messages
-	function allMessages() { return read('lh_messages', []); }
-	function saveMessages(m) { write('lh_messages', m); }
-	async function sendMessage(from, to, content) {
-		const msgs = allMessages();
-		const msg = {id: Date.now()+Math.floor(Math.random()*99), from, to, content, createdAt:new Date().toISOString()};
-		msgs.push(msg); saveMessages(msgs);
-		if (isFirestoreReady()) {
-			try { await window.FB.add('lh_messages', Object.assign({}, msg, { localId: msg.id })); } catch(e){ console.error('Failed to sync message to Firestore', e); }
+		const title = res.task.title || ('#'+res.task.id);
+		await sendMessage(me.username, app.applicant, `Your application for "${title}" was accepted.` + escrowLine(res.payment), app.taskId);
+		return res;
+	}
+
+	// Move a task along its lifecycle (anything but assigning, which happens by accepting an application)
+	async function transitionTask(taskId, to, note) {
+		const task = allTasksLocal().find(t => t.id === taskId);
+		const me = currentUser();
+		if (!task) return {ok:false, message:'Task not found'};
+		if (!me || !allowedTransitions(task, me.username).includes(to)) {
+			return {ok:false, message:'This task is ' + TASK_STATUS_LABELS[taskStatus(task)].toLowerCase() + ' and cannot be moved to ' + (TASK_STATUS_LABELS[to] || to).toLowerCase() + ' by you'};
+		}
+		const res = await taskAction('/tasks/' + encodeURIComponent(taskId) + '/transition', {to, note: note || ''});
+		if (!res.ok) return res;
+		// let the other side know
+		const other = taskRole(task, me.username) === 'poster' ? task.assignedTo : task.poster;
+		if (other) {
+			let text = `${me.username} moved "${task.title}" to ${TASK_STATUS_LABELS[to].toLowerCase()}.`;
+			if (res.payment) text += ` ${formatNaira(res.payment.amount)} was ${res.payment.status}.`;
+			await sendMessage(me.username, other, text, taskId);
 		}
-		return msg;
+		return res;
+	}
+
+	async function disputeTask(taskId, reason) {
+		return taskAction('/tasks/' + encodeURIComponent(taskId) + '/dispute', {reason: reason});
+	}
+
+	// Latest escrow record for a task (only visible to its poster and worker). A charge started by
+	// accepting an application is not in escrow until it is paid.
+	function escrowForTask(taskId) {
+		return allPayments()
+			.filter(p => p.kind === 'escrow' && p.taskId === taskId && p.status !== 'pending' && p.status !== 'failed')
+			.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))[0] || null;
+	}
+
+	// Messages. Conversations are threads (lh_threads) between two users, optionally about one task.
+	// A thread's id is derived from both usernames (and the task), so either side finds the same one.
+	// Each participant's read marker has its own field, readAt0 or readAt1 in participant order, so
+	// the two sides never overwrite each other. Messages from before threads have no threadId and
+	// belong to the pair's general thread.
+	function allMessages() { return store.peek('lh_messages'); }
+	function allThreadsLocal() { return store.peek('lh_threads'); }
+
+	function threadId(a, b, taskId) {
+		return [a, b].sort().join('~') + (taskId ? '~' + taskId : '');
 	}
+	function readField(thread, username) { return thread.participants[0] === username ? 'readAt0' : 'readAt1'; }
+	function threadPartner(thread, username) { return thread.participants[0] === username ? thread.participants[1] : thread.participants[0]; }
 
-	// Payments (demo) - minimal records only
-	function allPayments() { return read('lh_payments', []); }
-	function savePayments(p) { write('lh_payments', p); }
-	async function createPayment(taskId, fromUser, toUser, amount) {
-		const payments = allPayments();
-		const p = {id: Date.now()+Math.floor(Math.random()*999), taskId, from:fromUser, to:toUser, amount, status:'completed', createdAt:new Date().toISOString()};
-		payments.push(p); savePayments(payments);
-		if (isFirestoreReady()) {
-			try { await window.FB.add('lh_payments', Object.assign({}, p, { localId: p.id })); } catch(e){ console.error('Failed to sync payment to Firestore', e); }
+	function newThread(a, b, taskId) {
+		const thread = {id: threadId(a, b, taskId), participants: [a, b].sort(), createdAt: new Date().toISOString()};
+		if (taskId) {
+			const task = allTasksLocal().find(t => t.id === taskId);
+			thread.taskId = taskId;
+			thread.taskTitle = task ? task.title || '' : '';
 		}
-		return p;
+		return thread;
+	}
+
+	// The thread between `a` and `b` (about `taskId`, if given), unsaved if they have not talked yet
+	function findThread(a, b, taskId) {
+		const id = threadId(a, b, taskId);
+		return allThreadsLocal().find(t => t.id === id) || newThread(a, b, taskId);
+	}
+	function threadById(id) {
+		const saved = allThreadsLocal().find(t => t.id === id);
+		if (saved) return saved;
+		const parts = String(id || '').split('~');
+		return parts.length >= 2 && parts[0] && parts[1] ? newThread(parts[0], parts[1], parts[2]) : null;
+	}
+
+	function threadMessages(thread) {
+		const general = !thread.taskId;
+		return allMessages()
+			.filter(m => m.threadId === thread.id || (general && !m.threadId && threadId(m.from, m.to) === thread.id))
+			.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+	}
+
+	function unreadInThread(thread, username, messages) {
+		const since = thread[readField(thread, username)] || '';
+		return (messages || threadMessages(thread)).filter(m => m.to === username && String(m.createdAt) > since).length;
+	}
+
+	// Whether the other participant has opened the thread since `msg` was sent
+	function messageSeen(thread, msg) {
+		return String(thread[readField(thread, msg.to)] || '') >= String(msg.createdAt);
+	}
+
+	// `username`'s conversations, latest activity first, as { thread, partner, messages, last, unread }
+	function threadsFor(username) {
+		const byId = new Map();
+		allThreadsLocal().filter(t => (t.participants || []).includes(username)).forEach(t => byId.set(t.id, t));
+		allMessages().forEach(function (m) {
+			if (m.from !== username && m.to !== username) return;
+			const id = m.threadId || threadId(m.from, m.to);
+			if (!byId.has(id)) { const t = threadById(id); if (t) byId.set(id, t); }
+		});
+		return Array.from(byId.values()).map(function (thread) {
+			const messages = threadMessages(thread);
+			const last = messages[messages.length - 1] || null;
+			return {thread, partner: threadPartner(thread, username), messages, last, unread: unreadInThread(thread, username, messages)};
+		}).sort((a, b) => String(b.last ? b.last.createdAt : b.thread.createdAt).localeCompare(String(a.last ? a.last.createdAt : a.thread.createdAt)));
+	}
+
+	function unreadMessageCount(username) {
+		return threadsFor(username).reduce((n, s) => n + s.unread, 0);
+	}
+
+	async function saveThread(thread, patch) {
+		const saved = allThreadsLocal().find(t => t.id === thread.id);
+		return store.put('lh_threads', Object.assign({}, saved || thread, patch));
+	}
+
+	async function sendMessage(from, to, content, taskId) {
+		const thread = findThread(from, to, taskId);
+		const msg = {id: LHStorage.newId(), threadId: thread.id, from, to, content, createdAt:new Date().toISOString()};
+		// the thread goes first: the security rules check a message against its thread
+		await saveThread(thread, {[readField(thread, from)]: msg.createdAt});
+		await store.put('lh_messages', msg);
+		return msg;
+	}
+
+	// Move the current user's read marker to the newest message they were sent in the thread
+	async function markThreadRead(thread) {
+		const me = currentUser();
+		if (!me || !thread.participants.includes(me.username)) return thread;
+		const incoming = threadMessages(thread).filter(m => m.to === me.username);
+		const latest = incoming.length ? incoming[incoming.length - 1].createdAt : '';
+		if (!latest || String(thread[readField(thread, me.username)] || '') >= latest) return thread;
+		return saveThread(thread, {[readField(thread, me.username)]: latest});
+	}
+
+	// Notifications (lh_notifications): one doc per recipient and event, shown by the navbar bell and on
+	// notifications.html. All are written by the API server (server/lib/notifications.js), which keeps
+	// the same list of types; the browser asks it for the ones about its user's own writes (notify below).
+	// Users can mute a type; muted notifications are still stored, just not shown.
+	const NOTIFICATION_TYPES = {
+		application_new: 'New applications on my tasks',
+		application_accepted: 'My applications accepted',
+		application_rejected: 'My applications not accepted',
+		task_status: 'Task status changes',
+		payment_received: 'Payments received',
+		review_new: 'New reviews of me',
+		task_reminder: 'Task reminders',
+		task_updated: 'Changes to tasks I applied for'
+	};
+	function allNotifications() { return store.peek('lh_notifications'); }
+
+	// Tells the other side about an application or review this user just wrote: `ref` names it
+	// ({applicationId} or {reviewId}). The API server checks it, then writes and delivers the notification
+	// with its own wording. Best effort: the write itself has already succeeded.
+	async function notify(type, ref) {
+		if (!currentUser()) return null;
+		// The server reads the document from Firestore, so it has to be synced first
+		const col = ref.applicationId ? 'lh_applications' : 'lh_reviews';
+		const key = ref.applicationId || ref.reviewId;
+		for (let i = 0; i < 2 && store.outbox && store.outbox.has(col, key); i++) await store.flush();
+		if (store.outbox && store.outbox.has(col, key)) return null;
+		const res = await LHApi.post('/notifications', Object.assign({type}, ref));
+		if (res.ok) return res.notification;
+		console.warn('Notification not sent:', res.message);
+		return null;
+	}
+
+	// { type: on } for every type; anything not switched off is on
+	function notificationPrefs(username) {
+		const saved = (findUserByUsername(username) || {}).notificationPrefs || {};
+		const prefs = {};
+		Object.keys(NOTIFICATION_TYPES).forEach(type => { prefs[type] = saved[type] !== false; });
+		return prefs;
+	}
+
+	async function setNotificationPrefs(prefs) {
+		const me = currentUser();
+		if (!me) return null;
+		return updateUser({username: me.username, notificationPrefs: Object.assign(notificationPrefs(me.username), prefs)});
+	}
+
+	// `username`'s notifications of the types they have not muted, newest first
+	function notificationsFor(username) {
+		const prefs = notificationPrefs(username);
+		return allNotifications()
+			.filter(n => n.to === username && prefs[n.type] !== false)
+			.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+	}
+
+	function unreadNotificationCount(username) {
+		return notificationsFor(username).filter(n => !n.readAt).length;
+	}
+
+	async function markNotificationRead(id) {
+		const n = allNotifications().find(x => x.id === id);
+		if (!n || n.readAt) return n || null;
+		return store.update('lh_notifications', id, {readAt: new Date().toISOString()});
+	}
+
+	async function markAllNotificationsRead() {
+		const me = currentUser();
+		if (!me) return;
+		for (const n of notificationsFor(me.username).filter(x => !x.readAt)) await markNotificationRead(n.id);
+	}
+
+	// Payments - written by the API server only
+	function allPayments() { return store.peek('lh_payments'); }
+
+	// Earnings: escrow payments released to `username`, with the task they paid for, newest first. As on
+	// income statements, only escrow the poster paid through Paystack counts.
+	function earningsFor(username) {
+		return allPayments()
+			.filter(p => p.kind === 'escrow' && p.status === 'released' && p.to === username && p.paystackReference && p.paidAt)
+			.map(function (p) {
+				const task = allTasksLocal().find(t => t.id === p.taskId);
+				const released = (p.history || []).filter(h => h.status === 'released').pop();
+				return {paymentId: p.id, taskId: p.taskId, title: task ? task.title : '', client: p.from, amount: Number(p.amount) || 0, paidAt: (released && released.at) || p.updatedAt || p.createdAt};
+			})
+			.sort((a, b) => String(b.paidAt).localeCompare(String(a.paidAt)));
+	}
+
+	// [{month: 'YYYY-MM', total}] for earnings rows, oldest month first
+	function monthlyTotals(rows) {
+		const months = {};
+		rows.forEach(r => { const m = String(r.paidAt).slice(0, 7); months[m] = (months[m] || 0) + r.amount; });
+		return Object.keys(months).sort().map(month => ({month, total: months[month]}));
+	}
+
+	// Statements are compiled and stored by the API server, which gives each a verification code
+	// (server/routes/statements.js). `period` is {from, to} as dates, both optional.
+	async function requestStatement(period) {
+		const res = await LHApi.post('/statements', period || {});
+		if (!res.ok) return {ok:false, message: res.message};
+		return {ok:true, statement: res.statement};
+	}
+
+	// Reviews: each side of a finished task rates the other once. The id is `<taskId>_<reviewer>`, so a
+	// second review of the same task collides instead of piling up (firestore.rules only allows creating).
+	const MAX_REVIEW_LENGTH = 500;
+	function allReviews() { return store.peek('lh_reviews'); }
+	function reviewId(taskId, from) { return taskId + '_' + from; }
+
+	// Reviews received by `username`, newest first
+	function reviewsFor(username) {
+		return allReviews().filter(r => r.to === username).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+	}
+
+	function ratingSummary(username) {
+		const reviews = reviewsFor(username);
+		if (!reviews.length) return {average:0, count:0};
+		const total = reviews.reduce((sum, r) => sum + Number(r.rating || 0), 0);
+		return {average: Math.round(total / reviews.length * 10) / 10, count: reviews.length};
+	}
+
+	// Who `username` can review for this task, or null (not finished, not a party, or already reviewed)
+	function reviewTarget(task, username) {
+		if (!task || !username || !['completed', 'closed'].includes(taskStatus(task))) return null;
+		const role = taskRole(task, username);
+		const other = role === 'poster' ? task.assignedTo : role === 'worker' ? task.poster : null;
+		if (!other) return null;
+		if (allReviews().some(r => r.id === reviewId(task.id, username))) return null;
+		return other;
+	}
+
+	async function addReview(taskId, rating, text) {
+		const me = currentUser();
+		const task = allTasksLocal().find(t => t.id === taskId);
+		if (!me) return {ok:false, message:'Please sign in to leave a review'};
+		const to = reviewTarget(task, me.username);
+		if (!to) return {ok:false, message:'You can review a task once, after it is done'};
+		rating = Number(rating);
+		if (!Number.isInteger(rating) || rating < 1 || rating > 5) return {ok:false, message:'Choose a rating from 1 to 5'};
+		text = String(text || '').trim();
+		if (text.length > MAX_REVIEW_LENGTH) return {ok:false, message:'Reviews are limited to ' + MAX_REVIEW_LENGTH + ' characters'};
+		const review = {id: reviewId(taskId, me.username), taskId, from: me.username, to, rating, text, createdAt: new Date().toISOString()};
+		await store.put('lh_reviews', review);
+		await notify('review_new', {reviewId: review.id});
+		return {ok:true, review};
+	}
+
+	// "★ 4.5 (3)" for cards and lists (LHRender markup); empty when the user has no reviews yet
+	function ratingBadge(username) {
+		const r = ratingSummary(username);
+		if (!r.count) return LHRender.html``;
+		return LHRender.html` <span class="badge bg-light text-dark" title="${r.count + (r.count === 1 ? ' review' : ' reviews')}">&#9733; ${r.average.toFixed(1)} (${r.count})</span>`;
 	}
 
 	// User updates and permit system (demo)
-	function updateUser(updated) {
-		const users = allUsers();
-		const idx = users.findIndex(u => u.username === updated.username);
-		if (idx === -1) return null;
-		users[idx] = Object.assign({}, users[idx], updated);
-		saveUsers(users);
-		return users[idx];
-	}
-
-	async function purchasePermit(username, count) {
-		count = Number(count) || 1;
-		const users = allUsers();
-		const idx = users.findIndex(u => u.username === username);
-		if (idx === -1) return null;
-		users[idx].permits = (users[idx].permits || 0) + count;
-		saveUsers(users);
-		// record a demo payment (to: platform)
-		try { await createPayment(null, username, 'platform', 100 * count); } catch(e){ console.error('Failed to record payment', e); }
-		// try sync user permits to Firestore when available
-		if (isFirestoreReady()) {
-			try {
-				const rem = await window.FB.queryEqual('lh_users', 'username', username);
-				const payload = Object.assign({}, users[idx]);
-				if (rem && rem.length>0) {
-					await window.FB.set('lh_users', rem[0]._id, payload);
-				} else {
-					await window.FB.add('lh_users', payload);
-				}
-			} catch(e){ console.error('Failed to sync user permit to Firestore', e); }
-		}
-		return users[idx];
+	async function updateUser(updated) {
+		const user = findUserByUsername(updated.username);
+		if (!user) return null;
+		const merged = Object.assign({}, user, updated);
+		await store.put('lh_users', merged);
+		// keep the display copy in the session in step with the profile
+		const s = LHApi.session();
+		if (s && s.user.username === merged.username) LHApi.setSession(Object.assign({}, s, { user: { username: merged.username, name: merged.name, email: merged.email } }));
+		return merged;
 	}
 
+	// Permits are credited by the API server once Paystack confirms the charge (server/routes/payments.js);
+	// this brings the cached profile and payment list in step with its reply.
+	function recordPurchase(res) { return cacheServerDocs(res); }
+
 	function hasPermit(username) {
 		const u = findUserByUsername(username);
 		if (!u) return false;
@@ -323,36 +629,38 @@
 		return false;
 	}
 
-	function consumePermit(username) {
-		const users = allUsers();
-		const idx = users.findIndex(u => u.username === username);
-		if (idx === -1) return false;
-		if (!users[idx].freePermitUsed) {
-			users[idx].freePermitUsed = true;
-			saveUsers(users);
-			return true;
-		}
-		if ((users[idx].permits || 0) > 0) {
-			users[idx].permits = (users[idx].permits || 0) - 1;
-			saveUsers(users);
-			return true;
-		}
-		return false;
+	// The change to a profile that spends one permit, the free one first; null when none is left
+	function permitSpend(user) {
+		if (!user.freePermitUsed) return {patch: {freePermitUsed: true}};
+		if ((user.permits || 0) > 0) return {patch: {}, increment: {permits: -1}};
+		return null;
 	}
 
+	// The application and the permit it spends are one write: firestore.rules only accepts an application
+	// whose applicant's profile is one permit down in the same write, naming it as `lastApplicationId`
 	async function applyToTask(app) {
 		if (!app || !app.applicant) return {ok:false, message:'Invalid application'};
-		if (!hasPermit(app.applicant)) return {ok:false, message:'No permit available', code:'no_permit'};
-		// consume permit and add application
-		const consumed = consumePermit(app.applicant);
-		if (!consumed) return {ok:false, message:'Unable to consume permit'};
-		const created = await addApplication(app);
-		return {ok:true, app: created};
+		const task = allTasksLocal().find(t => t.id === app.taskId);
+		if (task && taskStatus(task) !== 'open') return {ok:false, message:'This task is no longer taking applications', code:'not_open'};
+		const user = findUserByUsername(app.applicant);
+		const spend = user && permitSpend(user);
+		if (!spend) return {ok:false, message:'No permit available', code:'no_permit'};
+		app.id = LHStorage.newId();
+		app.createdAt = new Date().toISOString();
+		try {
+			await store.commit([
+				{col:'lh_applications', doc: app},
+				{col:'lh_users', key: user.username, patch: Object.assign({lastApplicationId: app.id}, spend.patch), increment: spend.increment}
+			]);
+		} catch (e) {
+			console.warn('Application was not sent', e);
+			return {ok:false, message: e && e.code === 'permission-denied' ? 'Your application was refused. Refresh the page and try again.' : 'Could not send your application. Check your connection and try again.'};
+		}
+		if (task) await notify('application_new', {applicationId: app.id});
+		return {ok:true, app: app};
 	}
 
-	// Utilities
-	function escapeHtml(s) { if (!s && s !== 0) return ''; return String(s).replace(/[&<>"']/g, function (m) { return {'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":"&#39;"}[m]; }); }
-
+	// Utilities (HTML escaping and safe URLs are in render.js)
 	function formatDate(iso) {
 		try {
 			const d = new Date(iso);
@@ -362,11 +670,21 @@
 		} catch(e) { return iso; }
 	}
 
+	// The task's budget in the reader's locale ("₦5,000 per day"), or the note kept when an old free-text
+	// budget could not be read (see server/scripts/migrate-budgets.js); '' for none
+	function formatBudget(t) {
+		return LHBudget.format(t && t.budget) || (t && t.budgetNote) || '';
+	}
+
+	function formatNaira(amount) {
+		return '₦' + Number(amount || 0).toLocaleString('en-NG');
+	}
+
 	// Sign-in modal (build on demand)
 	function ensureAuthModal() {
 		if (document.getElementById('lhAuthModal')) return document.getElementById('lhAuthModal');
 		const div = document.createElement('div');
-		div.innerHTML = '\n      <div class="modal fade" id="lhAuthModal" tabindex="-1" aria-hidden="true">\n        <div class="modal-dialog modal-dialog-centered">\n          <div class="modal-content">\n            <div class="modal-header">\n              <h5 class="modal-title">Sign In / Register</h5>\n              <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>\n            </div>\n            <div class="modal-body">\n              <ul class="nav nav-tabs" id="lhAuthTabs" role="tablist">\n                <li class="nav-item" role="presentation"><button class="nav-link active" id="login-tab" data-bs-toggle="tab" data-bs-target="#login" type="button" role="tab">Login</button></li>\n                <li class="nav-item" role="presentation"><button class="nav-link" id="reg-tab" data-bs-toggle="tab" data-bs-target="#register" type="button" role="tab">Register</button></li>\n              </ul>\n              <div class="tab-content pt-3">\n                <div class="tab-pane fade show active" id="login" role="tabpanel">\n                  <form id="lhLoginForm">\n                    <div class="mb-2"><label class="form-label">Username</label><input class="form-control" name="username" required></div>\n                    <div class="mb-2"><label class="form-label">Password</label><input class="form-control" name="password" type="password" required></div>\n                    <div class="text-end"><button class="btn btn-primary" type="submit">Login</button></div>\n                  </form>\n                </div>\n                <div class="tab-pane fade" id="register" role="tabpanel">\n                  <form id="lhRegisterForm">\n                    <div class="mb-2"><label class="form-label">Username</label><input class="form-control" name="username" required></div>\n                    <div class="mb-2"><label class="form-label">Full name</label><input class="form-control" name="displayName"></div>\n<div class="mb-2"><label class="form-label">Email</label><input class="form-control" name="Email"></div>\n<div class="mb-2"><label class="form-label">Password</label><input class="form-control" name="password" type="password" required></div>\n                    <div class="text-end"><button class="btn btn-success" type="submit">Register</button></div>\n                  </form>\n                </div>\n              </div>\n            </div>\n          </div>\n        </div>\n      </div>';
+		div.innerHTML = '\n      <div class="modal fade" id="lhAuthModal" tabindex="-1" aria-hidden="true">\n        <div class="modal-dialog modal-dialog-centered">\n          <div class="modal-content">\n            <div class="modal-header">\n              <h5 class="modal-title">Sign In / Register</h5>\n              <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>\n            </div>\n            <div class="modal-body">\n              <ul class="nav nav-tabs" id="lhAuthTabs" role="tablist">\n                <li class="nav-item" role="presentation"><button class="nav-link active" id="login-tab" data-bs-toggle="tab" data-bs-target="#login" type="button" role="tab">Login</button></li>\n                <li class="nav-item" role="presentation"><button class="nav-link" id="reg-tab" data-bs-toggle="tab" data-bs-target="#register" type="button" role="tab">Register</button></li>\n                <li class="nav-item" role="presentation"><button class="nav-link" id="phone-tab" data-bs-toggle="tab" data-bs-target="#phoneAuth" type="button" role="tab">Phone</button></li>\n              </ul>\n              <div class="tab-content pt-3">\n                <div class="tab-pane fade show active" id="login" role="tabpanel">\n                  <form id="lhLoginForm">\n                    <div class="mb-2"><label class="form-label">Username</label><input class="form-control" name="username" required></div>\n                    <div class="mb-2"><label class="form-label">Password</label><input class="form-control" name="password" type="password" required></div>\n                    <div class="text-end"><button class="btn btn-primary" type="submit">Login</button></div>\n                  </form>\n                </div>\n                <div class="tab-pane fade" id="register" role="tabpanel">\n                  <form id="lhRegisterForm">\n                    <div class="mb-2"><label class="form-label">Username</label><input class="form-control" name="username" required></div>\n                    <div class="mb-2"><label class="form-label">Full name</label><input class="form-control" name="displayName"></div>\n<div class="mb-2"><label class="form-label">Email</label><input class="form-control" name="Email"></div>\n<div class="mb-2"><label class="form-label">Password</label><input class="form-control" name="password" type="password" minlength="8" required></div>\n                    <div class="text-end"><button class="btn btn-success" type="submit">Register</button></div>\n                  </form>\n                </div>\n                <div class="tab-pane fade" id="phoneAuth" role="tabpanel">\n                  <form id="lhPhoneForm">\n                    <p class="small text-muted">Sign in or register with a code sent to your phone by SMS.</p>\n                    <div class="mb-2"><label class="form-label">Phone number</label><div class="input-group"><input class="form-control" name="phone" type="tel" autocomplete="tel" placeholder="0803 123 4567" required><button class="btn btn-outline-primary" type="button" data-send-code>Send code</button></div></div>\n                    <div class="mb-2 d-none" data-code-step><label class="form-label">Code</label><input class="form-control" name="code" inputmode="numeric" autocomplete="one-time-code" maxlength="6"><div class="form-text" data-code-hint></div></div>\n                    <div class="d-none" data-new-account><div class="alert alert-info small py-2">No account uses this number yet. Choose a username to create one.</div><div class="mb-2"><label class="form-label">Username</label><input class="form-control" name="username"></div><div class="mb-2"><label class="form-label">Full name</label><input class="form-control" name="displayName"></div></div>\n                    <div class="text-end d-none" data-code-step><button class="btn btn-primary" type="submit">Continue</button></div>\n                  </form>\n                </div>\n              </div>\n            </div>\n          </div>\n        </div>\n      </div>';
 		document.body.appendChild(div);
 		// bind forms
 		const loginForm = document.getElementById('lhLoginForm');
@@ -381,13 +699,43 @@
 			updateSigninButtons();
 			window.location = 'account.html';
 		});
+		const phoneForm = document.getElementById('lhPhoneForm');
+		if (phoneForm) {
+			const sendBtn = phoneForm.querySelector('[data-send-code]');
+			sendBtn.addEventListener('click', async function () {
+				sendBtn.disabled = true;
+				const res = await requestPhoneCode(phoneForm.phone.value.trim());
+				if (!res.ok) { sendBtn.disabled = false; return showInfo('Could not send a code', res.message); }
+				phoneForm.querySelectorAll('[data-code-step]').forEach(function (el) { el.classList.remove('d-none'); });
+				phoneForm.querySelector('[data-code-hint]').textContent = 'We sent a 6-digit code to ' + res.phone + '.';
+				phoneForm.code.focus();
+				// the server allows one code a minute per number
+				sendBtn.textContent = 'Resend';
+				setTimeout(function () { sendBtn.disabled = false; }, (res.resendAfterSeconds || 60) * 1000);
+			});
+			phoneForm.addEventListener('submit', async function (e) {
+				e.preventDefault();
+				const fd = new FormData(phoneForm);
+				const res = await signInWithPhone(String(fd.get('phone')).trim(), String(fd.get('code')).trim(), String(fd.get('username') || '').trim(), fd.get('displayName'));
+				if (!res.ok && res.code === 'phone_not_registered') {
+					phoneForm.querySelector('[data-new-account]').classList.remove('d-none');
+					phoneForm.username.required = true;
+					phoneForm.username.focus();
+					return;
+				}
+				if (!res.ok) return showInfo('Sign-in failed', res.message);
+				var modal = bootstrap.Modal.getInstance(document.getElementById('lhAuthModal'));
+				if (modal) modal.hide();
+				updateSigninButtons();
+				window.location = 'account.html';
+			});
+		}
 		if (regForm) regForm.addEventListener('submit', async function (e) {
 			e.preventDefault();
-			const fd = new FormData(regForm); const u = fd.get('username'); const p = fd.get('password'); const d = fd.get('displayName');
-			const res = await createUser(u,p,d);
+			const fd = new FormData(regForm); const u = fd.get('username'); const p = fd.get('password'); const d = fd.get('displayName'); const em = fd.get('Email');
+			const res = await createUser(u,p,d,em);
 			if (!res.ok) return showInfo('Registration failed', res.message);
-			await showInfo('Registered', 'Registration successful — signing in');
-			await signInUser(u,p);
+			await showInfo('Registered', 'Registration successful — you are now signed in');
 			var modal = bootstrap.Modal.getInstance(document.getElementById('lhAuthModal'));
 			if (modal) modal.hide();
 			updateSigninButtons();
@@ -402,16 +750,16 @@
 			let existing = document.getElementById('lhMsgModal');
 			if (existing) existing.remove();
 			const div = document.createElement('div');
-			div.innerHTML = `
+			LHRender.set(div, LHRender.html`
 				<div class="modal fade" id="lhMsgModal" tabindex="-1" aria-hidden="true">
 					<div class="modal-dialog modal-dialog-centered">
 						<div class="modal-content">
-							<div class="modal-header"><h5 class="modal-title">${escapeHtml(title||'Notice')}</h5><button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button></div>
-							<div class="modal-body"><p>${escapeHtml(message||'')}</p></div>
+							<div class="modal-header"><h5 class="modal-title">${title||'Notice'}</h5><button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button></div>
+							<div class="modal-body"><p>${message||''}</p></div>
 							<div class="modal-footer"><button type="button" class="btn btn-primary" data-bs-dismiss="modal">OK</button></div>
 						</div>
 					</div>
-				</div>`;
+				</div>`);
 			document.body.appendChild(div);
 			const modalEl = document.getElementById('lhMsgModal');
 			const modal = new bootstrap.Modal(modalEl);
@@ -424,16 +772,16 @@
 		let existing = document.getElementById('lhConfirmModal');
 		if (existing) existing.remove();
 		const div = document.createElement('div');
-		div.innerHTML = `
+		LHRender.set(div, LHRender.html`
 			<div class="modal fade" id="lhConfirmModal" tabindex="-1" aria-hidden="true">
 				<div class="modal-dialog modal-dialog-centered">
 					<div class="modal-content">
 						<div class="modal-header"><h5 class="modal-title">Confirm</h5><button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button></div>
-						<div class="modal-body"><p>${escapeHtml(message||'Are you sure?')}</p></div>
+						<div class="modal-body"><p>${message||'Are you sure?'}</p></div>
 						<div class="modal-footer"><button id="lhConfirmNo" type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button><button id="lhConfirmYes" type="button" class="btn btn-danger">Yes</button></div>
 					</div>
 				</div>
-			</div>`;
+			</div>`);
 		document.body.appendChild(div);
 		const modalEl = document.getElementById('lhConfirmModal');
 		const modal = new bootstrap.Modal(modalEl);
@@ -459,24 +807,336 @@
 				};
 			}
 		});
+		renderNotificationBell();
+	}
+
+	// Notification bell next to the navbar's sign-in button: unread count, latest few, mark all read
+	const BELL_ITEMS = 8;
+	function renderNotificationBell() {
+		const user = currentUser();
+		const anchor = document.getElementById('signinBtn');
+		let bell = document.getElementById('lhBell');
+		if (!user || !anchor || !anchor.closest('nav')) { if (bell) bell.remove(); return; }
+		if (!bell) {
+			bell = document.createElement('div');
+			bell.id = 'lhBell';
+			bell.className = 'dropdown d-inline-block me-2 align-middle';
+			bell.innerHTML = '<button class="btn btn-link text-dark position-relative p-2" type="button" data-bs-toggle="dropdown" aria-expanded="false" aria-label="Notifications">'
+				+ '<svg width="22" height="22" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true"><path d="M8 16a2 2 0 0 0 2-2H6a2 2 0 0 0 2 2zM8 1.918l-.797.161A4.002 4.002 0 0 0 4 6c0 .628-.134 2.197-.459 3.742-.16.767-.376 1.566-.663 2.258h10.244c-.287-.692-.502-1.49-.663-2.258C12.134 8.197 12 6.628 12 6a4.002 4.002 0 0 0-3.203-3.92L8 1.917zM14.22 12c.223.447.481.801.78 1H1c.299-.199.557-.553.78-1C2.68 10.2 3 6.88 3 6c0-2.42 1.72-4.44 4.005-4.901a1 1 0 1 1 1.99 0A5.002 5.002 0 0 1 13 6c0 .88.32 4.2 1.22 6z"/></svg>'
+				+ '<span class="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger d-none" data-bell-count></span></button>'
+				+ '<div class="dropdown-menu dropdown-menu-end p-0" style="width: 320px; max-width: 90vw"></div>';
+			anchor.parentNode.insertBefore(bell, anchor);
+		}
+		const unread = unreadNotificationCount(user.username);
+		const count = bell.querySelector('[data-bell-count]');
+		count.textContent = unread > 99 ? '99+' : String(unread);
+		count.classList.toggle('d-none', !unread);
+		bell.querySelector('button').setAttribute('aria-label', unread ? 'Notifications, ' + unread + ' unread' : 'Notifications');
+
+		const menu = bell.querySelector('.dropdown-menu');
+		menu.innerHTML = '';
+		const head = document.createElement('div');
+		head.className = 'd-flex justify-content-between align-items-center px-3 py-2 border-bottom';
+		head.innerHTML = '<strong>Notifications</strong>';
+		if (unread) {
+			const all = document.createElement('button');
+			all.type = 'button';
+			all.className = 'btn btn-link btn-sm p-0';
+			all.textContent = 'Mark all read';
+			all.onclick = function (e) { e.stopPropagation(); markAllNotificationsRead(); };
+			head.appendChild(all);
+		}
+		menu.appendChild(head);
+		const items = notificationsFor(user.username).slice(0, BELL_ITEMS);
+		if (!items.length) {
+			const empty = document.createElement('div');
+			empty.className = 'px-3 py-3 text-muted small';
+			empty.textContent = 'Nothing new yet.';
+			menu.appendChild(empty);
+		}
+		items.forEach(function (n) {
+			const a = document.createElement('a');
+			a.className = 'dropdown-item text-wrap py-2 border-bottom' + (n.readAt ? '' : ' bg-light fw-semibold');
+			a.href = LHRender.url(n.link, 'link') || 'notifications.html';
+			const title = document.createElement('div');
+			title.textContent = n.title || NOTIFICATION_TYPES[n.type];
+			const meta = document.createElement('div');
+			meta.className = 'small text-muted fw-normal';
+			meta.textContent = formatDate(n.createdAt);
+			a.append(title, meta);
+			a.addEventListener('click', function (e) {
+				e.preventDefault();
+				markNotificationRead(n.id).finally(function () { window.location = a.href; });
+			});
+			menu.appendChild(a);
+		});
+		const foot = document.createElement('a');
+		foot.className = 'dropdown-item text-center small py-2';
+		foot.href = 'notifications.html';
+		foot.textContent = 'See all and choose what you hear about';
+		menu.appendChild(foot);
+	}
+
+	// Badge showing how many local changes have not reached Firestore yet
+	function renderSyncStatus(count) {
+		if (!window.__FIREBASE_CONFIG__ || !document.body) return;
+		let el = document.getElementById('lhSyncStatus');
+		if (!count) { if (el) el.remove(); return; }
+		if (!el) {
+			el = document.createElement('div');
+			el.id = 'lhSyncStatus';
+			el.className = 'position-fixed bottom-0 start-0 m-3 badge rounded-pill bg-warning text-dark';
+			el.style.zIndex = 1080;
+			el.setAttribute('role', 'status');
+			document.body.appendChild(el);
+		}
+		el.textContent = count + (count === 1 ? ' change' : ' changes') + ' not synced yet';
+	}
+	outbox.onChange(renderSyncStatus);
+
+	// Location. Tasks posted with a pin or a picked area carry `coords` ({ lat, lng }) and `area`
+	// ({ state, lga }); older tasks are placed by geocoding their free-text location. Needs geo.js,
+	// which only the pages that post or search tasks load.
+	function taskCoords(t) {
+		if (!window.LHGeo || !t) return null;
+		if (LHGeo.validCoords(t.coords)) return { lat: t.coords.lat, lng: t.coords.lng };
+		const area = t.area || {};
+		const g = LHGeo.geocode([t.location, area.lga, area.state].filter(Boolean).join(', '));
+		return g ? { lat: g.lat, lng: g.lng } : null;
+	}
+	function taskDistance(t, origin) {
+		return origin && window.LHGeo ? LHGeo.distanceKm(origin, taskCoords(t)) : null;
+	}
+
+	// Where "near me" is measured from on the find page: the device position once the user shares
+	// it, unless an area is picked in the selects
+	let devicePosition = null;
+	function searchOrigin() {
+		if (!window.LHGeo) return null;
+		const state = (document.getElementById('nearState') || {}).value || '';
+		if (state) return LHGeo.place(state, (document.getElementById('nearLga') || {}).value || '');
+		return devicePosition;
+	}
+
+	// Find page. Filters live in the page controls and are mirrored in the URL
+	// (find.html?q=plumber&category=home-repairs&sub=plumbing&sort=budget_desc) so a search can be
+	// shared; categories.html links here the same way. The device position is left out on purpose.
+	const FIND_PARAMS = { q: 'searchInput', category: 'categoryFilter', sub: 'subcategoryFilter', state: 'stateFilter', min: 'budgetMin', max: 'budgetMax', posted: 'postedFilter', sort: 'sortOrder', near: 'nearState', lga: 'nearLga', km: 'distanceFilter' };
+	const POSTED_WITHIN_DAYS = { '1d': 1, '7d': 7, '30d': 30 };
+	const SEARCH_FIELDS = {
+		title: { weight: 3 },
+		category: { weight: 2, value: function (t) { return LHCategories.keywords(t); } },
+		location: { weight: 1.5, value: function (t) { return [t.location, taskState(t)].join(' '); } },
+		description: { weight: 1 }
+	};
+
+	function findFilters() {
+		const f = {};
+		Object.keys(FIND_PARAMS).forEach(function (key) {
+			const el = document.getElementById(FIND_PARAMS[key]);
+			f[key] = el ? String(el.value || '').trim() : '';
+		});
+		return f;
+	}
+	function loadFindFilters() {
+		const params = new URLSearchParams(window.location.search);
+		Object.keys(FIND_PARAMS).forEach(function (key) {
+			const el = document.getElementById(FIND_PARAMS[key]);
+			if (!el || !params.has(key)) return;
+			let value = params.get(key);
+			// links shared before categories were managed name them ("Home repairs")
+			if (key === 'category' && value && !LHCategories.get(value)) value = (LHCategories.match(value) || {}).category || value;
+			// facet options are only built on render, so make sure the shared value can be selected
+			if (el.tagName === 'SELECT' && value && !Array.from(el.options).some(o => o.value === value)) el.add(new Option(value, value));
+			el.value = value;
+			if (key === 'near') el.dispatchEvent(new Event('change'));
+		});
+	}
+	function saveFindFilters(f) {
+		const params = new URLSearchParams();
+		Object.keys(f).forEach(function (key) { if (f[key]) params.set(key, f[key]); });
+		const qs = params.toString();
+		if (window.history && history.replaceState) history.replaceState(null, '', window.location.pathname + (qs ? '?' + qs : ''));
+	}
+
+	function budgetValue(t) { return LHBudget.naira(t.budget); }
+	function categoryOf(t) {
+		const r = LHCategories.resolve(t);
+		return r ? r.category.id : '';
+	}
+	function subcategoryOf(t) {
+		const r = LHCategories.resolve(t);
+		return r && r.subcategory ? r.subcategory.id : '';
+	}
+	function taskState(t) {
+		if (t.area && t.area.state) return t.area.state;
+		const g = window.LHGeo ? LHGeo.geocode(t.location) : null;
+		return g ? g.state : '';
+	}
+
+	// Open tasks among `tasks` matching the filters, sorted, with facet counts taken over the text
+	// matches so each option shows how many tasks it would leave
+	function findTasks(f, tasks) {
+		const origin = searchOrigin();
+		const maxKm = Number(f.km) || 0;
+		const min = Number(f.min) || 0;
+		const max = Number(f.max) || 0;
+		const days = POSTED_WITHIN_DAYS[f.posted];
+		const since = days ? new Date(Date.now() - days * 86400000).toISOString() : '';
+		const hits = LHSearch.search(tasks.filter(t => taskStatus(t) === 'open'), f.q, SEARCH_FIELDS);
+		const facets = {
+			category: LHSearch.countBy(hits, h => categoryOf(h.doc)),
+			sub: f.category ? LHSearch.countBy(hits.filter(h => categoryOf(h.doc) === f.category), h => subcategoryOf(h.doc)) : {},
+			state: LHSearch.countBy(hits, h => taskState(h.doc))
+		};
+		const rows = hits.map(function (h) {
+			return { task: h.doc, score: h.score, km: taskDistance(h.doc, origin), budget: budgetValue(h.doc) };
+		}).filter(function (r) {
+			if (f.category && categoryOf(r.task) !== f.category) return false;
+			if (f.category && f.sub && subcategoryOf(r.task) !== f.sub) return false;
+			if (f.state && taskState(r.task) !== f.state) return false;
+			if ((min || max) && !r.budget) return false;
+			if (min && r.budget < min) return false;
+			if (max && r.budget > max) return false;
+			if (since && String(r.task.createdAt || '') < since) return false;
+			// tasks that cannot be placed are left out once a radius applies
+			if (origin && maxKm && (r.km == null || r.km > maxKm)) return false;
+			return true;
+		});
+		const newest = (a, b) => String(b.task.createdAt || '').localeCompare(String(a.task.createdAt || ''));
+		const orders = {
+			relevance: (a, b) => b.score - a.score || newest(a, b),
+			newest: newest,
+			budget_desc: (a, b) => b.budget - a.budget || newest(a, b),
+			budget_asc: (a, b) => (a.budget || Infinity) - (b.budget || Infinity) || newest(a, b),
+			nearest: (a, b) => (a.km == null ? Infinity : a.km) - (b.km == null ? Infinity : b.km) || newest(a, b)
+		};
+		let sort = f.sort || (f.q ? 'relevance' : 'newest');
+		if (sort === 'nearest' && !origin) sort = 'newest';
+		rows.sort(orders[sort] || newest);
+		return { rows: rows, facets: facets, origin: origin };
+	}
+
+	// The find page reads tasks a page at a time, newest first, rather than the whole collection.
+	// Search and facets work on the pages read so far, and more are read while the filters leave fewer
+	// tasks than the list should show. Scrolling to the end of the list shows another page.
+	const TASK_PAGE_SIZE = 20;
+	const TASK_PAGE = { orderBy: 'createdAt', direction: 'desc', limit: TASK_PAGE_SIZE };
+	let feed = newFeed();
+	let findShown = TASK_PAGE_SIZE;
+	let findRenderSeq = 0;
+	function newFeed() { return { items: new Map(), cursor: null, done: false, loading: null }; }
+
+	function loadMoreTasks() {
+		if (feed.done) return Promise.resolve();
+		if (!feed.loading) {
+			const current = feed;
+			current.loading = store.page('lh_tasks', Object.assign({ after: current.cursor }, TASK_PAGE)).then(function (res) {
+				res.items.forEach(t => current.items.set(t.id, t));
+				current.cursor = res.cursor;
+				current.done = !res.cursor;
+			}).finally(function () { current.loading = null; });
+		}
+		return feed.loading;
+	}
+
+	// Keeps the newest page live, so tasks posted, edited or deleted near the top show up without a reload
+	function watchTaskFeed() {
+		let stop = function () {};
+		function start() {
+			stop();
+			stop = store.subscribePage('lh_tasks', TASK_PAGE, function (head) {
+				const complete = head.length < TASK_PAGE_SIZE;
+				const oldest = head.length ? String(head[head.length - 1].createdAt || '') : '';
+				// a task inside the page's range that is no longer in it was deleted
+				feed.items.forEach(function (t, id) {
+					if ((complete || String(t.createdAt || '') >= oldest) && !head.some(h => h.id === id)) feed.items.delete(id);
+				});
+				head.forEach(t => feed.items.set(t.id, t));
+				rerenderAll();
+			});
+		}
+		start();
+		if (!isFirestoreReady()) {
+			whenFirebaseSettled(function () {
+				if (!isFirestoreReady()) return;
+				feed = newFeed();
+				start();
+			});
+		}
+	}
+
+	async function renderFindList(listEl) {
+		const seq = ++findRenderSeq;
+		const f = findFilters();
+		saveFindFilters(f);
+		let found = findTasks(f, Array.from(feed.items.values()));
+		while (found.rows.length < findShown && !feed.done) {
+			await loadMoreTasks();
+			if (seq !== findRenderSeq) return;
+			found = findTasks(f, Array.from(feed.items.values()));
+		}
+		if (seq !== findRenderSeq) return;
+		listEl.innerHTML = '';
+		renderFacet(document.getElementById('categoryFilter'), found.facets.category, 'All categories', function (id) { const c = LHCategories.get(id); return c ? c.icon + ' ' + c.name : id; });
+		const subFilter = document.getElementById('subcategoryFilter');
+		if (subFilter) {
+			renderFacet(subFilter, found.facets.sub, 'All types of work', function (id) { return LHCategories.name(id) || id; });
+			subFilter.disabled = !f.category;
+		}
+		renderFacet(document.getElementById('stateFilter'), found.facets.state, 'All states');
+		const nearStatus = document.getElementById('nearStatus');
+		if (nearStatus) nearStatus.textContent = found.origin || !(f.km || f.sort === 'nearest') ? '' : 'Share your location or pick an area to filter by distance.';
+		const resultCount = document.getElementById('resultCount');
+		if (resultCount) resultCount.textContent = found.rows.length + (feed.done ? '' : '+') + (found.rows.length === 1 ? ' task' : ' tasks');
+		found.rows.slice(0, findShown).forEach(function (r) { renderTaskCard(r.task, listEl, r.km); });
+		if (!found.rows.length) listEl.innerHTML = '<p class="text-muted">No open tasks match your search.</p>';
+		const more = document.getElementById('tasksMore');
+		if (more) more.hidden = found.rows.length <= findShown && feed.done;
+	}
+
+	function debounce(fn, ms) {
+		let t = null;
+		return function () { clearTimeout(t); t = setTimeout(fn, ms); };
+	}
+
+	// Rebuild a facet <select> from counts, keeping the current choice even when nothing matches it.
+	// `labelOf` names an option's value when it is not shown as it is.
+	function renderFacet(select, counts, allLabel, labelOf) {
+		if (!select) return;
+		labelOf = labelOf || function (k) { return k; };
+		const current = select.value;
+		select.innerHTML = '';
+		select.add(new Option(allLabel, ''));
+		Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b)).forEach(function (k) {
+			select.add(new Option(labelOf(k) + ' (' + counts[k] + ')', k));
+		});
+		if (current && !counts[current]) select.add(new Option(labelOf(current) + ' (0)', current));
+		select.value = current;
 	}
 
 	// Rendering
-	function renderTaskCard(t, container) {
+	function renderTaskCard(t, container, distanceKm) {
 		const col = document.createElement('div'); col.className = 'col-12 col-md-6';
 		const card = document.createElement('div'); card.className = 'card p-3 h-100';
-		let html = '';
-		if (t.image) html += '<img src="'+escapeHtml(t.image)+'" class="img-fluid mb-2" style="max-height:160px;object-fit:cover;width:100%">';
-		html += '<h5>' + escapeHtml(t.title) + '</h5>';
-		html += '<p class="mb-1">' + escapeHtml((t.description||'').slice(0,160)) + (t.description && t.description.length>160? '...':'') + '</p>';
-		html += '<p class="mb-1"><strong>Category:</strong> ' + escapeHtml(t.category || '-') + ' &nbsp; <strong>Location:</strong> ' + escapeHtml(t.location || '-') + '</p>';
-		html += '<p class="mb-1"><strong>Budget:</strong> ' + escapeHtml(t.budget || '-') + ' &nbsp; <strong>Poster:</strong> ' + escapeHtml(t.poster) + '</p>';
-		card.innerHTML = html;
+		const html = LHRender.html;
+		const photos = taskPhotos(t);
+		const thumb = photos.length ? LHRender.url(photos[0].thumbUrl || photos[0].url) : '';
+		const user = currentUser();
+		const count = user && user.username === t.poster ? allApplicationsLocal().filter(a => a.taskId === t.id).length : null;
+		LHRender.set(card, html`${thumb ? html`<img src="${thumb}" alt="" loading="lazy" class="img-fluid mb-2" style="max-height:160px;object-fit:cover;width:100%">` : ''}
+			<h5>${t.title}</h5>
+			<p class="mb-1">${(t.description||'').slice(0,160)}${t.description && t.description.length>160 ? '...' : ''}</p>
+			<p class="mb-1"><strong>Category:</strong> ${LHCategories.label(t) || '-'} &nbsp; <strong>Location:</strong> ${t.location || '-'}${distanceKm != null ? html` <span class="text-muted">(${LHGeo.formatDistance(distanceKm)} away)</span>` : ''}</p>
+			<p class="mb-1"><strong>Budget:</strong> ${formatBudget(t) || '-'} &nbsp; <strong>Poster:</strong> ${t.poster}${ratingBadge(t.poster)}</p>
+			${taskStatus(t) !== 'open' ? html`<p class="mb-1"><span class="badge bg-secondary">${TASK_STATUS_LABELS[taskStatus(t)] || t.status}</span></p>` : ''}
+			${photos.length > 1 ? html`<p class="mb-1 small text-muted">${photos.length} photos</p>` : ''}
+			${count !== null ? html`<p class="mb-1"><span class="badge bg-info">${count + (count === 1 ? ' application' : ' applications')}</span></p>` : ''}`);
 		const actions = document.createElement('div'); actions.className = 'd-flex gap-2 mt-2';
-		const view = document.createElement('a'); view.className = 'btn btn-outline-primary btn-sm'; view.textContent = 'View Details'; view.href = 'task.html?id='+t.id;
+		const view = document.createElement('a'); view.className = 'btn btn-outline-primary btn-sm'; view.textContent = 'View Details'; view.href = 'task.html?id='+encodeURIComponent(t.id);
 		actions.appendChild(view);
-		const user = currentUser();
-		if (user && user.username === t.poster) {
+		// a task someone is working on has to be closed, cancelled or reopened first
+		if (user && user.username === t.poster && ['open', 'cancelled', 'closed'].includes(taskStatus(t))) {
 			const del = document.createElement('button'); del.className='btn btn-danger btn-sm'; del.textContent='Delete'; del.onclick = function (){ showConfirm('Delete this task?', async function(){ await removeTask(t.id); try{ rerenderAll(); }catch(e){} }); };
 			actions.appendChild(del);
 		}
@@ -487,27 +1147,16 @@
 		// Async function to load remote data if not cached
 		(async function(){
 			try {
-				// Load remote tasks and applications on first render
-				if (__CACHED_REMOTE_TASKS__ === null && isFirestoreReady()) {
-					await allTasks();
-				}
-				if (__CACHED_REMOTE_APPLICATIONS__ === null && isFirestoreReady()) {
-					await allApplications();
-				}
+				// Load remote tasks and applications on first render (no-op once cached). The find page
+				// reads tasks a page at a time instead (renderFindList).
+				if (!document.getElementById('tasksList')) await allTasks();
+				await allApplications();
+				await store.list('lh_reviews');
 			} catch(e){ console.warn('Remote data load failed', e); }
 			// Re-render with latest data
 			try {
 				const listEl = document.getElementById('tasksList');
-				if (listEl) {
-					listEl.innerHTML = '';
-					const q = (document.getElementById('searchInput') && document.getElementById('searchInput').value || '').toLowerCase();
-					const cat = (document.getElementById('categoryFilter') && document.getElementById('categoryFilter').value) || '';
-					allTasksLocal().filter(function (t) {
-						if (cat && cat !== 'all' && t.category !== cat) return false;
-						if (!q) return true;
-						return (t.title||'').toLowerCase().includes(q) || (t.description||'').toLowerCase().includes(q) || (t.category||'').toLowerCase().includes(q) || (t.location||'').toLowerCase().includes(q);
-					}).forEach(function (t) { renderTaskCard(t, listEl); });
-				}
+				if (listEl) await renderFindList(listEl);
 				const myList = document.getElementById('myTasksList');
 				if (myList) {
 					myList.innerHTML = '';
@@ -527,162 +1176,252 @@
 		})();
 	}
 
-	// File helper
-	function fileToDataUrl(file) {
-		return new Promise(function (resolve, reject) {
-			if (!file) return resolve('');
-			const fr = new FileReader(); fr.onload = function () { resolve(fr.result); }; fr.onerror = reject; fr.readAsDataURL(file);
+	// Post and edit forms: give.html and the edit form on task.html use the same field ids (taskTitle,
+	// taskDescription, taskCategory, taskSubcategory, taskCategoryHelp, taskLocation, taskState, taskLga,
+	// taskPinBtn, taskBudget, taskPayType, taskImage).
+	// When editing, `task` fills them in, and its place is only sent again once the location, area or
+	// pin is touched, so saving a typo fix does not move a pinned task. Returns { values, uploadPhotos,
+	// fill, budgetError }; fill(task) refills the form from a newer copy of the task.
+	function bindTaskForm(form, task) {
+		const field = function (id) { return form.querySelector('#' + id); };
+		const imageInput = field('taskImage');
+		// previews of the picked photos; they are resized and uploaded when the form is sent
+		if (imageInput) {
+			imageInput.addEventListener('change', function () {
+				const preview = field('taskImagePreview');
+				if (!preview) return;
+				preview.querySelectorAll('img').forEach(function (img) { URL.revokeObjectURL(img.src); });
+				preview.innerHTML = '';
+				Array.from(imageInput.files).forEach(function (f) {
+					if (!/^image\//.test(f.type)) return;
+					const img = document.createElement('img');
+					img.src = URL.createObjectURL(f); img.alt = ''; img.className = 'rounded me-2 mb-2';
+					img.style.cssText = 'width:96px;height:96px;object-fit:cover';
+					preview.appendChild(img);
+				});
+				if (window.LHMedia && imageInput.files.length > LHMedia.MAX_PHOTOS) {
+					const note = document.createElement('p'); note.className = 'text-danger small mb-0';
+					note.textContent = 'Pick at most ' + LHMedia.MAX_PHOTOS + ' photos.';
+					preview.appendChild(note);
+				}
+			});
+		}
+
+		LHCategories.bindSelects(field('taskCategory'), field('taskSubcategory'), field('taskCategoryHelp'));
+
+		// optional pin from the device; otherwise the picked area or the typed location is geocoded
+		let pinned = null;
+		let placeTouched = !task;
+		if (window.LHGeo) LHGeo.bindAreaSelects(field('taskState'), field('taskLga'));
+		const pinBtn = field('taskPinBtn');
+		if (pinBtn && window.LHGeo) {
+			pinBtn.addEventListener('click', async function () {
+				const status = field('taskPinStatus');
+				pinBtn.disabled = true;
+				try {
+					pinned = await LHGeo.currentPosition();
+					placeTouched = true;
+					if (status) status.textContent = 'Pinned at ' + pinned.lat + ', ' + pinned.lng;
+				} catch (err) {
+					pinned = null;
+					if (status) status.textContent = err.message + ' Pick the state and area instead.';
+				} finally { pinBtn.disabled = false; }
+			});
+		}
+		['taskLocation', 'taskState', 'taskLga'].forEach(function (id) {
+			const el = field(id);
+			if (el) { el.addEventListener('input', function () { placeTouched = true; }); el.addEventListener('change', function () { placeTouched = true; }); }
 		});
+
+		function fill(t) {
+			task = t;
+			['Title', 'Description', 'Location'].forEach(function (name) {
+				const el = field('task' + name);
+				if (el) el.value = t[name.toLowerCase()] || '';
+			});
+			// tasks from before categories were managed are shown under the category their text names
+			const category = LHCategories.resolve(t);
+			const categorySel = field('taskCategory');
+			if (categorySel) {
+				categorySel.value = category ? category.category.id : '';
+				categorySel.dispatchEvent(new Event('change'));
+				if (field('taskSubcategory')) field('taskSubcategory').value = category && category.subcategory ? category.subcategory.id : '';
+			}
+			const budget = LHBudget.normalize(t.budget);
+			if (field('taskBudget')) field('taskBudget').value = budget ? budget.amountKobo / 100 : '';
+			if (field('taskPayType')) field('taskPayType').value = budget ? budget.payType : 'fixed';
+			const state = field('taskState');
+			if (state) {
+				state.value = (t.area && t.area.state) || '';
+				state.dispatchEvent(new Event('change'));
+				if (field('taskLga')) field('taskLga').value = (t.area && t.area.lga) || '';
+			}
+			if (imageInput) { imageInput.value = ''; imageInput.dispatchEvent(new Event('change')); }
+			pinned = null;
+			placeTouched = false;
+		}
+		if (task) fill(task);
+
+		// The task fields as typed: title, description, category and subcategory ids (see categories.js;
+		// subcategory null when none was picked), location, budget (see budget.js; null when left empty),
+		// and the place (area, coords, locationSource) when it is new or was touched
+		function values() {
+			const value = function (id) { return (field(id) || {}).value || ''; };
+			const v = {title: value('taskTitle'), description: value('taskDescription'), category: value('taskCategory'), subcategory: value('taskSubcategory') || null, location: value('taskLocation'), budget: LHBudget.fromNaira(value('taskBudget'), value('taskPayType'))};
+			if (!placeTouched || !window.LHGeo) return v;
+			if (task) Object.assign(v, {area: null, coords: null, locationSource: null});
+			const picked = LHGeo.place(value('taskState'), value('taskLga'));
+			const place = picked || LHGeo.geocode(v.location);
+			if (place) v.area = {state: place.state, lga: place.lga};
+			if (!v.location.trim() && picked) v.location = [picked.lga, picked.state].filter(Boolean).join(', ');
+			if (pinned) { v.coords = pinned; v.locationSource = 'device'; }
+			else if (place) { v.coords = {lat: place.lat, lng: place.lng}; v.locationSource = picked ? 'area' : 'geocoded'; }
+			return v;
+		}
+
+		// Uploads the picked photos (see media.js), showing progress in `result`. Resolves to their
+		// `photos` entries, or null when the upload failed and the user was told.
+		async function uploadPhotos(result) {
+			const files = imageInput && imageInput.files ? Array.from(imageInput.files) : [];
+			if (!files.length) return [];
+			result = result || {};
+			const submitBtn = form.querySelector('button[type="submit"]');
+			if (submitBtn) submitBtn.disabled = true;
+			try {
+				return await LHMedia.uploadPhotos(files, function (done, total) { result.textContent = 'Uploading photos (' + done + ' of ' + total + ')...'; });
+			} catch (err) {
+				await showInfo('Photos', err.message);
+				return null;
+			} finally {
+				result.textContent = '';
+				if (submitBtn) submitBtn.disabled = false;
+			}
+		}
+
+		// What is wrong with the budget as typed, or '' when it is fine or left empty. A number input
+		// reports text it cannot read as an empty value, so `badInput` catches that.
+		function budgetError() {
+			const el = field('taskBudget');
+			if (!el || (!el.value && !(el.validity && el.validity.badInput))) return '';
+			const budget = LHBudget.fromNaira(el.value, (field('taskPayType') || {}).value);
+			return budget ? LHBudget.validate(budget) : 'Enter the budget as an amount.';
+		}
+
+		return {values: values, uploadPhotos: uploadPhotos, fill: fill, budgetError: budgetError};
 	}
 
 	// Bind
 	document.addEventListener('DOMContentLoaded', function () {
 		updateSigninButtons();
+		// the bell follows the signed-in user's notifications live
+		if (currentUser()) subscribe('lh_notifications', function () { renderNotificationBell(); });
 
-		// If Firestore is available, preload remote tasks and applications on page load
-		(async function preloadRemoteData(){
-			try {
-				if (window.__FB_READY__ && window.FB && window.FB.available) {
-					// Preload tasks and applications from Firestore
-					if (__CACHED_REMOTE_TASKS__ === null) {
-						await allTasks();
-					}
-					if (__CACHED_REMOTE_APPLICATIONS__ === null) {
-						await allApplications();
-					}
-					// Re-render with remote data
-					try { rerenderAll(); } catch(e) {}
-				}
-			} catch(e) { console.warn('Remote data preload failed', e); }
-		})();
-
-		// Background sync: push any local-only items to Firestore when FB becomes available
+		// Reconcile local collections with Firestore once it is ready. Data saved before the outbox
+		// existed is queued once: local docs missing remotely, except those whose remote copy still
+		// lives under an old auto ID (matched by legacyId). After that every write goes through the
+		// outbox, so a doc deleted on another device is not pushed back up. Once a pass finds nothing
+		// left to migrate it is not run again, as it reads every collection in full. Then the outbox
+		// is replayed and each collection reloaded from remote (except tasks on the find page, which
+		// reads them a page at a time).
 		async function syncLocalToFirestore() {
-			if (!window.FB || !window.__FB_READY__ || !window.FB.available) return;
-			const collections = [
-				{ key: 'lh_tasks', col: 'lh_tasks' },
-				{ key: 'lh_applications', col: 'lh_applications' },
-				{ key: 'lh_messages', col: 'lh_messages' },
-				{ key: 'lh_payments', col: 'lh_payments' },
-				{ key: 'lh_users', col: 'lh_users' }
-			];
-			for (const c of collections) {
+			const remoteStore = store.remote ? store.remote() : null;
+			if (!remoteStore || !store.outbox) return;
+			const seed = !read('lh_outboxSeeded', false);
+			const reconcile = seed || !read('lh_legacyReconciled', false);
+			const idMaps = {};
+			let pending = false;
+			for (const col of reconcile ? COLLECTIONS : []) {
 				try {
-					const local = read(c.key, []) || [];
-					const remote = await window.FB.getAll(c.col) || [];
-					const remoteLocalIds = (remote||[]).map(r => (r.localId || r.id || r._id) + '');
-					for (const item of local) {
-						const localId = (item.id || item.localId || '') + '';
-						if (!localId) continue;
-						if (!remoteLocalIds.includes(localId)) {
-							try {
-								await window.FB.add(c.col, Object.assign({}, item, { localId }));
-							} catch(e) { console.warn('Failed to push local item to Firestore', c.key, e); }
+					const key = LHStorage.keyOf(col);
+					const remote = await remoteStore.list(col);
+					const remoteKeys = remote.map(r => String(r[key]));
+					const remoteByLegacy = legacyIdMap(remote);
+					idMaps[col] = Object.assign({}, remoteByLegacy);
+					for (const item of store.peek(col)) {
+						if (item[key] === undefined || item[key] === null || item[key] === '') continue;
+						if (remoteKeys.includes(String(item[key]))) continue;
+						if (item.legacyId !== undefined && remoteByLegacy[String(item.legacyId)]) {
+							idMaps[col][String(item.id)] = remoteByLegacy[String(item.legacyId)];
+							pending = true;
+							continue;
 						}
+						if (!seed) continue;
+						rewriteReferences(col, item, idMaps);
+						store.outbox.enqueue('put', col, item[key], LHStorage.stampChanges(null, item));
 					}
-				} catch(e) { console.warn('syncLocalToFirestore error for', c.key, e); }
+					for (const doc of remote) {
+						const before = Object.assign({}, doc);
+						if (rewriteReferences(col, doc, idMaps)) { store.outbox.enqueue('put', col, doc[key], LHStorage.stampChanges(before, doc)); pending = true; }
+					}
+				} catch(e) { console.warn('syncLocalToFirestore error for', col, e); pending = true; }
+			}
+			write('lh_outboxSeeded', true);
+			if (reconcile && !pending) write('lh_legacyReconciled', true);
+			if (store.flush) await store.flush();
+			for (const col of COLLECTIONS) {
+				if (col === 'lh_tasks' && document.getElementById('tasksList')) continue;
+				try { if (store.refresh) await store.refresh(col); } catch(e) { console.warn('Refresh failed for', col, e); }
 			}
 			// Refresh UI after sync
-			try { rerenderAll(); } catch(e) {}
-		}
-
-		// If FB isn't ready yet, poll briefly until it is and then sync
-		if (window.__FB_READY__ && window.FB && window.FB.available) {
-			// immediate
-			syncLocalToFirestore().catch(()=>{});
-		} else {
-			let fbAttempts = 0;
-			const fbInterval = setInterval(function(){
-				fbAttempts++;
-				if (window.__FB_READY__ && window.FB && window.FB.available) {
-					clearInterval(fbInterval);
-					syncLocalToFirestore().catch(()=>{});
-				} else if (fbAttempts > 60) { // stop after ~6 seconds
-					clearInterval(fbInterval);
-				}
-			}, 100);
+			try { rerenderAll(); updateSigninButtons(); } catch(e) {}
 		}
 
-		// If Firestore is available, migrate any locally-stored users and collections to Firestore
-		(async function migrateLocalDataToFirestore(){
-			try {
-				if (window.__FB_READY__ && window.FB && window.FB.available) {
-					// Collections to migrate: users, tasks, applications, messages, payments
-					const collections = [
-						{ key: 'lh_users', col: 'lh_users' },
-						{ key: 'lh_tasks', col: 'lh_tasks' },
-						{ key: 'lh_applications', col: 'lh_applications' },
-						{ key: 'lh_messages', col: 'lh_messages' },
-						{ key: 'lh_payments', col: 'lh_payments' }
-					];
-					for (const c of collections) {
-						try {
-							const local = read(c.key, []);
-							const remote = await window.FB.getAll(c.col);
-							const remoteLocalIds = (remote||[]).map(r => r.localId || r.id || r._id);
-							// If remote has items, prefer remote as source of truth
-							if (remote && remote.length>0) {
-								// map remote docs into local store format
-								const mapped = remote.map(r => {
-									const obj = Object.assign({}, r);
-									// normalize id field for tasks/applications/messages/payments
-									if (!obj.id) {
-										obj.id = obj.localId || (obj._id ? Number(obj._id) : obj._id) || Date.now();
-									}
-									return obj;
-								});
-								write(c.key, mapped);
-							} else {
-								// remote empty: push local items to Firestore
-								for (const item of (local||[])) {
-									const localId = item.id || item.localId || (Date.now()+Math.floor(Math.random()*999));
-									if (!remoteLocalIds.includes(localId)) {
-										try { await window.FB.add(c.col, Object.assign({}, item, { localId })); } catch(e) { /* ignore */ }
-									}
-								}
-							}
-						} catch(e) { console.warn('Migration error for', c.key, e); }
-					}
-				}
-			} catch(e) { console.warn('Local -> Firestore migration failed', e); }
-			// Refresh UI after migration
-			try { rerenderAll(); updateSigninButtons(); } catch(e) {}
-		})();
+		// Replay queued writes as soon as the connection comes back
+		window.addEventListener('online', function () {
+			if (store.outbox) store.outbox.retryNow();
+			if (store.flush) store.flush();
+		});
+		renderSyncStatus(outbox.count());
 
-		// If Firestore is available, migrate any locally-stored users to Firestore
-		(async function migrateLocalUsersToFirestore(){
-			try {
-				if (window.__FB_READY__ && window.FB && window.FB.available) {
-					const localUsers = allUsers();
-					if (localUsers && localUsers.length>0) {
-						const remote = await window.FB.getAll('lh_users');
-						const remoteUsernames = (remote||[]).map(u=>u.username);
-						for (const u of localUsers) {
-							if (!remoteUsernames.includes(u.username)) {
-								try { await window.FB.add('lh_users', u); } catch(e) { /* ignore individual failures */ }
-							}
-						}
-					}
-				}
-			} catch(e) { console.warn('User migration to Firestore failed', e); }
-		})();
+		// Sync once firebase-init.js has finished loading
+		whenFirebaseSettled(function () { syncLocalToFirestore().catch(()=>{}); });
 
-		const search = document.getElementById('searchInput'); if (search) search.addEventListener('input', function () { rerenderAll(); });
-		const cat = document.getElementById('categoryFilter'); if (cat) cat.addEventListener('change', function(){ rerenderAll(); });
+		// a new search starts again from the first page of results; typing waits for a pause
+		const refreshFind = function () { findShown = TASK_PAGE_SIZE; rerenderAll(); };
+		const refreshFindSoon = debounce(refreshFind, 300);
+		// a type of work only applies within its category, so picking another one clears it
+		const categoryFilter = document.getElementById('categoryFilter');
+		if (categoryFilter) categoryFilter.addEventListener('change', function () { const sub = document.getElementById('subcategoryFilter'); if (sub) sub.value = ''; });
+		Object.keys(FIND_PARAMS).forEach(function (key) {
+			const el = document.getElementById(FIND_PARAMS[key]);
+			if (el) el.addEventListener(el.tagName === 'SELECT' ? 'change' : 'input', el.tagName === 'SELECT' ? refreshFind : refreshFindSoon);
+		});
+		const moreTasks = document.getElementById('tasksMore');
+		if (moreTasks) {
+			const showMore = function () { findShown += TASK_PAGE_SIZE; rerenderAll(); };
+			const moreBtn = document.getElementById('tasksMoreBtn'); if (moreBtn) moreBtn.addEventListener('click', showMore);
+			if ('IntersectionObserver' in window) {
+				new IntersectionObserver(function (entries) {
+					if (entries[0].isIntersecting && !moreTasks.hidden && !feed.loading) showMore();
+				}, { rootMargin: '400px' }).observe(moreTasks);
+			}
+		}
+		if (window.LHGeo) LHGeo.bindAreaSelects(document.getElementById('nearState'), document.getElementById('nearLga'), 'Near an area…');
+		if (document.getElementById('tasksList')) loadFindFilters();
+		const nearMe = document.getElementById('useMyLocation');
+		if (nearMe && window.LHGeo) {
+			nearMe.addEventListener('click', async function () {
+				nearMe.disabled = true;
+				try {
+					devicePosition = await LHGeo.currentPosition();
+					const state = document.getElementById('nearState');
+					if (state && state.value) { state.value = ''; state.dispatchEvent(new Event('change')); }
+					const sort = document.getElementById('sortOrder'); if (sort) sort.value = 'nearest';
+					nearMe.textContent = 'Using your location';
+					rerenderAll();
+				} catch (err) {
+					await showInfo('Location', err.message + ' Pick your area instead.');
+				} finally { nearMe.disabled = false; }
+			});
+		}
 
 		const postForm = document.getElementById('postTaskForm');
 		if (postForm) {
-			// wire image preview if present
-			const imageInput = document.getElementById('taskImage');
-			if (imageInput) {
-				imageInput.addEventListener('change', function () {
-					const preview = document.getElementById('taskImagePreview');
-					if (!preview) return;
-					const f = imageInput.files[0];
-					if (!f) { preview.innerHTML = ''; return; }
-					const fr = new FileReader(); fr.onload = function () { preview.innerHTML = '<img src="'+fr.result+'" style="max-width:200px">'; }; fr.readAsDataURL(f);
-				});
-			}
+			const taskForm = bindTaskForm(postForm);
+			// categories.html links here with the category picked (give.html?category=home-repairs)
+			const preset = new URLSearchParams(window.location.search).get('category');
+			const categorySel = document.getElementById('taskCategory');
+			if (categorySel && LHCategories.get(preset)) { categorySel.value = preset; categorySel.dispatchEvent(new Event('change')); }
 
 			postForm.addEventListener('submit', async function (e) {
 				e.preventDefault();
@@ -691,16 +1430,16 @@
 					showConfirm('You must sign in to post a task. Sign in now?', function(){ const modalEl = ensureAuthModal(); new bootstrap.Modal(modalEl).show(); });
 					return;
 				}
-				// Basic validation
-				const title = (document.getElementById('taskTitle')||{}).value || '';
-				const description = (document.getElementById('taskDescription')||{}).value || '';
-				const category = (document.getElementById('taskCategory')||{}).value || '';
-				if (!title.trim() || !description.trim() || !category.trim()) { await showInfo('Validation', 'Please provide title, description and category.'); return; }
-				const location = (document.getElementById('taskLocation')||{}).value || '';
-				const budget = (document.getElementById('taskBudget')||{}).value || '';
-				const imageFile = (document.getElementById('taskImage')||{}).files ? document.getElementById('taskImage').files[0] : null;
-				const imageData = await fileToDataUrl(imageFile);
-				const task = {title, description, category, location, budget, poster: currentUser().username, image: imageData};
+				const task = taskForm.values();
+				if (!task.title.trim() || !task.description.trim() || !task.category.trim()) { await showInfo('Validation', 'Please provide title, description and category.'); return; }
+				const budgetError = taskForm.budgetError();
+				if (budgetError) { await showInfo('Validation', budgetError); return; }
+				if (!task.budget) delete task.budget;
+				if (!task.subcategory) delete task.subcategory;
+				const photos = await taskForm.uploadPhotos(document.getElementById('postResult'));
+				if (!photos) return;
+				if (photos.length) task.photos = photos;
+				task.poster = user.username;
 				try {
 					const added = await addTask(task);
 					(document.getElementById('postResult')||{}).innerHTML = '<div class="alert alert-success mt-3">Task posted successfully.</div>';
@@ -720,7 +1459,7 @@
 		if (info) {
 			const u = currentUser();
 			if (u) {
-				info.innerHTML = '<p>Signed in as <strong>' + escapeHtml(u.name) + ' ('+escapeHtml(u.username)+')</strong></p>' + '<button class="btn btn-sm btn-outline-secondary" id="signoutBtn">Sign out</button>' + ' <a class="btn btn-sm btn-primary" href="profile.html?u='+encodeURIComponent(u.username)+'">View profile</a>';
+				LHRender.set(info, LHRender.html`<p>Signed in as <strong>${u.name} (${u.username})</strong></p><button class="btn btn-sm btn-outline-secondary" id="signoutBtn">Sign out</button> <a class="btn btn-sm btn-primary" href="profile.html?u=${encodeURIComponent(u.username)}">View profile</a>`);
 				const sb = document.getElementById('signoutBtn'); if (sb) sb.onclick = function () { showConfirm('Sign out?', function(){ signOut(); showInfo('Signed out','You have been signed out').then(function(){ window.location = 'index.html'; }); }); };
 			} else {
 				info.innerHTML = '<p>You are not signed in. <button class="btn btn-sm btn-primary" id="signinNow">Sign in</button></p>';
@@ -728,7 +1467,18 @@
 			}
 		}
 
-		rerenderAll();
+		// Task lists follow Firestore live: new tasks and applications show up without a reload
+		if (document.getElementById('tasksList')) {
+			watchTaskFeed();
+			subscribe('lh_applications', function () { rerenderAll(); });
+			subscribe('lh_reviews', function () { rerenderAll(); });
+		} else if (document.getElementById('myTasksList')) {
+			subscribe('lh_tasks', function () { rerenderAll(); });
+			subscribe('lh_applications', function () { rerenderAll(); });
+			subscribe('lh_reviews', function () { rerenderAll(); });
+		} else {
+			rerenderAll();
+		}
 	});
 
 	// show some functions for task/detail/profile pages
@@ -737,25 +1487,68 @@
 		signOut: signOut,
 		allTasks: allTasks,
 		findUserByUsername: findUserByUsername,
-		addApplication: addApplication,
 		allApplications: allApplications,
 		sendMessage: sendMessage,
 		allMessages: allMessages,
-		createPayment: createPayment,
+		threadId: threadId,
+		findThread: findThread,
+		threadById: threadById,
+		threadsFor: threadsFor,
+		threadMessages: threadMessages,
+		threadPartner: threadPartner,
+		messageSeen: messageSeen,
+		markThreadRead: markThreadRead,
+		unreadMessageCount: unreadMessageCount,
 		allPayments: allPayments,
 		updateTask: updateTask,
+		canEditTask: canEditTask,
+		taskFieldLabels: TASK_FIELD_LABELS,
+		bindTaskForm: bindTaskForm,
 		updateUser: updateUser,
-		purchasePermit: purchasePermit,
+		requestPhoneCode: requestPhoneCode,
+		signInWithPhone: signInWithPhone,
+		linkPhone: linkPhone,
+		recordPurchase: recordPurchase,
 		hasPermit: hasPermit,
-		consumePermit: consumePermit,
 		applyToTask: applyToTask,
 		showInfo: showInfo,
-		showConfirm: showConfirm
+		showConfirm: showConfirm,
+		useStorage: useStorage,
+		findTask: findTask,
+		subscribe: subscribe,
+		acceptApplication: acceptApplication,
+		transitionTask: transitionTask,
+		allowedTransitions: allowedTransitions,
+		taskStatus: taskStatus,
+		taskPhotos: taskPhotos,
+		taskStatusLabels: TASK_STATUS_LABELS,
+		disputeTask: disputeTask,
+		escrowForTask: escrowForTask,
+		earningsFor: earningsFor,
+		monthlyTotals: monthlyTotals,
+		requestStatement: requestStatement,
+		allReviews: allReviews,
+		reviewsFor: reviewsFor,
+		ratingSummary: ratingSummary,
+		reviewTarget: reviewTarget,
+		addReview: addReview,
+		ratingBadge: ratingBadge,
+		formatNaira: formatNaira,
+		notificationTypes: NOTIFICATION_TYPES,
+		notificationsFor: notificationsFor,
+		unreadNotificationCount: unreadNotificationCount,
+		markNotificationRead: markNotificationRead,
+		markAllNotificationsRead: markAllNotificationsRead,
+		notificationPrefs: notificationPrefs,
+		setNotificationPrefs: setNotificationPrefs,
+		taskCoords: taskCoords,
+		taskDistance: taskDistance
 	};
 
-	// show updateApplication and formatDate
+	// show updateApplication, formatDate and formatBudget
 	window.LH.updateApplication = updateApplication;
 	window.LH.formatDate = formatDate;
+	window.LH.formatBudget = formatBudget;
 
 })();
 
@@ -0,0 +1,161 @@
+// firestore.rules against the Firestore emulator, as a signed-in browser would meet them.
+//   npm run test:rules   (needs the Firebase CLI, which starts the emulator around the run)
+// Users sign in with the custom token from the API server, so `request.auth.uid` is the lh_users doc
+// id and the `username` claim the name the documents use.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc, writeBatch, increment } = require('firebase/firestore');
+
+let env;
+
+test.before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: 'demo-worklink',
+    firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+  });
+});
+
+test.after(async () => {
+  if (env) await env.cleanup();
+});
+
+// Ada still has the free permit, Bola has two bought ones, Chinedu posts the tasks
+test.beforeEach(async () => {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async ctx => {
+    const db = ctx.firestore();
+    await setDoc(doc(db, 'lh_users/U_ada'), { username: 'ada', freePermitUsed: false, permits: 0 });
+    await setDoc(doc(db, 'lh_users/U_bola'), { username: 'bola', freePermitUsed: true, permits: 2 });
+    await setDoc(doc(db, 'lh_users/U_chinedu'), { username: 'chinedu', freePermitUsed: true, permits: 0 });
+    await setDoc(doc(db, 'lh_tasks/T1'), { title: 'Fix a tap', poster: 'chinedu', status: 'open' });
+    await setDoc(doc(db, 'lh_tasks/T2'), { title: 'Paint a room', poster: 'chinedu', status: 'assigned', assignedTo: 'bola' });
+  });
+});
+
+function as(username) {
+  return env.authenticatedContext('U_' + username, { username }).firestore();
+}
+
+function application(username, taskId) {
+  return { taskId: taskId || 'T1', applicant: username, status: 'pending', message: 'I can do it' };
+}
+
+// The batch applyToTask in public/assets/js/tasks.js writes
+function apply(db, username, appId, spend, app) {
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'lh_applications/' + appId), app || application(username));
+  batch.update(doc(db, 'lh_users/U_' + username), Object.assign({ lastApplicationId: appId }, spend));
+  return batch.commit();
+}
+
+test('applying spends the free permit, then bought ones, in the same write', async () => {
+  await assertSucceeds(apply(as('ada'), 'ada', 'A1', { freePermitUsed: true }));
+  await assertSucceeds(apply(as('bola'), 'bola', 'A2', { permits: increment(-1) }));
+  await env.withSecurityRulesDisabled(async ctx => {
+    assert.strictEqual((await getDoc(doc(ctx.firestore(), 'lh_users/U_bola'))).data().permits, 1);
+  });
+});
+
+test('an application without its permit is refused', async () => {
+  const db = as('ada');
+  await assertFails(setDoc(doc(db, 'lh_applications/A1'), application('ada')));
+  // The permit spent in the same write names another application
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'lh_applications/A1'), application('ada'));
+  batch.update(doc(db, 'lh_users/U_ada'), { lastApplicationId: 'A_other', freePermitUsed: true });
+  await assertFails(batch.commit());
+});
+
+test('one permit cannot pay for two applications', async () => {
+  const db = as('bola');
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'lh_applications/A1'), application('bola'));
+  batch.set(doc(db, 'lh_applications/A2'), application('bola'));
+  batch.update(doc(db, 'lh_users/U_bola'), { lastApplicationId: 'A2', permits: increment(-1) });
+  await assertFails(batch.commit());
+});
+
+test('the spend must be exactly one permit, the free one first', async () => {
+  await assertFails(apply(as('bola'), 'bola', 'A1', { permits: increment(-2) }));
+  await assertFails(apply(as('bola'), 'bola', 'A1', {}));
+  // Ada's free permit is unused, so a bought one cannot be spent instead
+  await env.withSecurityRulesDisabled(ctx => updateDoc(doc(ctx.firestore(), 'lh_users/U_ada'), { permits: 1 }));
+  await assertFails(apply(as('ada'), 'ada', 'A1', { permits: increment(-1) }));
+  await assertSucceeds(apply(as('ada'), 'ada', 'A1', { freePermitUsed: true }));
+});
+
+test('permits are never spent without an application, nor added', async () => {
+  const db = as('bola');
+  await assertFails(updateDoc(doc(db, 'lh_users/U_bola'), { permits: 1 }));
+  await assertFails(updateDoc(doc(db, 'lh_users/U_bola'), { permits: 5 }));
+  await assertFails(updateDoc(doc(db, 'lh_users/U_bola'), { freePermitUsed: false }));
+  await assertFails(updateDoc(doc(db, 'lh_users/U_bola'), { lastApplicationId: 'A1' }));
+  await assertSucceeds(updateDoc(doc(db, 'lh_users/U_bola'), { name: 'Bola A.' }));
+  await assertFails(updateDoc(doc(as('ada'), 'lh_users/U_bola'), { name: 'Not Bola' }));
+});
+
+test('applicants apply as themselves, to open tasks they did not post', async () => {
+  await assertFails(apply(as('ada'), 'ada', 'A1', { freePermitUsed: true }, application('bola')));
+  await assertFails(apply(as('ada'), 'ada', 'A1', { freePermitUsed: true }, application('ada', 'T2')));
+  await assertFails(apply(as('ada'), 'ada', 'A1', { freePermitUsed: true }, Object.assign(application('ada'), { status: 'accepted' })));
+  await env.withSecurityRulesDisabled(ctx => updateDoc(doc(ctx.firestore(), 'lh_users/U_chinedu'), { freePermitUsed: false }));
+  await assertFails(apply(as('chinedu'), 'chinedu', 'A1', { freePermitUsed: true }, application('chinedu')));
+});
+
+test('only the poster rejects an application, and nobody accepts one here', async () => {
+  await assertSucceeds(apply(as('ada'), 'ada', 'A1', { freePermitUsed: true }));
+  await assertFails(updateDoc(doc(as('bola'), 'lh_applications/A1'), { status: 'rejected' }));
+  await assertFails(updateDoc(doc(as('chinedu'), 'lh_applications/A1'), { status: 'accepted' }));
+  await assertSucceeds(updateDoc(doc(as('chinedu'), 'lh_applications/A1'), { status: 'rejected' }));
+});
+
+test('an accepted application is neither rejected nor withdrawn', async () => {
+  await env.withSecurityRulesDisabled(ctx => setDoc(doc(ctx.firestore(), 'lh_applications/A_bola'), Object.assign(application('bola', 'T2'), { status: 'accepted' })));
+  await assertFails(updateDoc(doc(as('chinedu'), 'lh_applications/A_bola'), { status: 'rejected' }));
+  await assertFails(deleteDoc(doc(as('bola'), 'lh_applications/A_bola')));
+  // A pending one can be withdrawn, by its applicant only
+  await assertSucceeds(apply(as('ada'), 'ada', 'A1', { freePermitUsed: true }));
+  await assertFails(deleteDoc(doc(as('chinedu'), 'lh_applications/A1')));
+  await assertSucceeds(deleteDoc(doc(as('ada'), 'lh_applications/A1')));
+});
+
+test('messages and threads are read only by the people in them', async () => {
+  await env.withSecurityRulesDisabled(async ctx => {
+    const db = ctx.firestore();
+    await setDoc(doc(db, 'lh_threads/ada~chinedu~T1'), { participants: ['ada', 'chinedu'], taskId: 'T1' });
+    await setDoc(doc(db, 'lh_messages/M1'), { threadId: 'ada~chinedu~T1', from: 'ada', to: 'chinedu', text: 'When should I come?' });
+  });
+  for (const name of ['ada', 'chinedu']) {
+    await assertSucceeds(getDoc(doc(as(name), 'lh_threads/ada~chinedu~T1')));
+    await assertSucceeds(getDoc(doc(as(name), 'lh_messages/M1')));
+  }
+  await assertFails(getDoc(doc(as('bola'), 'lh_threads/ada~chinedu~T1')));
+  await assertFails(getDoc(doc(as('bola'), 'lh_messages/M1')));
+  await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), 'lh_messages/M1')));
+  // Nor can anyone else write into the thread
+  await assertFails(setDoc(doc(as('bola'), 'lh_messages/M2'), { threadId: 'ada~chinedu~T1', from: 'bola', to: 'ada', text: 'Hi' }));
+});
+
+test('tasks are posted as yourself and move only through the API server', async () => {
+  await assertSucceeds(setDoc(doc(as('ada'), 'lh_tasks/T3'), { title: 'Carry boxes', poster: 'ada', category: 'deliveries-errands', budget: { amountKobo: 500000, currency: 'NGN', payType: 'fixed' } }));
+  await assertFails(setDoc(doc(as('ada'), 'lh_tasks/T4'), { title: 'Carry boxes', poster: 'bola', category: 'deliveries-errands' }));
+  await assertFails(setDoc(doc(as('ada'), 'lh_tasks/T4'), { title: 'Carry boxes', poster: 'ada', category: 'deliveries-errands', status: 'assigned' }));
+  await assertFails(updateDoc(doc(as('chinedu'), 'lh_tasks/T1'), { status: 'assigned', assignedTo: 'ada' }));
+  await assertFails(deleteDoc(doc(as('chinedu'), 'lh_tasks/T2')));
+  await assertSucceeds(deleteDoc(doc(as('chinedu'), 'lh_tasks/T1')));
+});
+
+test('server-only collections are closed to browsers', async () => {
+  const db = as('ada');
+  for (const col of ['lh_credentials', 'lh_usernames', 'lh_otp_codes', 'lh_statements', 'lh_channel_links', 'lh_link_codes', 'lh_channel_sessions', 'lh_sms_optouts', 'lh_reminders', 'lh_paystack_references']) {
+    await assertFails(getDoc(doc(db, col + '/x')));
+    await assertFails(setDoc(doc(db, col + '/x'), { username: 'ada' }));
+  }
+  await assertFails(setDoc(doc(db, 'lh_payments/P1'), { from: 'ada', to: 'ada', status: 'released', amount: 1000 }));
+  await assertFails(setDoc(doc(db, 'lh_notifications/N1'), { to: 'chinedu', from: 'ada', title: 'Anything' }));
+});
@@ -0,0 +1,92 @@
+// WorkLink API server. Verifies credentials, issues signed sessions, settles Paystack payments, runs
+// task escrow, issues income statements and notifications (in the app, by SMS and on WhatsApp) for the
+// static site in public/, stores task photos, sends task reminders, and answers workers on WhatsApp and
+// USSD.
+//   node server/index.js        (see README for environment variables)
+'use strict';
+
+const http = require('http');
+const { loadConfig } = require('./lib/config');
+const { HttpError, sendJson, applyCors, createRouter } = require('./lib/http');
+const { createMemoryStore, createFirestoreStore } = require('./lib/store');
+const { getFirebaseAdmin } = require('./lib/firebase');
+const { createNotifier } = require('./lib/notifications');
+const { createWhatsAppClient } = require('./lib/whatsapp');
+const { createPaystackClient } = require('./lib/paystack');
+const { createEscrow } = require('./lib/escrow');
+const { createSmsProvider } = require('./lib/sms');
+const { createReminders } = require('./lib/reminders');
+const { registerAuthRoutes } = require('./routes/auth');
+const { registerPaymentRoutes } = require('./routes/payments');
+const { registerTaskRoutes } = require('./routes/tasks');
+const { registerStatementRoutes } = require('./routes/statements');
+const { registerNotificationRoutes } = require('./routes/notifications');
+const { registerChannelRoutes } = require('./routes/channels');
+const { registerWhatsAppRoutes, whatsappDelivery } = require('./routes/whatsapp');
+const { registerUssdRoutes } = require('./routes/ussd');
+const { registerSmsRoutes, smsDelivery } = require('./routes/sms');
+const { registerMediaRoutes } = require('./routes/media');
+
+// `deps` can override the store, the Paystack or WhatsApp client, the SMS provider, the media store or
+// the notifier (tests, scripts); by default Firestore when configured, else memory. The returned handler
+// carries `reminders` ({ run }), which the caller schedules.
+function createApp(config, deps) {
+  deps = deps || {};
+  const firebase = deps.firebase !== undefined ? deps.firebase : getFirebaseAdmin(config);
+  const store = deps.store || (firebase ? createFirestoreStore(firebase.db) : createMemoryStore());
+  const whatsapp = deps.whatsapp || createWhatsAppClient({ token: config.whatsappToken, phoneNumberId: config.whatsappPhoneNumberId, baseURL: config.whatsappBaseURL });
+  const sms = deps.sms !== undefined ? deps.sms : createSmsProvider(config);
+  const paystack = deps.paystack || createPaystackClient({ secretKey: config.paystackSecretKey, baseURL: config.paystackBaseURL });
+  const ctxDeps = Object.assign({}, deps, { config, firebase, store, whatsapp, sms, paystack });
+  ctxDeps.notify = deps.notify || createNotifier(store, [whatsappDelivery(ctxDeps), smsDelivery(ctxDeps)]);
+  ctxDeps.escrow = createEscrow(store, ctxDeps.notify, paystack);
+
+  const router = createRouter();
+  router.get('/health', async () => ({ ok: true, store: store.name }));
+  registerAuthRoutes(router, ctxDeps);
+  registerPaymentRoutes(router, ctxDeps);
+  registerTaskRoutes(router, ctxDeps);
+  registerStatementRoutes(router, ctxDeps);
+  registerNotificationRoutes(router, ctxDeps);
+  registerChannelRoutes(router, ctxDeps);
+  registerWhatsAppRoutes(router, ctxDeps);
+  registerUssdRoutes(router, ctxDeps);
+  registerSmsRoutes(router, ctxDeps);
+  registerMediaRoutes(router, ctxDeps);
+
+  async function handler(req, res) {
+    applyCors(req, res, config.corsOrigin);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    try {
+      await router.handle(req, res);
+    } catch (err) {
+      if (res.writableEnded) return;
+      if (err instanceof HttpError) {
+        sendJson(res, err.status, { error: err.message, code: err.code });
+      } else {
+        console.error('Unhandled error for', req.method, req.url, err);
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    }
+  }
+  handler.reminders = createReminders(store, ctxDeps.notify);
+  return handler;
+}
+
+if (require.main === module) {
+  const config = loadConfig();
+  const app = createApp(config);
+  const server = http.createServer(app);
+  server.listen(config.port, () => console.info('WorkLink API listening on port ' + config.port));
+  if (config.reminderIntervalMinutes > 0) {
+    setInterval(() => {
+      app.reminders.run().catch(err => console.error('Sending task reminders failed', err));
+    }, config.reminderIntervalMinutes * 60 * 1000);
+  }
+}
+
+module.exports = { createApp };
@@ -0,0 +1,25 @@
+// Task budgets (public/assets/js/budget.js), loaded into a sandbox so the API server and the chat
+// channels read, check and word budgets exactly as the site does.
+'use strict';
+
+const { loadPublic } = require('./load-public');
+
+const LOCALE = 'en-NG';
+
+function loadBudget() { return loadPublic(['budget.js'], 'LHBudget', { Intl }); }
+
+// Budgets made in the sandbox are copied out so they are plain objects of this realm
+function copy(b) { return b ? Object.assign({}, b) : null; }
+
+module.exports = {
+  normalize: value => copy(loadBudget().normalize(value)),
+  validate: value => loadBudget().validate(value),
+  naira: value => loadBudget().naira(value),
+  // "₦5,000", "₦1,500 per hour"; '' for no budget
+  format: value => loadBudget().format(value, LOCALE),
+  // Only fixed-price budgets are held in escrow: hourly and daily pay depends on the time worked
+  escrowable: value => {
+    const b = loadBudget().normalize(value);
+    return b && b.payType === 'fixed' ? copy(b) : null;
+  }
+};
@@ -0,0 +1,30 @@
+// The task categories (public/assets/js/categories.js), loaded into a sandbox so the API server and
+// the chat channels check and name categories exactly as the site does.
+'use strict';
+
+const { loadPublic } = require('./load-public');
+
+function loadCategories() { return loadPublic(['categories.js'], 'LHCategories'); }
+
+module.exports = {
+  get OTHER() { return loadCategories().OTHER; },
+  // [{ id, name }] in the site's order
+  list: () => loadCategories().all().map(c => ({ id: c.id, name: c.name })),
+  name: id => loadCategories().name(id),
+  valid: (id, subId) => loadCategories().valid(id, subId),
+  match: text => {
+    const found = loadCategories().match(text);
+    return found ? { category: found.category, subcategory: found.subcategory } : null;
+  },
+  // The id of the task's category, read from free text for tasks from before; '' when unknown
+  categoryOf: task => {
+    const r = loadCategories().resolve(task);
+    return r ? r.category.id : '';
+  },
+  // The id of the task's subcategory, read the same way; '' when it has none
+  subcategoryOf: task => {
+    const r = loadCategories().resolve(task);
+    return r && r.subcategory ? r.subcategory.id : '';
+  },
+  label: task => loadCategories().label(task)
+};
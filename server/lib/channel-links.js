@@ -0,0 +1,67 @@
+// Links an address on a chat channel (a WhatsApp number) to a WorkLink account. A signed-in user
+// asks for a short-lived code (POST /channels/link-code) and sends "LINK <code>" from the channel.
+// Links live in lh_channel_links under `<channel>:<address>`, codes in lh_link_codes; both are
+// server-only (see firestore.rules). USSD callers are matched by their verified sign-in number instead.
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { normalizeNigerianPhone } = require('./phone');
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+
+function linkId(channel, address) { return channel + ':' + address; }
+
+function createChannelLinks(store) {
+  async function createCode(user) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = String(crypto.randomInt(100000, 1000000));
+      const existing = await store.get('lh_link_codes', code);
+      if (existing && Date.parse(existing.expiresAt) > Date.now()) continue;
+      const doc = { id: code, userId: user.id, username: user.username, expiresAt: new Date(Date.now() + CODE_TTL_MS).toISOString() };
+      await store.put('lh_link_codes', doc);
+      return doc;
+    }
+    throw new HttpError(503, 'Could not create a link code, try again', 'link_code_unavailable');
+  }
+
+  // Codes are single use; an expired or unknown code links nothing
+  async function redeem(channel, address, code) {
+    const doc = await store.get('lh_link_codes', String(code || '').trim());
+    if (!doc || Date.parse(doc.expiresAt) <= Date.now()) throw new HttpError(400, 'That code is not valid or has expired', 'invalid_link_code');
+    await store.remove('lh_link_codes', doc.id);
+    const link = { id: linkId(channel, address), channel, address, userId: doc.userId, username: doc.username, linkedAt: new Date().toISOString() };
+    await store.put('lh_channel_links', link);
+    return link;
+  }
+
+  // { link, user } for the address, or null when it is not linked (or the account is gone)
+  async function lookup(channel, address) {
+    const link = await store.get('lh_channel_links', linkId(channel, address));
+    if (!link) return null;
+    const user = await store.get('lh_users', link.userId);
+    return user ? { link, user } : null;
+  }
+
+  async function linksFor(username, channel) {
+    return (await store.where('lh_channel_links', 'username', username)).filter(l => !channel || l.channel === channel);
+  }
+
+  function unlink(channel, address) { return store.remove('lh_channel_links', linkId(channel, address)); }
+
+  // Channels that already know the caller's number (USSD) find the account that signs in with it: the
+  // number in lh_credentials, proven with an SMS code (server/routes/auth.js). The profile `phone` is
+  // not used, as anyone can read it and its owner can set it to any number. Null when no account signs
+  // in with the number; throws when several somehow do.
+  async function userForPhone(phone) {
+    const e164 = normalizeNigerianPhone(phone);
+    if (!e164) return null;
+    const creds = await store.where('lh_credentials', 'phone', e164);
+    if (creds.length > 1) throw new HttpError(409, 'More than one account uses this number', 'phone_ambiguous');
+    return creds.length ? store.get('lh_users', creds[0].id) : null;
+  }
+
+  return { createCode, redeem, lookup, linksFor, unlink, userForPhone };
+}
+
+module.exports = { createChannelLinks };
@@ -0,0 +1,46 @@
+// Server configuration, read from the environment.
+'use strict';
+
+const crypto = require('crypto');
+
+function loadConfig(env) {
+  env = env || process.env;
+  const production = env.NODE_ENV === 'production';
+  let authSecret = env.AUTH_SECRET;
+  if (!authSecret) {
+    if (production) throw new Error('AUTH_SECRET must be set in production');
+    authSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('AUTH_SECRET not set; using a random secret, sessions will not survive a restart');
+  }
+  return {
+    production,
+    port: Number(env.PORT) || 8787,
+    corsOrigin: env.CORS_ORIGIN || '*',
+    authSecret,
+    sessionTtlSeconds: (Number(env.SESSION_TTL_HOURS) || 24 * 7) * 3600,
+    firebaseProjectId: env.FIREBASE_PROJECT_ID || env.GCLOUD_PROJECT || null,
+    paystackSecretKey: env.PAYSTACK_SECRET_KEY || null,
+    paystackBaseURL: env.PAYSTACK_BASE_URL || 'https://api.paystack.co',
+    permitPriceKobo: Number(env.PERMIT_PRICE_KOBO) || 10000,
+    siteURL: env.SITE_URL || null,
+    whatsappToken: env.WHATSAPP_TOKEN || null,
+    whatsappPhoneNumberId: env.WHATSAPP_PHONE_NUMBER_ID || null,
+    whatsappAppSecret: env.WHATSAPP_APP_SECRET || null,
+    whatsappVerifyToken: env.WHATSAPP_VERIFY_TOKEN || null,
+    whatsappBaseURL: env.WHATSAPP_BASE_URL || 'https://graph.facebook.com/v20.0',
+    ussdCallbackKey: env.USSD_CALLBACK_KEY || null,
+    smsProvider: env.SMS_PROVIDER || null,
+    smsFakeFile: env.SMS_FAKE_FILE || 'sms-outbox.jsonl',
+    smsSenderId: env.SMS_SENDER_ID || null,
+    smsCallbackKey: env.SMS_CALLBACK_KEY || null,
+    smsPerHour: Number(env.SMS_PER_HOUR) || 5,
+    atUsername: env.AT_USERNAME || null,
+    atApiKey: env.AT_API_KEY || null,
+    atBaseURL: env.AT_BASE_URL || 'https://api.africastalking.com',
+    mediaDir: env.MEDIA_DIR || 'media',
+    mediaUploadsPerHour: Number(env.MEDIA_UPLOADS_PER_HOUR) || 60,
+    reminderIntervalMinutes: env.REMINDER_INTERVAL_MINUTES === undefined ? 60 : Number(env.REMINDER_INTERVAL_MINUTES) || 0
+  };
+}
+
+module.exports = { loadConfig };
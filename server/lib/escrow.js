@@ -0,0 +1,96 @@
+// Assigning a task to an accepted applicant, and the escrow money that comes with it (see
+// server/routes/tasks.js). A fixed-price budget is charged to the poster through Paystack first; the
+// task is assigned only once that charge is confirmed (server/routes/payments.js), and in the same
+// transaction that checks the task is still open, the application still pending and nothing else held,
+// so two accepts cannot both go through. A charge that arrives too late is refunded.
+'use strict';
+
+const { HttpError } = require('./http');
+const { taskStatus } = require('./marketplace');
+const { stampPatch } = require('./store');
+const budgets = require('./budget');
+
+function isActive(payment) { return payment.kind === 'escrow' && (payment.status === 'held' || payment.status === 'disputed'); }
+
+// Why the application `app` cannot be accepted for the task (as read in the transaction), or null
+function whyNotAssignable(task, app, taskId, held) {
+  if (!task || !app || app.taskId !== taskId) return 'The task or application no longer exists';
+  if (taskStatus(task) !== 'open') return 'The task is no longer open';
+  if (app.status !== 'pending') return 'The application is no longer pending';
+  if (held) return 'The task already has a payment in escrow';
+  return null;
+}
+
+function taskLink(taskId) { return 'task.html?id=' + encodeURIComponent(taskId); }
+
+function createEscrow(store, notify, paystack) {
+  // Marks `payment` as moved to `status` by `by`, with its history entry
+  async function move(payment, status, by, now, note) {
+    const entry = { status, by, at: now };
+    if (note) entry.note = note;
+    return store.update('lh_payments', payment.id, { status, updatedAt: now, history: (payment.history || []).concat([entry]) });
+  }
+
+  // Assigns the task to the applicant of `appId`, holding `payment` (the poster's confirmed charge, or
+  // null for budgets that are not held) as one transaction. Resolves to { task, application, payment }
+  // and throws 409 'not_assignable' when the task or application has moved on.
+  async function assign(taskId, appId, by, payment, paidAt) {
+    const now = new Date().toISOString();
+    const done = await store.transaction(async tx => {
+      const task = await tx.get('lh_tasks', taskId);
+      const app = await tx.get('lh_applications', appId);
+      const held = (await tx.where('lh_payments', 'taskId', taskId)).find(isActive);
+      const current = payment && await tx.get('lh_payments', payment.id);
+      // A charge Paystack reported abandoned (marked failed) can still be paid later
+      if (payment && (!current || (current.status !== 'pending' && current.status !== 'failed'))) return { settled: true };
+      const problem = whyNotAssignable(task, app, taskId, held);
+      if (problem) return { problem };
+
+      const entry = { from: taskStatus(task), to: 'assigned', by, at: now };
+      const assigned = Object.assign({}, task, stampPatch(task, { status: 'assigned', assignedTo: app.applicant, history: (task.history || []).concat([entry]), updatedAt: now }, now));
+      const application = Object.assign({}, app, stampPatch(app, { status: 'accepted', updatedAt: now }, now));
+      tx.put('lh_tasks', assigned);
+      tx.put('lh_applications', application);
+      let heldPayment = null;
+      if (payment) {
+        heldPayment = Object.assign({}, current, { status: 'held', paidAt: paidAt || now, updatedAt: now, history: (current.history || []).concat([{ status: 'held', by, at: now }]) });
+        tx.put('lh_payments', heldPayment);
+      }
+      return { task: assigned, application, payment: heldPayment };
+    });
+    if (done.settled) throw new HttpError(409, 'This payment was already settled', 'already_settled');
+    if (done.problem) throw new HttpError(409, done.problem, 'not_assignable');
+
+    const budget = budgets.format(done.task.budget);
+    await notify(done.application.applicant, 'application_accepted', {
+      from: by, taskId, link: taskLink(taskId),
+      title: 'You got the task "' + (done.task.title || 'Untitled') + '"',
+      body: done.payment ? 'The budget is held in escrow until the task is done.'
+        : budget ? 'The budget is ' + budget + ', paid to you directly for the time worked.' : 'Start when you are ready.'
+    });
+    return done;
+  }
+
+  // Holds a pending escrow `payment` once Paystack reports its charge `tx` paid. When the task can no
+  // longer be assigned, the charge is refunded and 409 thrown.
+  async function hold(payment, tx) {
+    try {
+      return await assign(payment.taskId, payment.applicationId, payment.from, payment, tx.paid_at);
+    } catch (err) {
+      if (!(err instanceof HttpError) || err.code !== 'not_assignable') throw err;
+      await refund(payment, payment.from, err.message);
+      throw new HttpError(409, err.message + '. Your payment is being refunded.', 'not_assignable');
+    }
+  }
+
+  // Returns the money of `payment` to the poster: through Paystack when it was charged there (escrow
+  // recorded before charging began was never collected), then marks it refunded
+  async function refund(payment, by, note) {
+    if (payment.paystackReference) await paystack.refund(payment.paystackReference);
+    return move(payment, 'refunded', by, new Date().toISOString(), note);
+  }
+
+  return { assign, hold, refund, move, isActive };
+}
+
+module.exports = { createEscrow };
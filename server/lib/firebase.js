@@ -0,0 +1,20 @@
+// Lazily initialised firebase-admin. Returns null when no Firebase project is configured, in which
+// case the server runs against the in-memory store (local development).
+'use strict';
+
+let cached;
+
+function getFirebaseAdmin(config) {
+  if (cached !== undefined) return cached;
+  if (!config.firebaseProjectId) {
+    cached = null;
+    return cached;
+  }
+  const admin = require('firebase-admin');
+  if (!admin.apps.length) admin.initializeApp({ projectId: config.firebaseProjectId });
+  // FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST are picked up by firebase-admin itself
+  cached = { admin, db: admin.firestore(), auth: admin.auth() };
+  return cached;
+}
+
+module.exports = { getFirebaseAdmin };
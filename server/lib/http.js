@@ -0,0 +1,126 @@
+// Minimal HTTP plumbing shared by the route modules: JSON bodies and responses, CORS and a small router.
+'use strict';
+
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Parses the body as JSON (or urlencoded form data) and keeps the raw bytes on `req.rawBody` for signature
+// checks. Image uploads are not parsed: the route reads them from `req.rawBody`.
+async function readJson(req) {
+  const raw = await readBody(req);
+  req.rawBody = raw;
+  if (!raw.length) return {};
+  const type = String(req.headers['content-type'] || '');
+  if (type.startsWith('image/')) return {};
+  if (type.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw.toString('utf8')));
+  }
+  try {
+    return JSON.parse(raw.toString('utf8'));
+  } catch (e) {
+    throw new HttpError(400, 'Invalid JSON body');
+  }
+}
+
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body === undefined ? {} : body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(payload) });
+  res.end(payload);
+}
+
+function sendText(res, status, text, contentType) {
+  res.writeHead(status, { 'Content-Type': (contentType || 'text/plain') + '; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+  res.end(text);
+}
+
+function applyCors(req, res, allowedOrigin) {
+  res.setHeader('Access-Control-Allow-Origin', allowedOrigin || '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+}
+
+// Routes are registered as `router.post('/auth/login', handler)`; `:name` segments become `ctx.params.name`.
+// Handlers receive ctx = { req, res, body, params, query } and either return a value (sent as 200 JSON),
+// throw an HttpError, or write to `res` themselves.
+function createRouter() {
+  const routes = [];
+
+  function add(method, pattern, handler) {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/:([A-Za-z]+)/g, (_, k) => { keys.push(k); return '([^/]+)'; }) + '/?$');
+    routes.push({ method, regex, keys, handler });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find(r => r.method === req.method && r.regex.test(url.pathname));
+    if (!route) throw new HttpError(404, 'Not found');
+    const match = url.pathname.match(route.regex);
+    const params = {};
+    try {
+      route.keys.forEach((k, i) => { params[k] = decodeURIComponent(match[i + 1]); });
+    } catch (e) {
+      // A malformed escape such as /tasks/%E0%A4%A is the client's mistake
+      if (e instanceof URIError) throw new HttpError(400, 'Malformed request path', 'invalid_path');
+      throw e;
+    }
+    const body = req.method === 'GET' || req.method === 'DELETE' ? {} : await readJson(req);
+    const ctx = { req, res, body, params, query: Object.fromEntries(url.searchParams) };
+    const result = await route.handler(ctx);
+    if (!res.writableEnded) sendJson(res, 200, result);
+  }
+
+  return {
+    get: (p, h) => add('GET', p, h),
+    post: (p, h) => add('POST', p, h),
+    put: (p, h) => add('PUT', p, h),
+    delete: (p, h) => add('DELETE', p, h),
+    handle
+  };
+}
+
+function bearerToken(req) {
+  const header = String(req.headers.authorization || '');
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// Compares a callback key from a URL with the configured one in constant time (hashed first, so the
+// lengths match)
+function sameKey(given, expected) {
+  const a = crypto.createHash('sha256').update(String(given || '')).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function clientIp(req) {
+  return String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress || 'unknown';
+}
+
+module.exports = { HttpError, readBody, readJson, sendJson, sendText, applyCors, createRouter, bearerToken, clientIp, sameKey };
@@ -0,0 +1,17 @@
+// ULIDs, same scheme as public/assets/js/storage.js: 48-bit ms timestamp + 80 random bits, Crockford base32.
+'use strict';
+
+const crypto = require('crypto');
+
+const ULID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+function newId() {
+  let time = Date.now();
+  let out = '';
+  for (let i = 0; i < 10; i++) { out = ULID_ALPHABET[time % 32] + out; time = Math.floor(time / 32); }
+  const bytes = crypto.randomBytes(16);
+  for (let i = 0; i < 16; i++) out += ULID_ALPHABET[bytes[i] % 32];
+  return out;
+}
+
+module.exports = { newId };
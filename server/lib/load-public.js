@@ -0,0 +1,28 @@
+// Loads the site's browser modules (public/assets/js) into a sandbox, so the server runs the same
+// code the pages do. Each module is loaded once, on first use.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PUBLIC_JS = path.join(__dirname, '..', '..', 'public', 'assets', 'js');
+
+const loaded = new Map();
+
+// Runs `files` in order in one sandbox, with `globals` beside `window`, and returns the
+// `window[name]` they define
+function loadPublic(files, name, globals) {
+  if (loaded.has(name)) return loaded.get(name);
+  const sandbox = Object.assign({ window: {} }, globals);
+  vm.createContext(sandbox);
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(PUBLIC_JS, file), 'utf8'), sandbox, { filename: file });
+  });
+  const exported = sandbox.window[name];
+  if (!exported) throw new Error(files.join(', ') + ' did not define window.' + name);
+  loaded.set(name, exported);
+  return exported;
+}
+
+module.exports = { loadPublic };
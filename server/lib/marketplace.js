@@ -0,0 +1,82 @@
+// Browsing and applying for tasks on behalf of the chat channels (WhatsApp and USSD), which have no
+// browser to do it. The rules are the site's: applyToTask and permitSpend in
+// public/assets/js/tasks.js, and what firestore.rules allows an applicant to write.
+'use strict';
+
+const { HttpError } = require('./http');
+const { newId } = require('./ids');
+const { stampPatch } = require('./store');
+const places = require('./places');
+const budgets = require('./budget');
+
+const MAX_APPLICATION_LENGTH = 500;
+
+function taskStatus(task) { return (task && task.status) || 'open'; }
+
+function formatBudget(task) {
+  return budgets.format(task.budget) || task.budgetNote || 'Budget not set';
+}
+
+function createMarketplace(store, notify) {
+  // Open tasks, nearest to `origin` ({ lat, lng }) first when given, else newest first.
+  // Returns [{ task, km }], where km is null for tasks that cannot be placed.
+  async function openTasks(origin) {
+    const rows = (await store.list('lh_tasks'))
+      .filter(t => taskStatus(t) === 'open')
+      .map(task => ({ task, km: origin ? places.distanceKm(origin, places.taskCoords(task)) : null }));
+    const newest = (a, b) => String(b.task.createdAt || '').localeCompare(String(a.task.createdAt || ''));
+    return rows.sort((a, b) => {
+      if (origin && a.km !== b.km) return a.km === null ? 1 : b.km === null ? -1 : a.km - b.km;
+      return newest(a, b);
+    });
+  }
+
+  // The profile fields spending one permit changes, in the browser's order: the free permit first,
+  // then purchased ones
+  function permitSpend(user) {
+    if (!user.freePermitUsed) return { freePermitUsed: true };
+    if ((user.permits || 0) > 0) return { permits: user.permits - 1 };
+    throw new HttpError(402, 'No permit available', 'no_permit');
+  }
+
+  // `user` is the applicant's lh_users doc. Returns { application, task, user } with the permit spent.
+  // The checks, the spend and the application are one transaction, so two applies arriving together
+  // (from WhatsApp and USSD, say) cannot spend two permits or apply twice.
+  async function applyToTask(user, taskId, message, channel) {
+    message = String(message || '').trim().slice(0, MAX_APPLICATION_LENGTH);
+    const now = new Date().toISOString();
+    const { application, task, user: updatedUser } = await store.transaction(async tx => {
+      const task = await tx.get('lh_tasks', taskId);
+      if (!task) throw new HttpError(404, 'Task not found', 'task_not_found');
+      if (taskStatus(task) !== 'open') throw new HttpError(409, 'This task is no longer taking applications', 'not_open');
+      if (task.poster === user.username) throw new HttpError(400, 'You cannot apply to your own task', 'own_task');
+      const existing = await tx.where('lh_applications', 'taskId', task.id);
+      if (existing.some(a => a.applicant === user.username)) throw new HttpError(409, 'You have already applied for this task', 'already_applied');
+      const current = await tx.get('lh_users', user.id);
+      if (!current) throw new HttpError(404, 'Account no longer exists', 'unknown_user');
+
+      const application = { id: newId(), taskId: task.id, applicant: user.username, message, status: 'pending', channel, createdAt: now };
+      const spent = Object.assign({}, current, stampPatch(current, Object.assign({ lastApplicationId: application.id }, permitSpend(current)), now));
+      tx.put('lh_users', spent);
+      tx.put('lh_applications', application);
+      return { application, task, user: spent };
+    });
+    await notify(task.poster, 'application_new', {
+      from: user.username, taskId: task.id, link: 'task.html?id=' + encodeURIComponent(task.id),
+      title: user.username + ' applied to "' + (task.title || 'your task') + '"', body: message.slice(0, 140)
+    });
+    return { application, task, user: updatedUser };
+  }
+
+  // `username`'s latest `limit` applications, newest first, each with its task (null if deleted)
+  async function applicationsBy(username, limit) {
+    const apps = (await store.where('lh_applications', 'applicant', username))
+      .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+      .slice(0, limit);
+    return Promise.all(apps.map(async application => ({ application, task: await store.get('lh_tasks', application.taskId) })));
+  }
+
+  return { openTasks, applyToTask, applicationsBy };
+}
+
+module.exports = { createMarketplace, taskStatus, formatBudget };
@@ -0,0 +1,56 @@
+// Task photos kept on the API server's disk, for sites not using Firebase Storage. Files live under
+// MEDIA_DIR as <owner>/<id>.<ext>, where the owner is the uploader's user id. The browser resizes and
+// compresses before uploading (assets/js/media.js), so the server only checks the bytes are an image.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+const NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const FILE_RE = /^([A-Za-z0-9_-]{1,64})\.(jpg|png|webp)$/;
+
+// The image type from the file's first bytes, or null; the Content-Type sent with it is not trusted
+function sniffImageType(buf) {
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+function createLocalMediaStore(dir) {
+  // Null for names that are not ours, so a request path never reaches outside `dir`
+  function fileFor(owner, file) {
+    if (!NAME_RE.test(String(owner)) || !FILE_RE.test(String(file))) return null;
+    return path.join(dir, owner, file);
+  }
+
+  return {
+    name: 'local',
+    // Stores `buffer` (of image `type`) for `owner`; resolves to the path to serve it from
+    async save(owner, buffer, type) {
+      const file = crypto.randomBytes(12).toString('base64url') + '.' + TYPES[type];
+      const target = fileFor(owner, file);
+      if (!target) throw new Error('Invalid media owner ' + owner);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer, { flag: 'wx' });
+      return '/media/' + owner + '/' + file;
+    },
+    // { buffer, type }, or null when there is no such file
+    async read(owner, file) {
+      const target = fileFor(owner, file);
+      if (!target) return null;
+      try {
+        const buffer = await fs.promises.readFile(target);
+        const ext = file.match(FILE_RE)[2];
+        return { buffer, type: Object.keys(TYPES).find(t => TYPES[t] === ext) };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    }
+  };
+}
+
+module.exports = { TYPES, sniffImageType, createLocalMediaStore };
@@ -0,0 +1,34 @@
+// In-app notifications (lh_notifications): one doc per recipient and event, shown by the bell in the
+// site's navbar. Events the API server carries out are recorded here, and so are those that follow a
+// browser's own writes, once POST /notifications (server/routes/notifications.js) has checked them.
+// Each stored notification is also handed to the delivery channels: WhatsApp for users who linked a
+// number, SMS for those with a phone.
+// TYPES must match NOTIFICATION_TYPES in public/assets/js/tasks.js.
+'use strict';
+
+const { newId } = require('./ids');
+
+const TYPES = ['application_new', 'application_accepted', 'application_rejected', 'task_status', 'payment_received', 'review_new', 'task_reminder', 'task_updated'];
+
+// notify(to, type, { from, title, body, link, taskId, id }). A notification is a courtesy: failing to
+// write or deliver one is logged and never fails the request that caused it. Given an `id` that is
+// already stored, it resolves to that notification and delivers nothing again.
+// `channels` are { name, deliver(doc) }.
+function createNotifier(store, channels) {
+  return async function notify(to, type, fields) {
+    if (!to || !TYPES.includes(type)) return null;
+    const doc = Object.assign({ id: newId(), to, type, createdAt: new Date().toISOString(), readAt: null }, fields);
+    try {
+      if (!(await store.create('lh_notifications', doc))) return store.get('lh_notifications', doc.id);
+    } catch (e) {
+      console.error('Could not store notification', type, 'for', to, e);
+      return null;
+    }
+    for (const channel of channels || []) {
+      try { await channel.deliver(doc); } catch (e) { console.error('Could not deliver notification', doc.id, 'by', channel.name, e); }
+    }
+    return doc;
+  };
+}
+
+module.exports = { createNotifier, TYPES };
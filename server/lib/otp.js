@@ -0,0 +1,66 @@
+// One-time codes sent by SMS to prove someone holds a phone number (phone sign-up, sign-in and
+// linking a number to an account). One live code per number, kept in the server-only lh_otp_codes
+// collection under the number in E.164 and stored as an HMAC, never in the clear.
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { createRateLimiter } = require('./rate-limit');
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const MINUTE_MS = 60 * 1000;
+
+// `sms` is a provider from lib/sms.js (null when SMS is not set up); `secret` keys the code hashes
+function createOtp(store, sms, secret) {
+  const resendGap = createRateLimiter({ limit: 1, windowMs: MINUTE_MS });
+  const perPhone = createRateLimiter({ limit: 5, windowMs: 60 * MINUTE_MS });
+  const perIp = createRateLimiter({ limit: 20, windowMs: 60 * MINUTE_MS });
+
+  function digest(phone, code) {
+    return crypto.createHmac('sha256', secret).update(phone + ':' + code).digest('base64');
+  }
+
+  // Sends a fresh code to `phone` (E.164), replacing any earlier one. Throws 429 when the number or
+  // the caller's address asked too often: once a minute and five times an hour per number.
+  async function send(phone, ip) {
+    if (!sms) throw new HttpError(503, 'Sign-in by SMS is not available right now', 'sms_unavailable');
+    const limits = [[resendGap, phone], [perPhone, phone], [perIp, ip]];
+    for (const [limiter, key] of limits) {
+      const r = limiter.check(key);
+      if (!r.allowed) throw new HttpError(429, 'Too many codes requested. Try again in ' + Math.ceil(r.retryAfterMs / 1000) + ' seconds.', 'rate_limited');
+    }
+    limits.forEach(([limiter, key]) => limiter.hit(key));
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const now = Date.now();
+    await store.put('lh_otp_codes', { id: phone, codeHash: digest(phone, code), attempts: 0, sentAt: new Date(now).toISOString(), expiresAt: new Date(now + CODE_TTL_MS).toISOString() });
+    try {
+      await sms.send(phone, 'WorkLink: your code is ' + code + '. It expires in ' + CODE_TTL_MS / MINUTE_MS + ' minutes. Do not share it with anyone.');
+    } catch (err) {
+      await store.remove('lh_otp_codes', phone);
+      throw err;
+    }
+    return { expiresAt: new Date(now + CODE_TTL_MS).toISOString(), resendAfterSeconds: MINUTE_MS / 1000 };
+  }
+
+  // Throws 400 unless `code` is the live code for `phone`. A code stays valid until consume() so a
+  // caller can ask for more details (a username for a new account) and submit it again; after
+  // MAX_ATTEMPTS wrong guesses it is dropped.
+  async function check(phone, code) {
+    const doc = await store.get('lh_otp_codes', phone);
+    if (!doc || Date.parse(doc.expiresAt) <= Date.now()) throw new HttpError(400, 'That code has expired or was already used. Ask for a new one.', 'invalid_code');
+    const given = Buffer.from(digest(phone, String(code || '').trim()));
+    const expected = Buffer.from(doc.codeHash);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return;
+    if (doc.attempts + 1 >= MAX_ATTEMPTS) await store.remove('lh_otp_codes', phone);
+    else await store.put('lh_otp_codes', Object.assign({}, doc, { attempts: doc.attempts + 1 }));
+    throw new HttpError(400, 'That code is not right', 'invalid_code');
+  }
+
+  function consume(phone) { return store.remove('lh_otp_codes', phone); }
+
+  return { send, check, consume };
+}
+
+module.exports = { createOtp };
@@ -0,0 +1,52 @@
+// Password hashing with salted scrypt.
+// Stored format: scrypt$<N>$<r>$<p>$<salt b64>$<hash b64>
+// Accounts created before the auth server kept an unsalted SHA-256 hex digest in lh_users. Those are
+// moved server-side by scripts/migrate-passwords.js as `sha256-scrypt$...` (scrypt over the old digest)
+// and upgraded to plain scrypt the next time the user signs in.
+'use strict';
+
+const crypto = require('crypto');
+
+const PARAMS = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+function scrypt(input, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(input, salt, params.keylen, { N: params.N, r: params.r, p: params.p }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+function sha256Hex(s) { return crypto.createHash('sha256').update(String(s), 'utf8').digest('hex'); }
+
+async function hashWith(prefix, input) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(input, salt, PARAMS);
+  return [prefix, PARAMS.N, PARAMS.r, PARAMS.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+function hashPassword(password) { return hashWith('scrypt', String(password)); }
+
+// Wraps a legacy SHA-256 digest so it can leave the public collection before its owner signs in again
+function wrapLegacyHash(sha256hex) { return hashWith('sha256-scrypt', String(sha256hex).toLowerCase()); }
+
+async function verifyPassword(password, stored) {
+  if (!stored) return false;
+  const parts = String(stored).split('$');
+  if (parts.length === 6 && (parts[0] === 'scrypt' || parts[0] === 'sha256-scrypt')) {
+    const input = parts[0] === 'scrypt' ? String(password) : sha256Hex(password);
+    const expected = Buffer.from(parts[5], 'base64');
+    const key = await scrypt(input, Buffer.from(parts[4], 'base64'), { N: Number(parts[1]), r: Number(parts[2]), p: Number(parts[3]), keylen: expected.length });
+    return crypto.timingSafeEqual(key, expected);
+  }
+  // Bare legacy digest still sitting on an unmigrated lh_users doc
+  if (/^[0-9a-f]{64}$/i.test(stored)) {
+    return crypto.timingSafeEqual(Buffer.from(sha256Hex(password), 'hex'), Buffer.from(stored, 'hex'));
+  }
+  return false;
+}
+
+function needsRehash(stored) {
+  const parts = String(stored || '').split('$');
+  return parts[0] !== 'scrypt' || Number(parts[1]) !== PARAMS.N || Number(parts[2]) !== PARAMS.r || Number(parts[3]) !== PARAMS.p;
+}
+
+module.exports = { hashPassword, wrapLegacyHash, verifyPassword, needsRehash };
@@ -0,0 +1,51 @@
+// Paystack REST client and webhook signature check. The secret key never leaves the server.
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+// `baseURL` can point at a local stub of the Paystack API
+function createPaystackClient(options) {
+  const secretKey = options.secretKey;
+  const baseURL = String(options.baseURL || 'https://api.paystack.co').replace(/\/$/, '');
+
+  // GET, or POST with `payload` as JSON
+  async function request(path, payload) {
+    if (!secretKey) throw new HttpError(503, 'Payments are not configured', 'payments_unavailable');
+    const headers = { Authorization: 'Bearer ' + secretKey };
+    if (payload) headers['Content-Type'] = 'application/json';
+    let res;
+    try {
+      res = await fetch(baseURL + path, payload ? { method: 'POST', headers, body: JSON.stringify(payload) } : { headers });
+    } catch (e) {
+      throw new HttpError(502, 'Cannot reach Paystack', 'paystack_unreachable');
+    }
+    let body = {};
+    try { body = await res.json(); } catch (e) { /* non-JSON error page */ }
+    if (res.status >= 400 && res.status < 500) throw new HttpError(400, body.message || 'Transaction not found', 'paystack_rejected');
+    if (!res.ok || !body.status) throw new HttpError(502, body.message || 'Paystack request failed', 'paystack_error');
+    return body.data;
+  }
+
+  return {
+    // Resolves to Paystack's transaction object ({ status, reference, amount, currency, paid_at, ... })
+    verifyTransaction(reference) {
+      return request('/transaction/verify/' + encodeURIComponent(reference));
+    },
+    // Refunds a successful charge in full; resolves to Paystack's refund object ({ status, amount, ... })
+    refund(reference) {
+      return request('/refund', { transaction: reference });
+    }
+  };
+}
+
+// Paystack signs webhook bodies with HMAC-SHA512 of the raw bytes, keyed with the secret key
+function verifySignature(rawBody, signature, secretKey) {
+  if (!rawBody || !signature || !secretKey) return false;
+  const expected = crypto.createHmac('sha512', secretKey).update(rawBody).digest();
+  let given;
+  try { given = Buffer.from(String(signature), 'hex'); } catch (e) { return false; }
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { createPaystackClient, verifySignature };
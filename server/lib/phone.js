@@ -0,0 +1,14 @@
+// Nigerian phone numbers. Profiles hold whatever the user typed ("0803 123 4567", "+2348031234567");
+// channels compare numbers in E.164 (+234XXXXXXXXXX).
+'use strict';
+
+// '+234' plus the 10 national digits, or null when `input` is not a Nigerian mobile number
+function normalizeNigerianPhone(input) {
+  let digits = String(input || '').replace(/[^\d]/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.startsWith('234')) digits = digits.slice(3);
+  if (digits.startsWith('0')) digits = digits.slice(1);
+  return /^[789][01]\d{8}$/.test(digits) ? '+234' + digits : null;
+}
+
+module.exports = { normalizeNigerianPhone };
@@ -0,0 +1,25 @@
+// The site's gazetteer and location helpers (public/assets/js/ng-places.js and geo.js), loaded into a
+// sandbox so the chat channels place tasks and measure distances exactly as find.html does.
+'use strict';
+
+const { loadPublic } = require('./load-public');
+
+function loadGeo() { return loadPublic(['ng-places.js', 'geo.js'], 'LHGeo'); }
+
+// Same rules as taskCoords in tasks.js: the stored pin, else the free-text location geocoded
+function taskCoords(task) {
+  const g = loadGeo();
+  if (!task) return null;
+  if (g.validCoords(task.coords)) return { lat: task.coords.lat, lng: task.coords.lng };
+  const area = task.area || {};
+  const found = g.geocode([task.location, area.lga, area.state].filter(Boolean).join(', '));
+  return found ? { lat: found.lat, lng: found.lng } : null;
+}
+
+module.exports = {
+  geocode: text => loadGeo().geocode(text),
+  validCoords: c => loadGeo().validCoords(c),
+  distanceKm: (a, b) => loadGeo().distanceKm(a, b),
+  formatDistance: km => loadGeo().formatDistance(km),
+  taskCoords
+};
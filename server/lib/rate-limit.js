@@ -0,0 +1,38 @@
+// Fixed-window counters kept in memory, e.g. failed logins per username+IP.
+'use strict';
+
+function createRateLimiter(options) {
+  const limit = options.limit;
+  const windowMs = options.windowMs;
+  const hits = new Map();
+
+  function current(key, now) {
+    const entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) return null;
+    return entry;
+  }
+
+  return {
+    // Records a hit; returns { allowed, remaining, retryAfterMs }
+    hit(key) {
+      const now = Date.now();
+      let entry = current(key, now);
+      if (!entry) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { allowed: entry.count <= limit, remaining: Math.max(0, limit - entry.count), retryAfterMs: entry.resetAt - now };
+    },
+    // Checks without recording
+    check(key) {
+      const now = Date.now();
+      const entry = current(key, now);
+      const count = entry ? entry.count : 0;
+      return { allowed: count < limit, remaining: Math.max(0, limit - count), retryAfterMs: entry ? entry.resetAt - now : 0 };
+    },
+    reset(key) { hits.delete(key); }
+  };
+}
+
+module.exports = { createRateLimiter };
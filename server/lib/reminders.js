@@ -0,0 +1,47 @@
+// Reminders for tasks that have sat in one status for a while: a worker who has not started or
+// finished, a poster who has not confirmed finished work. They go out as 'task_reminder'
+// notifications (in the app, and by SMS to those who get alerts). Each stay in a status is reminded
+// once; lh_reminders (server-only) records which were sent.
+'use strict';
+
+const { taskStatus } = require('./marketplace');
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDERS = {
+  assigned: { after: 24 * HOUR_MS, to: 'worker', reminder: 'start', title: 'Start "{task}" or let the poster know' },
+  in_progress: { after: 72 * HOUR_MS, to: 'worker', reminder: 'finish', title: 'Mark "{task}" as done when you finish' },
+  completed: { after: 48 * HOUR_MS, to: 'poster', reminder: 'confirm', title: 'Confirm "{task}" is done so the worker gets paid' }
+};
+
+// When the task entered its current status
+function statusSince(task) {
+  const moves = (task.history || []).filter(h => h.to === taskStatus(task));
+  return moves.length ? moves[moves.length - 1].at : (task.updatedAt || task.createdAt || null);
+}
+
+function createReminders(store, notify) {
+  // Sends the reminders due at `now`; returns how many went out
+  async function run(now) {
+    now = now || new Date();
+    let sent = 0;
+    for (const task of await store.list('lh_tasks')) {
+      const rule = REMINDERS[taskStatus(task)];
+      const since = statusSince(task);
+      if (!rule || !since || now - Date.parse(since) < rule.after) continue;
+      const to = rule.to === 'worker' ? task.assignedTo : task.poster;
+      const id = task.id + ':' + taskStatus(task) + ':' + since;
+      if (!to || (await store.get('lh_reminders', id))) continue;
+      await store.put('lh_reminders', { id, taskId: task.id, status: taskStatus(task), to, sentAt: now.toISOString() });
+      await notify(to, 'task_reminder', {
+        taskId: task.id, reminder: rule.reminder, link: 'task.html?id=' + encodeURIComponent(task.id),
+        title: rule.title.replace('{task}', task.title || 'your task'), body: 'Reminder from WorkLink.'
+      });
+      sent++;
+    }
+    return sent;
+  }
+
+  return { run };
+}
+
+module.exports = { createReminders };
@@ -0,0 +1,37 @@
+// Session issuing and checking for route handlers.
+'use strict';
+
+const { HttpError, bearerToken } = require('./http');
+const { signToken, verifyToken } = require('./tokens');
+
+// Public view of an lh_users doc (never includes credentials)
+function publicUser(user) {
+  const out = Object.assign({}, user);
+  delete out.passwordHash;
+  return out;
+}
+
+async function issueSession(user, deps) {
+  const { config, firebase } = deps;
+  const token = signToken({ sub: user.id, username: user.username }, config.authSecret, config.sessionTtlSeconds);
+  // Firebase custom token so the browser can sign in to Firebase Auth and security rules see the user
+  let firebaseToken = null;
+  if (firebase) {
+    try { firebaseToken = await firebase.auth.createCustomToken(user.id, { username: user.username }); } catch (e) { console.error('createCustomToken failed', e); }
+  }
+  return {
+    token,
+    expiresAt: new Date(Date.now() + config.sessionTtlSeconds * 1000).toISOString(),
+    firebaseToken,
+    user: publicUser(user)
+  };
+}
+
+// Returns { id, username } for the bearer token on the request, or throws 401
+function requireUser(ctx, deps) {
+  const payload = verifyToken(bearerToken(ctx.req), deps.config.authSecret);
+  if (!payload) throw new HttpError(401, 'Sign in required', 'unauthenticated');
+  return { id: payload.sub, username: payload.username };
+}
+
+module.exports = { publicUser, issueSession, requireUser };
@@ -0,0 +1,95 @@
+// Outbound SMS: providers and message templates. A provider is { name, send(to, text) }, resolving once
+// the message is accepted for delivery; `to` is in E.164. SMS_PROVIDER picks one: 'africastalking'
+// for real messages, 'fake' to append them to a file (local runs and tests), unset for none.
+'use strict';
+
+const fs = require('fs');
+const { HttpError } = require('./http');
+
+// One GSM-7 segment. Templates stay in plain ASCII ("NGN", straight quotes), as a single character
+// outside GSM-7 makes the whole message UCS-2 and cuts a segment to 70 characters.
+const MAX_SMS_LENGTH = 160;
+const STOP_HINT = 'Reply STOP to end alerts.';
+
+const TEMPLATES = {
+  application_new: '{from} applied for your task "{task}". See it on WorkLink.',
+  application_accepted: 'You got the task "{task}". See the details and start on WorkLink.',
+  application_rejected: 'Your application for "{task}" was not accepted. Find more tasks on WorkLink.',
+  payment_received: 'You were paid NGN {amount} for "{task}".',
+  task_updated: 'The task "{task}" you applied for was changed. See the new details on WorkLink.',
+  'task_reminder.start': 'Reminder: you were given "{task}". Start it or let the poster know.',
+  'task_reminder.finish': 'Reminder: mark "{task}" as done on WorkLink when you finish.',
+  'task_reminder.confirm': 'Reminder: confirm "{task}" is done so the worker gets paid.'
+};
+
+function asciiText(s) {
+  return String(s === undefined || s === null ? '' : s)
+    .replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/₦/g, 'NGN ')
+    .replace(/[^\x20-\x7E]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// 'WorkLink: <template filled in> Reply STOP...', with the task title shortened to fit one segment.
+// Null for an unknown template.
+function renderSms(key, vars) {
+  const template = TEMPLATES[key];
+  if (!template) return null;
+  const fill = task => ('WorkLink: ' + template + ' ' + STOP_HINT).replace(/\{(\w+)\}/g, (_, k) => (k === 'task' ? task : asciiText(vars[k])));
+  const task = asciiText(vars.task) || 'your task';
+  const full = fill(task);
+  if (full.length <= MAX_SMS_LENGTH) return full;
+  const room = Math.max(8, MAX_SMS_LENGTH - fill('').length);
+  return fill(task.slice(0, room - 3) + '...').slice(0, MAX_SMS_LENGTH);
+}
+
+// Appends one JSON line per message to `file`
+function createFakeSmsProvider(file) {
+  return {
+    name: 'fake',
+    async send(to, text) {
+      const entry = { to, text, at: new Date().toISOString() };
+      await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+      return entry;
+    }
+  };
+}
+
+// Africa's Talking bulk SMS API. `baseURL` can point at their sandbox or a local stub.
+function createAfricasTalkingProvider(options) {
+  const baseURL = String(options.baseURL || 'https://api.africastalking.com').replace(/\/$/, '');
+  return {
+    name: 'africastalking',
+    async send(to, text) {
+      const form = new URLSearchParams({ username: options.username, to, message: text });
+      if (options.senderId) form.set('from', options.senderId);
+      let res;
+      try {
+        res = await fetch(baseURL + '/version1/messaging', {
+          method: 'POST',
+          headers: { apiKey: options.apiKey, Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: form.toString()
+        });
+      } catch (e) {
+        throw new HttpError(502, 'Cannot reach the SMS provider', 'sms_unreachable');
+      }
+      let body = {};
+      try { body = await res.json(); } catch (e) { /* non-JSON error page */ }
+      const recipient = ((body.SMSMessageData || {}).Recipients || [])[0];
+      if (!res.ok || !recipient || recipient.statusCode >= 400) {
+        throw new HttpError(502, (recipient && recipient.status) || (body.SMSMessageData && body.SMSMessageData.Message) || 'SMS request failed', 'sms_error');
+      }
+      return recipient;
+    }
+  };
+}
+
+function createSmsProvider(config) {
+  if (config.smsProvider === 'fake') return createFakeSmsProvider(config.smsFakeFile);
+  if (config.smsProvider === 'africastalking') {
+    if (!config.atUsername || !config.atApiKey) throw new Error("SMS_PROVIDER is 'africastalking' but AT_USERNAME or AT_API_KEY is missing");
+    return createAfricasTalkingProvider({ username: config.atUsername, apiKey: config.atApiKey, senderId: config.smsSenderId, baseURL: config.atBaseURL });
+  }
+  if (config.smsProvider) throw new Error('Unknown SMS_PROVIDER ' + config.smsProvider);
+  return null;
+}
+
+module.exports = { TEMPLATES, MAX_SMS_LENGTH, renderSms, createFakeSmsProvider, createAfricasTalkingProvider, createSmsProvider };
@@ -0,0 +1,131 @@
+// Server-side document store with the same shape as the browser adapters in storage.js:
+// list / get / where / put / update / remove, all async and keyed by the document `id`. `create` writes
+// a doc only when its id is not taken yet, as one step, and resolves to null when it is. `transaction(fn)`
+// runs `fn(tx)` with tx.get / tx.where / tx.put, all reads before any write, and commits the writes
+// together only if nothing it read changed meanwhile (retrying `fn` otherwise), resolving to its result.
+// Firestore (through firebase-admin) in deployments, an in-memory map for local runs and tests.
+'use strict';
+
+function clone(v) { return v === undefined ? v : JSON.parse(JSON.stringify(v)); }
+
+function createMemoryStore(seed) {
+  const cols = new Map();
+  function col(name) {
+    if (!cols.has(name)) cols.set(name, new Map());
+    return cols.get(name);
+  }
+  Object.keys(seed || {}).forEach(name => (seed[name] || []).forEach(doc => col(name).set(String(doc.id), clone(doc))));
+  // Transactions run one at a time, their writes applied when `fn` resolves
+  let queue = Promise.resolve();
+
+  return {
+    name: 'memory',
+    async list(name) { return Array.from(col(name).values()).map(clone); },
+    async get(name, id) { return col(name).has(String(id)) ? clone(col(name).get(String(id))) : null; },
+    async where(name, field, value) { return Array.from(col(name).values()).filter(d => d[field] === value).map(clone); },
+    async put(name, doc) {
+      if (!doc.id) throw new Error('Cannot write a ' + name + ' doc without an id');
+      col(name).set(String(doc.id), clone(doc));
+      return clone(doc);
+    },
+    async create(name, doc) {
+      if (!doc.id) throw new Error('Cannot write a ' + name + ' doc without an id');
+      if (col(name).has(String(doc.id))) return null;
+      col(name).set(String(doc.id), clone(doc));
+      return clone(doc);
+    },
+    async update(name, id, patch) {
+      const cur = col(name).get(String(id));
+      if (!cur) return null;
+      const next = Object.assign({}, cur, clone(patch));
+      col(name).set(String(id), next);
+      return clone(next);
+    },
+    async remove(name, id) { return col(name).delete(String(id)); },
+    transaction(fn) {
+      const run = queue.then(async () => {
+        const writes = [];
+        const result = await fn({
+          async get(name, id) { return col(name).has(String(id)) ? clone(col(name).get(String(id))) : null; },
+          async where(name, field, value) { return Array.from(col(name).values()).filter(d => d[field] === value).map(clone); },
+          put(name, doc) {
+            if (!doc.id) throw new Error('Cannot write a ' + name + ' doc without an id');
+            writes.push([name, clone(doc)]);
+          }
+        });
+        writes.forEach(([name, doc]) => col(name).set(String(doc.id), doc));
+        return result;
+      });
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
+
+// gRPC status firebase-admin reports when `create` finds the document already there
+const ALREADY_EXISTS = 6;
+
+// `db` is a firebase-admin Firestore instance. Document IDs are the app ids, as on the client.
+function createFirestoreStore(db) {
+  function fromSnap(snap) { return Object.assign({}, snap.data(), { id: snap.id }); }
+
+  return {
+    name: 'firestore',
+    db,
+    async list(name) { return (await db.collection(name).get()).docs.map(fromSnap); },
+    async get(name, id) {
+      const snap = await db.collection(name).doc(String(id)).get();
+      return snap.exists ? fromSnap(snap) : null;
+    },
+    async where(name, field, value) { return (await db.collection(name).where(field, '==', value).get()).docs.map(fromSnap); },
+    async put(name, doc) {
+      if (!doc.id) throw new Error('Cannot write a ' + name + ' doc without an id');
+      await db.collection(name).doc(String(doc.id)).set(doc);
+      return doc;
+    },
+    async create(name, doc) {
+      if (!doc.id) throw new Error('Cannot write a ' + name + ' doc without an id');
+      try {
+        await db.collection(name).doc(String(doc.id)).create(doc);
+      } catch (err) {
+        if (err.code === ALREADY_EXISTS) return null;
+        throw err;
+      }
+      return doc;
+    },
+    async update(name, id, patch) {
+      const ref = db.collection(name).doc(String(id));
+      if (!(await ref.get()).exists) return null;
+      await ref.set(patch, { merge: true });
+      return fromSnap(await ref.get());
+    },
+    async remove(name, id) {
+      await db.collection(name).doc(String(id)).delete();
+      return true;
+    },
+    transaction(fn) {
+      return db.runTransaction(t => fn({
+        async get(name, id) {
+          const snap = await t.get(db.collection(name).doc(String(id)));
+          return snap.exists ? fromSnap(snap) : null;
+        },
+        async where(name, field, value) { return (await t.get(db.collection(name).where(field, '==', value))).docs.map(fromSnap); },
+        put(name, doc) {
+          if (!doc.id) throw new Error('Cannot write a ' + name + ' doc without an id');
+          t.set(db.collection(name).doc(String(doc.id)), doc);
+        }
+      }));
+    }
+  };
+}
+
+// `patch` plus fresh per-field stamps for its keys, so browsers merging their cached copy with
+// mergeDocs (public/assets/js/storage.js) take the server's values over older local edits
+function stampPatch(doc, patch, now) {
+  now = now || new Date().toISOString();
+  const times = Object.assign({}, doc && doc._fieldTimes);
+  Object.keys(patch).forEach(f => { times[f] = now; });
+  return Object.assign({}, patch, { _fieldTimes: times });
+}
+
+module.exports = { createMemoryStore, createFirestoreStore, stampPatch };
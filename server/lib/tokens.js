@@ -0,0 +1,35 @@
+// Signed session tokens (JWT, HS256).
+'use strict';
+
+const crypto = require('crypto');
+
+function b64url(buf) { return Buffer.from(buf).toString('base64url'); }
+
+function signToken(payload, secret, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = Object.assign({}, payload, { iat: now, exp: now + ttlSeconds });
+  const head = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' })) + '.' + b64url(JSON.stringify(body));
+  const sig = crypto.createHmac('sha256', secret).update(head).digest('base64url');
+  return head + '.' + sig;
+}
+
+// Returns the payload, or null when the token is malformed, tampered with or expired
+function verifyToken(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const expected = crypto.createHmac('sha256', secret).update(parts[0] + '.' + parts[1]).digest();
+  const given = Buffer.from(parts[2], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  let payload;
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    if (header.alg !== 'HS256') return null;
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+  return payload;
+}
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,209 @@
+// USSD menu for workers on feature phones, in the callback format most aggregators use (Africa's
+// Talking and others): every request carries the sessionId, the caller's phoneNumber and `text`, all
+// answers so far joined with '*'. The menu is walked from the top on each request, so a session can be
+// replayed from its answers alone (server/scripts/ussd-session.js). The categories and task lists a
+// session has shown are kept in lh_channel_sessions, so the numbers on screen keep pointing at the
+// same tasks until it ends.
+//
+// Callers are matched to the account that signs in with their number (see channel-links.js). 0 goes back a screen and 00 returns
+// to the main menu. Screens stay under the 182 characters most networks allow.
+'use strict';
+
+const { HttpError } = require('./http');
+const { createChannelLinks } = require('./channel-links');
+const { createMarketplace, formatBudget, taskStatus } = require('./marketplace');
+const budgets = require('./budget');
+const categories = require('./categories');
+
+const CHANNEL = 'ussd';
+const PAGE_SIZE = 4;
+const MAX_CATEGORIES = 6;
+const MAX_APPLICATIONS = 5;
+const APPLICATION_STATUS = { pending: 'Waiting', accepted: 'Accepted', rejected: 'Not accepted', withdrawn: 'Withdrawn' };
+const NOT_LINKED = 'This number is not on a WorkLink account. Sign in with it or add it on your Account page on the website, then dial again.';
+
+function clip(s, max) {
+  s = String(s || '').trim();
+  return s.length > max ? s.slice(0, max - 1) + '…' : s;
+}
+
+function createUssdMenu(deps) {
+  const { store, notify } = deps;
+  const links = createChannelLinks(store);
+  const marketplace = createMarketplace(store, notify);
+
+  // Per-request view of the caller: their session doc, and their account once looked up
+  function context(session, phone) {
+    let account;
+    return {
+      session,
+      changed: false,
+      // { user } or { message } explaining why there is none
+      async account() {
+        if (account) return account;
+        try {
+          const user = await links.userForPhone(phone);
+          account = user ? { user } : { message: NOT_LINKED };
+        } catch (err) {
+          if (!(err instanceof HttpError)) throw err;
+          account = { message: 'This number is on more than one WorkLink account. Keep it on one profile only, then dial again.' };
+        }
+        return account;
+      }
+    };
+  }
+
+  // [{ id, name, count }] for the categories (public/assets/js/categories.js) with open tasks, most
+  // tasks first, as shown on the categories screen; '' is "All tasks"
+  async function categoryCounts(ctx) {
+    if (ctx.session.categories) return ctx.session.categories;
+    const counts = {};
+    let total = 0;
+    (await marketplace.openTasks(null)).forEach(({ task }) => {
+      const id = categories.categoryOf(task);
+      total++;
+      if (id) counts[id] = (counts[id] || 0) + 1;
+    });
+    const named = categories.list()
+      .filter(c => counts[c.id])
+      .sort((a, b) => counts[b.id] - counts[a.id])
+      .slice(0, MAX_CATEGORIES)
+      .map(c => ({ id: c.id, name: c.name, count: counts[c.id] }));
+    ctx.session.categories = [{ id: '', name: '', count: total }].concat(named);
+    ctx.changed = true;
+    return ctx.session.categories;
+  }
+
+  // Ids of the open tasks in `category` (an id), newest first, fixed for the rest of the session
+  async function taskIds(ctx, category) {
+    const lists = ctx.session.lists || (ctx.session.lists = {});
+    if (!lists[category]) {
+      lists[category] = (await marketplace.openTasks(null))
+        .filter(({ task }) => !category || categories.categoryOf(task) === category)
+        .map(({ task }) => task.id);
+      ctx.changed = true;
+    }
+    return lists[category];
+  }
+
+  // The screen reached by answering `input` on `screen`, or null when it is not one of the choices
+  async function step(ctx, screen, input) {
+    const n = /^\d+$/.test(input) ? Number(input) : 0;
+    switch (screen.name) {
+      case 'main':
+        return ({ 1: { name: 'categories' }, 2: { name: 'permits' }, 3: { name: 'applications' } })[n] || null;
+      case 'categories': {
+        const cats = await categoryCounts(ctx);
+        return n >= 1 && n <= cats.length ? { name: 'tasks', category: cats[n - 1].id, page: 0 } : null;
+      }
+      case 'tasks': {
+        const ids = await taskIds(ctx, screen.category);
+        if (input === '9' && (screen.page + 1) * PAGE_SIZE < ids.length) return Object.assign({}, screen, { page: screen.page + 1 });
+        const index = screen.page * PAGE_SIZE + n - 1;
+        return n >= 1 && n <= PAGE_SIZE && index < ids.length ? { name: 'task', taskId: ids[index] } : null;
+      }
+      case 'task':
+        return n === 1 ? { name: 'confirm', taskId: screen.taskId } : null;
+      case 'confirm':
+        return n === 1 ? { name: 'apply', taskId: screen.taskId } : null;
+      default:
+        return null;
+    }
+  }
+
+  // { end, text } for a screen; the last ones act (apply) or just report and end the session
+  async function render(ctx, screen) {
+    const con = text => ({ end: false, text });
+    const end = text => ({ end: true, text });
+    switch (screen.name) {
+      case 'main': {
+        const account = await ctx.account();
+        return con('WorkLink' + (account.user ? ' - ' + clip(account.user.username, 20) : '') + '\n1. Browse tasks\n2. My permits\n3. My applications');
+      }
+      case 'categories': {
+        const lines = (await categoryCounts(ctx)).map((c, i) => (i + 1) + '. ' + (c.name ? clip(c.name, 18) : 'All tasks') + ' (' + c.count + ')');
+        return con('Choose a category\n' + lines.join('\n') + '\n0. Back');
+      }
+      case 'tasks': {
+        const ids = await taskIds(ctx, screen.category);
+        const shown = ids.slice(screen.page * PAGE_SIZE, (screen.page + 1) * PAGE_SIZE);
+        if (!shown.length) return con('No open tasks here right now.\n0. Back');
+        const lines = [];
+        for (const [i, id] of shown.entries()) {
+          const task = await store.get('lh_tasks', id);
+          const budget = task && budgets.normalize(task.budget) ? ' ' + formatBudget(task) : '';
+          lines.push((i + 1) + '. ' + (task ? clip(task.title || 'Untitled', 18) + budget : '(removed)'));
+        }
+        const more = (screen.page + 1) * PAGE_SIZE < ids.length ? '\n9. More' : '';
+        return con(lines.join('\n') + more + '\n0. Back');
+      }
+      case 'task': {
+        const task = await store.get('lh_tasks', screen.taskId);
+        if (!task || taskStatus(task) !== 'open') return con('This task is no longer taking applications.\n0. Back');
+        const where = task.location || (task.area && [task.area.lga, task.area.state].filter(Boolean).join(', ')) || '';
+        return con([clip(task.title || 'Untitled', 40), formatBudget(task), clip(where, 30), clip(task.description, 50), '1. Apply', '0. Back'].filter(Boolean).join('\n'));
+      }
+      case 'confirm': {
+        const account = await ctx.account();
+        if (!account.user) return end(account.message);
+        const u = account.user;
+        if (u.freePermitUsed && !(u.permits > 0)) return end('You have no permits left. Buy permits on the WorkLink website, then dial again.');
+        const task = await store.get('lh_tasks', screen.taskId);
+        const permit = u.freePermitUsed ? 'This uses 1 of your ' + u.permits + ' permits.' : 'This uses your free permit.';
+        return con('Apply for "' + clip(task && task.title, 30) + '"? ' + permit + '\n1. Yes\n0. Back');
+      }
+      case 'apply': {
+        const account = await ctx.account();
+        if (!account.user) return end(account.message);
+        try {
+          const res = await marketplace.applyToTask(account.user, screen.taskId, 'Applied by USSD', CHANNEL);
+          return end('Application sent for "' + clip(res.task.title, 30) + '". ' + res.task.poster + ' will get in touch if you are chosen.');
+        } catch (err) {
+          if (!(err instanceof HttpError)) throw err;
+          return end(err.message + '.');
+        }
+      }
+      case 'permits': {
+        const account = await ctx.account();
+        if (!account.user) return end(account.message);
+        const u = account.user;
+        return end('Free permit: ' + (u.freePermitUsed ? 'used' : 'available') + '\nBought permits: ' + (u.permits || 0) + '\nEach application uses one. Buy more on the WorkLink website.');
+      }
+      case 'applications': {
+        const account = await ctx.account();
+        if (!account.user) return end(account.message);
+        const rows = await marketplace.applicationsBy(account.user.username, MAX_APPLICATIONS);
+        if (!rows.length) return end('You have not applied for any tasks yet.');
+        return end(rows.map(r => clip(r.task ? r.task.title : 'Removed task', 18) + ': ' + (APPLICATION_STATUS[r.application.status] || r.application.status)).join('\n'));
+      }
+      default:
+        return end('Sorry, something went wrong. Please dial again.');
+    }
+  }
+
+  // `text` is '' on the first request of a session, then '1', '1*2', ...
+  async function handle(request) {
+    const id = CHANNEL + ':' + request.sessionId;
+    const session = (await store.get('lh_channel_sessions', id)) || { id, phone: request.phoneNumber, createdAt: new Date().toISOString() };
+    const ctx = context(session, request.phoneNumber);
+    const stack = [{ name: 'main' }];
+    let invalid = false;
+    for (const answer of request.text ? String(request.text).split('*') : []) {
+      const input = answer.trim();
+      invalid = false;
+      if (input === '00') stack.length = 1;
+      else if (input === '0') { if (stack.length > 1) stack.pop(); }
+      else {
+        const next = await step(ctx, stack[stack.length - 1], input);
+        if (next) stack.push(next); else invalid = true;
+      }
+    }
+    const reply = await render(ctx, stack[stack.length - 1]);
+    if (ctx.changed) await store.put('lh_channel_sessions', Object.assign({}, session, { updatedAt: new Date().toISOString() }));
+    return invalid && !reply.end ? { end: false, text: 'Invalid choice.\n' + reply.text } : reply;
+  }
+
+  return { handle };
+}
+
+module.exports = { createUssdMenu };
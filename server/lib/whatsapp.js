@@ -0,0 +1,76 @@
+// WhatsApp Cloud API client, webhook signature check and payload parsing. The access token never
+// leaves the server.
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+const MAX_TEXT_LENGTH = 4096;
+
+// `baseURL` (including the Graph API version) can point at a local mock, see server/scripts/whatsapp-mock.js
+function createWhatsAppClient(options) {
+  const token = options.token;
+  const phoneNumberId = options.phoneNumberId;
+  const baseURL = String(options.baseURL || 'https://graph.facebook.com/v20.0').replace(/\/$/, '');
+
+  return {
+    configured: !!(token && phoneNumberId),
+
+    // Plain text message to a WhatsApp number (international format without '+')
+    async sendText(to, text) {
+      if (!token || !phoneNumberId) throw new HttpError(503, 'WhatsApp is not configured', 'whatsapp_unavailable');
+      let res;
+      try {
+        res = await fetch(baseURL + '/' + encodeURIComponent(phoneNumberId) + '/messages', {
+          method: 'POST',
+          headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ messaging_product: 'whatsapp', recipient_type: 'individual', to, type: 'text', text: { preview_url: false, body: String(text).slice(0, MAX_TEXT_LENGTH) } })
+        });
+      } catch (e) {
+        throw new HttpError(502, 'Cannot reach WhatsApp', 'whatsapp_unreachable');
+      }
+      let body = {};
+      try { body = await res.json(); } catch (e) { /* non-JSON error page */ }
+      if (!res.ok) throw new HttpError(502, (body.error && body.error.message) || 'WhatsApp request failed', 'whatsapp_error');
+      return body;
+    }
+  };
+}
+
+// Meta signs webhook bodies with HMAC-SHA256 of the raw bytes, keyed with the app secret:
+// `X-Hub-Signature-256: sha256=<hex>`
+function verifySignature(rawBody, header, appSecret) {
+  if (!rawBody || !header || !appSecret) return false;
+  const match = /^sha256=([0-9a-f]{64})$/i.exec(String(header));
+  if (!match) return false;
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+  const given = Buffer.from(match[1], 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Incoming messages in a webhook body as [{ id, from, name, text, location }]. Text covers typed
+// messages and button replies; location is { lat, lng } for a shared location. Delivery receipts
+// and other events are left out.
+function parseWebhook(body) {
+  const out = [];
+  ((body && body.entry) || []).forEach(entry => {
+    (entry.changes || []).forEach(change => {
+      const value = change.value || {};
+      const names = {};
+      (value.contacts || []).forEach(c => { names[c.wa_id] = (c.profile && c.profile.name) || ''; });
+      (value.messages || []).forEach(m => {
+        const msg = { id: m.id, from: String(m.from || ''), name: names[m.from] || '', text: '', location: null };
+        if (m.type === 'text' && m.text) msg.text = String(m.text.body || '');
+        else if (m.type === 'interactive' && m.interactive) {
+          const reply = m.interactive.button_reply || m.interactive.list_reply || {};
+          msg.text = String(reply.id || reply.title || '');
+        } else if (m.type === 'button' && m.button) msg.text = String(m.button.payload || m.button.text || '');
+        else if (m.type === 'location' && m.location) msg.location = { lat: Number(m.location.latitude), lng: Number(m.location.longitude) };
+        if (msg.from && (msg.text || msg.location)) out.push(msg);
+      });
+    });
+  });
+  return out;
+}
+
+module.exports = { createWhatsAppClient, verifySignature, parseWebhook };
@@ -0,0 +1,158 @@
+// Account registration and sign-in, by username and password or by phone number and a code sent by SMS.
+// Credentials live in the server-only `lh_credentials` collection (doc id = user id): the password hash
+// and the verified sign-in number in E.164, either of which may be missing. The public `lh_users` doc
+// only holds the profile; its `phone` can be edited by the user, so it is never used to sign in.
+//
+// Usernames are unique regardless of case. Each is claimed in the server-only `lh_usernames` collection
+// under its lowercase form (doc id) with a create-if-absent write, so two sign-ups racing for the same
+// name cannot both get it; sign-in looks names up the same way.
+'use strict';
+
+const { HttpError, clientIp } = require('../lib/http');
+const { newId } = require('../lib/ids');
+const { createOtp } = require('../lib/otp');
+const { hashPassword, verifyPassword, needsRehash } = require('../lib/passwords');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { publicUser, issueSession, requireUser } = require('../lib/session');
+const { normalizeNigerianPhone } = require('../lib/phone');
+const { stampPatch } = require('../lib/store');
+
+const USERNAME_RE = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// The form of a username it is claimed, looked up and rate limited under
+function usernameKey(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+// The account with `username` in any case. Accounts made before names were claimed are found by their
+// exact name until server/scripts/migrate-usernames.js has claimed them.
+async function findUser(store, username) {
+  const claim = await store.get('lh_usernames', usernameKey(username));
+  if (claim) return store.get('lh_users', claim.userId);
+  const found = await store.where('lh_users', 'username', String(username || '').trim());
+  return found[0] || null;
+}
+
+// Claims `username` for a new account and creates the account with its credentials, or throws 409
+// when the name is taken
+async function createAccount(store, user, credentials) {
+  if (await findUser(store, user.username)) throw new HttpError(409, 'Username already taken', 'username_taken');
+  const claim = { id: usernameKey(user.username), userId: user.id, username: user.username, createdAt: user.createdAt };
+  if (!(await store.create('lh_usernames', claim))) throw new HttpError(409, 'Username already taken', 'username_taken');
+  await store.put('lh_users', user);
+  await store.create('lh_credentials', Object.assign({ id: user.id, username: user.username, updatedAt: user.createdAt }, credentials));
+  return user;
+}
+
+function checkUsername(username) {
+  if (!USERNAME_RE.test(username)) throw new HttpError(400, 'Username must be 3-32 letters, numbers, dots, dashes or underscores', 'invalid_username');
+}
+
+function requirePhone(body) {
+  const phone = normalizeNigerianPhone(body.phone);
+  if (!phone) throw new HttpError(400, 'Enter a Nigerian mobile number, such as 0803 123 4567', 'invalid_phone');
+  return phone;
+}
+
+// Credentials of the account that signs in with `phone` (E.164), or null
+async function findPhoneCredentials(store, phone) {
+  const found = await store.where('lh_credentials', 'phone', phone);
+  return found[0] || null;
+}
+
+function registerAuthRoutes(router, deps) {
+  const { store, config } = deps;
+  const loginFailures = createRateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+  const otp = createOtp(store, deps.sms, config.authSecret);
+
+  router.post('/auth/register', async ({ body }) => {
+    const username = String(body.username || '').trim();
+    const password = String(body.password || '');
+    checkUsername(username);
+    if (password.length < MIN_PASSWORD_LENGTH) throw new HttpError(400, 'Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters', 'weak_password');
+
+    const now = new Date().toISOString();
+    const user = { id: newId(), username, name: String(body.displayName || '').trim() || username, email: String(body.email || '').trim(), bio: '', avatar: '', createdAt: now };
+    await createAccount(store, user, { passwordHash: await hashPassword(password) });
+    return issueSession(user, deps);
+  });
+
+  router.post('/auth/login', async ({ req, body }) => {
+    const username = String(body.username || '').trim();
+    const password = String(body.password || '');
+    const limitKey = usernameKey(username) + '|' + clientIp(req);
+    if (!loginFailures.check(limitKey).allowed) throw new HttpError(429, 'Too many failed attempts. Try again later.', 'rate_limited');
+
+    const user = username ? await findUser(store, username) : null;
+    const cred = user ? await store.get('lh_credentials', user.id) : null;
+    // Accounts that have not been migrated yet still carry the old digest on the public doc
+    const stored = cred ? cred.passwordHash : (user && user.passwordHash);
+    if (!user || !(await verifyPassword(password, stored))) {
+      loginFailures.hit(limitKey);
+      throw new HttpError(401, 'Invalid username or password', 'invalid_credentials');
+    }
+    loginFailures.reset(limitKey);
+
+    if (!cred || needsRehash(stored)) {
+      await store.put('lh_credentials', { id: user.id, username: user.username, passwordHash: await hashPassword(password), updatedAt: new Date().toISOString() });
+    }
+    if (user.passwordHash !== undefined) await store.put('lh_users', publicUser(user));
+    return issueSession(publicUser(user), deps);
+  });
+
+  // Phone sign-in starts by texting a code to the number, whether or not an account uses it yet
+  router.post('/auth/phone/start', async ({ req, body }) => {
+    const phone = requirePhone(body);
+    return Object.assign({ phone }, await otp.send(phone, clientIp(req)));
+  });
+
+  // Signs in the account that uses the number. When none does, the reply is 404 phone_not_registered
+  // and the code stays valid: send it again with a `username` (and `displayName`) to create one.
+  router.post('/auth/phone/verify', async ({ body }) => {
+    const phone = requirePhone(body);
+    await otp.check(phone, body.code);
+    const cred = await findPhoneCredentials(store, phone);
+    const existing = cred ? await store.get('lh_users', cred.id) : null;
+    if (existing) {
+      await otp.consume(phone);
+      return issueSession(publicUser(existing), deps);
+    }
+
+    const username = String(body.username || '').trim();
+    if (!username) throw new HttpError(404, 'No account uses this number yet. Choose a username to create one.', 'phone_not_registered');
+    checkUsername(username);
+    const now = new Date().toISOString();
+    const user = { id: newId(), username, name: String(body.displayName || '').trim() || username, email: '', phone, bio: '', avatar: '', createdAt: now };
+    await createAccount(store, user, { phone });
+    await otp.consume(phone);
+    return issueSession(user, deps);
+  });
+
+  // Lets a signed-in account (say one made with a password) sign in with a number from now on, and use
+  // USSD from it. The number also becomes the profile phone, where SMS alerts look for it.
+  router.post('/auth/phone/link', async ctx => {
+    const session = requireUser(ctx, deps);
+    const phone = requirePhone(ctx.body);
+    await otp.check(phone, ctx.body.code);
+    const owner = await findPhoneCredentials(store, phone);
+    if (owner && owner.id !== session.id) throw new HttpError(409, 'Another account already signs in with this number', 'phone_taken');
+    const user = await store.get('lh_users', session.id);
+    if (!user) throw new HttpError(401, 'Account no longer exists', 'unauthenticated');
+    const now = new Date().toISOString();
+    const cred = await store.get('lh_credentials', user.id);
+    await store.put('lh_credentials', Object.assign({ id: user.id, username: user.username }, cred, { phone, updatedAt: now }));
+    const updated = await store.update('lh_users', user.id, stampPatch(user, { phone }, now));
+    await otp.consume(phone);
+    return { user: publicUser(updated) };
+  });
+
+  router.get('/auth/session', async ctx => {
+    const session = requireUser(ctx, deps);
+    const user = await store.get('lh_users', session.id);
+    if (!user) throw new HttpError(401, 'Account no longer exists', 'unauthenticated');
+    return { user: publicUser(user) };
+  });
+}
+
+module.exports = { registerAuthRoutes, findUser, usernameKey };
@@ -0,0 +1,24 @@
+// Linking chat-channel numbers to accounts (see lib/channel-links.js). The Account page asks for a
+// code here and the user sends it from WhatsApp.
+'use strict';
+
+const { createChannelLinks } = require('../lib/channel-links');
+const { requireUser } = require('../lib/session');
+
+function registerChannelRoutes(router, deps) {
+  const links = createChannelLinks(deps.store);
+
+  router.post('/channels/link-code', async ctx => {
+    const me = requireUser(ctx, deps);
+    const code = await links.createCode(me);
+    return { code: code.id, expiresAt: code.expiresAt };
+  });
+
+  // Numbers shown with the last digits only, so a shared screen does not give them away
+  router.get('/channels/links', async ctx => {
+    const me = requireUser(ctx, deps);
+    return { links: (await links.linksFor(me.username)).map(l => ({ channel: l.channel, address: '…' + String(l.address).slice(-4), linkedAt: l.linkedAt })) };
+  });
+}
+
+module.exports = { registerChannelRoutes };
@@ -0,0 +1,41 @@
+// Task photo uploads for the 'server' media backend (see lib/media.js). The browser posts each
+// resized image as the raw request body with its image Content-Type; photos are public once uploaded,
+// like the tasks that show them.
+'use strict';
+
+const { HttpError } = require('../lib/http');
+const { requireUser } = require('../lib/session');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { sniffImageType, createLocalMediaStore } = require('../lib/media');
+
+function registerMediaRoutes(router, deps) {
+  const { config } = deps;
+  const media = deps.media || createLocalMediaStore(config.mediaDir);
+  const perUser = createRateLimiter({ limit: config.mediaUploadsPerHour, windowMs: 60 * 60 * 1000 });
+
+  router.post('/media', async ({ req }) => {
+    const me = requireUser({ req }, deps);
+    const type = sniffImageType(req.rawBody || Buffer.alloc(0));
+    if (!type) throw new HttpError(415, 'Upload a JPEG, PNG or WebP image', 'unsupported_media_type');
+    if (!perUser.hit(me.id).allowed) throw new HttpError(429, 'Too many photos uploaded. Try again later.', 'rate_limited');
+    const path = await media.save(me.id, req.rawBody, type);
+    return { path, type, size: req.rawBody.length };
+  });
+
+  // Names are random and never reused, so the files can be cached for good
+  router.get('/media/:owner/:file', async ({ params, res }) => {
+    const file = await media.read(params.owner, params.file);
+    if (!file) throw new HttpError(404, 'Not found');
+    res.writeHead(200, {
+      'Content-Type': file.type,
+      'Content-Length': file.buffer.length,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'",
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.end(file.buffer);
+  });
+}
+
+module.exports = { registerMediaRoutes };
@@ -0,0 +1,57 @@
+// Notifications that follow a browser user's own writes to Firestore: applying for a task, rejecting
+// an application and reviewing someone. The browser only says which application or review it wrote;
+// the server checks it exists and was written by the caller, then picks the recipient and writes the
+// title and body itself, so nobody can send arbitrary text to someone's phone. Each is sent once, under
+// an id made from the type and the document. Browsers cannot write notifications (firestore.rules).
+'use strict';
+
+const { HttpError } = require('../lib/http');
+const { requireUser } = require('../lib/session');
+
+function taskLink(taskId) { return 'task.html?id=' + encodeURIComponent(taskId); }
+
+function registerNotificationRoutes(router, deps) {
+  const { store, notify } = deps;
+
+  async function load(collection, id, what) {
+    const doc = id ? await store.get(collection, String(id)) : null;
+    if (!doc) throw new HttpError(404, what + ' not found', what.toLowerCase() + '_not_found');
+    return doc;
+  }
+
+  // type → async (me, body) resolving to [to, fields] for the notification, or throwing
+  const BUILDERS = {
+    async application_new(me, body) {
+      const app = await load('lh_applications', body.applicationId, 'Application');
+      if (app.applicant !== me.username) throw new HttpError(403, 'You can only announce your own application', 'forbidden');
+      const task = await load('lh_tasks', app.taskId, 'Task');
+      return [task.poster, { id: 'application_new_' + app.id, taskId: task.id, link: taskLink(task.id), title: me.username + ' applied to "' + (task.title || 'your task') + '"', body: String(app.message || '').slice(0, 140) }];
+    },
+    async application_rejected(me, body) {
+      const app = await load('lh_applications', body.applicationId, 'Application');
+      const task = await load('lh_tasks', app.taskId, 'Task');
+      if (task.poster !== me.username || app.status !== 'rejected') throw new HttpError(403, 'Only the poster can announce a rejection', 'forbidden');
+      return [app.applicant, { id: 'application_rejected_' + app.id, taskId: task.id, link: taskLink(task.id), title: 'Your application for "' + (task.title || 'a task') + '" was not accepted', body: 'Keep an eye on Find Tasks for similar work.' }];
+    },
+    async review_new(me, body) {
+      const review = await load('lh_reviews', body.reviewId, 'Review');
+      if (review.from !== me.username) throw new HttpError(403, 'You can only announce your own review', 'forbidden');
+      const task = await store.get('lh_tasks', review.taskId);
+      return [review.to, { id: 'review_new_' + review.id, taskId: review.taskId, link: 'profile.html?u=' + encodeURIComponent(review.to), title: me.username + ' rated you ' + review.rating + ' out of 5', body: String(review.text || '').slice(0, 500) || 'For "' + ((task && task.title) || 'a task') + '"' }];
+    }
+  };
+
+  // { type, applicationId } or { type, reviewId }
+  router.post('/notifications', async ctx => {
+    const me = requireUser(ctx, deps);
+    const build = Object.prototype.hasOwnProperty.call(BUILDERS, ctx.body.type) && BUILDERS[ctx.body.type];
+    if (!build) throw new HttpError(400, 'Unknown notification type', 'invalid_type');
+    const [to, fields] = await build(me, ctx.body);
+    if (!to || to === me.username) throw new HttpError(400, 'Notifications go to someone else', 'invalid_recipient');
+    const notification = await notify(to, ctx.body.type, Object.assign({ from: me.username }, fields));
+    if (!notification) throw new HttpError(503, 'Could not store the notification', 'notification_failed');
+    return { notification };
+  });
+}
+
+module.exports = { registerNotificationRoutes };
@@ -0,0 +1,131 @@
+// Payments through Paystack: permit purchases, and the escrow charges a poster pays to accept an
+// application (server/routes/tasks.js). The server prices each and issues the reference; permits are
+// credited, or the escrow held and the task assigned (server/lib/escrow.js), only once Paystack confirms
+// the charge, either through /verify (called by the browser after the popup closes) or the signed
+// webhook, whichever arrives first.
+'use strict';
+
+const { HttpError } = require('../lib/http');
+const { newId } = require('../lib/ids');
+const { verifySignature } = require('../lib/paystack');
+const { publicUser, requireUser } = require('../lib/session');
+const { stampPatch } = require('../lib/store');
+
+const MAX_PERMITS_PER_PURCHASE = 50;
+
+function registerPaymentRoutes(router, deps) {
+  const { store, config, paystack, escrow } = deps;
+  // Settlements in progress by reference, so a webhook racing the browser's verify shares its answer.
+  // References are only credited once whatever happens (see settleOnce).
+  const settling = new Map();
+
+  router.post('/payments/permits', async ctx => {
+    const session = requireUser(ctx, deps);
+    const count = Number(ctx.body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PERMITS_PER_PURCHASE) {
+      throw new HttpError(400, 'You can buy between 1 and ' + MAX_PERMITS_PER_PURCHASE + ' permits at a time', 'invalid_count');
+    }
+    const user = await store.get('lh_users', session.id);
+    if (!user) throw new HttpError(401, 'Account no longer exists', 'unauthenticated');
+
+    const id = newId();
+    const amountKobo = count * config.permitPriceKobo;
+    const payment = {
+      id,
+      taskId: null,
+      from: user.username,
+      to: 'platform',
+      userId: user.id,
+      permitCount: count,
+      amount: amountKobo / 100,
+      amountKobo,
+      currency: 'NGN',
+      status: 'pending',
+      paymentMethod: 'paystack',
+      paystackReference: 'WL_' + id,
+      createdAt: new Date().toISOString()
+    };
+    await store.put('lh_payments', payment);
+    return { reference: payment.paystackReference, amountKobo, currency: payment.currency, permitCount: count, email: user.email || '' };
+  });
+
+  router.post('/payments/paystack/verify', async ctx => {
+    requireUser(ctx, deps);
+    const reference = String(ctx.body.reference || '').trim();
+    if (!reference) throw new HttpError(400, 'Payment reference required', 'invalid_reference');
+    return settle(reference, () => paystack.verifyTransaction(reference));
+  });
+
+  router.post('/payments/paystack/webhook', async ({ req, body }) => {
+    if (!verifySignature(req.rawBody, req.headers['x-paystack-signature'], config.paystackSecretKey)) {
+      throw new HttpError(401, 'Invalid signature', 'invalid_signature');
+    }
+    if (body.event === 'charge.success' && body.data && body.data.reference) {
+      try {
+        await settle(String(body.data.reference), async () => body.data);
+      } catch (err) {
+        // Acknowledge events we cannot use (unknown reference, short payment) so Paystack stops retrying
+        if (!(err instanceof HttpError) || err.status >= 500) throw err;
+        console.warn('Ignoring Paystack event for', body.data.reference + ':', err.message);
+      }
+    }
+    return { received: true };
+  });
+
+  function settle(reference, loadTransaction) {
+    if (settling.has(reference)) return settling.get(reference);
+    const pending = settleOnce(reference, loadTransaction).finally(() => settling.delete(reference));
+    settling.set(reference, pending);
+    return pending;
+  }
+
+  // What /verify answers for `payment` as stored now
+  async function settled(payment) {
+    if (payment.kind === 'escrow') {
+      return { payment, task: await store.get('lh_tasks', payment.taskId), application: await store.get('lh_applications', payment.applicationId) };
+    }
+    return { payment, user: publicUser(await store.get('lh_users', payment.userId)) };
+  }
+
+  // Permits bought with `payment`, now that Paystack reports its charge `tx` paid
+  async function creditPermits(payment, tx, now) {
+    const user = await store.get('lh_users', payment.userId);
+    if (!user) throw new HttpError(404, 'Account no longer exists', 'unknown_user');
+    const completed = await store.update('lh_payments', payment.id, { status: 'completed', paidAt: tx.paid_at || now, updatedAt: now });
+    const credited = await store.update('lh_users', user.id, stampPatch(user, { permits: (user.permits || 0) + payment.permitCount }, now));
+    return { payment: completed, user: publicUser(credited) };
+  }
+
+  async function settleOnce(reference, loadTransaction) {
+    const payment = (await store.where('lh_payments', 'paystackReference', reference))[0];
+    if (!payment) throw new HttpError(404, 'Unknown payment reference', 'unknown_reference');
+    if (payment.status !== 'pending' && payment.status !== 'failed') return settled(payment);
+
+    const tx = await loadTransaction();
+    if (!tx || tx.reference !== reference) throw new HttpError(400, 'Transaction does not match this payment', 'reference_mismatch');
+    if (tx.status !== 'success') {
+      if (tx.status === 'failed' || tx.status === 'abandoned') await store.update('lh_payments', payment.id, { status: 'failed', updatedAt: new Date().toISOString() });
+      throw new HttpError(402, 'Payment was not completed', 'payment_incomplete');
+    }
+    if (Number(tx.amount) < payment.amountKobo || (tx.currency && tx.currency !== payment.currency)) {
+      throw new HttpError(402, 'Amount paid does not match the purchase', 'amount_mismatch');
+    }
+
+    // Claim the reference first, in the store, so neither a webhook retried after a restart nor another
+    // server instance credits it again; a crash before crediting is fixable by hand, crediting twice is not
+    const now = new Date().toISOString();
+    if (!(await store.create('lh_paystack_references', { id: reference, paymentId: payment.id, processedAt: now }))) {
+      return settled(await store.get('lh_payments', payment.id));
+    }
+    try {
+      return payment.kind === 'escrow' ? await escrow.hold(payment, tx) : await creditPermits(payment, tx, now);
+    } catch (err) {
+      // Paystack or the store failing (a refund that could not be sent, say) leaves the charge unsettled:
+      // give the reference back so a retried webhook or verify tries again
+      if (!(err instanceof HttpError) || err.status >= 500) await store.remove('lh_paystack_references', reference);
+      throw err;
+    }
+  }
+}
+
+module.exports = { registerPaymentRoutes };
@@ -0,0 +1,71 @@
+// SMS alerts for users who gave a phone number on their profile, and the inbound callback that
+// handles STOP and START replies. Opted-out numbers are kept in lh_sms_optouts (server-only), keyed by
+// the number in E.164, so a reply from the phone works whichever account it is on.
+'use strict';
+
+const { HttpError, sameKey } = require('../lib/http');
+const { normalizeNigerianPhone } = require('../lib/phone');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { renderSms } = require('../lib/sms');
+
+// Notification types also sent by SMS
+const ALERT_TYPES = ['application_new', 'application_accepted', 'application_rejected', 'payment_received', 'task_reminder', 'task_updated'];
+const STOP_WORDS = ['STOP', 'END', 'CANCEL', 'UNSUBSCRIBE', 'QUIT'];
+const START_WORDS = ['START', 'UNSTOP', 'YES'];
+
+// Notification channel for createNotifier. Skips users without a Nigerian mobile number, those who
+// turned SMS or the type off on notifications.html, and numbers that replied STOP; each number gets
+// at most SMS_PER_HOUR alerts an hour and the rest are dropped.
+function smsDelivery(deps) {
+  const { store, sms, config } = deps;
+  const perPhone = createRateLimiter({ limit: config.smsPerHour, windowMs: 60 * 60 * 1000 });
+  return {
+    name: 'sms',
+    async deliver(doc) {
+      if (!sms || !ALERT_TYPES.includes(doc.type)) return;
+      const user = (await store.where('lh_users', 'username', doc.to))[0];
+      if (!user || user.smsAlerts === false || (user.notificationPrefs && user.notificationPrefs[doc.type] === false)) return;
+      const phone = normalizeNigerianPhone(user.phone);
+      if (!phone || (await store.get('lh_sms_optouts', phone))) return;
+      const task = doc.taskId ? await store.get('lh_tasks', doc.taskId) : null;
+      const text = renderSms(doc.type === 'task_reminder' ? 'task_reminder.' + doc.reminder : doc.type, {
+        from: doc.from, task: task && task.title, amount: Number(doc.amount || 0).toLocaleString('en-NG')
+      });
+      if (!text) return;
+      if (!perPhone.hit(phone).allowed) {
+        console.warn('SMS limit reached for', phone + '; dropping', doc.type, 'alert');
+        return;
+      }
+      await sms.send(phone, text);
+    }
+  };
+}
+
+function registerSmsRoutes(router, deps) {
+  const { store, sms, config } = deps;
+
+  // Africa's Talking posts incoming messages as form data ({ from, to, text, date, id }). It does not
+  // sign them, so the callback URL must carry SMS_CALLBACK_KEY; without one set, anyone could turn off
+  // any number's alerts, and replies are not taken.
+  router.post('/sms/inbound', async ({ body, query }) => {
+    if (!config.smsCallbackKey) throw new HttpError(503, 'SMS replies are not configured', 'sms_replies_unavailable');
+    if (!sameKey(query.key, config.smsCallbackKey)) throw new HttpError(403, 'Invalid callback key', 'invalid_callback_key');
+    const phone = normalizeNigerianPhone(body.from);
+    const word = String(body.text || '').trim().split(/\s+/)[0].toUpperCase();
+    if (!phone) return { received: true };
+    let reply = null;
+    if (STOP_WORDS.includes(word)) {
+      await store.put('lh_sms_optouts', { id: phone, phone, optedOutAt: new Date().toISOString() });
+      reply = 'WorkLink: you will get no more alerts by SMS. Reply START to turn them back on.';
+    } else if (START_WORDS.includes(word) && (await store.get('lh_sms_optouts', phone))) {
+      await store.remove('lh_sms_optouts', phone);
+      reply = 'WorkLink: SMS alerts are back on. Reply STOP to end them.';
+    }
+    if (reply && sms) {
+      try { await sms.send(phone, reply); } catch (err) { console.error('Could not confirm SMS opt-out change to', phone, err.message); }
+    }
+    return { received: true };
+  });
+}
+
+module.exports = { registerSmsRoutes, smsDelivery, ALERT_TYPES };
@@ -0,0 +1,104 @@
+// Income statements for workers. A statement is compiled here from released escrow payments, so its
+// figures come from the payment records rather than the browser, and stored under a verification
+// code. Only payments whose money Paystack confirmed count: the escrow charge was verified and its
+// reference claimed in lh_paystack_references (server/routes/payments.js). Escrow recorded before
+// posters were charged never collected anything, so it is left out. Anyone holding the code (a
+// lender, say) can look up the totals it certifies; the line items stay private to the worker.
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('../lib/http');
+const { newId } = require('../lib/ids');
+const { requireUser } = require('../lib/session');
+
+// Crockford base32 without I, L, O, U: easy to read out and type
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+function verificationCode() {
+  const bytes = crypto.randomBytes(12);
+  let code = '';
+  for (let i = 0; i < 12; i++) code += CODE_ALPHABET[bytes[i] % 32];
+  return code.match(/.{4}/g).join('-');
+}
+
+function releasedAt(payment) {
+  const entry = (payment.history || []).filter(h => h.status === 'released').pop();
+  return (entry && entry.at) || payment.updatedAt || payment.createdAt;
+}
+
+// Whether the money of `payment` came from a Paystack charge the server verified and settled
+async function settledCharge(store, payment) {
+  if (!payment.paystackReference || !payment.paidAt) return false;
+  const claim = await store.get('lh_paystack_references', payment.paystackReference);
+  return !!claim && claim.paymentId === payment.id;
+}
+
+// Statement lines for `username`, oldest first, optionally limited to [from, to) ISO dates
+async function earningLines(store, username, from, to) {
+  const payments = (await store.where('lh_payments', 'to', username))
+    .filter(p => p.kind === 'escrow' && p.status === 'released');
+  const lines = [];
+  for (const p of payments) {
+    const paidAt = releasedAt(p);
+    if ((from && paidAt < from) || (to && paidAt >= to)) continue;
+    if (!(await settledCharge(store, p))) continue;
+    const task = p.taskId ? await store.get('lh_tasks', p.taskId) : null;
+    lines.push({ paymentId: p.id, taskId: p.taskId, title: task ? task.title : '', client: p.from, amount: Number(p.amount) || 0, paidAt });
+  }
+  return lines.sort((a, b) => a.paidAt.localeCompare(b.paidAt));
+}
+
+function monthlyTotals(lines) {
+  const months = {};
+  lines.forEach(l => { const m = l.paidAt.slice(0, 7); months[m] = (months[m] || 0) + l.amount; });
+  return Object.keys(months).sort().map(month => ({ month, total: months[month] }));
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const d = new Date(value);
+  if (isNaN(d)) throw new HttpError(400, 'Invalid ' + name + ' date', 'invalid_date');
+  return d.toISOString();
+}
+
+function registerStatementRoutes(router, deps) {
+  const { store } = deps;
+
+  router.post('/statements', async ctx => {
+    const me = requireUser(ctx, deps);
+    const user = await store.get('lh_users', me.id);
+    if (!user) throw new HttpError(401, 'Account no longer exists', 'unauthenticated');
+    const from = parseDate(ctx.body.from, 'start');
+    const to = parseDate(ctx.body.to, 'end');
+    const lines = await earningLines(store, me.username, from, to);
+    const issuedAt = new Date().toISOString();
+    const statement = {
+      id: newId(),
+      code: verificationCode(),
+      username: me.username,
+      name: user.name || me.username,
+      from,
+      to,
+      count: lines.length,
+      total: lines.reduce((sum, l) => sum + l.amount, 0),
+      currency: 'NGN',
+      monthly: monthlyTotals(lines),
+      // Fingerprint of the line items, so a printed statement can be matched to what was issued
+      digest: crypto.createHash('sha256').update(JSON.stringify(lines)).digest('hex'),
+      issuedAt
+    };
+    await store.put('lh_statements', statement);
+    return { statement: Object.assign({}, statement, { lines }) };
+  });
+
+  // Public: what a statement certifies, without the line items
+  router.get('/statements/:code', async ({ params }) => {
+    const code = String(params.code || '').toUpperCase();
+    const statement = (await store.where('lh_statements', 'code', code))[0];
+    if (!statement) throw new HttpError(404, 'No statement with this verification code', 'statement_not_found');
+    const { name, username, from, to, count, total, currency, monthly, digest, issuedAt } = statement;
+    return { statement: { code, name, username, from, to, count, total, currency, monthly, digest, issuedAt } };
+  });
+}
+
+module.exports = { registerStatementRoutes, earningLines, monthlyTotals };
@@ -0,0 +1,286 @@
+// Task lifecycle and escrow. A task moves open → assigned → in_progress → completed → closed, can be
+// cancelled or reopened along the way, and every move is appended to the task's `history`.
+// TRANSITIONS must match TASK_TRANSITIONS in public/assets/js/tasks.js, which uses it to offer actions.
+//
+// Accepting a pending application assigns the task and holds its budget in escrow: an lh_payments record
+// with kind 'escrow' from the poster to the worker. Only fixed-price budgets are held, as hourly and
+// daily pay depends on the time worked, and they are charged to the poster through Paystack first:
+// accepting then answers with the charge to pay, and the task is assigned once Paystack confirms it
+// (see server/lib/escrow.js). Confirming a completed task (→ closed) releases it; cancelling or
+// reopening refunds it, through Paystack. Either side can dispute a held payment, after which only a
+// concession settles it: the poster confirming, or the worker withdrawing.
+//
+// The other side of every move gets an in-app notification, and the worker another when paid.
+//
+// Posters edit their task here too, while it is open: each edit is appended to the task's `edits`
+// ({ at, by, changes: [{ field, from, to }] }, with from/to left out for long fields), and pending
+// applicants are told when the budget or description changes.
+'use strict';
+
+const { HttpError } = require('../lib/http');
+const { newId } = require('../lib/ids');
+const { taskStatus } = require('../lib/marketplace');
+const { requireUser } = require('../lib/session');
+const { stampPatch } = require('../lib/store');
+const places = require('../lib/places');
+const budgets = require('../lib/budget');
+const categories = require('../lib/categories');
+
+// status → { next status: who may make the move ('poster', 'worker' or 'either') }
+const TRANSITIONS = {
+  open: { assigned: 'poster', cancelled: 'poster' },
+  assigned: { in_progress: 'worker', open: 'either', cancelled: 'poster' },
+  in_progress: { completed: 'worker', open: 'either', cancelled: 'poster' },
+  completed: { closed: 'poster' },
+  cancelled: { open: 'poster' },
+  closed: {}
+};
+
+// Fields a poster can edit, each cleaning the submitted value (undefined when it is not acceptable).
+// `task` is the task as stored and `body` the edit.
+const LOCATION_SOURCES = ['device', 'area', 'geocoded'];
+function text(max, required) {
+  return value => {
+    const s = String(value === undefined || value === null ? '' : value).trim().slice(0, max);
+    return required && !s ? undefined : s;
+  };
+}
+// Photo URLs from storage (see public/assets/js/media.js); a task's data-URL `image` from before
+// photos moved to storage may be kept
+function photoUrl(value, task) {
+  const s = String(value || '');
+  return /^https?:\/\/\S+$/.test(s) || (task.image && s === task.image) ? s : undefined;
+}
+const EDITABLE = {
+  title: text(200, true),
+  description: text(5000, true),
+  // ids from public/assets/js/categories.js; the subcategory must belong to the category the task ends
+  // up with
+  category: value => (categories.valid(value) ? value : undefined),
+  subcategory: (value, task, body) => {
+    if (value === null || value === '') return null;
+    return categories.valid('category' in body ? body.category : categories.categoryOf(task), value) ? value : undefined;
+  },
+  location: text(200),
+  // { amountKobo, currency, payType } (see public/assets/js/budget.js), or null for no budget
+  budget: value => {
+    if (value === null || value === '') return null;
+    return value && typeof value === 'object' && !budgets.validate(value) ? { amountKobo: value.amountKobo, currency: value.currency, payType: value.payType } : undefined;
+  },
+  area: value => (value && value.state ? { state: String(value.state).slice(0, 100), lga: String(value.lga || '').slice(0, 100) } : null),
+  coords: value => (places.validCoords(value) ? { lat: Number(value.lat), lng: Number(value.lng) } : null),
+  locationSource: value => (LOCATION_SOURCES.includes(value) ? value : null),
+  photos: (value, task) => {
+    if (!Array.isArray(value) || value.length > 6) return undefined;
+    const photos = value.map(p => {
+      const url = p && photoUrl(p.url, task);
+      const thumbUrl = p && p.thumbUrl ? photoUrl(p.thumbUrl, task) : url;
+      if (!url || !thumbUrl) return null;
+      const photo = { url, thumbUrl };
+      if (Number(p.width) > 0 && Number(p.height) > 0) Object.assign(photo, { width: Math.round(p.width), height: Math.round(p.height) });
+      return photo;
+    });
+    return photos.includes(null) ? undefined : photos;
+  }
+};
+// How fields stored the old way read back in the form: a free-text budget or category from before
+// either was structured counts as unchanged when the form sends what it was read as
+const AS_READ = {
+  budget: task => budgets.normalize(task.budget),
+  category: task => categories.categoryOf(task) || task.category,
+  subcategory: task => categories.subcategoryOf(task)
+};
+// Shown with their old and new values in the edit history
+const SHORT_FIELDS = ['title', 'category', 'subcategory', 'location', 'budget'];
+
+function roleOf(task, username) {
+  if (task.poster === username) return 'poster';
+  if (task.assignedTo && task.assignedTo === username) return 'worker';
+  return null;
+}
+
+// Throws unless `username` may move `task` to `to`
+function checkTransition(task, to, username) {
+  const from = taskStatus(task);
+  const who = (TRANSITIONS[from] || {})[to];
+  if (!who) throw new HttpError(409, 'A task that is ' + from + ' cannot be moved to ' + to, 'invalid_transition');
+  const role = roleOf(task, username);
+  if (!role || (who !== 'either' && who !== role)) throw new HttpError(403, 'Only the ' + (who === 'either' ? 'poster or the assigned worker' : who) + ' can do that', 'forbidden');
+  return role;
+}
+
+function registerTaskRoutes(router, deps) {
+  const { store, notify, escrow } = deps;
+
+  function taskLink(task) { return 'task.html?id=' + encodeURIComponent(task.id); }
+
+  // Tell the poster or worker (whoever did not make the move) what happened, and the worker when paid
+  async function notifyMove(task, to, by, payment) {
+    const other = task.poster === by ? task.assignedTo : task.poster;
+    const title = task.title || 'Your task';
+    await notify(other, 'task_status', { from: by, taskId: task.id, link: taskLink(task), title: '"' + title + '" is now ' + to.replace('_', ' '), body: by + ' moved it from ' + taskStatus(task) + '.' });
+    if (payment && payment.status === 'released') {
+      await notify(payment.to, 'payment_received', { from: payment.from, taskId: task.id, amount: payment.amount, link: 'earnings.html', title: 'Payment received for "' + title + '"', body: '₦' + payment.amount.toLocaleString('en-NG') + ' was released to you.' });
+    }
+  }
+
+  async function loadTask(taskId) {
+    const task = await store.get('lh_tasks', taskId);
+    if (!task) throw new HttpError(404, 'Task not found', 'task_not_found');
+    return task;
+  }
+
+  // The open (held or disputed) escrow payment of a task, if any
+  async function activeEscrow(taskId) {
+    return (await store.where('lh_payments', 'taskId', taskId)).find(escrow.isActive) || null;
+  }
+
+  async function moveTask(task, to, by, now, extra, note) {
+    const entry = { from: taskStatus(task), to, by, at: now };
+    if (note) entry.note = note;
+    const patch = Object.assign({ status: to, history: (task.history || []).concat([entry]), updatedAt: now }, extra);
+    return store.update('lh_tasks', task.id, stampPatch(task, patch, now));
+  }
+
+  // Resolves to { application, task, payment } once assigned, or, for a budget held in escrow, to
+  // { charge: { reference, amountKobo, currency, email, taskId }, payment } for the poster to pay in the Paystack
+  // popup; /payments/paystack/verify then assigns the task. Accepting again before paying reuses the charge.
+  router.post('/tasks/:taskId/applications/:appId/accept', async ctx => {
+    const me = requireUser(ctx, deps);
+    const task = await loadTask(ctx.params.taskId);
+    checkTransition(task, 'assigned', me.username);
+    const app = await store.get('lh_applications', ctx.params.appId);
+    if (!app || app.taskId !== task.id) throw new HttpError(404, 'Application not found', 'application_not_found');
+    if (app.status !== 'pending') throw new HttpError(409, 'Only pending applications can be accepted', 'application_not_pending');
+
+    const held = budgets.escrowable(task.budget);
+    if (!held) return escrow.assign(task.id, app.id, me.username, null);
+    if (await activeEscrow(task.id)) throw new HttpError(409, 'The task already has a payment in escrow', 'not_assignable');
+
+    const user = await store.get('lh_users', me.id);
+    if (!user) throw new HttpError(401, 'Account no longer exists', 'unauthenticated');
+    let payment = (await store.where('lh_payments', 'applicationId', app.id))
+      .find(p => p.kind === 'escrow' && p.status === 'pending' && p.amountKobo === held.amountKobo && p.currency === held.currency);
+    if (!payment) {
+      const id = newId();
+      const now = new Date().toISOString();
+      payment = {
+        id,
+        kind: 'escrow',
+        taskId: task.id,
+        applicationId: app.id,
+        from: task.poster,
+        to: app.applicant,
+        userId: user.id,
+        amount: held.amountKobo / 100,
+        amountKobo: held.amountKobo,
+        currency: held.currency,
+        status: 'pending',
+        paymentMethod: 'paystack',
+        paystackReference: 'WL_' + id,
+        history: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      await store.put('lh_payments', payment);
+    }
+    return { charge: { reference: payment.paystackReference, amountKobo: payment.amountKobo, currency: payment.currency, email: user.email || '', taskId: task.id }, payment };
+  });
+
+  // Every other move: { to, note }
+  router.post('/tasks/:taskId/transition', async ctx => {
+    const me = requireUser(ctx, deps);
+    const task = await loadTask(ctx.params.taskId);
+    const to = String(ctx.body.to || '');
+    if (to === 'assigned') throw new HttpError(400, 'Accept an application to assign the task', 'use_accept');
+    const role = checkTransition(task, to, me.username);
+    const note = String(ctx.body.note || '').trim();
+    const now = new Date().toISOString();
+
+    const active = await activeEscrow(task.id);
+    let payment = null;
+    if (active && (to === 'open' || to === 'cancelled')) {
+      if (active.status === 'disputed' && role !== 'worker') {
+        throw new HttpError(409, 'The payment for this task is disputed. Confirm completion or wait for the worker to withdraw.', 'escrow_disputed');
+      }
+      payment = await escrow.refund(active, me.username, note);
+    } else if (active && to === 'closed') {
+      payment = await escrow.move(active, 'released', me.username, now, note);
+    }
+
+    let application = null;
+    const extra = {};
+    if (to === 'open' && task.assignedTo) {
+      // Back on the market: the assignment ends and the accepted application with it
+      extra.assignedTo = null;
+      const accepted = (await store.where('lh_applications', 'taskId', task.id)).find(a => a.applicant === task.assignedTo && a.status === 'accepted');
+      if (accepted) application = await store.update('lh_applications', accepted.id, stampPatch(accepted, { status: role === 'worker' ? 'withdrawn' : 'rejected', updatedAt: now }, now));
+    }
+    const moved = await moveTask(task, to, me.username, now, extra, note);
+    await notifyMove(task, to, me.username, payment);
+    return { task: moved, payment, application };
+  });
+
+  // { <field>: <new value>, ... } for any of EDITABLE; unchanged fields are ignored
+  router.post('/tasks/:taskId/edit', async ctx => {
+    const me = requireUser(ctx, deps);
+    const task = await loadTask(ctx.params.taskId);
+    if (task.poster !== me.username) throw new HttpError(403, 'Only the poster can edit this task', 'forbidden');
+    if (taskStatus(task) !== 'open') throw new HttpError(409, 'A task can only be edited while it is open', 'not_editable');
+
+    const patch = {};
+    const changes = [];
+    for (const field of Object.keys(EDITABLE)) {
+      if (!(field in ctx.body)) continue;
+      const value = EDITABLE[field](ctx.body[field], task, ctx.body);
+      if (value === undefined) throw new HttpError(400, 'Invalid ' + field, 'invalid_' + field);
+      const before = task[field] === undefined ? null : task[field];
+      const same = AS_READ[field] ? AS_READ[field](task) || null : before;
+      if (JSON.stringify(value) === JSON.stringify(same)) continue;
+      patch[field] = value;
+      if (field !== 'locationSource') changes.push(SHORT_FIELDS.includes(field) ? { field, from: before, to: value } : { field });
+    }
+    if (!changes.length) throw new HttpError(400, 'Nothing was changed', 'no_changes');
+    if (patch.photos && task.image) patch.image = null;
+    if (patch.category && !('subcategory' in ctx.body) && task.subcategory && !categories.valid(patch.category, task.subcategory)) {
+      patch.subcategory = null;
+      changes.push({ field: 'subcategory', from: task.subcategory, to: null });
+    }
+    // what an "Other" task's poster first typed no longer applies once it has a real category
+    if (patch.category && patch.category !== categories.OTHER && task.categoryNote) patch.categoryNote = null;
+
+    const now = new Date().toISOString();
+    patch.edits = (task.edits || []).concat([{ at: now, by: me.username, changes }]);
+    patch.updatedAt = now;
+    const updated = await store.update('lh_tasks', task.id, stampPatch(task, patch, now));
+
+    const fields = changes.map(c => c.field);
+    if (fields.includes('budget') || fields.includes('description')) {
+      const body = [
+        fields.includes('budget') ? 'The budget is now ' + (budgets.format(updated.budget) || 'not set') + '.' : '',
+        fields.includes('description') ? 'The description was changed.' : ''
+      ].filter(Boolean).join(' ');
+      const applicants = (await store.where('lh_applications', 'taskId', task.id)).filter(a => a.status === 'pending');
+      for (const app of applicants) {
+        await notify(app.applicant, 'task_updated', { from: me.username, taskId: task.id, link: taskLink(task), title: '"' + (updated.title || 'A task you applied for') + '" was changed', body });
+      }
+    }
+    return { task: updated, changes };
+  });
+
+  router.post('/tasks/:taskId/dispute', async ctx => {
+    const me = requireUser(ctx, deps);
+    const task = await loadTask(ctx.params.taskId);
+    if (!roleOf(task, me.username)) throw new HttpError(403, 'Only the poster or the assigned worker can dispute', 'forbidden');
+    const reason = String(ctx.body.reason || '').trim();
+    if (!reason) throw new HttpError(400, 'Say what the dispute is about', 'reason_required');
+    const active = await activeEscrow(task.id);
+    if (!active || active.status !== 'held') throw new HttpError(409, 'There is no held payment to dispute', 'nothing_to_dispute');
+    const payment = await escrow.move(active, 'disputed', me.username, new Date().toISOString(), reason);
+    const other = task.poster === me.username ? task.assignedTo : task.poster;
+    await notify(other, 'task_status', { from: me.username, taskId: task.id, link: taskLink(task), title: 'The payment for "' + (task.title || 'your task') + '" is disputed', body: reason });
+    return { task, payment };
+  });
+}
+
+module.exports = { registerTaskRoutes, TRANSITIONS, checkTransition };
@@ -0,0 +1,32 @@
+// USSD gateway callback (see lib/ussd.js for the menu). The aggregator posts form data and shows the
+// plain-text reply: "CON ..." keeps the session open for another answer, "END ..." closes it.
+'use strict';
+
+const { HttpError, sendText, sameKey } = require('../lib/http');
+const { createUssdMenu } = require('../lib/ussd');
+
+function registerUssdRoutes(router, deps) {
+  const { config } = deps;
+  const menu = createUssdMenu(deps);
+
+  // Aggregators do not sign callbacks, so the callback URL must carry USSD_CALLBACK_KEY; without one
+  // set, anyone could post any caller's number and USSD stays off
+  router.post('/ussd', async ({ res, body, query }) => {
+    if (!config.ussdCallbackKey) throw new HttpError(503, 'USSD is not configured', 'ussd_unavailable');
+    if (!sameKey(query.key, config.ussdCallbackKey)) throw new HttpError(403, 'Invalid callback key', 'invalid_callback_key');
+    const sessionId = String(body.sessionId || '').trim();
+    const phoneNumber = String(body.phoneNumber || '').trim();
+    if (!sessionId || !phoneNumber) throw new HttpError(400, 'sessionId and phoneNumber are required', 'invalid_request');
+    let reply;
+    try {
+      reply = await menu.handle({ sessionId, phoneNumber, text: String(body.text || '') });
+    } catch (err) {
+      // The caller only ever sees the text, so a failure still gets a readable screen
+      console.error('USSD session', sessionId, 'failed:', err);
+      reply = { end: true, text: 'Sorry, WorkLink is not available right now. Please try again later.' };
+    }
+    sendText(res, 200, (reply.end ? 'END ' : 'CON ') + reply.text);
+  });
+}
+
+module.exports = { registerUssdRoutes };
@@ -0,0 +1,195 @@
+// WhatsApp channel: workers browse open tasks, read one and apply by chatting with the WorkLink number,
+// through the WhatsApp Cloud API webhook. Applying needs the number linked to an account (LINK <code>,
+// with a code from the Account page) and spends a permit exactly as on the site. Posters who linked a
+// number also get their application notifications there.
+//
+// Each number's last task list is kept in lh_channel_sessions, so "VIEW 2" and "APPLY 2" refer to it.
+'use strict';
+
+const { HttpError, sendText } = require('../lib/http');
+const { createChannelLinks } = require('../lib/channel-links');
+const { createMarketplace, formatBudget } = require('../lib/marketplace');
+const categories = require('../lib/categories');
+const places = require('../lib/places');
+const { verifySignature, parseWebhook } = require('../lib/whatsapp');
+
+const CHANNEL = 'whatsapp';
+const PAGE_SIZE = 5;
+// Message ids already handled; WhatsApp redelivers when a webhook call is slow or fails
+const SEEN_LIMIT = 1000;
+// Notification types forwarded to a linked number
+const FORWARDED_TYPES = ['application_new', 'application_accepted', 'application_rejected', 'task_updated'];
+
+const HELP = [
+  'WorkLink on WhatsApp',
+  'TASKS - open tasks near you (send your location first)',
+  'TASKS <area> - e.g. TASKS Yaba Lagos',
+  'MORE - the next few tasks',
+  'VIEW <number> - details of a task in the list',
+  'APPLY <number> <message> - apply for it (uses a permit)',
+  'LINK <code> - connect your WorkLink account (get the code on your Account page)',
+  'UNLINK - disconnect this number'
+].join('\n');
+
+function siteLink(config, link) {
+  return config.siteURL && link ? config.siteURL.replace(/\/$/, '') + '/' + link : '';
+}
+
+// Notification channel for createNotifier: sends the forwarded types to every number the recipient
+// linked, unless they switched the type off on notifications.html
+function whatsappDelivery(deps) {
+  const { store, whatsapp, config } = deps;
+  const links = createChannelLinks(store);
+  return {
+    name: CHANNEL,
+    async deliver(doc) {
+      if (!whatsapp.configured || !FORWARDED_TYPES.includes(doc.type)) return;
+      const numbers = await links.linksFor(doc.to, CHANNEL);
+      if (!numbers.length) return;
+      const user = await store.get('lh_users', numbers[0].userId);
+      if (user && user.notificationPrefs && user.notificationPrefs[doc.type] === false) return;
+      const text = [doc.title, doc.body, siteLink(config, doc.link)].filter(Boolean).join('\n');
+      for (const l of numbers) await whatsapp.sendText(l.address, text);
+    }
+  };
+}
+
+function registerWhatsAppRoutes(router, deps) {
+  const { store, config, whatsapp, notify } = deps;
+  const links = createChannelLinks(store);
+  const marketplace = createMarketplace(store, notify);
+  const seen = new Set();
+
+  function sessionId(from) { return CHANNEL + ':' + from; }
+  async function loadSession(from) { return (await store.get('lh_channel_sessions', sessionId(from))) || { id: sessionId(from) }; }
+  function saveSession(session) { return store.put('lh_channel_sessions', Object.assign({}, session, { updatedAt: new Date().toISOString() })); }
+
+  function taskLine(n, row) {
+    const t = row.task;
+    const where = t.location || (t.area && [t.area.lga, t.area.state].filter(Boolean).join(', ')) || '';
+    const km = row.km !== null ? ' (' + places.formatDistance(row.km) + ' away)' : '';
+    return n + '. ' + (t.title || 'Untitled') + ' - ' + formatBudget(t) + (where ? ' - ' + where : '') + km;
+  }
+
+  async function listTasks(session, offset) {
+    const rows = await marketplace.openTasks(session.origin || null);
+    const page = rows.slice(offset, offset + PAGE_SIZE);
+    session.taskIds = rows.map(r => r.task.id);
+    session.offset = offset;
+    await saveSession(session);
+    if (!rows.length) return 'There are no open tasks right now. Try again later.';
+    if (!page.length) return 'That is all the open tasks. Send TASKS to start again.';
+    const lines = page.map((row, i) => taskLine(offset + i + 1, row));
+    const heading = session.origin ? 'Open tasks near ' + (session.place || 'you') + ':' : 'Newest open tasks (send your location or TASKS <area> to see the nearest):';
+    const more = rows.length > offset + PAGE_SIZE ? '\nMORE for the next ' + Math.min(PAGE_SIZE, rows.length - offset - PAGE_SIZE) : '';
+    return heading + '\n' + lines.join('\n') + '\n\nVIEW <number> for details.' + more;
+  }
+
+  // The task behind a number from the last list, or null
+  async function pickTask(session, arg) {
+    const n = Number(arg);
+    if (!Number.isInteger(n) || n < 1 || !session.taskIds || n > session.taskIds.length) return null;
+    return store.get('lh_tasks', session.taskIds[n - 1]);
+  }
+
+  async function viewTask(session, arg) {
+    const task = await pickTask(session, arg);
+    if (!task) return 'Send TASKS first, then VIEW with a number from the list.';
+    const km = session.origin ? places.distanceKm(session.origin, places.taskCoords(task)) : null;
+    const where = (task.location || '') + (km !== null ? ' (' + places.formatDistance(km) + ' away)' : '');
+    const category = categories.label(task);
+    const lines = [task.title || 'Untitled', formatBudget(task) + (category ? ' - ' + category : '')];
+    if (where.trim()) lines.push(where.trim());
+    lines.push('Posted by ' + task.poster);
+    if (task.description) lines.push('', String(task.description).slice(0, 1000));
+    lines.push('', 'APPLY ' + arg + ' <message> to apply.');
+    const url = siteLink(config, 'task.html?id=' + encodeURIComponent(task.id));
+    if (url) lines.push(url);
+    return lines.join('\n');
+  }
+
+  async function apply(from, session, arg, message) {
+    const account = await links.lookup(CHANNEL, from);
+    if (!account) return 'Link your WorkLink account first: open Account on the website, get a code and send LINK <code>.';
+    const task = await pickTask(session, arg);
+    if (!task) return 'Send TASKS first, then APPLY with a number from the list.';
+    if (!message) return 'Add a short message for the poster, e.g. APPLY ' + arg + ' I can come tomorrow morning.';
+    try {
+      const res = await marketplace.applyToTask(account.user, task.id, message, CHANNEL);
+      const left = res.user.permits || 0;
+      return 'Your application for "' + (task.title || 'the task') + '" was sent. ' + task.poster + ' will be notified.\nPermits left: ' + left + '.';
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      if (err.code === 'no_permit') return 'You have no permits left. Buy more on the website (Buy permit), then try again.';
+      return err.message + '.';
+    }
+  }
+
+  async function respond(msg) {
+    const session = await loadSession(msg.from);
+    if (msg.location) {
+      if (!places.validCoords(msg.location)) return 'That location could not be read. Try TASKS <area> instead.';
+      session.origin = msg.location;
+      session.place = '';
+      return listTasks(session, 0);
+    }
+    const [word, ...rest] = msg.text.trim().split(/\s+/);
+    const command = String(word || '').toUpperCase();
+    const arg = rest[0] || '';
+    if (command === 'TASKS' || command === 'JOBS' || command === 'FIND') {
+      if (rest.length) {
+        const place = places.geocode(rest.join(' '));
+        if (!place) return 'I could not find "' + rest.join(' ') + '". Try a town or LGA, e.g. TASKS Ikeja Lagos.';
+        session.origin = { lat: place.lat, lng: place.lng };
+        session.place = [place.lga, place.state].filter(Boolean).join(', ');
+      }
+      return listTasks(session, 0);
+    }
+    if (command === 'MORE') return listTasks(session, (session.offset || 0) + PAGE_SIZE);
+    if (command === 'VIEW') return viewTask(session, arg);
+    if (/^\d+$/.test(command) && !rest.length) return viewTask(session, command);
+    if (command === 'APPLY') return apply(msg.from, session, arg, rest.slice(1).join(' '));
+    if (command === 'LINK') {
+      try {
+        const link = await links.redeem(CHANNEL, msg.from, arg);
+        return 'This number is now linked to ' + link.username + '. You can apply for tasks here and will get your application updates.';
+      } catch (err) {
+        if (err instanceof HttpError) return err.message + '. Get a new code on your Account page.';
+        throw err;
+      }
+    }
+    if (command === 'UNLINK' || command === 'STOP') {
+      await links.unlink(CHANNEL, msg.from);
+      return 'This number is no longer linked to a WorkLink account. Send LINK <code> to link it again.';
+    }
+    return HELP;
+  }
+
+  // Meta checks the callback URL once with the verify token set in the app dashboard
+  router.get('/whatsapp/webhook', async ({ res, query }) => {
+    if (query['hub.mode'] !== 'subscribe' || !config.whatsappVerifyToken || query['hub.verify_token'] !== config.whatsappVerifyToken) {
+      throw new HttpError(403, 'Verification failed', 'invalid_verify_token');
+    }
+    sendText(res, 200, String(query['hub.challenge'] || ''));
+  });
+
+  router.post('/whatsapp/webhook', async ({ req, body }) => {
+    if (!verifySignature(req.rawBody, req.headers['x-hub-signature-256'], config.whatsappAppSecret)) {
+      throw new HttpError(401, 'Invalid signature', 'invalid_signature');
+    }
+    for (const msg of parseWebhook(body)) {
+      if (seen.has(msg.id)) continue;
+      seen.add(msg.id);
+      if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+      // Answer every message we can; a failure is logged rather than making WhatsApp retry the batch
+      try {
+        await whatsapp.sendText(msg.from, await respond(msg));
+      } catch (err) {
+        console.error('WhatsApp message', msg.id, 'from', msg.from, 'failed:', err.message);
+      }
+    }
+    return { received: true };
+  });
+}
+
+module.exports = { registerWhatsAppRoutes, whatsappDelivery };
@@ -0,0 +1,44 @@
+// One-off: turn free-text task budgets ("5000", "₦5,000 per day") into { amountKobo, currency, payType }
+// as read by public/assets/js/budget.js. Budgets it cannot read ("negotiable") are kept in `budgetNote`,
+// which the site shows in their place, and the budget is cleared. Safe to run again.
+//   FIREBASE_PROJECT_ID=... node server/scripts/migrate-budgets.js
+'use strict';
+
+const { loadConfig } = require('../lib/config');
+const { getFirebaseAdmin } = require('../lib/firebase');
+const { createFirestoreStore, stampPatch } = require('../lib/store');
+const budgets = require('../lib/budget');
+
+async function migrateBudgets(store) {
+  let converted = 0;
+  let kept = 0;
+  for (const task of await store.list('lh_tasks')) {
+    if (task.budget === undefined || task.budget === null || typeof task.budget === 'object') continue;
+    const now = new Date().toISOString();
+    const budget = budgets.normalize(task.budget);
+    const text = String(task.budget).trim();
+    let patch = { budget: null };
+    if (budget && !budgets.validate(budget)) {
+      patch = { budget };
+      converted++;
+    } else if (text) {
+      patch.budgetNote = text.slice(0, 100);
+      kept++;
+    }
+    await store.update('lh_tasks', task.id, stampPatch(task, Object.assign(patch, { updatedAt: now }), now));
+  }
+  return { converted, kept };
+}
+
+if (require.main === module) {
+  const firebase = getFirebaseAdmin(loadConfig());
+  if (!firebase) {
+    console.error('Set FIREBASE_PROJECT_ID (and credentials or FIRESTORE_EMULATOR_HOST) to run the migration');
+    process.exit(1);
+  }
+  migrateBudgets(createFirestoreStore(firebase.db))
+    .then(r => console.info('Converted ' + r.converted + ' budgets, kept ' + r.kept + ' unreadable ones as notes'))
+    .catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { migrateBudgets };
@@ -0,0 +1,45 @@
+// One-off: turn the free-text categories of older tasks ("Home repairs", "plumber") into the category
+// and subcategory ids of public/assets/js/categories.js. Text that names no category moves the task to
+// Other, keeping the poster's words in `categoryNote`, which the site shows with it. Safe to run again.
+//   FIREBASE_PROJECT_ID=... node server/scripts/migrate-categories.js
+'use strict';
+
+const { loadConfig } = require('../lib/config');
+const { getFirebaseAdmin } = require('../lib/firebase');
+const { createFirestoreStore, stampPatch } = require('../lib/store');
+const categories = require('../lib/categories');
+
+async function migrateCategories(store) {
+  let mapped = 0;
+  let other = 0;
+  for (const task of await store.list('lh_tasks')) {
+    if (categories.valid(task.category)) continue;
+    const text = String(task.category || '').trim();
+    const found = categories.match(text);
+    let patch;
+    if (found) {
+      patch = { category: found.category, subcategory: found.subcategory };
+      mapped++;
+    } else {
+      patch = { category: categories.OTHER, subcategory: null };
+      if (text) patch.categoryNote = text.slice(0, 100);
+      other++;
+    }
+    const now = new Date().toISOString();
+    await store.update('lh_tasks', task.id, stampPatch(task, Object.assign(patch, { updatedAt: now }), now));
+  }
+  return { mapped, other };
+}
+
+if (require.main === module) {
+  const firebase = getFirebaseAdmin(loadConfig());
+  if (!firebase) {
+    console.error('Set FIREBASE_PROJECT_ID (and credentials or FIRESTORE_EMULATOR_HOST) to run the migration');
+    process.exit(1);
+  }
+  migrateCategories(createFirestoreStore(firebase.db))
+    .then(r => console.info('Mapped ' + r.mapped + ' categories, moved ' + r.other + ' tasks to Other'))
+    .catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { migrateCategories };
@@ -0,0 +1,39 @@
+// One-off: move legacy SHA-256 password digests out of the public lh_users collection.
+// Each digest is wrapped in scrypt and stored in lh_credentials; the field is then removed from lh_users.
+//   FIREBASE_PROJECT_ID=... node server/scripts/migrate-passwords.js
+'use strict';
+
+const { loadConfig } = require('../lib/config');
+const { getFirebaseAdmin } = require('../lib/firebase');
+const { createFirestoreStore } = require('../lib/store');
+const { wrapLegacyHash } = require('../lib/passwords');
+const { publicUser } = require('../lib/session');
+
+async function migratePasswords(store) {
+  let moved = 0;
+  let skipped = 0;
+  for (const user of await store.list('lh_users')) {
+    if (!user.passwordHash) continue;
+    const existing = await store.get('lh_credentials', user.id);
+    if (!existing) {
+      if (!/^[0-9a-f]{64}$/i.test(user.passwordHash)) { skipped++; continue; }
+      await store.put('lh_credentials', { id: user.id, username: user.username, passwordHash: await wrapLegacyHash(user.passwordHash), updatedAt: new Date().toISOString() });
+    }
+    await store.put('lh_users', publicUser(user));
+    moved++;
+  }
+  return { moved, skipped };
+}
+
+if (require.main === module) {
+  const firebase = getFirebaseAdmin(loadConfig());
+  if (!firebase) {
+    console.error('Set FIREBASE_PROJECT_ID (and credentials or FIRESTORE_EMULATOR_HOST) to run the migration');
+    process.exit(1);
+  }
+  migratePasswords(createFirestoreStore(firebase.db))
+    .then(r => console.info('Moved ' + r.moved + ' password hashes, skipped ' + r.skipped + ' unrecognised ones'))
+    .catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { migratePasswords };
@@ -0,0 +1,43 @@
+// One-off: claim the usernames of accounts made before names were claimed in lh_usernames, so they are
+// found in any case at sign-in and cannot be registered again as "Ada" and "ada". When older accounts
+// already differ only in case, the first created keeps the claim and the others are listed to sort out
+// by hand; they can still sign in with their exact name. Safe to run again.
+//   FIREBASE_PROJECT_ID=... node server/scripts/migrate-usernames.js
+'use strict';
+
+const { loadConfig } = require('../lib/config');
+const { getFirebaseAdmin } = require('../lib/firebase');
+const { createFirestoreStore } = require('../lib/store');
+const { usernameKey } = require('../routes/auth');
+
+async function migrateUsernames(store) {
+  let claimed = 0;
+  const clashes = [];
+  const users = (await store.list('lh_users')).sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+  for (const user of users) {
+    if (!user.username) continue;
+    const claim = { id: usernameKey(user.username), userId: user.id, username: user.username, createdAt: user.createdAt || new Date().toISOString() };
+    if (await store.create('lh_usernames', claim)) {
+      claimed++;
+    } else if ((await store.get('lh_usernames', claim.id)).userId !== user.id) {
+      clashes.push(user.username);
+    }
+  }
+  return { claimed, clashes };
+}
+
+if (require.main === module) {
+  const firebase = getFirebaseAdmin(loadConfig());
+  if (!firebase) {
+    console.error('Set FIREBASE_PROJECT_ID (and credentials or FIRESTORE_EMULATOR_HOST) to run the migration');
+    process.exit(1);
+  }
+  migrateUsernames(createFirestoreStore(firebase.db))
+    .then(r => {
+      console.info('Claimed ' + r.claimed + ' usernames');
+      if (r.clashes.length) console.warn('Already claimed in another case: ' + r.clashes.join(', '));
+    })
+    .catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { migrateUsernames };
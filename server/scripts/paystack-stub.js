@@ -0,0 +1,107 @@
+// Local stand-in for the Paystack API, to try payments without a Paystack account and for the tests in
+// server/test. It knows only the transactions it is told about, and answers verification and refunds.
+//   node server/scripts/paystack-stub.js                          serve the stub API
+//   node server/scripts/paystack-stub.js pay <reference> <kobo>   record a successful charge
+//   node server/scripts/paystack-stub.js webhook <reference>      deliver its signed charge.success event
+// Run the API server with PAYSTACK_BASE_URL=http://localhost:8791 and the same PAYSTACK_SECRET_KEY as
+// this script. Transactions and refunds are listed as JSON at GET /_stub/transactions and /_stub/refunds.
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { readJson, sendJson } = require('../lib/http');
+
+const PORT = Number(process.env.PAYSTACK_STUB_PORT) || 8791;
+const STUB_URL = 'http://localhost:' + PORT;
+const API_URL = (process.env.API_URL || 'http://localhost:8787').replace(/\/$/, '');
+const SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || 'sk_test_stub';
+
+// Paystack's webhook signature: HMAC-SHA512 of the raw body, keyed with the secret key
+function sign(payload, secretKey) {
+  return crypto.createHmac('sha512', secretKey).update(payload).digest('hex');
+}
+
+function createPaystackStub(options) {
+  const secretKey = (options && options.secretKey) || SECRET_KEY;
+  const transactions = new Map();
+  const refunds = [];
+
+  // Records a charge as Paystack would report it; `fields` can override status, currency, ...
+  function charge(reference, amountKobo, fields) {
+    const tx = Object.assign({ id: transactions.size + 1, reference, amount: amountKobo, currency: 'NGN', status: 'success', paid_at: new Date().toISOString(), channel: 'card' }, fields);
+    transactions.set(reference, tx);
+    return tx;
+  }
+
+  async function route(req, res) {
+    const path = new URL(req.url, STUB_URL).pathname;
+    if (req.method === 'GET' && path === '/_stub/transactions') return sendJson(res, 200, Array.from(transactions.values()));
+    if (req.method === 'GET' && path === '/_stub/refunds') return sendJson(res, 200, refunds);
+    if (req.method === 'POST' && path === '/_stub/transactions') {
+      const body = await readJson(req);
+      return sendJson(res, 200, charge(String(body.reference), Number(body.amount), body.fields));
+    }
+    if (req.headers.authorization !== 'Bearer ' + secretKey) return sendJson(res, 401, { status: false, message: 'Invalid key' });
+
+    const verify = req.method === 'GET' && path.match(/^\/transaction\/verify\/([^/]+)$/);
+    if (verify) {
+      const tx = transactions.get(decodeURIComponent(verify[1]));
+      if (!tx) return sendJson(res, 400, { status: false, message: 'Transaction reference not found' });
+      return sendJson(res, 200, { status: true, message: 'Verification successful', data: tx });
+    }
+    if (req.method === 'POST' && path === '/refund') {
+      const body = await readJson(req);
+      const tx = transactions.get(String(body.transaction));
+      if (!tx || tx.status !== 'success') return sendJson(res, 400, { status: false, message: 'Transaction not found or not refundable' });
+      if (refunds.some(r => r.transaction.reference === tx.reference)) return sendJson(res, 400, { status: false, message: 'Transaction has been fully reversed' });
+      const refund = { id: refunds.length + 1, transaction: { id: tx.id, reference: tx.reference }, amount: tx.amount, currency: tx.currency, status: 'pending', refunded_at: null };
+      refunds.push(refund);
+      return sendJson(res, 200, { status: true, message: 'Refund has been queued for processing', data: refund });
+    }
+    return sendJson(res, 404, { status: false, message: 'Unknown endpoint' });
+  }
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch(err => sendJson(res, 500, { status: false, message: err.message }));
+  });
+
+  return {
+    server,
+    transactions,
+    refunds,
+    charge,
+    // Resolves to the stub's base URL; port 0 picks a free one
+    listen(port) {
+      return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve('http://127.0.0.1:' + server.address().port)));
+    },
+    close() { return new Promise(resolve => server.close(resolve)); }
+  };
+}
+
+// Same body and signature header as Paystack's webhook calls
+async function deliver(reference) {
+  const tx = await (await fetch(STUB_URL + '/_stub/transactions')).json();
+  const data = tx.find(t => t.reference === reference);
+  if (!data) throw new Error('No transaction ' + reference + ' on the stub; record it with `pay` first');
+  const payload = JSON.stringify({ event: 'charge.success', data });
+  const res = await fetch(API_URL + '/payments/paystack/webhook', { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Paystack-Signature': sign(payload, SECRET_KEY) }, body: payload });
+  console.info(res.status, await res.text());
+}
+
+if (require.main === module) {
+  const [command, reference, amount] = process.argv.slice(2);
+  if (!command) {
+    createPaystackStub().listen(PORT).then(url => console.info('Paystack stub listening on ' + url));
+  } else if (command === 'pay' && reference && Number(amount) > 0) {
+    fetch(STUB_URL + '/_stub/transactions', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ reference, amount: Number(amount) }) })
+      .then(async res => console.info(res.status, await res.text()))
+      .catch(err => { console.error(err.message); process.exit(1); });
+  } else if (command === 'webhook' && reference) {
+    deliver(reference).catch(err => { console.error(err.message); process.exit(1); });
+  } else {
+    console.error('Usage: paystack-stub.js [pay <reference> <kobo> | webhook <reference>]');
+    process.exit(1);
+  }
+}
+
+module.exports = { createPaystackStub, sign };
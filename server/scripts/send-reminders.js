@@ -0,0 +1,18 @@
+// Sends the task reminders that are due once and exits, for running from cron with the server's own
+// schedule turned off (REMINDER_INTERVAL_MINUTES=0). Uses the same store and SMS settings as the server.
+//   FIREBASE_PROJECT_ID=... SMS_PROVIDER=... node server/scripts/send-reminders.js
+'use strict';
+
+const { loadConfig } = require('../lib/config');
+const { createApp } = require('../index');
+
+if (require.main === module) {
+  const config = loadConfig();
+  if (!config.firebaseProjectId) {
+    console.error('Set FIREBASE_PROJECT_ID (and credentials or FIRESTORE_EMULATOR_HOST) to send reminders');
+    process.exit(1);
+  }
+  createApp(config).reminders.run()
+    .then(sent => console.info('Sent ' + sent + ' task reminders'))
+    .catch(err => { console.error(err); process.exit(1); });
+}
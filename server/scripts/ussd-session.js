@@ -0,0 +1,42 @@
+// Plays a USSD session against the API server the way an aggregator would, one request per answer,
+// and prints every screen. Use it to walk a menu flow or replay a transcript from a support report.
+//   node server/scripts/ussd-session.js <phone> [answer ...]
+//   node server/scripts/ussd-session.js 08031234567 1 2 1 1 1
+// API_URL (default http://localhost:8787) and USSD_CALLBACK_KEY are read from the environment. The
+// output, under a `# caller: <phone>` line, is a transcript server/test/ussd-transcripts.test.js replays.
+'use strict';
+
+const crypto = require('crypto');
+
+const API_URL = (process.env.API_URL || 'http://localhost:8787').replace(/\/$/, '');
+
+async function play(phoneNumber, answers) {
+  const sessionId = 'replay-' + crypto.randomBytes(6).toString('hex');
+  const url = API_URL + '/ussd' + (process.env.USSD_CALLBACK_KEY ? '?key=' + encodeURIComponent(process.env.USSD_CALLBACK_KEY) : '');
+  const screens = [];
+  for (let i = 0; i <= answers.length; i++) {
+    const text = answers.slice(0, i).join('*');
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ sessionId, serviceCode: '*384*1#', phoneNumber, text }).toString()
+    });
+    const reply = await res.text();
+    screens.push({ answer: i ? answers[i - 1] : '(dial)', reply });
+    if (!res.ok || !reply.startsWith('CON ')) break;
+  }
+  return screens;
+}
+
+if (require.main === module) {
+  const [phone, ...answers] = process.argv.slice(2);
+  if (!phone) {
+    console.error('Usage: ussd-session.js <phone> [answer ...]');
+    process.exit(1);
+  }
+  play(phone, answers).then(screens => {
+    screens.forEach(s => console.info('> ' + s.answer + '\n' + s.reply + '\n'));
+  }).catch(err => { console.error(err.message); process.exit(1); });
+}
+
+module.exports = { play };
@@ -0,0 +1,66 @@
+// Local stand-in for the WhatsApp Cloud API, to try the WhatsApp channel without a Meta app.
+//   node server/scripts/whatsapp-mock.js                     serve the mock Graph API (prints outgoing messages)
+//   node server/scripts/whatsapp-mock.js send <from> <text>  deliver a signed text message to the webhook
+//   node server/scripts/whatsapp-mock.js location <from> <lat> <lng>
+// Run the API server with WHATSAPP_BASE_URL=http://localhost:8790/v20.0, WHATSAPP_TOKEN and
+// WHATSAPP_PHONE_NUMBER_ID set to anything, and the same WHATSAPP_APP_SECRET as this script.
+// Sent messages are also listed as JSON at GET /sent.
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { readJson, sendJson } = require('../lib/http');
+
+const PORT = Number(process.env.WHATSAPP_MOCK_PORT) || 8790;
+const API_URL = (process.env.API_URL || 'http://localhost:8787').replace(/\/$/, '');
+const APP_SECRET = process.env.WHATSAPP_APP_SECRET || 'mock-app-secret';
+
+function serve() {
+  const sent = [];
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'GET' && req.url === '/sent') return sendJson(res, 200, sent);
+      if (req.method !== 'POST' || !/\/messages$/.test(req.url)) return sendJson(res, 404, { error: { message: 'Unknown endpoint' } });
+      if (!String(req.headers.authorization || '').startsWith('Bearer ')) return sendJson(res, 401, { error: { message: 'Missing access token' } });
+      const body = await readJson(req);
+      if (body.messaging_product !== 'whatsapp' || !body.to || body.type !== 'text') return sendJson(res, 400, { error: { message: 'Unsupported message' } });
+      const id = 'wamid.mock' + crypto.randomBytes(8).toString('hex');
+      sent.push({ id, to: body.to, text: body.text.body, at: new Date().toISOString() });
+      console.info('\n→ ' + body.to + '\n' + body.text.body);
+      sendJson(res, 200, { messaging_product: 'whatsapp', contacts: [{ input: body.to, wa_id: body.to }], messages: [{ id }] });
+    } catch (err) {
+      sendJson(res, 500, { error: { message: err.message } });
+    }
+  });
+  server.listen(PORT, () => console.info('WhatsApp mock listening on port ' + PORT));
+}
+
+// Same envelope and signature as Meta's webhook calls
+async function deliver(from, message) {
+  const payload = JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{ id: 'mock', changes: [{ field: 'messages', value: {
+      messaging_product: 'whatsapp',
+      metadata: { display_phone_number: '0000', phone_number_id: 'mock' },
+      contacts: [{ wa_id: from, profile: { name: 'Mock user' } }],
+      messages: [Object.assign({ from, id: 'wamid.in' + crypto.randomBytes(8).toString('hex'), timestamp: String(Math.floor(Date.now() / 1000)) }, message)]
+    } }] }]
+  });
+  const signature = 'sha256=' + crypto.createHmac('sha256', APP_SECRET).update(payload).digest('hex');
+  const res = await fetch(API_URL + '/whatsapp/webhook', { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature }, body: payload });
+  console.info(res.status, await res.text());
+}
+
+if (require.main === module) {
+  const [command, from, ...rest] = process.argv.slice(2);
+  if (!command) {
+    serve();
+  } else if (command === 'send' && from && rest.length) {
+    deliver(from, { type: 'text', text: { body: rest.join(' ') } }).catch(err => { console.error(err.message); process.exit(1); });
+  } else if (command === 'location' && from && rest.length === 2) {
+    deliver(from, { type: 'location', location: { latitude: Number(rest[0]), longitude: Number(rest[1]) } }).catch(err => { console.error(err.message); process.exit(1); });
+  } else {
+    console.error('Usage: whatsapp-mock.js [send <from> <text> | location <from> <lat> <lng>]');
+    process.exit(1);
+  }
+}
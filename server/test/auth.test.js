@@ -0,0 +1,80 @@
+// Registration and sign-in (server/routes/auth.js): usernames are one account whatever their case.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, createSmsInbox } = require('./helpers');
+
+test('a username is taken in every case, also by concurrent sign-ups', async () => {
+  const api = await startApp();
+  try {
+    const first = await api.request('POST', '/auth/register', { username: 'Ada', password: 'correct horse' });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.user.username, 'Ada');
+    const again = await api.request('POST', '/auth/register', { username: 'ada', password: 'another password' });
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.code, 'username_taken');
+
+    const racing = await Promise.all([1, 2, 3].map(() => api.request('POST', '/auth/register', { username: 'Bayo', password: 'correct horse' })));
+    assert.deepStrictEqual(racing.map(r => r.status).sort(), [200, 409, 409]);
+    assert.strictEqual((await api.store.where('lh_users', 'username', 'Bayo')).length, 1);
+    assert.strictEqual((await api.store.list('lh_credentials')).length, 2);
+  } finally {
+    await api.close();
+  }
+});
+
+test('sign-in finds the account in any case and counts failures across cases', async () => {
+  const api = await startApp();
+  try {
+    await api.request('POST', '/auth/register', { username: 'Chidi', password: 'correct horse' });
+    const login = await api.request('POST', '/auth/login', { username: ' CHIDI ', password: 'correct horse' });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.body.user.username, 'Chidi');
+
+    const spellings = ['chidi', 'CHIDI', 'Chidi', 'cHiDi', 'chiDI'];
+    for (let i = 0; i < 10; i++) {
+      const res = await api.request('POST', '/auth/login', { username: spellings[i % spellings.length], password: 'wrong password' });
+      assert.strictEqual(res.status, 401);
+    }
+    const locked = await api.request('POST', '/auth/login', { username: 'CHIdi', password: 'correct horse' });
+    assert.strictEqual(locked.status, 429);
+  } finally {
+    await api.close();
+  }
+});
+
+test('accounts from before names were claimed still sign in by their exact name', async () => {
+  const api = await startApp();
+  try {
+    const register = await api.request('POST', '/auth/register', { username: 'Dayo', password: 'correct horse' });
+    // As the account was stored before lh_usernames existed
+    await api.store.remove('lh_usernames', 'dayo');
+    assert.strictEqual((await api.request('POST', '/auth/login', { username: 'Dayo', password: 'correct horse' })).status, 200);
+    assert.strictEqual((await api.request('POST', '/auth/register', { username: 'Dayo', password: 'correct horse' })).status, 409);
+
+    const { migrateUsernames } = require('../scripts/migrate-usernames');
+    assert.deepStrictEqual(await migrateUsernames(api.store), { claimed: 1, clashes: [] });
+    assert.strictEqual((await api.store.get('lh_usernames', 'dayo')).userId, register.body.user.id);
+    assert.strictEqual((await api.request('POST', '/auth/login', { username: 'dayo', password: 'correct horse' })).status, 200);
+  } finally {
+    await api.close();
+  }
+});
+
+test('a phone sign-up cannot take a username in another case', async () => {
+  const sms = createSmsInbox();
+  const api = await startApp({}, { sms });
+  try {
+    await api.request('POST', '/auth/register', { username: 'Emeka', password: 'correct horse' });
+    assert.strictEqual((await api.request('POST', '/auth/phone/start', { phone: '08031234567' })).status, 200);
+    const code = sms.lastCode('+2348031234567');
+    const taken = await api.request('POST', '/auth/phone/verify', { phone: '08031234567', code, username: 'emeka' });
+    assert.strictEqual(taken.status, 409);
+    const created = await api.request('POST', '/auth/phone/verify', { phone: '08031234567', code, username: 'emeka2' });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual((await api.store.get('lh_credentials', created.body.user.id)).phone, '+2348031234567');
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,152 @@
+// Accepting applications (server/routes/tasks.js, server/lib/escrow.js) against the Paystack stub: a
+// fixed budget is charged to the poster before the task is assigned, only pending applications can be
+// accepted, and of two paid charges for one task only the first is held.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPaystackStub } = require('../scripts/paystack-stub');
+const { startApp } = require('./helpers');
+
+const SECRET_KEY = 'sk_test_escrow';
+
+async function setup(budget) {
+  const paystack = createPaystackStub({ secretKey: SECRET_KEY });
+  const paystackURL = await paystack.listen(0);
+  const api = await startApp({ PAYSTACK_SECRET_KEY: SECRET_KEY, PAYSTACK_BASE_URL: paystackURL });
+  const poster = await api.signIn('poster');
+  await api.store.put('lh_tasks', { id: 'T1', title: 'Fix a tap', poster: 'poster', status: 'open', budget: budget === undefined ? { amountKobo: 500000, currency: 'NGN', payType: 'fixed' } : budget });
+  for (const name of ['ada', 'bola']) {
+    await api.signIn(name);
+    await api.store.put('lh_applications', { id: 'A_' + name, taskId: 'T1', applicant: name, status: 'pending' });
+  }
+  return { paystack, api, token: poster.token, close: async () => { await api.close(); await paystack.close(); } };
+}
+
+function accept(api, token, appId) {
+  return api.request('POST', '/tasks/T1/applications/' + appId + '/accept', {}, { token });
+}
+
+function verify(api, token, reference) {
+  return api.request('POST', '/payments/paystack/verify', { reference }, { token });
+}
+
+test('a fixed budget is charged through Paystack before the task is assigned', async () => {
+  const { paystack, api, token, close } = await setup();
+  try {
+    const res = await accept(api, token, 'A_ada');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.charge, { reference: res.body.payment.paystackReference, amountKobo: 500000, currency: 'NGN', email: 'poster@example.com', taskId: 'T1' });
+    assert.strictEqual(res.body.payment.status, 'pending');
+    assert.strictEqual((await api.store.get('lh_tasks', 'T1')).status, 'open');
+    // Accepting again before paying reuses the charge
+    assert.strictEqual((await accept(api, token, 'A_ada')).body.charge.reference, res.body.charge.reference);
+
+    assert.strictEqual((await verify(api, token, res.body.charge.reference)).status, 400);
+    paystack.charge(res.body.charge.reference, 400000);
+    assert.strictEqual((await verify(api, token, res.body.charge.reference)).body.code, 'amount_mismatch');
+    assert.strictEqual((await api.store.get('lh_tasks', 'T1')).status, 'open');
+
+    paystack.charge(res.body.charge.reference, 500000);
+    const paid = await verify(api, token, res.body.charge.reference);
+    assert.strictEqual(paid.status, 200);
+    assert.strictEqual(paid.body.payment.status, 'held');
+    assert.strictEqual(paid.body.task.status, 'assigned');
+    assert.strictEqual(paid.body.task.assignedTo, 'ada');
+    assert.strictEqual(paid.body.application.status, 'accepted');
+    assert.deepStrictEqual(api.sent.filter(n => n.type === 'application_accepted').map(n => n.to), ['ada']);
+  } finally {
+    await close();
+  }
+});
+
+test('a charge abandoned at first and paid later is still held', async () => {
+  const { paystack, api, token, close } = await setup();
+  try {
+    const { charge } = (await accept(api, token, 'A_ada')).body;
+    paystack.charge(charge.reference, charge.amountKobo, { status: 'abandoned', paid_at: null });
+    assert.strictEqual((await verify(api, token, charge.reference)).body.code, 'payment_incomplete');
+    assert.strictEqual((await api.store.where('lh_payments', 'paystackReference', charge.reference))[0].status, 'failed');
+
+    paystack.charge(charge.reference, charge.amountKobo);
+    const paid = await verify(api, token, charge.reference);
+    assert.strictEqual(paid.status, 200);
+    assert.strictEqual(paid.body.payment.status, 'held');
+    assert.strictEqual(paid.body.task.assignedTo, 'ada');
+    assert.deepStrictEqual(paystack.refunds, []);
+  } finally {
+    await close();
+  }
+});
+
+test('only pending applications can be accepted', async () => {
+  const { api, token, close } = await setup();
+  try {
+    for (const status of ['rejected', 'withdrawn', 'accepted']) {
+      await api.store.update('lh_applications', 'A_ada', { status });
+      const res = await accept(api, token, 'A_ada');
+      assert.strictEqual(res.status, 409);
+      assert.strictEqual(res.body.code, 'application_not_pending');
+    }
+    assert.strictEqual((await api.store.list('lh_payments')).length, 0);
+  } finally {
+    await close();
+  }
+});
+
+test('of two paid charges for one task only the first is held, and the other refunded', async () => {
+  const { paystack, api, token, close } = await setup();
+  try {
+    const charges = [];
+    for (const appId of ['A_ada', 'A_bola']) {
+      const { charge } = (await accept(api, token, appId)).body;
+      paystack.charge(charge.reference, charge.amountKobo);
+      charges.push(charge);
+    }
+    const replies = await Promise.all(charges.map(c => verify(api, token, c.reference)));
+    assert.deepStrictEqual(replies.map(r => r.status).sort(), [200, 409]);
+    const lost = charges[replies.findIndex(r => r.status === 409)];
+
+    const payments = await api.store.list('lh_payments');
+    assert.deepStrictEqual(payments.map(p => p.status).sort(), ['held', 'refunded']);
+    assert.deepStrictEqual(paystack.refunds.map(r => r.transaction.reference), [lost.reference]);
+    const apps = await api.store.list('lh_applications');
+    assert.deepStrictEqual(apps.map(a => a.status).sort(), ['accepted', 'pending']);
+    assert.strictEqual((await api.store.get('lh_tasks', 'T1')).history.length, 1);
+
+    // The refunded charge stays settled
+    assert.strictEqual((await verify(api, token, lost.reference)).body.payment.status, 'refunded');
+    assert.strictEqual(paystack.refunds.length, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('cancelling refunds the held charge through Paystack', async () => {
+  const { paystack, api, token, close } = await setup();
+  try {
+    const { charge } = (await accept(api, token, 'A_ada')).body;
+    paystack.charge(charge.reference, charge.amountKobo);
+    await verify(api, token, charge.reference);
+
+    const res = await api.request('POST', '/tasks/T1/transition', { to: 'cancelled' }, { token });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.payment.status, 'refunded');
+    assert.deepStrictEqual(paystack.refunds.map(r => r.transaction.reference), [charge.reference]);
+  } finally {
+    await close();
+  }
+});
+
+test('budgets that are not held assign the task straight away', async () => {
+  const { api, token, close } = await setup({ amountKobo: 300000, currency: 'NGN', payType: 'daily' });
+  try {
+    const res = await accept(api, token, 'A_ada');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.payment, null);
+    assert.strictEqual(res.body.task.assignedTo, 'ada');
+    assert.strictEqual((await accept(api, token, 'A_bola')).status, 409);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,73 @@
+// Shared setup for the server tests: the API server on a free port over the in-memory store, and
+// signed-in users to call it as.
+'use strict';
+
+const http = require('http');
+const { createApp } = require('../index');
+const { loadConfig } = require('../lib/config');
+const { createNotifier } = require('../lib/notifications');
+const { createMemoryStore } = require('../lib/store');
+const { signToken } = require('../lib/tokens');
+
+const AUTH_SECRET = 'test-auth-secret';
+
+// Resolves to { url, store, config, sent, request, signIn, close }. `env` adds to the test environment
+// and `deps` to createApp's. Notifications are stored and delivered to `sent`, unless `deps.notify` is
+// given.
+async function startApp(env, deps) {
+  const config = loadConfig(Object.assign({ AUTH_SECRET, REMINDER_INTERVAL_MINUTES: '0' }, env));
+  const store = (deps && deps.store) || createMemoryStore();
+  const sent = [];
+  const notify = createNotifier(store, [{ name: 'test', async deliver(doc) { sent.push(doc); } }]);
+  const app = createApp(config, Object.assign({ firebase: null, sms: null, notify }, deps, { store }));
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = 'http://127.0.0.1:' + server.address().port;
+
+  // Resolves to { status, body }; `options` = { token, headers, raw } where `raw` is sent as it is
+  async function request(method, path, body, options) {
+    options = options || {};
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, options.headers);
+    if (options.token) headers.Authorization = 'Bearer ' + options.token;
+    const payload = options.raw !== undefined ? options.raw : body === undefined ? undefined : JSON.stringify(body);
+    const res = await fetch(url + path, { method, headers, body: payload });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (e) { /* USSD and SMS replies are plain text */ }
+    return { status: res.status, body: json === null ? text : json };
+  }
+
+  // Stores a user (with `fields`) and resolves to { user, token }
+  async function signIn(username, fields) {
+    const user = Object.assign({ id: 'U_' + username, username, name: username, email: username + '@example.com', createdAt: new Date().toISOString() }, fields);
+    await store.put('lh_users', user);
+    return { user, token: signToken({ sub: user.id, username }, AUTH_SECRET, 3600) };
+  }
+
+  return {
+    url,
+    store,
+    config,
+    sent,
+    request,
+    signIn,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// An SMS provider that keeps what it sends: `messages` is [{ to, text }]
+function createSmsInbox() {
+  const messages = [];
+  return {
+    name: 'test',
+    messages,
+    async send(to, text) { messages.push({ to, text }); },
+    // The sign-in code last sent to `to`
+    lastCode(to) {
+      const m = messages.filter(x => x.to === to).pop();
+      return m && (m.text.match(/\b(\d{6})\b/) || [])[1];
+    }
+  };
+}
+
+module.exports = { startApp, createSmsInbox, AUTH_SECRET };
@@ -0,0 +1,35 @@
+// The router in server/lib/http.js
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+test('path parameters are decoded, and malformed escapes are a 400', async () => {
+  const api = await startApp();
+  try {
+    const { token } = await api.signIn('ada');
+    const unknown = await api.request('POST', '/tasks/' + encodeURIComponent('no such/task') + '/edit', { title: 'x' }, { token });
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual(unknown.body.code, 'task_not_found');
+
+    const malformed = await api.request('POST', '/tasks/%E0%A4%A/edit', { title: 'x' }, { token });
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual(malformed.body.code, 'invalid_path');
+    assert.strictEqual((await api.request('GET', '/statements/%ZZ')).status, 400);
+  } finally {
+    await api.close();
+  }
+});
+
+test('unknown routes are a 404 and bad JSON a 400', async () => {
+  const api = await startApp();
+  try {
+    assert.strictEqual((await api.request('GET', '/nope')).status, 404);
+    const bad = await api.request('POST', '/auth/login', undefined, { raw: '{"username":' });
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual(bad.body.error, 'Invalid JSON body');
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,46 @@
+// Applying on behalf of the chat channels (applyToTask in server/lib/marketplace.js): the checks, the
+// permit and the application are one write, so applies arriving together cannot overspend.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore } = require('../lib/store');
+const { createMarketplace } = require('../lib/marketplace');
+
+function setup(user) {
+  const store = createMemoryStore({
+    lh_users: [Object.assign({ id: 'U_ada', username: 'ada' }, user)],
+    lh_tasks: ['T1', 'T2'].map(id => ({ id, title: 'Task ' + id, poster: 'chinedu', status: 'open' }))
+  });
+  const sent = [];
+  const marketplace = createMarketplace(store, async (to, type) => { sent.push({ to, type }); });
+  return { store, sent, marketplace };
+}
+
+async function applyTogether(store, marketplace, taskIds) {
+  const user = await store.get('lh_users', 'U_ada');
+  return Promise.allSettled(taskIds.map((taskId, i) => marketplace.applyToTask(user, taskId, 'I can do it', i % 2 ? 'ussd' : 'whatsapp')));
+}
+
+test('two applies to one task arriving together apply once and spend one permit', async () => {
+  const { store, sent, marketplace } = setup({ freePermitUsed: true, permits: 2 });
+  const results = await applyTogether(store, marketplace, ['T1', 'T1']);
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(r => r.status === 'rejected').reason.code, 'already_applied');
+  assert.strictEqual((await store.list('lh_applications')).length, 1);
+  const user = await store.get('lh_users', 'U_ada');
+  assert.strictEqual(user.permits, 1);
+  assert.strictEqual(user.lastApplicationId, (await store.list('lh_applications'))[0].id);
+  assert.deepStrictEqual(sent, [{ to: 'chinedu', type: 'application_new' }]);
+});
+
+test('the last permit pays for only one of two applies arriving together', async () => {
+  const { store, marketplace } = setup({ freePermitUsed: false, permits: 0 });
+  const results = await applyTogether(store, marketplace, ['T1', 'T2']);
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(r => r.status === 'rejected').reason.code, 'no_permit');
+  assert.strictEqual((await store.list('lh_applications')).length, 1);
+  const user = await store.get('lh_users', 'U_ada');
+  assert.strictEqual(user.freePermitUsed, true);
+  assert.strictEqual(user.permits, 0);
+});
@@ -0,0 +1,72 @@
+// Notifications browsers ask for (server/routes/notifications.js): only about their own applications,
+// rejections and reviews, worded by the server and sent once.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+async function setup() {
+  const api = await startApp();
+  const poster = await api.signIn('poster');
+  const worker = await api.signIn('worker');
+  const stranger = await api.signIn('stranger');
+  await api.store.put('lh_tasks', { id: 'T1', title: 'Fix a tap', poster: 'poster', status: 'closed', assignedTo: 'worker' });
+  await api.store.put('lh_applications', { id: 'A1', taskId: 'T1', applicant: 'worker', message: 'I can come today.', status: 'pending' });
+  return { api, poster, worker, stranger };
+}
+
+test('an application is announced to the poster in the server\'s words, once', async () => {
+  const { api, worker } = await setup();
+  try {
+    const body = { type: 'application_new', applicationId: 'A1', to: 'someone', title: 'Send your PIN to 0800', body: 'Click http://evil.example' };
+    const res = await api.request('POST', '/notifications', body, { token: worker.token });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(api.sent.map(n => [n.to, n.type, n.title, n.body, n.link]), [['poster', 'application_new', 'worker applied to "Fix a tap"', 'I can come today.', 'task.html?id=T1']]);
+    const again = await api.request('POST', '/notifications', body, { token: worker.token });
+    assert.strictEqual(again.status, 200);
+  } finally {
+    await api.close();
+  }
+});
+
+test('nothing is sent about documents that do not exist or are not the caller\'s', async () => {
+  const { api, poster, worker, stranger } = await setup();
+  try {
+    const cases = [
+      [stranger, { type: 'application_new', applicationId: 'A1' }, 403],
+      [worker, { type: 'application_new', applicationId: 'NOPE' }, 404],
+      [worker, { type: 'application_new' }, 404],
+      // Still pending, and only the poster rejects
+      [poster, { type: 'application_rejected', applicationId: 'A1' }, 403],
+      [worker, { type: 'review_new', reviewId: 'T1_worker' }, 404],
+      [worker, { type: 'task_status', to: 'poster', title: 'Free money' }, 400],
+      [worker, { type: 'constructor', applicationId: 'A1' }, 400]
+    ];
+    for (const [who, body, status] of cases) {
+      const res = await api.request('POST', '/notifications', body, { token: who.token });
+      assert.strictEqual(res.status, status, JSON.stringify(body));
+    }
+    assert.strictEqual((await api.request('POST', '/notifications', { type: 'application_new', applicationId: 'A1' })).status, 401);
+    assert.deepStrictEqual(api.sent, []);
+  } finally {
+    await api.close();
+  }
+});
+
+test('rejections and reviews go to the other side of the document', async () => {
+  const { api, poster, worker } = await setup();
+  try {
+    await api.store.update('lh_applications', 'A1', { status: 'rejected' });
+    await api.store.put('lh_reviews', { id: 'T1_poster', taskId: 'T1', from: 'poster', to: 'worker', rating: 5, text: '' });
+    assert.strictEqual((await api.request('POST', '/notifications', { type: 'application_rejected', applicationId: 'A1' }, { token: poster.token })).status, 200);
+    assert.strictEqual((await api.request('POST', '/notifications', { type: 'review_new', reviewId: 'T1_poster' }, { token: worker.token })).status, 403);
+    assert.strictEqual((await api.request('POST', '/notifications', { type: 'review_new', reviewId: 'T1_poster' }, { token: poster.token })).status, 200);
+    assert.deepStrictEqual(api.sent.map(n => [n.to, n.type, n.title, n.body]), [
+      ['worker', 'application_rejected', 'Your application for "Fix a tap" was not accepted', 'Keep an eye on Find Tasks for similar work.'],
+      ['worker', 'review_new', 'poster rated you 5 out of 5', 'For "Fix a tap"']
+    ]);
+  } finally {
+    await api.close();
+  }
+});
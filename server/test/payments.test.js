@@ -0,0 +1,138 @@
+// Permit purchases against the Paystack stub (server/scripts/paystack-stub.js): verification, webhook
+// signatures and duplicate deliveries.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPaystackStub, sign } = require('../scripts/paystack-stub');
+const { createMemoryStore } = require('../lib/store');
+const { startApp } = require('./helpers');
+
+const SECRET_KEY = 'sk_test_payments';
+
+async function serve(store) {
+  const paystack = createPaystackStub({ secretKey: SECRET_KEY });
+  const paystackURL = await paystack.listen(0);
+  const api = await startApp({ PAYSTACK_SECRET_KEY: SECRET_KEY, PAYSTACK_BASE_URL: paystackURL, PERMIT_PRICE_KOBO: '10000' }, { store });
+  return { paystack, api, close: async () => { await api.close(); await paystack.close(); } };
+}
+
+async function setup(store) {
+  const served = await serve(store);
+  return Object.assign(served, await served.api.signIn('ada', { permits: 1 }));
+}
+
+function webhook(api, event, signature) {
+  const raw = JSON.stringify(event);
+  return api.request('POST', '/payments/paystack/webhook', undefined, { raw, headers: { 'X-Paystack-Signature': signature === undefined ? sign(raw, SECRET_KEY) : signature } });
+}
+
+async function permits(api, user) { return (await api.store.get('lh_users', user.id)).permits; }
+
+test('a purchase is credited once Paystack confirms the charge', async () => {
+  const { paystack, api, user, token, close } = await setup();
+  try {
+    const purchase = await api.request('POST', '/payments/permits', { count: 3 }, { token });
+    assert.strictEqual(purchase.status, 200);
+    assert.strictEqual(purchase.body.amountKobo, 30000);
+
+    const unpaid = await api.request('POST', '/payments/paystack/verify', { reference: purchase.body.reference }, { token });
+    assert.strictEqual(unpaid.status, 400);
+    assert.strictEqual(await permits(api, user), 1);
+
+    paystack.charge(purchase.body.reference, 30000);
+    const verified = await api.request('POST', '/payments/paystack/verify', { reference: purchase.body.reference }, { token });
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.payment.status, 'completed');
+    assert.strictEqual(verified.body.user.permits, 4);
+
+    const again = await api.request('POST', '/payments/paystack/verify', { reference: purchase.body.reference }, { token });
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(await permits(api, user), 4);
+  } finally {
+    await close();
+  }
+});
+
+test('a short or failed charge credits nothing', async () => {
+  const { paystack, api, user, token, close } = await setup();
+  try {
+    const short = await api.request('POST', '/payments/permits', { count: 2 }, { token });
+    paystack.charge(short.body.reference, 10000);
+    const res = await api.request('POST', '/payments/paystack/verify', { reference: short.body.reference }, { token });
+    assert.strictEqual(res.status, 402);
+    assert.strictEqual(res.body.code, 'amount_mismatch');
+
+    const failed = await api.request('POST', '/payments/permits', { count: 1 }, { token });
+    paystack.charge(failed.body.reference, 10000, { status: 'failed' });
+    assert.strictEqual((await api.request('POST', '/payments/paystack/verify', { reference: failed.body.reference }, { token })).status, 402);
+    assert.strictEqual((await api.store.where('lh_payments', 'paystackReference', failed.body.reference))[0].status, 'failed');
+    assert.strictEqual(await permits(api, user), 1);
+  } finally {
+    await close();
+  }
+});
+
+test('webhooks must carry a valid HMAC-SHA512 signature', async () => {
+  const { paystack, api, user, token, close } = await setup();
+  try {
+    const purchase = await api.request('POST', '/payments/permits', { count: 1 }, { token });
+    const event = { event: 'charge.success', data: paystack.charge(purchase.body.reference, 10000) };
+
+    assert.strictEqual((await webhook(api, event, '')).status, 401);
+    assert.strictEqual((await webhook(api, event, sign(JSON.stringify(event), 'sk_test_other'))).status, 401);
+    // Signed over different bytes than those sent
+    assert.strictEqual((await webhook(api, event, sign(JSON.stringify(event) + ' ', SECRET_KEY))).status, 401);
+    assert.strictEqual(await permits(api, user), 1);
+
+    const res = await webhook(api, event);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { received: true });
+    assert.strictEqual(await permits(api, user), 2);
+  } finally {
+    await close();
+  }
+});
+
+test('duplicate deliveries credit once, also across a restart', async () => {
+  const store = createMemoryStore();
+  let { paystack, api, user, token, close } = await setup(store);
+  let event;
+  try {
+    const purchase = await api.request('POST', '/payments/permits', { count: 2 }, { token });
+    event = { event: 'charge.success', data: paystack.charge(purchase.body.reference, 20000) };
+    const replies = await Promise.all([
+      webhook(api, event),
+      webhook(api, event),
+      api.request('POST', '/payments/paystack/verify', { reference: purchase.body.reference }, { token })
+    ]);
+    assert.deepStrictEqual(replies.map(r => r.status), [200, 200, 200]);
+    assert.strictEqual(await permits(api, user), 3);
+    assert.ok(await store.get('lh_paystack_references', purchase.body.reference));
+  } finally {
+    await close();
+  }
+
+  // A new server over the same data, with the payment rolled back as if the first had crashed after
+  // claiming the reference: the retried webhook must still not credit again
+  const payment = (await store.where('lh_payments', 'paystackReference', event.data.reference))[0];
+  await store.update('lh_payments', payment.id, { status: 'pending' });
+  ({ api, close } = await serve(store));
+  try {
+    assert.strictEqual((await webhook(api, event)).status, 200);
+    assert.strictEqual(await permits(api, user), 3);
+  } finally {
+    await close();
+  }
+});
+
+test('unknown references are acknowledged without crediting', async () => {
+  const { api, close } = await setup();
+  try {
+    const res = await webhook(api, { event: 'charge.success', data: { reference: 'WL_NOPE', amount: 10000, status: 'success' } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await api.store.list('lh_paystack_references')).length, 0);
+  } finally {
+    await close();
+  }
+});
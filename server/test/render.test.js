@@ -0,0 +1,129 @@
+// public/assets/js/render.js (LHRender), loaded as the browser loads it, in a vm with a stand-in for
+// `window`: hostile values from other users must come out as text in element content and quoted
+// attributes, and only the site's URL schemes may reach src and href.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ORIGIN = 'https://worklink.example';
+
+function loadRender() {
+  const context = vm.createContext({ window: { location: { href: ORIGIN + '/task.html?id=T1', origin: ORIGIN } }, URL });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../../public/assets/js/render.js'), 'utf8'), context);
+  return context.window.LHRender;
+}
+
+const R = loadRender();
+const html = R.html;
+
+// What a browser builds from `markup`: each tag with its attribute names, in order, and the text
+// between tags with character references decoded. Enough for markup without comments or
+// <script>/<style> contents, which the templates below never write.
+function parse(markup) {
+  const nodes = [];
+  const decode = s => s.replace(/&(amp|lt|gt|quot|#39|#96);/g, (m, e) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", '#96': '`' })[e]);
+  const TAG = /<(\/?)([a-zA-Z][^\s/>]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+  let last = 0;
+  let m;
+  while ((m = TAG.exec(markup))) {
+    if (m.index > last) nodes.push({ text: decode(markup.slice(last, m.index)) });
+    const attrs = [];
+    const values = [];
+    m[3].replace(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g, (a, name, dq, sq, bare) => {
+      attrs.push(name.toLowerCase());
+      values.push(decode(dq !== undefined ? dq : sq !== undefined ? sq : bare || ''));
+    });
+    nodes.push({ tag: m[1] + m[2].toLowerCase(), attrs, values });
+    last = TAG.lastIndex;
+  }
+  if (last < markup.length) nodes.push({ text: decode(markup.slice(last)) });
+  return nodes;
+}
+
+const PAYLOADS = [
+  '<img src=x onerror=alert(1)>',
+  '"><script>alert(document.cookie)</script>',
+  '" onmouseover="alert(1)',
+  "' onfocus='alert(1)' autofocus='",
+  '`onerror=alert(1)`',
+  '</p><svg/onload=alert(1)>',
+  '<a href="javascript:alert(1)">click</a>',
+  '&lt;img src=x onerror=alert(1)&gt;',
+  '<<img src=x onerror=alert(1)//<'
+];
+
+// Templates the pages use, each with the value in a different place
+const TEMPLATES = {
+  'element content': v => html`<p class="small">${v}</p>`,
+  'double-quoted attribute': v => html`<a class="btn" title="${v}">Open</a>`,
+  'single-quoted attribute': v => html`<span data-name='${v}'>x</span>`,
+  'image source': v => html`<img class="avatar" src="${R.url(v)}" alt="${v}">`,
+  'list of fragments': v => html`<ul>${[v, v].map(x => html`<li>${x}</li>`)}</ul>`
+};
+
+for (const [where, render] of Object.entries(TEMPLATES)) {
+  test('hostile values stay text in ' + where, () => {
+    const expected = parse(String(render('plain')));
+    for (const payload of PAYLOADS) {
+      const markup = String(render(payload));
+      const nodes = parse(markup);
+      assert.deepStrictEqual(nodes.map(n => n.tag || '#text'), expected.map(n => n.tag || '#text'), payload + ' → ' + markup);
+      nodes.forEach((n, i) => assert.deepStrictEqual(n.attrs, expected[i].attrs, payload + ' → ' + markup));
+      // The value comes back exactly as it was written, as text
+      const texts = nodes.filter(n => n.text !== undefined).map(n => n.text).concat(...nodes.filter(n => n.values).map(n => n.values));
+      if (where !== 'image source') assert.ok(texts.includes(payload), payload + ' → ' + markup);
+    }
+  });
+}
+
+test('values that are not strings are escaped too', () => {
+  const sneaky = { toString() { return '<img src=x onerror=alert(1)>'; } };
+  assert.strictEqual(String(html`<p>${sneaky}</p>`), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+  // Only real html results pass through unescaped, not look-alikes
+  assert.strictEqual(String(html`<p>${{ markup: '<b>' }}</p>`), '<p>[object Object]</p>');
+  assert.strictEqual(String(html`<p>${[html`<b>ok</b>`, '<i>not ok</i>']}</p>`), '<p><b>ok</b>&lt;i&gt;not ok&lt;/i&gt;</p>');
+  assert.strictEqual(String(html`<p>${null}${undefined}${false}${0}</p>`), '<p>0</p>');
+});
+
+test('set only takes html results', () => {
+  const el = { innerHTML: '' };
+  assert.throws(() => R.set(el, '<img src=x onerror=alert(1)>'), { name: 'TypeError' });
+  assert.throws(() => R.set(el, { markup: '<img src=x onerror=alert(1)>' }), { name: 'TypeError' });
+  assert.strictEqual(el.innerHTML, '');
+  R.set(el, html`<p>${'<img src=x onerror=alert(1)>'}</p>`);
+  assert.strictEqual(el.innerHTML, '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+});
+
+test('url lets through only the site\'s schemes and paths', () => {
+  const refused = [
+    'javascript:alert(1)',
+    'JaVaScRiPt:alert(1)',
+    '  javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'java\nscript:alert(1)',
+    '\u0000javascript:alert(1)',
+    'vbscript:msgbox(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+',
+    'data:image/png;base64,AAAA" onerror="alert(1)',
+    '//evil.example/x.png',
+    '\\\\evil.example/x.png',
+    '/\\evil.example/x.png',
+    'mailto:ada@example.com',
+    'tel:+2348031234567'
+  ];
+  refused.forEach(u => assert.strictEqual(R.url(u), '', JSON.stringify(u)));
+
+  const allowed = ['https://cdn.example/p.jpg', 'http://localhost:8787/media/p.jpg', '/assets/img/a.png', 'profile.html?u=ada', 'data:image/png;base64,iVBORw0KGgo='];
+  allowed.forEach(u => assert.strictEqual(R.url(u), u, JSON.stringify(u)));
+
+  // Links may also mail or call, but never run script
+  assert.strictEqual(R.url('mailto:ada@example.com', 'link'), 'mailto:ada@example.com');
+  assert.strictEqual(R.url('tel:+2348031234567', 'link'), 'tel:+2348031234567');
+  assert.strictEqual(R.url('javascript:alert(1)', 'link'), '');
+  assert.strictEqual(R.url('data:image/png;base64,iVBORw0KGgo=', 'link'), '');
+});
@@ -0,0 +1,37 @@
+// STOP and START replies to SMS alerts (the /sms/inbound callback in server/routes/sms.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+const KEY = 'test-sms-key';
+
+function reply(api, from, text, key) {
+  const form = new URLSearchParams({ from, to: '12345', text, date: new Date().toISOString(), id: 'M' + Math.random().toString(36).slice(2) });
+  return api.request('POST', '/sms/inbound' + (key === null ? '' : '?key=' + encodeURIComponent(key || KEY)), undefined, { raw: form.toString(), headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+}
+
+test('replies are refused without the configured key', async () => {
+  const off = await startApp();
+  try {
+    assert.strictEqual((await reply(off, '08031234567', 'STOP', null)).status, 503);
+    assert.strictEqual((await reply(off, '08031234567', 'STOP', 'anything')).status, 503);
+    assert.strictEqual((await off.store.list('lh_sms_optouts')).length, 0);
+  } finally {
+    await off.close();
+  }
+  const api = await startApp({ SMS_CALLBACK_KEY: KEY });
+  try {
+    assert.strictEqual((await reply(api, '08031234567', 'STOP', null)).status, 403);
+    assert.strictEqual((await reply(api, '08031234567', 'STOP', 'wrong')).status, 403);
+    assert.strictEqual((await api.store.list('lh_sms_optouts')).length, 0);
+
+    assert.strictEqual((await reply(api, '08031234567', 'stop')).status, 200);
+    assert.ok(await api.store.get('lh_sms_optouts', '+2348031234567'));
+    assert.strictEqual((await reply(api, '+2348031234567', 'START')).status, 200);
+    assert.strictEqual(await api.store.get('lh_sms_optouts', '+2348031234567'), null);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,41 @@
+// Income statements (server/routes/statements.js) count only escrow paid with a verified Paystack charge.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPaystackStub } = require('../scripts/paystack-stub');
+const { startApp } = require('./helpers');
+
+const SECRET_KEY = 'sk_test_statements';
+
+test('statements count released escrow only when its Paystack charge was settled', async () => {
+  const paystack = createPaystackStub({ secretKey: SECRET_KEY });
+  const api = await startApp({ PAYSTACK_SECRET_KEY: SECRET_KEY, PAYSTACK_BASE_URL: await paystack.listen(0) });
+  try {
+    const poster = await api.signIn('poster');
+    const worker = await api.signIn('ada');
+    await api.store.put('lh_tasks', { id: 'T1', title: 'Fix a tap', poster: 'poster', status: 'open', budget: { amountKobo: 500000, currency: 'NGN', payType: 'fixed' } });
+    await api.store.put('lh_applications', { id: 'A1', taskId: 'T1', applicant: 'ada', status: 'pending' });
+
+    // Paid through Paystack, done and confirmed
+    const { charge } = (await api.request('POST', '/tasks/T1/applications/A1/accept', {}, { token: poster.token })).body;
+    paystack.charge(charge.reference, charge.amountKobo);
+    assert.strictEqual((await api.request('POST', '/payments/paystack/verify', { reference: charge.reference }, { token: poster.token })).status, 200);
+    for (const [to, token] of [['in_progress', worker.token], ['completed', worker.token], ['closed', poster.token]]) {
+      assert.strictEqual((await api.request('POST', '/tasks/T1/transition', { to }, { token })).status, 200);
+    }
+
+    // Released escrow that was only ever a ledger entry, and one claiming a reference nobody settled
+    const released = { kind: 'escrow', from: 'poster', to: 'ada', amount: 9000, amountKobo: 900000, currency: 'NGN', status: 'released', history: [{ status: 'released', by: 'poster', at: new Date().toISOString() }] };
+    await api.store.put('lh_payments', Object.assign({ id: 'P_ledger', taskId: 'T_old' }, released));
+    await api.store.put('lh_payments', Object.assign({ id: 'P_forged', taskId: 'T_old2', paystackReference: 'WL_forged', paidAt: new Date().toISOString() }, released));
+
+    const res = await api.request('POST', '/statements', {}, { token: worker.token });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.statement.lines.map(l => [l.taskId, l.amount]), [['T1', 5000]]);
+    assert.strictEqual(res.body.statement.total, 5000);
+  } finally {
+    await api.close();
+    await paystack.close();
+  }
+});
@@ -0,0 +1,108 @@
+// USSD menu flows (server/lib/ussd.js), replayed from the transcripts in ussd-transcripts/ against the
+// memory store. A transcript is what `npm run ussd:session` prints, after a `# caller: <number>` line:
+// each "> <answer>" followed by the screen expected back, so a session from a support report can be
+// pasted in as it is. Every transcript starts from the data in `seed()`.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('../lib/store');
+const { createUssdMenu } = require('../lib/ussd');
+
+const DIR = path.join(__dirname, 'ussd-transcripts');
+
+// Ada signs in with a verified number and still has the free permit, Bola has spent every permit, and
+// Chinedu posts the tasks
+function seed() {
+  const day = n => new Date(Date.UTC(2026, 0, n, 9)).toISOString();
+  const task = (id, title, category, n, extra) => Object.assign({ id, title, category, poster: 'chinedu', status: 'open', location: 'Yaba, Lagos', description: 'Work starts this week.', budget: { amountKobo: 500000, currency: 'NGN', payType: 'fixed' }, createdAt: day(n) }, extra);
+  return createMemoryStore({
+    lh_users: [
+      { id: 'U_ada', username: 'ada', freePermitUsed: false, permits: 0 },
+      { id: 'U_bola', username: 'bola', freePermitUsed: true, permits: 0 },
+      { id: 'U_chinedu', username: 'chinedu', freePermitUsed: true, permits: 3 }
+    ],
+    lh_credentials: [
+      { id: 'U_ada', username: 'ada', phone: '+2348031234567' },
+      { id: 'U_bola', username: 'bola', phone: '+2348051112222' }
+    ],
+    lh_tasks: [
+      task('T1', 'Fix a leaking kitchen tap', 'home-repairs', 1, { subcategory: 'plumbing' }),
+      task('T2', 'Paint a bedroom', 'home-repairs', 2, { budget: { amountKobo: 1500000, currency: 'NGN', payType: 'daily' } }),
+      task('T3', 'Deliver a parcel to Ikeja', 'deliveries-errands', 3),
+      task('T4', 'Clean a two-room flat', 'house-cleaning', 4, { budget: null }),
+      task('T5', 'Maths lessons for JSS2', 'home-lessons', 5),
+      task('T6', 'Help at a shop on Saturday', 'shop-assistance', 6),
+      task('T7', 'Wire a new socket', 'home-repairs', 7, { status: 'assigned', assignedTo: 'bola' })
+    ],
+    lh_applications: [
+      { id: 'A1', taskId: 'T7', applicant: 'bola', status: 'accepted', createdAt: day(8) },
+      { id: 'A2', taskId: 'T3', applicant: 'bola', status: 'pending', createdAt: day(9) }
+    ]
+  });
+}
+
+// { caller, steps: [{ answer, screen }] } from a transcript's text
+function parse(text) {
+  const caller = (text.match(/^# caller: (\S+)$/m) || [])[1];
+  const steps = text.replace(/^#.*\n/gm, '').split(/^> /m).slice(1).map(block => {
+    const lines = block.replace(/\n+$/, '').split('\n');
+    return { answer: lines[0], screen: lines.slice(1).join('\n') };
+  });
+  return { caller, steps };
+}
+
+// Plays the answers the way an aggregator sends them, all answers so far joined with '*'
+async function replay(menu, caller, answers) {
+  const sessionId = 'transcript-' + Math.random().toString(36).slice(2);
+  const screens = [];
+  for (let i = 0; i < answers.length; i++) {
+    const text = answers.slice(1, i + 1).join('*');
+    const reply = await menu.handle({ sessionId, phoneNumber: caller, text });
+    screens.push((reply.end ? 'END ' : 'CON ') + reply.text);
+  }
+  return screens;
+}
+
+function createMenu(store) {
+  const sent = [];
+  const notify = async (to, type, fields) => { sent.push(Object.assign({ to, type }, fields)); return null; };
+  return { menu: createUssdMenu({ store, notify }), sent };
+}
+
+for (const file of fs.readdirSync(DIR).filter(f => f.endsWith('.txt')).sort()) {
+  test('transcript ' + file, async () => {
+    const { caller, steps } = parse(fs.readFileSync(path.join(DIR, file), 'utf8'));
+    assert.ok(caller, file + ' needs a "# caller: <number>" line');
+    assert.strictEqual(steps[0].answer, '(dial)', file + ' must start with the dial');
+    const { menu } = createMenu(seed());
+    const screens = await replay(menu, caller, steps.map(s => s.answer));
+    steps.forEach((s, i) => assert.strictEqual(screens[i], s.screen, file + ', after "' + s.answer + '"'));
+  });
+}
+
+test('applying by USSD spends the permit and tells the poster', async () => {
+  const store = seed();
+  const { menu, sent } = createMenu(store);
+  const screens = await replay(menu, '08031234567', ['(dial)', '1', '2', '1', '1', '1']);
+  assert.match(screens[screens.length - 1], /^END Application sent/);
+  assert.strictEqual((await store.get('lh_users', 'U_ada')).freePermitUsed, true);
+  const apps = await store.where('lh_applications', 'applicant', 'ada');
+  assert.deepStrictEqual(apps.map(a => [a.taskId, a.status, a.channel]), [['T2', 'pending', 'ussd']]);
+  assert.deepStrictEqual(sent.map(n => [n.to, n.type]), [['chinedu', 'application_new']]);
+});
+
+test('the numbers on screen keep pointing at the same tasks for the whole session', async () => {
+  const store = seed();
+  const { menu } = createMenu(store);
+  const sessionId = 'stable';
+  const list = await menu.handle({ sessionId, phoneNumber: '08031234567', text: '1*2' });
+  // A newer task in the category arrives mid-session
+  await store.put('lh_tasks', { id: 'T8', title: 'Fix a door', category: 'home-repairs', poster: 'chinedu', status: 'open', createdAt: new Date(Date.UTC(2026, 0, 20)).toISOString() });
+  assert.strictEqual((await menu.handle({ sessionId, phoneNumber: '08031234567', text: '1*2' })).text, list.text);
+  assert.match((await menu.handle({ sessionId, phoneNumber: '08031234567', text: '1*2*1' })).text, /^Paint a bedroom/);
+  // A new session sees it first
+  assert.match((await menu.handle({ sessionId: 'fresh', phoneNumber: '08031234567', text: '1*2' })).text, /^1\. Fix a door/);
+});
@@ -0,0 +1,56 @@
+// Who a USSD caller is (server/routes/ussd.js, userForPhone in server/lib/channel-links.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp } = require('./helpers');
+
+const KEY = 'test-ussd-key';
+
+function dial(api, phoneNumber, text, key) {
+  const form = new URLSearchParams({ sessionId: 'S' + Math.random().toString(36).slice(2), serviceCode: '*384*1#', phoneNumber, text: text || '' });
+  return api.request('POST', '/ussd' + (key === null ? '' : '?key=' + encodeURIComponent(key || KEY)), undefined, { raw: form.toString(), headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+}
+
+test('the callback is refused without the configured key', async () => {
+  const off = await startApp();
+  try {
+    assert.strictEqual((await dial(off, '08031234567', '', null)).status, 503);
+    assert.strictEqual((await dial(off, '08031234567', '', 'anything')).status, 503);
+  } finally {
+    await off.close();
+  }
+  const api = await startApp({ USSD_CALLBACK_KEY: KEY });
+  try {
+    assert.strictEqual((await dial(api, '08031234567', '', null)).status, 403);
+    assert.strictEqual((await dial(api, '08031234567', '', 'wrong')).status, 403);
+    assert.strictEqual((await dial(api, '08031234567', '')).status, 200);
+  } finally {
+    await api.close();
+  }
+});
+
+test('callers are known by their verified sign-in number, not the profile phone', async () => {
+  const api = await startApp({ USSD_CALLBACK_KEY: KEY });
+  try {
+    // The victim only typed the number on their profile; a copycat put it on theirs too
+    await api.signIn('victim', { phone: '0803 123 4567' });
+    await api.signIn('copycat', { phone: '+2348031234567' });
+    const { user: worker } = await api.signIn('worker', { phone: '0809 999 0000' });
+    await api.store.put('lh_credentials', { id: worker.id, username: 'worker', phone: '+2348031234567' });
+    await api.store.put('lh_tasks', { id: 'T1', title: 'Fix a tap', poster: 'poster', category: 'home-repairs', status: 'open', createdAt: new Date().toISOString() });
+
+    const main = await dial(api, '+2348031234567', '');
+    assert.match(main.body, /^CON WorkLink - worker\n/);
+    const permits = await dial(api, '08031234567', '2');
+    assert.match(permits.body, /^END Free permit: available/);
+
+    // A profile phone alone opens nothing and cannot spend a permit
+    const unverified = await dial(api, '08099990000', '1*1*1*1*1');
+    assert.match(unverified.body, /^END This number is not on a WorkLink account/);
+    assert.strictEqual((await api.store.list('lh_applications')).length, 0);
+    assert.match((await dial(api, '08099990000', '')).body, /^CON WorkLink\n/);
+  } finally {
+    await api.close();
+  }
+});